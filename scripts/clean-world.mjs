@@ -1,9 +1,10 @@
 import 'dotenv-flow/config'
 import fs from 'fs-extra'
 import path from 'path'
-import Knex from 'knex'
 import moment from 'moment'
 import { fileURLToPath } from 'url'
+import { getDB } from '../src/server/db.js'
+import { backupBeforeMigrate } from '../src/server/Backups.js'
 
 const DRY_RUN = false
 
@@ -14,32 +15,26 @@ const rootDir = path.join(__dirname, '../')
 const worldDir = path.join(rootDir, world)
 const assetsDir = path.join(worldDir, '/assets')
 
-const db = Knex({
-  client: 'better-sqlite3',
-  connection: {
-    filename: `./${world}/db.sqlite`,
-  },
-  useNullAsDefault: true,
-})
-
-// TODO: run any missing migrations first?
+// runs any missing migrations first (backing up the world before it does)
+const db = await getDB(path.join(worldDir, '/db.sqlite'), { beforeMigrate: backupBeforeMigrate(worldDir) })
+const worldId = db.userParams.worldId
 
 let blueprints = new Set()
-const blueprintRows = await db('blueprints')
+const blueprintRows = await db('blueprints').where('worldId', worldId)
 for (const row of blueprintRows) {
   const blueprint = JSON.parse(row.data)
   blueprints.add(blueprint)
 }
 
 const entities = []
-const entityRows = await db('entities')
+const entityRows = await db('entities').where('worldId', worldId)
 for (const row of entityRows) {
   const entity = JSON.parse(row.data)
   entities.push(entity)
 }
 
 const vrms = new Set()
-const userRows = await db('users').select('avatar')
+const userRows = await db('users').where('worldId', worldId).select('avatar')
 for (const user of userRows) {
   if (!user.avatar) continue
   const avatar = user.avatar.replace('asset://', '')
@@ -63,7 +58,7 @@ for (const file of files) {
 let worldImage
 let worldModel
 let worldAvatar
-let settings = await db('config').where('key', 'settings').first()
+let settings = await db('config').where({ worldId, key: 'settings' }).first()
 if (settings) {
   settings = JSON.parse(settings.value)
   if (settings.image) worldImage = settings.image.url.replace('asset://', '')
@@ -88,7 +83,7 @@ console.log(`deleting ${blueprintsToDelete.length} blueprints`)
 for (const blueprint of blueprintsToDelete) {
   blueprints.delete(blueprint)
   if (!DRY_RUN) {
-    await db('blueprints').where('id', blueprint.id).delete()
+    await db('blueprints').where({ worldId, id: blueprint.id }).delete()
   }
   console.log('delete blueprint:', blueprint.id)
 }
@@ -105,6 +100,14 @@ for (const blueprint of blueprintsToDelete) {
  *
  */
 
+// keep assets used by older blueprint revisions so they can still be reverted to
+if (await db.schema.hasTable('blueprint_revisions')) {
+  const revisionRows = await db('blueprint_revisions').where('worldId', worldId).select('data')
+  for (const row of revisionRows) {
+    blueprints.add(JSON.parse(row.data))
+  }
+}
+
 const blueprintAssets = new Set()
 for (const blueprint of blueprints) {
   if (blueprint.model && blueprint.model.startsWith('asset://')) {
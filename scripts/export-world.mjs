@@ -0,0 +1,36 @@
+import 'dotenv-flow/config'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getDB } from '../src/server/db.js'
+import { createAssets } from '../src/server/assets.js'
+import { readWorldFromDB, writeWorldArchive } from '../src/server/worldArchive.js'
+
+/**
+ * Exports a world into a single .hyw archive
+ *
+ * usage: npm run world:export -- <file>
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const rootDir = path.join(__dirname, '../')
+const dataRootDir = process.env.STORAGE_PATH || rootDir
+const dataVolumeName = process.env.STORAGE_DIRNAME || 'world'
+const worldDir = path.join(dataRootDir, dataVolumeName)
+
+const file = path.resolve(process.argv[2] || `${dataVolumeName}.hyw`)
+
+const db = await getDB(path.join(worldDir, '/db.sqlite'))
+const data = await readWorldFromDB(db, path.join(worldDir, '/storage.json'))
+const assets = createAssets({ worldDir })
+await assets.init()
+const result = await writeWorldArchive(file, data, assets)
+
+console.log(
+  `exported ${data.blueprints.length} blueprints, ${data.entities.length} entities and ${result.assets} assets to ${file}`
+)
+for (const filename of result.missing) {
+  console.warn(`missing asset: ${filename}`)
+}
+
+await db.destroy()
+process.exit()
@@ -0,0 +1,47 @@
+import 'dotenv-flow/config'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getDB } from '../src/server/db.js'
+import { createAssets } from '../src/server/assets.js'
+import { backupBeforeMigrate } from '../src/server/Backups.js'
+import { ImportModes, readWorldArchive, writeWorldToDB } from '../src/server/worldArchive.js'
+
+/**
+ * Imports a .hyw archive into a world (the server must not be running)
+ *
+ * usage: npm run world:import -- <file> [--replace]
+ *
+ * By default the archive is merged into the world, replacing any blueprints/entities with the same id.
+ * Use --replace to remove all existing blueprints and entities first.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const rootDir = path.join(__dirname, '../')
+const dataRootDir = process.env.STORAGE_PATH || rootDir
+const dataVolumeName = process.env.STORAGE_DIRNAME || 'world'
+const worldDir = path.join(dataRootDir, dataVolumeName)
+
+const args = process.argv.slice(2)
+const file = args.find(arg => !arg.startsWith('--'))
+const mode = args.includes('--replace') ? ImportModes.REPLACE : ImportModes.MERGE
+
+if (!file) {
+  console.error('usage: npm run world:import -- <file> [--replace]')
+  process.exit(1)
+}
+
+const assets = createAssets({ worldDir })
+await assets.init()
+
+// opening the db runs any missing migrations first (backing up existing worlds like the server does)
+const db = await getDB(path.join(worldDir, '/db.sqlite'), { beforeMigrate: backupBeforeMigrate(worldDir) })
+const archive = await readWorldArchive(path.resolve(file))
+const extracted = await archive.extractAssets(assets)
+await writeWorldToDB(db, path.join(worldDir, '/storage.json'), archive.data, mode)
+
+console.log(
+  `imported ${archive.data.blueprints.length} blueprints, ${archive.data.entities.length} entities and ${extracted} new assets (${mode})`
+)
+
+await db.destroy()
+process.exit()
@@ -0,0 +1,79 @@
+import 'dotenv-flow/config'
+import fs from 'fs-extra'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createDB, dryRunMigrations, getMigrationStatus, isSQLite, migrate } from '../src/server/db.js'
+import { backupBeforeMigrate } from '../src/server/Backups.js'
+
+/**
+ * Checks and runs database migrations while the server is stopped
+ *
+ * usage:
+ * npm run world:migrate -- status
+ * npm run world:migrate -- up [--dry-run]
+ *
+ * `up` backs up the world into world/backups before running anything.
+ * `--dry-run` runs the migrations in a transaction that is rolled back and reports what they would change.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const rootDir = path.join(__dirname, '../')
+const dataRootDir = process.env.STORAGE_PATH || rootDir
+const dataVolumeName = process.env.STORAGE_DIRNAME || 'world'
+const worldDir = path.join(dataRootDir, dataVolumeName)
+const dbFile = path.join(worldDir, '/db.sqlite')
+
+const command = process.argv[2] || 'status'
+const dryRun = process.argv.includes('--dry-run')
+
+if (!['status', 'up'].includes(command)) {
+  console.error('usage: npm run world:migrate -- status | up [--dry-run]')
+  process.exit(1)
+}
+
+const db = createDB({ file: dbFile })
+if (isSQLite(db) && !(await fs.exists(dbFile))) {
+  console.error(`no database found at ${dbFile}`)
+  process.exit(1)
+}
+
+const status = await getMigrationStatus(db)
+
+if (command === 'status') {
+  console.log(`database version: ${status.version} (latest: ${status.latest})`)
+  if (status.pending.length) {
+    console.log(`pending migrations: ${status.pending.map(version => `#${version}`).join(', ')}`)
+  } else {
+    console.log('up to date')
+  }
+}
+
+if (command === 'up' && !status.pending.length) {
+  console.log(`database is up to date (version ${status.version})`)
+}
+
+if (command === 'up' && status.pending.length && dryRun) {
+  const report = await dryRunMigrations(db)
+  for (const migration of report) {
+    console.log(`migration #${migration.version}:`)
+    for (const change of migration.schema) {
+      console.log(`  schema: ${change}`)
+    }
+    for (const table in migration.rows) {
+      const { added, updated, removed } = migration.rows[table]
+      console.log(`  ${table}: ${added} added, ${updated} updated, ${removed} removed`)
+    }
+    if (!migration.schema.length && !Object.keys(migration.rows).length) {
+      console.log('  no changes')
+    }
+  }
+  console.log('dry run, nothing was changed')
+}
+
+if (command === 'up' && status.pending.length && !dryRun) {
+  await migrate(db, status.latest, { beforeMigrate: backupBeforeMigrate(worldDir) })
+  console.log(`migrated database from version ${status.version} to ${status.latest}`)
+}
+
+await db.destroy()
+process.exit()
@@ -92,6 +92,7 @@ export function CoreUI({ world }) {
       {disconnected && <Disconnected />}
       {!ui.reticleSuppressors && <Reticle world={world} />}
       {<Toast world={world} />}
+      {<Uploads world={world} />}
       {ready && <ActionsBlock world={world} />}
       {ready && <Sidebar world={world} ui={ui} />}
       {ready && <Chat world={world} />}
@@ -781,9 +782,16 @@ function LoadingOverlay({ world }) {
 const kickMessages = {
   duplicate_user: 'Player already active on another device or window.',
   player_limit: 'Player limit reached.',
+  server_restart: 'The server is restarting. Please refresh in a moment.',
+  permission_violations: 'You were kicked for sending too many actions you are not allowed to do.',
+  kicked: 'You were kicked by a moderator.',
+  banned: 'You are banned from this world.',
   unknown: 'You were kicked.',
 }
 function KickedOverlay({ code }) {
+  // moderation kicks also have a reason (and bans an expiry)
+  const { reason, expiresAt } = typeof code === 'object' ? code : {}
+  if (typeof code === 'object') code = code.code
   return (
     <div
       css={css`
@@ -807,7 +815,19 @@ function KickedOverlay({ code }) {
         }
       `}
     >
-      <div>{kickMessages[code] || kickMessages.unknown}</div>
+      <div
+        css={css`
+          text-align: center;
+          .kicked-detail {
+            margin-top: 0.5rem;
+            color: rgba(255, 255, 255, 0.5);
+          }
+        `}
+      >
+        <div>{kickMessages[code] || kickMessages.unknown}</div>
+        {reason && <div className='kicked-detail'>Reason: {reason}</div>}
+        {expiresAt && <div className='kicked-detail'>Until {moment(expiresAt).format('MMM D, HH:mm')}</div>}
+      </div>
     </div>
   )
 }
@@ -1037,6 +1057,84 @@ function Toast({ world }) {
   )
 }
 
+function Uploads({ world }) {
+  const [uploads, setUploads] = useState([])
+  useEffect(() => {
+    const onUpload = upload => {
+      setUploads(uploads => {
+        const others = uploads.filter(item => item.id !== upload.id)
+        return upload.done ? others : [...others, upload]
+      })
+    }
+    world.on('upload', onUpload)
+    return () => world.off('upload', onUpload)
+  }, [])
+  if (!uploads.length) return null
+  return (
+    <div
+      className='uploads'
+      css={css`
+        position: absolute;
+        top: calc(1.5rem + env(safe-area-inset-top));
+        left: 0;
+        right: 0;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 0.5rem;
+        pointer-events: none;
+        .uploads-item {
+          width: 16rem;
+          padding: 0.625rem 1rem;
+          background: rgba(11, 10, 21, 0.85);
+          border: 0.0625rem solid #2a2b39;
+          backdrop-filter: blur(5px);
+          border-radius: 1rem;
+          font-size: 0.875rem;
+        }
+        .uploads-label {
+          display: flex;
+          justify-content: space-between;
+          gap: 0.5rem;
+          margin-bottom: 0.375rem;
+        }
+        .uploads-name {
+          flex: 1;
+          overflow: hidden;
+          white-space: nowrap;
+          text-overflow: ellipsis;
+        }
+        .uploads-bar {
+          height: 0.25rem;
+          border-radius: 0.125rem;
+          background: rgba(255, 255, 255, 0.1);
+          overflow: hidden;
+        }
+        .uploads-fill {
+          height: 100%;
+          background: white;
+          transition: width 0.15s ease-out;
+        }
+      `}
+    >
+      {uploads.map(upload => {
+        const percent = Math.floor((upload.loaded / upload.total) * 100)
+        return (
+          <div key={upload.id} className='uploads-item'>
+            <div className='uploads-label'>
+              <span className='uploads-name'>{upload.name}</span>
+              <span>{percent}%</span>
+            </div>
+            <div className='uploads-bar'>
+              <div className='uploads-fill' style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
 function ToastMsg({ text }) {
   const [visible, setVisible] = useState(true)
   useEffect(() => {
@@ -10,6 +10,7 @@ import {
   FileIcon,
   LoaderIcon,
   PackageCheckIcon,
+  RadarIcon,
   ShuffleIcon,
   XIcon,
   LayersIcon,
@@ -35,7 +36,7 @@ import { useUpdate } from './useUpdate'
 import { cls } from './cls'
 import { exportApp } from '../../core/extras/appTools'
 import { downloadFile } from '../../core/extras/downloadFile'
-import { hasRole } from '../../core/utils'
+import { Capabilities } from '../../core/systems/Roles'
 import {
   fileKinds,
   InputDropdown,
@@ -67,7 +68,7 @@ export function AppPane({ world, app }) {
   const paneRef = useRef()
   const headRef = useRef()
   const [blueprint, setBlueprint] = useState(app.blueprint)
-  const canEdit = !blueprint.frozen && hasRole(world.entities.player.data.roles, 'admin', 'builder')
+  const canEdit = !blueprint.frozen && world.roles.can(world.entities.player, Capabilities.BUILD)
   const [tab, setTab] = useState('main')
   usePane('inspect', paneRef, headRef)
   useEffect(() => {
@@ -280,6 +281,17 @@ function AppPaneMain({ world, app, blueprint, canEdit }) {
     world.blueprints.modify({ id: blueprint.id, version, [key]: value })
     world.network.send('blueprintModified', { id: blueprint.id, version, [key]: value })
   }
+  const lods = useLODs(world, blueprint.model, canEdit)
+  const toggleLODs = async () => {
+    const enabled = blueprint.model !== lods.lodUrl
+    try {
+      // the server switches the model and broadcasts the change
+      await world.network.apiRequest('PUT', `/blueprints/${blueprint.id}/lods`, { enabled })
+    } catch (err) {
+      console.error(err)
+      world.emit('toast', 'Could not switch LODs')
+    }
+  }
   return (
     <div
       className='amain noscrollbar'
@@ -456,6 +468,22 @@ function AppPaneMain({ world, app, blueprint, canEdit }) {
               <SparkleIcon size={12} />
               <span>Unique</span>
             </div>
+            <div
+              className={cls('amain-btns2-btn green', { active: blueprint.alwaysRelevant })}
+              onClick={() => toggle('alwaysRelevant')}
+            >
+              <RadarIcon size={12} />
+              <span>Global</span>
+            </div>
+            {lods?.status === 'done' && (
+              <div
+                className={cls('amain-btns2-btn blue', { active: blueprint.model === lods.lodUrl })}
+                onClick={toggleLODs}
+              >
+                <LayersIcon size={12} />
+                <span>LODs</span>
+              </div>
+            )}
           </div>
           {app.fields.length > 0 && <div className='amain-line mt' />}
           <div className='amain-fields'>
@@ -467,6 +495,33 @@ function AppPaneMain({ world, app, blueprint, canEdit }) {
   )
 }
 
+const LODS_POLL_RATE = 3 // seconds
+
+/**
+ * Returns the server generated lods for a glb model (if any), checking back while they're still being generated
+ */
+function useLODs(world, model, enabled) {
+  const [lods, setLODs] = useState(null)
+  useEffect(() => {
+    setLODs(null)
+    if (!enabled || !model?.startsWith('asset://') || !model.endsWith('.glb')) return
+    let timerId
+    let cancelled = false
+    const check = async () => {
+      const lods = await world.network.apiRequest('GET', `/lods/${model.slice(8)}`).catch(() => null)
+      if (cancelled) return
+      setLODs(lods)
+      if (lods?.status === 'pending') timerId = setTimeout(check, LODS_POLL_RATE * 1000)
+    }
+    check()
+    return () => {
+      cancelled = true
+      clearTimeout(timerId)
+    }
+  }, [model, enabled])
+  return lods
+}
+
 function AppPaneMeta({ world, app, blueprint }) {
   const set = async (key, value) => {
     const version = blueprint.version + 1
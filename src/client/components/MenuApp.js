@@ -305,6 +305,12 @@ function MenuAppFlags({ world, app, blueprint, pop, push }) {
         value={blueprint.unique}
         onChange={value => toggle('unique', value)}
       />
+      <MenuItemToggle
+        label='Always Relevant'
+        hint='Always send this app to every player, even when they are too far away to see it (eg scoreboards and game logic).'
+        value={blueprint.alwaysRelevant}
+        onChange={value => toggle('alwaysRelevant', value)}
+      />
     </>
   )
 }
@@ -13,6 +13,7 @@ import {
 } from './Menu'
 import { usePermissions } from './usePermissions'
 import { useFullscreen } from './useFullscreen'
+import { DEFAULT_MOVEMENT_MODE, MovementModes } from '../../core/systems/Settings'
 
 export function MenuMain({ world }) {
   const [pages, setPages] = useState(() => ['index'])
@@ -37,7 +38,7 @@ export function MenuMain({ world }) {
 }
 
 function MenuMainIndex({ world, pop, push }) {
-  const { isAdmin, isBuilder } = usePermissions(world)
+  const { isBuilder, canEditSettings } = usePermissions(world)
   const player = world.entities.player
   const [name, setName] = useState(() => player.data.name)
   const changeName = name => {
@@ -51,7 +52,7 @@ function MenuMainIndex({ world, pop, push }) {
       <MenuItemBtn label='UI' hint='Change your interface settings' onClick={() => push('ui')} nav />
       <MenuItemBtn label='Graphics' hint='Change your device graphics settings' onClick={() => push('graphics')} nav />
       <MenuItemBtn label='Audio' hint='Change your audio volume' onClick={() => push('audio')} nav />
-      {isBuilder && <MenuItemBtn label='World' hint='Modify world settings' onClick={() => push('world')} nav />}
+      {canEditSettings && <MenuItemBtn label='World' hint='Modify world settings' onClick={() => push('world')} nav />}
       {isBuilder && (
         <MenuItemBtn label='Apps' hint='View all apps in the world' onClick={() => world.ui.toggleApps()} />
       )}
@@ -240,6 +241,12 @@ function MenuMainAudio({ world, pop, push }) {
   )
 }
 
+const movementOptions = [
+  { label: 'Off', value: MovementModes.OFF },
+  { label: 'Log', value: MovementModes.LOG },
+  { label: 'Correct', value: MovementModes.CORRECT },
+  { label: 'Strict', value: MovementModes.STRICT },
+]
 function MenuMainWorld({ world, pop, push }) {
   const player = world.entities.player
   const { isAdmin } = usePermissions(world)
@@ -248,6 +255,7 @@ function MenuMainWorld({ world, pop, push }) {
   const [model, setModel] = useState(world.settings.model)
   const [avatar, setAvatar] = useState(world.settings.avatar)
   const [playerLimit, setPlayerLimit] = useState(world.settings.playerLimit)
+  const [movement, setMovement] = useState(world.settings.movement || DEFAULT_MOVEMENT_MODE)
   const [publicc, setPublic] = useState(world.settings.public)
   useEffect(() => {
     const onChange = changes => {
@@ -256,6 +264,7 @@ function MenuMainWorld({ world, pop, push }) {
       if (changes.model) setModel(changes.model.value)
       if (changes.avatar) setAvatar(changes.avatar.value)
       if (changes.playerLimit) setPlayerLimit(changes.playerLimit.value)
+      if (changes.movement) setMovement(changes.movement.value || DEFAULT_MOVEMENT_MODE)
       if (changes.public) setPublic(changes.public.value)
     }
     world.settings.on('change', onChange)
@@ -301,6 +310,13 @@ function MenuMainWorld({ world, pop, push }) {
         value={playerLimit}
         onChange={value => world.settings.set('playerLimit', value, true)}
       />
+      <MenuItemSwitch
+        label='Movement'
+        hint='Check player movement on the server to stop speed hacks and teleporting. Log only reports it, Correct moves players back and Strict also stops them walking through walls.'
+        options={movementOptions}
+        value={movement}
+        onChange={value => world.settings.set('movement', value, true)}
+      />
       {isAdmin && (
         <MenuItemToggle
           label='Public'
@@ -5,7 +5,7 @@ import { SettingsIcon, SunIcon, UserIcon, Volume2Icon, XIcon } from 'lucide-reac
 import { usePane } from './usePane'
 import { AvatarPreview } from '../AvatarPreview'
 import { cls } from './cls'
-import { hasRole } from '../../core/utils'
+import { Capabilities } from '../../core/systems/Roles'
 import { InputDropdown, InputNumber, InputRange, InputSwitch, InputText } from './Inputs'
 
 export function SettingsPane({ world, player, close }) {
@@ -14,7 +14,7 @@ export function SettingsPane({ world, player, close }) {
   usePane('settings', paneRef, headRef)
   const [tab, setTab] = useState('general')
   const canBuild = useMemo(() => {
-    return hasRole(player.data.roles, 'admin', 'builder')
+    return world.roles.can(player, Capabilities.BUILD)
   }, [player])
   return (
     <div
@@ -7,6 +7,7 @@ import {
   CodeIcon,
   DownloadIcon,
   EarthIcon,
+  HistoryIcon,
   InfoIcon,
   LayersIcon,
   ListTreeIcon,
@@ -15,6 +16,7 @@ import {
   Move3DIcon,
   OctagonXIcon,
   PinIcon,
+  RadarIcon,
   RocketIcon,
   SaveIcon,
   SearchIcon,
@@ -24,6 +26,7 @@ import {
   SquareMenuIcon,
   TagIcon,
   Trash2Icon,
+  UsersIcon,
 } from 'lucide-react'
 import { cls } from './cls'
 import { useContext, useEffect, useMemo, useRef, useState } from 'react'
@@ -46,6 +49,7 @@ import { downloadFile } from '../../core/extras/downloadFile'
 import { exportApp } from '../../core/extras/appTools'
 import { hashFile } from '../../core/utils-client'
 import { cloneDeep, isArray, isBoolean } from 'lodash-es'
+import moment from 'moment'
 import { storage } from '../../core/storage'
 import { ScriptEditor } from './ScriptEditor'
 import { NodeHierarchy } from './NodeHierarchy'
@@ -53,9 +57,11 @@ import { AppsList } from './AppsList'
 import { DEG2RAD, RAD2DEG } from '../../core/extras/general'
 import * as THREE from '../../core/extras/three'
 import { isTouch } from '../utils'
-import { uuid } from '../../core/utils'
+import { hasRole, uuid } from '../../core/utils'
+import { DEFAULT_ROLE } from '../../core/systems/Roles'
+import { DEFAULT_MOVEMENT_MODE, MovementModes } from '../../core/systems/Settings'
 
-const mainSectionPanes = ['prefs']
+const mainSectionPanes = ['prefs', 'players']
 const worldSectionPanes = ['world', 'docs', 'apps', 'add']
 const appSectionPanes = ['app', 'script', 'nodes', 'meta']
 
@@ -72,7 +78,7 @@ backdrop-filter: blur(5px);
  */
 
 export function Sidebar({ world, ui }) {
-  const { isAdmin, isBuilder } = usePermissions(world)
+  const { isBuilder, canEditSettings } = usePermissions(world)
   const player = world.entities.player
   const [livekit, setLiveKit] = useState(() => world.livekit.status)
   useEffect(() => {
@@ -122,6 +128,13 @@ export function Sidebar({ world, ui }) {
             >
               <MenuIcon size='1.25rem' />
             </Btn>
+            <Btn
+              active={activePane === 'players'}
+              suspended={ui.pane === 'players' && !activePane}
+              onClick={() => world.ui.togglePane('players')}
+            >
+              <UsersIcon size='1.25rem' />
+            </Btn>
             {isTouch && (
               <Btn
                 onClick={() => {
@@ -157,13 +170,15 @@ export function Sidebar({ world, ui }) {
           </Section>
           {isBuilder && (
             <Section active={worldSectionPanes.includes(activePane)} top bottom>
-              <Btn
-                active={activePane === 'world'}
-                suspended={ui.pane === 'world' && !activePane}
-                onClick={() => world.ui.togglePane('world')}
-              >
-                <EarthIcon size='1.25rem' />
-              </Btn>
+              {canEditSettings && (
+                <Btn
+                  active={activePane === 'world'}
+                  suspended={ui.pane === 'world' && !activePane}
+                  onClick={() => world.ui.togglePane('world')}
+                >
+                  <EarthIcon size='1.25rem' />
+                </Btn>
+              )}
               {/* <Btn
               active={activePane === 'docs'}
               suspended={ui.pane === 'docs' && !activePane}
@@ -221,7 +236,8 @@ export function Sidebar({ world, ui }) {
           )}
         </div>
         {ui.pane === 'prefs' && <Prefs world={world} hidden={!ui.active} />}
-        {ui.pane === 'world' && <World world={world} hidden={!ui.active} />}
+        {ui.pane === 'players' && <Players world={world} hidden={!ui.active} />}
+        {ui.pane === 'world' && canEditSettings && <World world={world} hidden={!ui.active} />}
         {ui.pane === 'apps' && <Apps world={world} hidden={!ui.active} />}
         {ui.pane === 'add' && <Add world={world} hidden={!ui.active} />}
         {ui.pane === 'app' && <App key={ui.app.data.id} world={world} hidden={!ui.active} />}
@@ -587,6 +603,142 @@ function Prefs({ world, hidden }) {
   )
 }
 
+function Players({ world, hidden }) {
+  const { canManageRoles } = usePermissions(world)
+  const [players, setPlayers] = useState(() => Array.from(world.entities.players.values()))
+  const [roles, setRoles] = useState(() => world.roles.serialize())
+  const [, setRefresh] = useState(0)
+  useEffect(() => {
+    const onPlayers = () => setPlayers(Array.from(world.entities.players.values()))
+    const onRoles = () => setRoles(world.roles.serialize())
+    const onPlayerRoles = () => setRefresh(n => n + 1)
+    world.events.on('enter', onPlayers)
+    world.events.on('leave', onPlayers)
+    world.roles.on('change', onRoles)
+    world.on('player', onPlayerRoles)
+    world.on('player-roles', onPlayerRoles)
+    return () => {
+      world.events.off('enter', onPlayers)
+      world.events.off('leave', onPlayers)
+      world.roles.off('change', onRoles)
+      world.off('player', onPlayerRoles)
+      world.off('player-roles', onPlayerRoles)
+    }
+  }, [])
+  // only roles with capabilities we also have can be managed (the server checks this too)
+  const capabilities = world.roles.getCapabilities(world.entities.player.data.roles)
+  const manageable = roles.filter(role => {
+    if (!canManageRoles || role.name === DEFAULT_ROLE) return false
+    return role.capabilities.every(capability => capabilities.has(capability))
+  })
+  const toggle = (player, role) => {
+    const op = hasRole(player.data.roles, role) ? 'revoke' : 'grant'
+    world.network.send('command', ['role', op, player.data.userId, role])
+  }
+  return (
+    <Pane hidden={hidden}>
+      <div
+        className='players'
+        css={css`
+          background: rgba(11, 10, 21, 0.85);
+          border: 0.0625rem solid #2a2b39;
+          backdrop-filter: blur(5px);
+          border-radius: 1rem;
+          display: flex;
+          flex-direction: column;
+          min-height: 12rem;
+          .players-head {
+            height: 3.125rem;
+            padding: 0 1rem;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+            display: flex;
+            align-items: center;
+          }
+          .players-title {
+            flex: 1;
+            font-weight: 500;
+            font-size: 1rem;
+            line-height: 1;
+          }
+          .players-count {
+            color: #5d6077;
+            font-size: 0.9375rem;
+          }
+          .players-content {
+            flex: 1;
+            padding: 0.5rem 0;
+            overflow-y: auto;
+          }
+          .players-item {
+            padding: 0.5rem 1rem;
+          }
+          .players-item-name {
+            font-size: 0.9375rem;
+            margin: 0 0 0.375rem;
+          }
+          .players-item-roles {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.25rem;
+          }
+          .players-role {
+            font-size: 0.75rem;
+            padding: 0.2rem 0.5rem;
+            border-radius: 0.5rem;
+            border: 1px solid rgba(255, 255, 255, 0.1);
+            color: #5d6077;
+            &.active {
+              color: white;
+              border-color: #00a7ff;
+            }
+            &.toggle:hover {
+              cursor: pointer;
+              color: white;
+            }
+          }
+        `}
+      >
+        <div className='players-head'>
+          <div className='players-title'>Players</div>
+          <div className='players-count'>{players.length}</div>
+        </div>
+        <div className='players-content noscrollbar'>
+          {players.map(player => (
+            <div className='players-item' key={player.data.id}>
+              <div className='players-item-name'>{player.data.name}</div>
+              <div className='players-item-roles'>
+                {manageable.length
+                  ? manageable.map(role => (
+                      <div
+                        key={role.name}
+                        className={cls('players-role toggle', { active: hasRole(player.data.roles, role.name) })}
+                        onClick={() => toggle(player, role.name)}
+                      >
+                        {role.name}
+                      </div>
+                    ))
+                  : roles
+                      .filter(role => hasRole(player.data.roles, role.name))
+                      .map(role => (
+                        <div key={role.name} className='players-role active'>
+                          {role.name}
+                        </div>
+                      ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </Pane>
+  )
+}
+
+const movementOptions = [
+  { label: 'Off', value: MovementModes.OFF },
+  { label: 'Log', value: MovementModes.LOG },
+  { label: 'Correct', value: MovementModes.CORRECT },
+  { label: 'Strict', value: MovementModes.STRICT },
+]
 function World({ world, hidden }) {
   const player = world.entities.player
   const { isAdmin } = usePermissions(world)
@@ -596,6 +748,7 @@ function World({ world, hidden }) {
   const [model, setModel] = useState(world.settings.model)
   const [avatar, setAvatar] = useState(world.settings.avatar)
   const [playerLimit, setPlayerLimit] = useState(world.settings.playerLimit)
+  const [movement, setMovement] = useState(world.settings.movement || DEFAULT_MOVEMENT_MODE)
   const [publicc, setPublic] = useState(world.settings.public)
   useEffect(() => {
     const onChange = changes => {
@@ -605,6 +758,7 @@ function World({ world, hidden }) {
       if (changes.model) setModel(changes.model.value)
       if (changes.avatar) setAvatar(changes.avatar.value)
       if (changes.playerLimit) setPlayerLimit(changes.playerLimit.value)
+      if (changes.movement) setMovement(changes.movement.value || DEFAULT_MOVEMENT_MODE)
       if (changes.public) setPublic(changes.public.value)
     }
     world.settings.on('change', onChange)
@@ -690,6 +844,13 @@ function World({ world, hidden }) {
             value={playerLimit}
             onChange={value => world.settings.set('playerLimit', value, true)}
           />
+          <FieldSwitch
+            label='Movement'
+            hint='Check player movement on the server to stop speed hacks and teleporting. Log only reports it, Correct moves players back and Strict also stops them walking through walls.'
+            options={movementOptions}
+            value={movement}
+            onChange={value => world.settings.set('movement', value, true)}
+          />
           {isAdmin && (
             <FieldToggle
               label='Public'
@@ -942,6 +1103,7 @@ function App({ world, hidden }) {
   const [pinned, setPinned] = useState(app.data.pinned)
   const [transforms, setTransforms] = useState(showTransforms)
   const [blueprint, setBlueprint] = useState(app.blueprint)
+  const [history, setHistory] = useState(false)
   useEffect(() => {
     showTransforms = transforms
   }, [transforms])
@@ -1037,6 +1199,9 @@ function App({ world, hidden }) {
               cursor: pointer;
               color: white;
             }
+            &.active {
+              color: white;
+            }
           }
           .app-toggles {
             padding: 0.5rem 1.4rem;
@@ -1068,6 +1233,16 @@ function App({ world, hidden }) {
       >
         <div className='app-head'>
           <div className='app-title'>{app.blueprint.name}</div>
+          {!frozen && (
+            <div
+              className={cls('app-btn', { active: history })}
+              onClick={() => setHistory(!history)}
+              onPointerEnter={() => setHint('View and restore previous versions of this app')}
+              onPointerLeave={() => setHint(null)}
+            >
+              <HistoryIcon size='1.125rem' />
+            </div>
+          )}
           <div
             className='app-btn'
             onClick={download}
@@ -1099,58 +1274,259 @@ function App({ world, hidden }) {
             <Trash2Icon size='1.125rem' />
           </div>
         </div>
-        <div className='app-toggles'>
-          <div
-            className={cls('app-toggle', { active: blueprint.disabled })}
-            onClick={() => toggleKey('disabled')}
-            onPointerEnter={() => setHint('Disable this app so that it is no longer active in the world.')}
-            onPointerLeave={() => setHint(null)}
-          >
-            <OctagonXIcon size='1.125rem' />
-            {/* {blueprint.disabled ? <SquareIcon size='1.125rem' /> : <SquareCheckBigIcon size='1.125rem' />} */}
-          </div>
-          <div
-            className={cls('app-toggle', { active: pinned })}
-            onClick={togglePinned}
-            onPointerEnter={() => setHint("Pin this app so it can't accidentally be moved.")}
-            onPointerLeave={() => setHint(null)}
-          >
-            <PinIcon size='1.125rem' />
-          </div>
-          <div
-            className={cls('app-toggle', { active: blueprint.preload })}
-            onClick={() => toggleKey('preload')}
-            onPointerEnter={() => setHint('Preload this app before entering the world.')}
-            onPointerLeave={() => setHint(null)}
-          >
-            <LoaderPinwheelIcon size='1.125rem' />
+        {history && <AppHistory world={world} blueprint={blueprint} />}
+        {!history && (
+          <div className='app-toggles'>
+            <div
+              className={cls('app-toggle', { active: blueprint.disabled })}
+              onClick={() => toggleKey('disabled')}
+              onPointerEnter={() => setHint('Disable this app so that it is no longer active in the world.')}
+              onPointerLeave={() => setHint(null)}
+            >
+              <OctagonXIcon size='1.125rem' />
+              {/* {blueprint.disabled ? <SquareIcon size='1.125rem' /> : <SquareCheckBigIcon size='1.125rem' />} */}
+            </div>
+            <div
+              className={cls('app-toggle', { active: pinned })}
+              onClick={togglePinned}
+              onPointerEnter={() => setHint("Pin this app so it can't accidentally be moved.")}
+              onPointerLeave={() => setHint(null)}
+            >
+              <PinIcon size='1.125rem' />
+            </div>
+            <div
+              className={cls('app-toggle', { active: blueprint.preload })}
+              onClick={() => toggleKey('preload')}
+              onPointerEnter={() => setHint('Preload this app before entering the world.')}
+              onPointerLeave={() => setHint(null)}
+            >
+              <LoaderPinwheelIcon size='1.125rem' />
+            </div>
+            <div
+              className={cls('app-toggle', { active: blueprint.alwaysRelevant })}
+              onClick={() => toggleKey('alwaysRelevant')}
+              onPointerEnter={() =>
+                setHint(
+                  'Always send this app to every player, even when they are too far away to see it (eg scoreboards and game logic).'
+                )
+              }
+              onPointerLeave={() => setHint(null)}
+            >
+              <RadarIcon size='1.125rem' />
+            </div>
+            <div
+              className={cls('app-toggle', { active: blueprint.unique })}
+              onClick={() => toggleKey('unique')}
+              onPointerEnter={() => setHint('Make this app unique so that new duplicates are not linked to this one.')}
+              onPointerLeave={() => setHint(null)}
+            >
+              <SparkleIcon size='1.125rem' />
+            </div>
+            <div
+              className={cls('app-toggle', { active: transforms })}
+              onClick={() => setTransforms(!transforms)}
+              onPointerEnter={() => setHint('Show and hide transform fields for fine grained control.')}
+              onPointerLeave={() => setHint(null)}
+            >
+              <Move3DIcon size='1.125rem' />
+            </div>
           </div>
-          <div
-            className={cls('app-toggle', { active: blueprint.unique })}
-            onClick={() => toggleKey('unique')}
-            onPointerEnter={() => setHint('Make this app unique so that new duplicates are not linked to this one.')}
-            onPointerLeave={() => setHint(null)}
-          >
-            <SparkleIcon size='1.125rem' />
+        )}
+        {!history && (
+          <div className='app-content noscrollbar'>
+            {transforms && <AppTransformFields app={app} />}
+            <AppFields world={world} app={app} blueprint={blueprint} />
           </div>
+        )}
+      </div>
+    </Pane>
+  )
+}
+
+function AppHistory({ world, blueprint }) {
+  const [revisions, setRevisions] = useState(null)
+  const [selected, setSelected] = useState(null) // { version, changes }
+  const [error, setError] = useState(null)
+  const request = async (method, path, body) => {
+    try {
+      setError(null)
+      return await world.network.apiRequest(method, `/blueprints/${blueprint.id}/revisions${path}`, body)
+    } catch (err) {
+      console.error(err)
+      setError(err.message)
+    }
+  }
+  useEffect(() => {
+    request('GET', '').then(revisions => {
+      if (revisions) setRevisions(revisions)
+    })
+  }, [blueprint.version])
+  const select = async version => {
+    if (selected?.version === version) return setSelected(null)
+    const diff = await request('GET', `/${version}/diff`)
+    if (diff) setSelected({ version, changes: diff.changes })
+  }
+  const restore = async keys => {
+    const restored = await request('POST', `/${selected.version}/revert`, { keys })
+    if (restored) setSelected(null)
+  }
+  const changedKeys = Object.keys(selected?.changes || {})
+  const canRestore = {
+    script: changedKeys.includes('script'),
+    props: changedKeys.some(key => key.startsWith('props.')),
+    model: changedKeys.includes('model'),
+  }
+  return (
+    <div
+      className='apphistory noscrollbar'
+      css={css`
+        flex: 1;
+        padding: 0.5rem 0;
+        overflow-y: auto;
+        .apphistory-empty,
+        .apphistory-error {
+          padding: 0.5rem 1rem;
+          font-size: 0.875rem;
+          color: rgba(255, 255, 255, 0.4);
+        }
+        .apphistory-error {
+          color: #ff5050;
+        }
+        .apphistory-item {
+          padding: 0.5rem 1rem;
+          &:hover {
+            cursor: pointer;
+            background: rgba(255, 255, 255, 0.03);
+          }
+          &.selected {
+            background: rgba(255, 255, 255, 0.05);
+          }
+        }
+        .apphistory-item-head {
+          display: flex;
+          align-items: center;
+          font-size: 0.9375rem;
+          gap: 0.5rem;
+        }
+        .apphistory-version {
+          font-weight: 500;
+        }
+        .apphistory-author {
+          flex: 1;
+          white-space: nowrap;
+          text-overflow: ellipsis;
+          overflow: hidden;
+          color: rgba(255, 255, 255, 0.6);
+        }
+        .apphistory-time {
+          font-size: 0.8125rem;
+          color: #5d6077;
+        }
+        .apphistory-changes {
+          margin-top: 0.25rem;
+          font-size: 0.8125rem;
+          color: #5d6077;
+        }
+        .apphistory-diff {
+          margin-top: 0.5rem;
+          font-size: 0.8125rem;
+        }
+        .apphistory-diff-row {
+          display: flex;
+          gap: 0.5rem;
+          padding: 0.125rem 0;
+          span:first-child {
+            width: 6rem;
+            flex-shrink: 0;
+            white-space: nowrap;
+            text-overflow: ellipsis;
+            overflow: hidden;
+            color: rgba(255, 255, 255, 0.6);
+          }
+          span:last-child {
+            flex: 1;
+            word-break: break-all;
+          }
+        }
+        .apphistory-actions {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.5rem;
+          margin-top: 0.5rem;
+        }
+        .apphistory-btn {
+          font-size: 0.8125rem;
+          padding: 0.25rem 0.625rem;
+          border-radius: 0.5rem;
+          border: 1px solid rgba(255, 255, 255, 0.1);
+          &:hover {
+            cursor: pointer;
+            border-color: rgba(255, 255, 255, 0.3);
+          }
+        }
+      `}
+    >
+      {error && <div className='apphistory-error'>{error}</div>}
+      {revisions && !revisions.length && <div className='apphistory-empty'>No saved versions yet</div>}
+      {revisions?.map(revision => {
+        const isCurrent = revision.version === blueprint.version
+        const isSelected = selected?.version === revision.version
+        return (
           <div
-            className={cls('app-toggle', { active: transforms })}
-            onClick={() => setTransforms(!transforms)}
-            onPointerEnter={() => setHint('Show and hide transform fields for fine grained control.')}
-            onPointerLeave={() => setHint(null)}
+            key={revision.version}
+            className={cls('apphistory-item', { selected: isSelected })}
+            onClick={() => !isCurrent && select(revision.version)}
           >
-            <Move3DIcon size='1.125rem' />
+            <div className='apphistory-item-head'>
+              <div className='apphistory-version'>v{revision.version}</div>
+              <div className='apphistory-author'>{revision.userName || 'Unknown'}</div>
+              <div className='apphistory-time'>{isCurrent ? 'current' : moment(revision.createdAt).fromNow()}</div>
+            </div>
+            {revision.changes.length > 0 && (
+              <div className='apphistory-changes'>Changed {revision.changes.join(', ')}</div>
+            )}
+            {isSelected && (
+              <div className='apphistory-diff' onClick={e => e.stopPropagation()}>
+                {!changedKeys.length && <div className='apphistory-changes'>Same as the current version</div>}
+                {changedKeys.map(key => (
+                  <div key={key} className='apphistory-diff-row'>
+                    <span>{key}</span>
+                    <span>{formatRevisionValue(selected.changes[key].from)}</span>
+                  </div>
+                ))}
+                <div className='apphistory-actions'>
+                  {canRestore.script && (
+                    <div className='apphistory-btn' onClick={() => restore(['script'])}>
+                      Restore script
+                    </div>
+                  )}
+                  {canRestore.props && (
+                    <div className='apphistory-btn' onClick={() => restore(['props'])}>
+                      Restore props
+                    </div>
+                  )}
+                  {canRestore.model && (
+                    <div className='apphistory-btn' onClick={() => restore(['model'])}>
+                      Restore model
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
           </div>
-        </div>
-        <div className='app-content noscrollbar'>
-          {transforms && <AppTransformFields app={app} />}
-          <AppFields world={world} app={app} blueprint={blueprint} />
-        </div>
-      </div>
-    </Pane>
+        )
+      })}
+    </div>
   )
 }
 
+function formatRevisionValue(value) {
+  if (value === null || value === undefined) return '-'
+  if (typeof value === 'string' && value.startsWith('asset://')) return `${value.slice(8, 16)}...`
+  const str = typeof value === 'string' ? value : JSON.stringify(value)
+  return str.length > 60 ? `${str.slice(0, 60)}...` : str
+}
+
 function AppTransformFields({ app }) {
   const [position, setPosition] = useState(app.root.position.toArray())
   const [rotation, setRotation] = useState(app.root.rotation.toArray().map(n => n * RAD2DEG))
@@ -1,22 +1,31 @@
 import { useEffect, useState } from 'react'
 import { hasRole } from '../../core/utils'
+import { Capabilities } from '../../core/systems/Roles'
 
 export function usePermissions(world) {
-  const [perms, setPerms] = useState(() => {
-    const isAdmin = hasRole(world.entities.player?.data.roles, 'admin')
-    const isBuilder = isAdmin || world.settings.public
-    return { isAdmin, isBuilder }
-  })
+  const [perms, setPerms] = useState(() => getPermissions(world))
   useEffect(() => {
     function update() {
-      const isAdmin = hasRole(world.entities.player?.data.roles, 'admin')
-      const isBuilder = isAdmin || world.settings.public
-      setPerms({ isAdmin, isBuilder })
+      setPerms(getPermissions(world))
     }
     world.settings.on('change', update)
+    world.roles.on('change', update)
+    world.on('player', update)
     return () => {
       world.settings.off('change', update)
+      world.roles.off('change', update)
+      world.off('player', update)
     }
   }, [])
   return perms
 }
+
+function getPermissions(world) {
+  const player = world.entities.player
+  const isAdmin = hasRole(player?.data.roles, 'admin')
+  const isBuilder = world.roles.can(player, Capabilities.BUILD)
+  const canModerate = world.roles.can(player, Capabilities.MODERATE)
+  const canEditSettings = world.roles.can(player, Capabilities.SETTINGS)
+  const canManageRoles = world.roles.can(player, Capabilities.ROLES)
+  return { isAdmin, isBuilder, canModerate, canEditSettings, canManageRoles }
+}
@@ -1,10 +1,11 @@
 import { readPacket, writePacket } from './packets'
 
 export class Socket {
-  constructor({ id, ws, network, player }) {
+  constructor({ id, ws, network, player, ip }) {
     this.id = id
     this.ws = ws
     this.network = network
+    this.ip = ip
 
     this.player = player
 
@@ -21,6 +22,7 @@ export class Socket {
     // console.log('->', name, data)
     const packet = writePacket(name, data)
     this.ws.send(packet)
+    this.network.world.monitor?.onPacketOut(name, packet.length)
   }
 
   sendPacket(packet) {
@@ -42,8 +44,9 @@ export class Socket {
   }
 
   onMessage = packet => {
-    const [method, data] = readPacket(packet)
-    this.network.enqueue(this, method, data)
+    const [method, data, name] = readPacket(packet)
+    this.network.world.monitor?.onPacketIn(name, packet.length)
+    this.network.enqueue(this, method, data, name)
     // console.log('<-', method, data)
   }
 
@@ -2,6 +2,7 @@ import * as THREE from './extras/three'
 import EventEmitter from 'eventemitter3'
 
 import { Settings } from './systems/Settings'
+import { Roles } from './systems/Roles'
 import { Collections } from './systems/Collections'
 import { Apps } from './systems/Apps'
 import { Anchors } from './systems/Anchors'
@@ -35,6 +36,7 @@ export class World extends EventEmitter {
     this.rig.add(this.camera)
 
     this.register('settings', Settings)
+    this.register('roles', Roles)
     this.register('collections', Collections)
     this.register('apps', Apps)
     this.register('anchors', Anchors)
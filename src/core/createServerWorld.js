@@ -6,6 +6,16 @@ import { ServerNetwork } from './systems/ServerNetwork'
 import { ServerLoader } from './systems/ServerLoader'
 import { ServerEnvironment } from './systems/ServerEnvironment'
 import { ServerMonitor } from './systems/ServerMonitor'
+import { ServerGC } from './systems/ServerGC'
+import { ServerAudit } from './systems/ServerAudit'
+import { ServerAppStorage } from './systems/ServerAppStorage'
+import { ServerWebhooks } from './systems/ServerWebhooks'
+import { ServerInspector } from './systems/ServerInspector'
+import { ServerLODGenerator } from './systems/ServerLODGenerator'
+import { ServerPermissions } from './systems/ServerPermissions'
+import { ServerModeration } from './systems/ServerModeration'
+import { ServerMovement } from './systems/ServerMovement'
+import { ServerInterest } from './systems/ServerInterest'
 
 export function createServerWorld() {
   const world = new World()
@@ -15,5 +25,15 @@ export function createServerWorld() {
   world.register('loader', ServerLoader)
   world.register('environment', ServerEnvironment)
   world.register('monitor', ServerMonitor)
+  world.register('gc', ServerGC)
+  world.register('audit', ServerAudit)
+  world.register('appStorage', ServerAppStorage)
+  world.register('webhooks', ServerWebhooks)
+  world.register('inspector', ServerInspector)
+  world.register('lodGenerator', ServerLODGenerator)
+  world.register('permissions', ServerPermissions)
+  world.register('moderation', ServerModeration)
+  world.register('movement', ServerMovement)
+  world.register('interest', ServerInterest)
   return world
 }
@@ -292,6 +292,7 @@ export class App extends Entity {
   }
 
   crash() {
+    this.world.emit('crash', this)
     this.build(true)
   }
 
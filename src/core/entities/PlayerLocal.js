@@ -1,5 +1,6 @@
 import { Entity } from './Entity'
-import { clamp, hasRole } from '../utils'
+import { clamp } from '../utils'
+import { Capabilities } from '../systems/Roles'
 import * as THREE from '../extras/three'
 import { Layers } from '../extras/Layers'
 import { DEG2RAD, RAD2DEG } from '../extras/general'
@@ -286,7 +287,7 @@ export class PlayerLocal extends Entity {
   }
 
   toggleFlying() {
-    const canFly = this.world.settings.public || hasRole(this.data.roles, 'admin')
+    const canFly = this.world.roles.can(this, Capabilities.BUILD)
     if (!canFly) return
     this.flying = !this.flying
     if (this.flying) {
@@ -188,6 +188,7 @@ export class PlayerRemote extends Entity {
     }
     if (data.hasOwnProperty('roles')) {
       this.data.roles = data.roles
+      this.world.emit('player-roles', this)
     }
     if (avatarChanged) {
       this.applyAvatar()
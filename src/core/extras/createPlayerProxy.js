@@ -1,3 +1,4 @@
+import { uniq } from 'lodash-es'
 import { getRef } from '../nodes/Node'
 import { clamp, hasRole, uuid } from '../utils'
 import * as THREE from './three'
@@ -30,6 +31,10 @@ export function createPlayerProxy(entity, player) {
       // deprecated, use .admin
       return hasRole(player.data.roles, 'admin')
     },
+    get roles() {
+      // temporary roles (eg `~admin`) are included without their prefix
+      return uniq(player.data.roles.map(role => (role.startsWith('~') ? role.slice(1) : role)))
+    },
     get name() {
       return player.data.name
     },
@@ -54,18 +59,37 @@ export function createPlayerProxy(entity, player) {
     get destroyed() {
       return !!player.destroyed
     },
+    get data() {
+      if (!world.network.isServer) {
+        throw new Error('player.data is only available on the server')
+      }
+      return world.appStorage.getPlayerApi(player.data.userId, entity.blueprint.id)
+    },
     teleport(position, rotationY) {
       if (player.data.owner === world.network.id) {
-        // if player is local we can set directly
+        // if player is local we can set directly (after letting the server know so it passes the movement checks)
+        world.network.send('playerTeleport', {
+          networkId: player.data.owner,
+          position: position.toArray(),
+          rotationY,
+          appId: entity.data.id,
+        })
         world.network.enqueue('onPlayerTeleport', { position: position.toArray(), rotationY })
       } else if (world.network.isClient) {
         // if we're a client we need to notify server
         world.network.send('playerTeleport', { networkId: player.data.owner, position: position.toArray(), rotationY })
       } else {
-        // if we're the server we need to notify the player
+        // if we're the server we need to notify the player (and let them through the movement checks)
+        world.movement.onTeleport(player.data.owner, position.toArray())
         world.network.sendTo(player.data.owner, 'playerTeleport', { position: position.toArray(), rotationY })
       }
     },
+    hasRole(...roles) {
+      return hasRole(player.data.roles, ...roles)
+    },
+    can(capability) {
+      return world.roles.can(player, capability)
+    },
     getBoneTransform(boneName) {
       return player.avatar?.getBoneTransform?.(boneName)
     },
@@ -145,13 +169,15 @@ export function createPlayerProxy(entity, player) {
       force = force.toArray()
       // player.applyForce(force)
       if (player.data.owner === world.network.id) {
-        // if player is local we can set directly
+        // if player is local we can set directly (after letting the server know so it passes the movement checks)
+        world.network.send('playerPush', { networkId: player.data.owner, force, appId: entity.data.id })
         player.push(force)
       } else if (world.network.isClient) {
         // if we're a client we need to notify server
         world.network.send('playerPush', { networkId: player.data.owner, force })
       } else {
-        // if we're the server we need to notify the player
+        // if we're the server we need to notify the player (and let them through the movement checks)
+        world.movement.onPush(player.data.owner, force)
         world.network.sendTo(player.data.owner, 'playerPush', { force })
       }
     },
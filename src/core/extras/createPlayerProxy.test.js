@@ -0,0 +1,28 @@
+import { describe, expect, it } from 'vitest'
+
+import { createPlayerProxy } from './createPlayerProxy'
+import { Roles } from '../systems/Roles'
+
+function createPlayer(roles) {
+  const world = { settings: { public: false } }
+  world.roles = new Roles(world)
+  return { world, data: { id: 'player1', roles } }
+}
+
+describe('createPlayerProxy', () => {
+  it('exposes the roles a player has', () => {
+    const proxy = createPlayerProxy({}, createPlayer(['builder', '~admin', 'admin']))
+    expect(proxy.roles).toEqual(['builder', 'admin'])
+    expect(proxy.hasRole('admin')).toBe(true)
+    expect(proxy.hasRole('moderator', 'builder')).toBe(true)
+    expect(proxy.hasRole('moderator')).toBe(false)
+    expect(proxy.admin).toBe(true)
+  })
+
+  it('checks capabilities', () => {
+    const proxy = createPlayerProxy({}, createPlayer(['moderator']))
+    expect(proxy.can('moderate')).toBe(true)
+    expect(proxy.can('build')).toBe(false)
+    expect(proxy.admin).toBe(false)
+  })
+})
@@ -0,0 +1,283 @@
+import { simplifyMesh } from './simplifyMesh'
+
+const GLB_MAGIC = 0x46546c67 // 'glTF'
+const CHUNK_JSON = 0x4e4f534a
+const CHUNK_BIN = 0x004e4942
+
+const TRIANGLES = 4
+const ELEMENT_ARRAY_BUFFER = 34963
+
+const componentTypes = {
+  5120: { size: 1, get: 'getInt8', max: 127 },
+  5121: { size: 1, get: 'getUint8', max: 255 },
+  5122: { size: 2, get: 'getInt16', max: 32767 },
+  5123: { size: 2, get: 'getUint16', max: 65535 },
+  5125: { size: 4, get: 'getUint32', max: 4294967295 },
+  5126: { size: 4, get: 'getFloat32', max: 1 },
+}
+const typeSizes = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 }
+
+// compressed meshes would need to be decoded and re-encoded
+const unsupportedExtensions = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression']
+
+/**
+ * Default levels: each one keeps `ratio` of the triangles (at most `error` away from the original shape, relative to its size)
+ * and is shown until the camera is `distance` times the size of the mesh away. The last level is shown from there on.
+ */
+export const LOD_LEVELS = [
+  { ratio: 1, distance: 10 },
+  { ratio: 0.35, error: 0.02, distance: 30 },
+  { ratio: 0.1, error: 0.08 },
+]
+
+const FAR_DISTANCE = 100000 // the last level is never hidden
+const MIN_REDUCTION = 0.9 // levels that don't get rid of at least 10% more triangles reuse the previous level
+
+/**
+ * Generates LODs for a glb
+ *
+ * Every mesh (that isn't skinned, morphed, a collider or already part of a `lod`) is replaced with a `lod` node holding a
+ * simplified copy of it for each level, with `maxDistance` userData, the same conventions `glbToNodes` reads from models
+ * authored with the blender addon. Simplified levels only add index buffers, the vertices, materials and textures are shared.
+ *
+ * Returns `{ buffer, meshes, triangles }` where triangles are the totals for each level, or null if nothing could be simplified.
+ */
+export async function generateLODs(buffer, levels = LOD_LEVELS) {
+  const { json, bin } = readGLB(buffer)
+  for (const name of json.extensionsRequired || []) {
+    if (unsupportedExtensions.includes(name)) throw new Error(`${name} is not supported`)
+  }
+  if (json.buffers?.length !== 1 || json.buffers[0].uri !== undefined) {
+    throw new Error('external buffers are not supported')
+  }
+  const writer = { json, chunks: [bin], length: bin.byteLength }
+  const parents = new Map() // node index -> parent node index
+  json.nodes?.forEach((node, index) => {
+    for (const child of node.children || []) parents.set(child, index)
+  })
+  const meshLevels = new Map() // mesh index -> { meshes, triangles } (null if it couldn't be simplified)
+  const triangles = levels.map(() => 0)
+  let meshes = 0
+  // (only the original nodes, not the ones added below)
+  for (const [nodeIndex, node] of (json.nodes || []).slice().entries()) {
+    if (node.mesh === undefined || !canSimplify(json, node, parents.get(nodeIndex))) continue
+    if (!meshLevels.has(node.mesh)) {
+      meshLevels.set(node.mesh, await simplifyLevels(writer, node.mesh, levels))
+    }
+    const generated = meshLevels.get(node.mesh)
+    if (!generated) continue
+    generated.triangles.forEach((count, levelIndex) => (triangles[levelIndex] += count))
+    const mesh = json.meshes[node.mesh]
+    const size = getMeshSize(json, mesh)
+    const name = node.name || `mesh${nodeIndex}`
+    const props = { ...node.extras }
+    const children = mesh.primitives.map((primitive, primitiveIndex) => {
+      const lod = {
+        name: mesh.primitives.length > 1 ? `${name}_lod_${primitiveIndex}` : `${name}_lod`,
+        extras: { node: 'lod' },
+        children: levels.map((level, levelIndex) => {
+          const maxDistance = level.distance ? Math.max(level.distance * size, 1) : FAR_DISTANCE
+          return addItem(json, 'nodes', {
+            name: `${name}_lod${levelIndex}${mesh.primitives.length > 1 ? `_${primitiveIndex}` : ''}`,
+            mesh: generated.meshes[levelIndex][primitiveIndex],
+            extras: { ...props, maxDistance: Math.round(maxDistance * 100) / 100 },
+          })
+        }),
+      }
+      return addItem(json, 'nodes', lod)
+    })
+    delete node.mesh
+    node.children = [...children, ...(node.children || [])]
+    meshes++
+  }
+  if (!meshes) return null
+  json.asset.generator = `${json.asset.generator || 'unknown'} (lods)`
+  return { buffer: writeGLB(writer), meshes, triangles }
+}
+
+function canSimplify(json, node, parentIndex) {
+  if (node.skin !== undefined || node.extensions) return false
+  // custom nodes (colliders, rigidbodies etc) are left as they are, as are models that already have lods
+  if (node.extras?.node) return false
+  if (parentIndex !== undefined && json.nodes[parentIndex].extras?.node === 'lod') return false
+  const mesh = json.meshes[node.mesh]
+  return mesh.primitives.every(primitive => {
+    if ((primitive.mode ?? TRIANGLES) !== TRIANGLES) return false
+    if (primitive.targets?.length || primitive.extensions) return false
+    return primitive.attributes.POSITION !== undefined
+  })
+}
+
+// returns `{ meshes, triangles }` where meshes are [...level][...primitive] mesh indices, or null if the mesh couldn't be reduced at all
+async function simplifyLevels(writer, meshIndex, levels) {
+  const json = writer.json
+  const mesh = json.meshes[meshIndex]
+  const levelPrimitives = levels.map(() => [])
+  const triangles = levels.map(() => 0)
+  let reduced = false
+  for (const primitive of mesh.primitives) {
+    const positions = readAccessor(writer, primitive.attributes.POSITION)
+    const vertexCount = positions.length / 3
+    let indices
+    if (primitive.indices !== undefined) {
+      indices = readAccessor(writer, primitive.indices)
+    } else {
+      indices = new Uint32Array(vertexCount)
+      for (let i = 0; i < vertexCount; i++) indices[i] = i
+    }
+    let current = { indices, accessor: primitive.indices }
+    for (const [levelIndex, level] of levels.entries()) {
+      if (levelIndex > 0) {
+        const target = Math.floor((indices.length * level.ratio) / 3) * 3
+        const result = await simplifyMesh(current.indices, positions, target, level.error)
+        if (result.indices.length && result.indices.length <= current.indices.length * MIN_REDUCTION) {
+          current = { indices: result.indices, accessor: addIndices(writer, result.indices) }
+          reduced = true
+        }
+      }
+      triangles[levelIndex] += current.indices.length / 3
+      levelPrimitives[levelIndex].push({ ...primitive, indices: current.accessor })
+    }
+  }
+  if (!reduced) return null
+  const meshes = levelPrimitives.map((primitives, levelIndex) => {
+    // the first level is the original mesh
+    if (levelIndex === 0 && primitives.length === 1) return [meshIndex]
+    return primitives.map(primitive => {
+      const name = levelIndex ? `${mesh.name || 'mesh'}_lod${levelIndex}` : mesh.name
+      return addItem(json, 'meshes', { ...mesh, name, primitives: [primitive] })
+    })
+  })
+  return { meshes, triangles }
+}
+
+// the diagonal of the mesh's bounding box, from the POSITION min/max every glb has to include
+function getMeshSize(json, mesh) {
+  const min = [Infinity, Infinity, Infinity]
+  const max = [-Infinity, -Infinity, -Infinity]
+  for (const primitive of mesh.primitives) {
+    const accessor = json.accessors[primitive.attributes.POSITION]
+    if (!accessor.min || !accessor.max) continue
+    for (let i = 0; i < 3; i++) {
+      min[i] = Math.min(min[i], accessor.min[i])
+      max[i] = Math.max(max[i], accessor.max[i])
+    }
+  }
+  if (min[0] === Infinity) return 1
+  return Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2])
+}
+
+function addItem(json, key, item) {
+  if (!json[key]) json[key] = []
+  json[key].push(item)
+  return json[key].length - 1
+}
+
+function readGLB(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== GLB_MAGIC) throw new Error('not a glb')
+  if (view.getUint32(4, true) !== 2) throw new Error('unsupported glb version')
+  let json = null
+  let bin = new Uint8Array(0)
+  let offset = 12
+  while (offset + 8 <= buffer.byteLength) {
+    const length = view.getUint32(offset, true)
+    const type = view.getUint32(offset + 4, true)
+    const data = new Uint8Array(buffer.buffer, buffer.byteOffset + offset + 8, length)
+    if (type === CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(data))
+    if (type === CHUNK_BIN) bin = data
+    offset += 8 + length
+  }
+  if (!json) throw new Error('glb has no json chunk')
+  return { json, bin }
+}
+
+function writeGLB(writer) {
+  const json = writer.json
+  json.buffers[0].byteLength = writer.length
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json))
+  const jsonLength = align(jsonBytes.length)
+  const binLength = align(writer.length)
+  const output = new Uint8Array(12 + 8 + jsonLength + 8 + binLength)
+  const view = new DataView(output.buffer)
+  view.setUint32(0, GLB_MAGIC, true)
+  view.setUint32(4, 2, true)
+  view.setUint32(8, output.length, true)
+  view.setUint32(12, jsonLength, true)
+  view.setUint32(16, CHUNK_JSON, true)
+  output.set(jsonBytes, 20)
+  output.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength) // json is padded with spaces
+  let offset = 20 + jsonLength
+  view.setUint32(offset, binLength, true)
+  view.setUint32(offset + 4, CHUNK_BIN, true)
+  offset += 8
+  for (const chunk of writer.chunks) {
+    output.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return output
+}
+
+// appends an index buffer to the bin chunk and returns its accessor
+function addIndices(writer, indices) {
+  const byteOffset = align(writer.length)
+  const bytes = new Uint8Array(indices.buffer, indices.byteOffset, indices.byteLength)
+  writer.chunks.push(new Uint8Array(byteOffset - writer.length), bytes)
+  writer.length = byteOffset + bytes.byteLength
+  const bufferView = addItem(writer.json, 'bufferViews', {
+    buffer: 0,
+    byteOffset,
+    byteLength: bytes.byteLength,
+    target: ELEMENT_ARRAY_BUFFER,
+  })
+  return addItem(writer.json, 'accessors', {
+    bufferView,
+    componentType: indices instanceof Uint16Array ? 5123 : 5125,
+    count: indices.length,
+    type: 'SCALAR',
+  })
+}
+
+// reads any accessor (including interleaved, normalized and sparse ones) into a flat array
+function readAccessor(writer, index) {
+  const accessor = writer.json.accessors[index]
+  if (!componentTypes[accessor.componentType]) {
+    throw new Error(`unsupported accessor component type ${accessor.componentType}`)
+  }
+  const itemSize = typeSizes[accessor.type]
+  const isIndex = accessor.type === 'SCALAR' && !accessor.normalized && accessor.componentType !== 5126
+  const values = isIndex ? new Uint32Array(accessor.count * itemSize) : new Float32Array(accessor.count * itemSize)
+  const read = (bufferViewIndex, byteOffset, componentType, count, size, target) => {
+    const bufferView = writer.json.bufferViews[bufferViewIndex]
+    const bin = writer.chunks[0]
+    const view = new DataView(bin.buffer, bin.byteOffset + (bufferView.byteOffset || 0), bufferView.byteLength)
+    const type = componentTypes[componentType]
+    const stride = bufferView.byteStride || type.size * size
+    for (let i = 0; i < count; i++) {
+      for (let j = 0; j < size; j++) {
+        const value = view[type.get](byteOffset + i * stride + j * type.size, true)
+        target(i, j, accessor.normalized ? Math.max(value / type.max, -1) : value)
+      }
+    }
+  }
+  if (accessor.bufferView !== undefined) {
+    read(accessor.bufferView, accessor.byteOffset || 0, accessor.componentType, accessor.count, itemSize, (i, j, v) => {
+      values[i * itemSize + j] = v
+    })
+  }
+  if (accessor.sparse) {
+    const { count, indices, values: sparseValues } = accessor.sparse
+    const targets = new Uint32Array(count)
+    read(indices.bufferView, indices.byteOffset || 0, indices.componentType, count, 1, (i, j, v) => {
+      targets[i] = v
+    })
+    read(sparseValues.bufferView, sparseValues.byteOffset || 0, accessor.componentType, count, itemSize, (i, j, v) => {
+      values[targets[i] * itemSize + j] = v
+    })
+  }
+  return values
+}
+
+function align(length) {
+  return Math.ceil(length / 4) * 4
+}
@@ -0,0 +1,189 @@
+import { describe, expect, it } from 'vitest'
+
+import { generateLODs, LOD_LEVELS } from './generateLODs'
+
+const LEVELS = [
+  { ratio: 1, distance: 10 },
+  { ratio: 0.5, error: 0.1, distance: 30 },
+  { ratio: 0.1, error: 1 },
+]
+
+// a closed uv sphere with a radius of 1
+function createSphere(segments = 32, rings = 16) {
+  const positions = [0, 1, 0]
+  const indices = []
+  for (let ring = 1; ring < rings; ring++) {
+    const theta = (ring / rings) * Math.PI
+    for (let segment = 0; segment < segments; segment++) {
+      const phi = (segment / segments) * Math.PI * 2
+      positions.push(Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi))
+    }
+  }
+  positions.push(0, -1, 0)
+  const bottom = positions.length / 3 - 1
+  const vertex = (ring, segment) => 1 + (ring - 1) * segments + (segment % segments)
+  for (let segment = 0; segment < segments; segment++) {
+    indices.push(0, vertex(1, segment + 1), vertex(1, segment))
+    for (let ring = 1; ring < rings - 1; ring++) {
+      const a = vertex(ring, segment)
+      const b = vertex(ring, segment + 1)
+      const c = vertex(ring + 1, segment)
+      const d = vertex(ring + 1, segment + 1)
+      indices.push(a, b, c, b, d, c)
+    }
+    indices.push(bottom, vertex(rings - 1, segment), vertex(rings - 1, segment + 1))
+  }
+  return { positions: new Float32Array(positions), indices: new Uint16Array(indices) }
+}
+
+function writeGLB(json, bin) {
+  const chunk = (data, type, pad) => {
+    const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4, pad)])
+    const header = Buffer.alloc(8)
+    header.writeUInt32LE(padded.length, 0)
+    header.writeUInt32LE(type, 4)
+    return Buffer.concat([header, padded])
+  }
+  const chunks = Buffer.concat([chunk(Buffer.from(JSON.stringify(json)), 0x4e4f534a, 0x20), chunk(bin, 0x004e4942, 0)])
+  const header = Buffer.alloc(12)
+  header.write('glTF', 0)
+  header.writeUInt32LE(2, 4)
+  header.writeUInt32LE(12 + chunks.length, 8)
+  return Buffer.concat([header, chunks])
+}
+
+function readGLB(buffer) {
+  buffer = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  const jsonLength = buffer.readUInt32LE(12)
+  const json = JSON.parse(buffer.subarray(20, 20 + jsonLength).toString())
+  const bin = buffer.subarray(28 + jsonLength, 28 + jsonLength + buffer.readUInt32LE(20 + jsonLength))
+  return { json, bin }
+}
+
+// a glb with a sphere mesh, `nodes` (which default to a single node using it) can override anything else
+function createGLB({ nodes = [{ name: 'ball', mesh: 0 }], ...overrides } = {}) {
+  const { positions, indices } = createSphere()
+  const bin = Buffer.concat([Buffer.from(positions.buffer), Buffer.from(indices.buffer)])
+  const json = {
+    asset: { version: '2.0', generator: 'test' },
+    scene: 0,
+    scenes: [{ nodes: nodes.map((node, index) => index) }],
+    nodes,
+    meshes: [{ name: 'sphere', primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }],
+    accessors: [
+      {
+        bufferView: 0,
+        componentType: 5126,
+        count: positions.length / 3,
+        type: 'VEC3',
+        min: [-1, -1, -1],
+        max: [1, 1, 1],
+      },
+      { bufferView: 1, componentType: 5123, count: indices.length, type: 'SCALAR' },
+    ],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: indices.byteLength },
+    ],
+    buffers: [{ byteLength: bin.length }],
+    ...overrides,
+  }
+  return writeGLB(json, bin)
+}
+
+function readIndices(json, bin, accessorIndex) {
+  const accessor = json.accessors[accessorIndex]
+  const bufferView = json.bufferViews[accessor.bufferView]
+  const Type = accessor.componentType === 5123 ? Uint16Array : Uint32Array
+  const bytes = bin.subarray(bufferView.byteOffset, bufferView.byteOffset + bufferView.byteLength)
+  return new Type(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+}
+
+describe('generateLODs', () => {
+  it('replaces meshes with a lod node for each level', async () => {
+    const glb = createGLB({ nodes: [{ name: 'ball', mesh: 0, extras: { color: 'red' } }] })
+    const original = readGLB(glb).json.accessors[1].count / 3
+    const result = await generateLODs(glb, LEVELS)
+    expect(result.meshes).toBe(1)
+    expect(result.triangles[0]).toBe(original)
+    expect(result.triangles[1]).toBeLessThanOrEqual(original / 2)
+    expect(result.triangles[2]).toBeLessThan(result.triangles[1])
+    expect(result.triangles[2]).toBeGreaterThan(0)
+
+    const { json, bin } = readGLB(result.buffer)
+    expect(json.asset.generator).toBe('test (lods)')
+    expect(json.buffers[0].byteLength).toBe(bin.length)
+    const ball = json.nodes[0]
+    expect(ball.mesh).toBeUndefined()
+    const lod = json.nodes[ball.children[0]]
+    expect(lod).toMatchObject({ name: 'ball_lod', extras: { node: 'lod' } })
+    const size = Math.hypot(2, 2, 2)
+    const levels = lod.children.map(index => json.nodes[index])
+    expect(levels.map(level => level.name)).toEqual(['ball_lod0', 'ball_lod1', 'ball_lod2'])
+    expect(levels.map(level => level.extras.maxDistance)).toEqual([
+      Math.round(size * 10 * 100) / 100,
+      Math.round(size * 30 * 100) / 100,
+      100000,
+    ])
+    expect(levels.every(level => level.extras.color === 'red')).toBe(true)
+    // the first level is the original mesh, the others share its vertices with fewer indices
+    expect(levels[0].mesh).toBe(0)
+    levels.forEach((level, index) => {
+      const primitive = json.meshes[level.mesh].primitives[0]
+      expect(primitive.attributes.POSITION).toBe(0)
+      const indices = readIndices(json, bin, primitive.indices)
+      expect(indices.length / 3).toBe(result.triangles[index])
+      expect(Math.max(...indices)).toBeLessThan(json.accessors[0].count)
+    })
+  })
+
+  it('reduces meshes with the default levels', async () => {
+    const result = await generateLODs(createGLB())
+    expect(result.triangles).toHaveLength(LOD_LEVELS.length)
+    expect(result.triangles[1]).toBeLessThan(result.triangles[0])
+    expect(result.triangles[2]).toBeLessThan(result.triangles[1])
+  })
+
+  it('simplifies a mesh used by several nodes once', async () => {
+    const glb = createGLB({ nodes: [{ mesh: 0 }, { mesh: 0, translation: [5, 0, 0] }] })
+    const result = await generateLODs(glb, LEVELS)
+    expect(result.meshes).toBe(2)
+    const { json } = readGLB(result.buffer)
+    const getLastLevelMesh = node => json.nodes[json.nodes[node.children[0]].children[2]].mesh
+    expect(json.nodes[0].children).toHaveLength(1)
+    expect(getLastLevelMesh(json.nodes[0])).toBe(getLastLevelMesh(json.nodes[1]))
+    expect(json.nodes[json.nodes[0].children[0]].name).toBe('mesh0_lod')
+    expect(json.meshes).toHaveLength(3)
+  })
+
+  it('leaves skinned meshes, custom nodes and existing lods alone', async () => {
+    expect(await generateLODs(createGLB({ nodes: [{ mesh: 0, skin: 0 }], skins: [{ joints: [0] }] }), LEVELS)).toBe(
+      null
+    )
+    expect(await generateLODs(createGLB({ nodes: [{ mesh: 0, extras: { node: 'collider' } }] }), LEVELS)).toBe(null)
+    const lods = createGLB({ nodes: [{ extras: { node: 'lod' }, children: [1] }, { mesh: 0 }] })
+    expect(await generateLODs(lods, LEVELS)).toBe(null)
+    const generated = await generateLODs(createGLB(), LEVELS)
+    expect(await generateLODs(generated.buffer, LEVELS)).toBe(null)
+  })
+
+  it('returns null when nothing can be simplified', async () => {
+    const strict = [
+      { ratio: 1, distance: 10 },
+      { ratio: 0.5, error: 0.00001 },
+    ]
+    expect(await generateLODs(createGLB(), strict)).toBe(null)
+    expect(await generateLODs(createGLB({ nodes: [{ name: 'empty' }] }), LEVELS)).toBe(null)
+  })
+
+  it('rejects glbs it cannot read', async () => {
+    await expect(generateLODs(Buffer.from('not a glb at all, just text'))).rejects.toThrow('not a glb')
+    const glb = createGLB()
+    glb.writeUInt32LE(1, 4)
+    await expect(generateLODs(glb)).rejects.toThrow('unsupported glb version')
+    const draco = createGLB({ extensionsRequired: ['KHR_draco_mesh_compression'] })
+    await expect(generateLODs(draco)).rejects.toThrow('KHR_draco_mesh_compression is not supported')
+    const external = createGLB({ buffers: [{ byteLength: 100, uri: 'sphere.bin' }] })
+    await expect(generateLODs(external)).rejects.toThrow('external buffers are not supported')
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Reads the dimensions of a png, jpeg, webp, gif or ktx2 image from its header without decoding it.
+ * Returns `{ width, height }` or null if the format isn't recognised.
+ */
+export function getImageSize(buffer) {
+  const bytes = new Uint8Array(buffer)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  // png: IHDR is always the first chunk
+  if (bytes.length >= 24 && view.getUint32(0) === 0x89504e47) {
+    return { width: view.getUint32(16), height: view.getUint32(20) }
+  }
+  // jpeg: walk the segments until a start of frame marker
+  if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    let offset = 2
+    while (offset + 9 < bytes.length) {
+      if (bytes[offset] !== 0xff) return null
+      const marker = bytes[offset + 1]
+      const length = view.getUint16(offset + 2)
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc
+      if (isFrame) {
+        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) }
+      }
+      offset += 2 + length
+    }
+    return null
+  }
+  // webp: lossy (VP8), lossless (VP8L) or extended (VP8X)
+  if (bytes.length >= 30 && ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+    const chunk = ascii(bytes, 12, 4)
+    if (chunk === 'VP8 ') {
+      return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff }
+    }
+    if (chunk === 'VP8L') {
+      const bits = view.getUint32(21, true)
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+    }
+    if (chunk === 'VP8X') {
+      const width = 1 + (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16))
+      const height = 1 + (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16))
+      return { width, height }
+    }
+    return null
+  }
+  // gif
+  if (bytes.length >= 10 && ascii(bytes, 0, 3) === 'GIF') {
+    return { width: view.getUint16(6, true), height: view.getUint16(8, true) }
+  }
+  // ktx2
+  if (bytes.length >= 28 && bytes[0] === 0xab && ascii(bytes, 1, 6) === 'KTX 20') {
+    return { width: view.getUint32(20, true), height: view.getUint32(24, true) }
+  }
+  return null
+}
+
+function ascii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length))
+}
@@ -0,0 +1,22 @@
+/**
+ * Returns all `asset://` filenames referenced by blueprints and world settings
+ */
+export function getReferencedAssets({ blueprints, settings }) {
+  const assets = new Set()
+  const add = url => {
+    if (typeof url !== 'string' || !url.startsWith('asset://')) return
+    assets.add(url.slice(8)) // remove 'asset://' prefix
+  }
+  for (const blueprint of blueprints) {
+    add(blueprint.model)
+    add(blueprint.script)
+    add(blueprint.image?.url)
+    for (const key in blueprint.props) {
+      add(blueprint.props[key]?.url)
+    }
+  }
+  add(settings?.image?.url)
+  add(settings?.model?.url)
+  add(settings?.avatar?.url)
+  return assets
+}
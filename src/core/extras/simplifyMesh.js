@@ -0,0 +1,379 @@
+const Kinds = {
+  MANIFOLD: 0, // interior vertex, can collapse into any neighbour
+  BORDER: 1, // on an open edge, can only collapse along the border
+  SEAM: 2, // split by a uv/normal seam (two vertices, one position), both sides collapse together along the seam
+  LOCKED: 3, // corners, complex seams and non-manifold vertices never move
+}
+
+const BORDER_WEIGHT = 10 // how strongly borders and seams resist moving away from their edges
+const SEAM_WEIGHT = 1
+const FLIP_THRESHOLD = 0.25 // reject collapses that rotate a neighbouring triangle's normal by more than ~75 degrees
+
+/**
+ * Simplifies a triangle mesh by repeatedly collapsing the edges that change its shape the least
+ * (quadric error metrics, in the style of meshoptimizer's `meshopt_simplify`).
+ *
+ * Vertices are never moved or created, so every other attribute (uvs, normals, skinning, morph targets) stays valid
+ * and only a new index buffer is produced. Borders and seams are kept intact by only collapsing along them.
+ *
+ * - `indices` is a triangle list and `positions` a flat xyz array with one entry per vertex
+ * - `targetCount` is the number of indices to aim for
+ * - `targetError` is the largest error allowed, relative to the size of the mesh (eg 0.01 = 1%)
+ *
+ * Returns `{ indices, error }` where `error` is the (relative) error that was introduced.
+ * Work is split into passes that yield to the event loop so large meshes don't stall the server.
+ */
+export async function simplifyMesh(indices, positions, targetCount, targetError) {
+  const vertexCount = positions.length / 3
+  const points = normalizePoints(positions, vertexCount)
+  const { remap, wedge } = buildPositionRemap(positions, vertexCount)
+  let result = Uint32Array.from(indices)
+  let count = result.length
+  let adjacency = buildAdjacency(result, count, vertexCount)
+  const kinds = classifyVertices(adjacency, remap, wedge, vertexCount)
+  const quadrics = buildQuadrics(result, count, points, remap, kinds, adjacency, vertexCount)
+  const errorLimit = targetError * targetError
+  let error = 0
+  while (count > targetCount) {
+    const candidates = pickCandidates(result, count, points, remap, wedge, kinds, quadrics, adjacency)
+    const collapseRemap = new Uint32Array(vertexCount)
+    for (let i = 0; i < vertexCount; i++) collapseRemap[i] = i
+    const locked = new Uint8Array(vertexCount)
+    const triangles = buildVertexTriangles(result, count, vertexCount)
+    const goal = (count - targetCount) / 3 // triangles
+    let removed = 0
+    for (const i of candidates.order) {
+      const err = candidates.errors[i]
+      if (err > errorLimit || removed >= goal) break
+      const i0 = candidates.from[i]
+      const i1 = candidates.to[i]
+      const r0 = remap[i0]
+      const r1 = remap[i1]
+      if (locked[r0] || locked[r1]) continue
+      const s0 = wedge[i0]
+      const s1 = wedge[i1]
+      if (hasTriangleFlips(result, triangles, points, i0, i1)) continue
+      if (kinds[i0] === Kinds.SEAM && hasTriangleFlips(result, triangles, points, s0, s1)) continue
+      collapseRemap[i0] = i1
+      if (kinds[i0] === Kinds.SEAM) collapseRemap[s0] = s1
+      addQuadric(quadrics, r1, quadrics, r0)
+      // vertices around a collapse aren't touched again until the next pass, which keeps the flip checks valid
+      lockNeighbours(result, triangles, remap, locked, i0)
+      if (kinds[i0] === Kinds.SEAM) lockNeighbours(result, triangles, remap, locked, s0)
+      locked[r1] = 1
+      removed += kinds[i0] === Kinds.BORDER ? 1 : 2
+      error = Math.max(error, err)
+    }
+    if (!removed) break
+    count = applyCollapses(result, count, collapseRemap)
+    adjacency = buildAdjacency(result, count, vertexCount)
+    await new Promise(resolve => setImmediate(resolve))
+  }
+  const Type = vertexCount <= 65535 ? Uint16Array : Uint32Array
+  return { indices: Type.from(result.subarray(0, count)), error: Math.sqrt(error) }
+}
+
+// scales positions into a unit cube so that errors are relative to the size of the mesh
+function normalizePoints(positions, vertexCount) {
+  const min = [Infinity, Infinity, Infinity]
+  const max = [-Infinity, -Infinity, -Infinity]
+  for (let i = 0; i < vertexCount; i++) {
+    for (let j = 0; j < 3; j++) {
+      const value = positions[i * 3 + j]
+      if (value < min[j]) min[j] = value
+      if (value > max[j]) max[j] = value
+    }
+  }
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1
+  const points = new Float64Array(vertexCount * 3)
+  for (let i = 0; i < vertexCount; i++) {
+    for (let j = 0; j < 3; j++) {
+      points[i * 3 + j] = (positions[i * 3 + j] - min[j]) / extent
+    }
+  }
+  return points
+}
+
+// remap: vertex -> first vertex with the same position, wedge: vertex -> next vertex with the same position (circular)
+function buildPositionRemap(positions, vertexCount) {
+  const remap = new Uint32Array(vertexCount)
+  const wedge = new Uint32Array(vertexCount)
+  const firsts = new Map()
+  for (let i = 0; i < vertexCount; i++) {
+    const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`
+    const first = firsts.get(key)
+    if (first === undefined) {
+      firsts.set(key, i)
+      remap[i] = i
+      wedge[i] = i
+    } else {
+      remap[i] = first
+      wedge[i] = wedge[first]
+      wedge[first] = i
+    }
+  }
+  return { remap, wedge }
+}
+
+// half edges (a -> b for each triangle corner) grouped by their start vertex, plus each vertex's open (unpaired) edges
+function buildAdjacency(indices, count, vertexCount) {
+  const offsets = new Uint32Array(vertexCount + 1)
+  for (let i = 0; i < count; i++) offsets[indices[i] + 1]++
+  for (let i = 0; i < vertexCount; i++) offsets[i + 1] += offsets[i]
+  const targets = new Uint32Array(count)
+  const fill = offsets.slice(0, vertexCount)
+  for (let i = 0; i < count; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[i + k]
+      const b = indices[i + ((k + 1) % 3)]
+      targets[fill[a]++] = b
+    }
+  }
+  const hasEdge = (a, b) => {
+    for (let j = offsets[a]; j < offsets[a + 1]; j++) {
+      if (targets[j] === b) return true
+    }
+    return false
+  }
+  // -1 = none, -2 = more than one
+  const openOut = new Int32Array(vertexCount).fill(-1)
+  const openIn = new Int32Array(vertexCount).fill(-1)
+  for (let a = 0; a < vertexCount; a++) {
+    for (let j = offsets[a]; j < offsets[a + 1]; j++) {
+      const b = targets[j]
+      if (hasEdge(b, a)) continue
+      openOut[a] = openOut[a] === -1 ? b : -2
+      openIn[b] = openIn[b] === -1 ? a : -2
+    }
+  }
+  return { offsets, targets, hasEdge, openOut, openIn }
+}
+
+function classifyVertices(adjacency, remap, wedge, vertexCount) {
+  const { openOut, openIn } = adjacency
+  const kinds = new Uint8Array(vertexCount)
+  for (let v = 0; v < vertexCount; v++) {
+    if (wedge[v] === v) {
+      if (openOut[v] === -1 && openIn[v] === -1) kinds[v] = Kinds.MANIFOLD
+      else if (openOut[v] >= 0 && openIn[v] >= 0) kinds[v] = Kinds.BORDER
+      else kinds[v] = Kinds.LOCKED
+    } else if (wedge[wedge[v]] === v) {
+      // both sides of a seam run along the same edges in opposite directions
+      const w = wedge[v]
+      const isSeam =
+        openOut[v] >= 0 &&
+        openIn[v] >= 0 &&
+        openOut[w] >= 0 &&
+        openIn[w] >= 0 &&
+        remap[openOut[v]] === remap[openIn[w]] &&
+        remap[openIn[v]] === remap[openOut[w]]
+      kinds[v] = isSeam ? Kinds.SEAM : Kinds.LOCKED
+    } else {
+      kinds[v] = Kinds.LOCKED
+    }
+  }
+  return kinds
+}
+
+// quadrics are 11 numbers: the symmetric 3x3 matrix (6), the linear term (3), the constant and the total weight
+function buildQuadrics(indices, count, points, remap, kinds, adjacency, vertexCount) {
+  const quadrics = new Float64Array(vertexCount * 11)
+  const normal = [0, 0, 0]
+  const edge = [0, 0, 0]
+  const plane = [0, 0, 0]
+  for (let i = 0; i < count; i += 3) {
+    const area = triangleNormal(points, indices[i], indices[i + 1], indices[i + 2], normal)
+    if (!area) continue
+    const d = -dot3(normal, points, indices[i] * 3)
+    for (let k = 0; k < 3; k++) {
+      addPlane(quadrics, remap[indices[i + k]], normal, d, area)
+    }
+    // borders and seams also get a plane through the edge, perpendicular to the triangle, so they keep their outline
+    for (let k = 0; k < 3; k++) {
+      const i0 = indices[i + k]
+      const i1 = indices[i + ((k + 1) % 3)]
+      if (kinds[i0] !== Kinds.BORDER && kinds[i0] !== Kinds.SEAM) continue
+      if (adjacency.openOut[i0] !== i1) continue
+      for (let j = 0; j < 3; j++) edge[j] = points[i1 * 3 + j] - points[i0 * 3 + j]
+      const length = Math.hypot(edge[0], edge[1], edge[2])
+      if (!length) continue
+      plane[0] = edge[1] * normal[2] - edge[2] * normal[1]
+      plane[1] = edge[2] * normal[0] - edge[0] * normal[2]
+      plane[2] = edge[0] * normal[1] - edge[1] * normal[0]
+      const planeLength = Math.hypot(plane[0], plane[1], plane[2])
+      if (!planeLength) continue
+      for (let j = 0; j < 3; j++) plane[j] /= planeLength
+      const planeD = -dot3(plane, points, i0 * 3)
+      const weight = length * (kinds[i0] === Kinds.BORDER ? BORDER_WEIGHT : SEAM_WEIGHT)
+      addPlane(quadrics, remap[i0], plane, planeD, weight)
+      addPlane(quadrics, remap[i1], plane, planeD, weight)
+    }
+  }
+  return quadrics
+}
+
+// writes the unit normal into `out` and returns the triangle's area
+function triangleNormal(points, a, b, c, out) {
+  const ax = points[b * 3] - points[a * 3]
+  const ay = points[b * 3 + 1] - points[a * 3 + 1]
+  const az = points[b * 3 + 2] - points[a * 3 + 2]
+  const bx = points[c * 3] - points[a * 3]
+  const by = points[c * 3 + 1] - points[a * 3 + 1]
+  const bz = points[c * 3 + 2] - points[a * 3 + 2]
+  out[0] = ay * bz - az * by
+  out[1] = az * bx - ax * bz
+  out[2] = ax * by - ay * bx
+  const length = Math.hypot(out[0], out[1], out[2])
+  if (!length) return 0
+  out[0] /= length
+  out[1] /= length
+  out[2] /= length
+  return length / 2
+}
+
+function dot3(vector, points, offset) {
+  return vector[0] * points[offset] + vector[1] * points[offset + 1] + vector[2] * points[offset + 2]
+}
+
+function addPlane(quadrics, index, n, d, weight) {
+  const o = index * 11
+  quadrics[o] += weight * n[0] * n[0]
+  quadrics[o + 1] += weight * n[1] * n[1]
+  quadrics[o + 2] += weight * n[2] * n[2]
+  quadrics[o + 3] += weight * n[0] * n[1]
+  quadrics[o + 4] += weight * n[0] * n[2]
+  quadrics[o + 5] += weight * n[1] * n[2]
+  quadrics[o + 6] += weight * n[0] * d
+  quadrics[o + 7] += weight * n[1] * d
+  quadrics[o + 8] += weight * n[2] * d
+  quadrics[o + 9] += weight * d * d
+  quadrics[o + 10] += weight
+}
+
+function addQuadric(target, targetIndex, source, sourceIndex) {
+  for (let i = 0; i < 11; i++) {
+    target[targetIndex * 11 + i] += source[sourceIndex * 11 + i]
+  }
+}
+
+// the (squared) distance a quadric's planes are from a point, averaged by their weight
+function quadricError(quadrics, index, points, point) {
+  const o = index * 11
+  const weight = quadrics[o + 10]
+  if (!weight) return 0
+  const x = points[point * 3]
+  const y = points[point * 3 + 1]
+  const z = points[point * 3 + 2]
+  const q = quadrics
+  const value =
+    q[o] * x * x +
+    q[o + 1] * y * y +
+    q[o + 2] * z * z +
+    2 * (q[o + 3] * x * y + q[o + 4] * x * z + q[o + 5] * y * z) +
+    2 * (q[o + 6] * x + q[o + 7] * y + q[o + 8] * z) +
+    q[o + 9]
+  return Math.abs(value) / weight
+}
+
+function canCollapse(kinds, adjacency, wedge, i0, i1) {
+  const kind = kinds[i0]
+  if (kind === Kinds.MANIFOLD) return true
+  if (kind === Kinds.LOCKED || kinds[i1] !== kind) return false
+  // borders and seams only collapse along their own edge loop
+  const { openOut, openIn } = adjacency
+  if (openOut[i0] !== i1 && openIn[i0] !== i1) return false
+  if (kind === Kinds.SEAM) {
+    const s0 = wedge[i0]
+    const s1 = wedge[i1]
+    if (openOut[s0] !== s1 && openIn[s0] !== s1) return false
+  }
+  return true
+}
+
+// every edge once, in whichever direction has the lowest error, sorted by error
+function pickCandidates(indices, count, points, remap, wedge, kinds, quadrics, adjacency) {
+  const from = []
+  const to = []
+  const errors = []
+  for (let i = 0; i < count; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[i + k]
+      const b = indices[i + ((k + 1) % 3)]
+      // paired edges are only considered from one side
+      if (a > b && adjacency.hasEdge(b, a)) continue
+      const canAB = canCollapse(kinds, adjacency, wedge, a, b)
+      const canBA = canCollapse(kinds, adjacency, wedge, b, a)
+      if (!canAB && !canBA) continue
+      const errorAB = canAB ? quadricError(quadrics, remap[a], points, b) : Infinity
+      const errorBA = canBA ? quadricError(quadrics, remap[b], points, a) : Infinity
+      if (errorAB <= errorBA) {
+        from.push(a)
+        to.push(b)
+        errors.push(errorAB)
+      } else {
+        from.push(b)
+        to.push(a)
+        errors.push(errorBA)
+      }
+    }
+  }
+  const order = new Uint32Array(errors.length)
+  for (let i = 0; i < order.length; i++) order[i] = i
+  order.sort((a, b) => errors[a] - errors[b])
+  return { from, to, errors, order }
+}
+
+// triangles (by their first index) grouped by vertex
+function buildVertexTriangles(indices, count, vertexCount) {
+  const offsets = new Uint32Array(vertexCount + 1)
+  for (let i = 0; i < count; i++) offsets[indices[i] + 1]++
+  for (let i = 0; i < vertexCount; i++) offsets[i + 1] += offsets[i]
+  const items = new Uint32Array(count)
+  const fill = offsets.slice(0, vertexCount)
+  for (let i = 0; i < count; i++) {
+    items[fill[indices[i]]++] = i - (i % 3)
+  }
+  return { offsets, items }
+}
+
+function hasTriangleFlips(indices, triangles, points, i0, i1) {
+  const before = [0, 0, 0]
+  const after = [0, 0, 0]
+  for (let j = triangles.offsets[i0]; j < triangles.offsets[i0 + 1]; j++) {
+    const t = triangles.items[j]
+    const a = indices[t]
+    const b = indices[t + 1]
+    const c = indices[t + 2]
+    // triangles on the collapsed edge disappear
+    if (a === i1 || b === i1 || c === i1) continue
+    if (!triangleNormal(points, a, b, c, before)) continue
+    if (!triangleNormal(points, a === i0 ? i1 : a, b === i0 ? i1 : b, c === i0 ? i1 : c, after)) return true
+    const d = before[0] * after[0] + before[1] * after[1] + before[2] * after[2]
+    if (d <= FLIP_THRESHOLD) return true
+  }
+  return false
+}
+
+function lockNeighbours(indices, triangles, remap, locked, vertex) {
+  for (let j = triangles.offsets[vertex]; j < triangles.offsets[vertex + 1]; j++) {
+    const t = triangles.items[j]
+    locked[remap[indices[t]]] = 1
+    locked[remap[indices[t + 1]]] = 1
+    locked[remap[indices[t + 2]]] = 1
+  }
+}
+
+// remaps indices in place, drops triangles that became degenerate and returns the new index count
+function applyCollapses(indices, count, collapseRemap) {
+  let write = 0
+  for (let i = 0; i < count; i += 3) {
+    const a = collapseRemap[indices[i]]
+    const b = collapseRemap[indices[i + 1]]
+    const c = collapseRemap[indices[i + 2]]
+    if (a === b || b === c || a === c) continue
+    indices[write++] = a
+    indices[write++] = b
+    indices[write++] = c
+  }
+  return write
+}
@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest'
+
+import { simplifyMesh } from './simplifyMesh'
+
+// a flat 1x1 grid of quads on the xz plane, optionally split down the middle with its own vertices on each side (a uv seam)
+function createGrid(size, seam = false) {
+  const positions = []
+  const indices = []
+  const half = size / 2
+  const addSide = (from, to) => {
+    const start = positions.length / 3
+    const columns = to - from + 1
+    for (let z = 0; z <= size; z++) {
+      for (let x = from; x <= to; x++) positions.push(x / size, 0, z / size)
+    }
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < columns - 1; x++) {
+        const a = start + z * columns + x
+        const b = a + columns
+        indices.push(a, b, a + 1, a + 1, b, b + 1)
+      }
+    }
+  }
+  if (seam) {
+    addSide(0, half)
+    addSide(half, size)
+  } else {
+    addSide(0, size)
+  }
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices) }
+}
+
+// a closed uv sphere with a radius of 1
+function createSphere(segments, rings) {
+  const positions = [0, 1, 0]
+  const indices = []
+  for (let ring = 1; ring < rings; ring++) {
+    const theta = (ring / rings) * Math.PI
+    for (let segment = 0; segment < segments; segment++) {
+      const phi = (segment / segments) * Math.PI * 2
+      positions.push(Math.sin(theta) * Math.cos(phi), Math.cos(theta), Math.sin(theta) * Math.sin(phi))
+    }
+  }
+  positions.push(0, -1, 0)
+  const bottom = positions.length / 3 - 1
+  const vertex = (ring, segment) => 1 + (ring - 1) * segments + (segment % segments)
+  for (let segment = 0; segment < segments; segment++) {
+    indices.push(0, vertex(1, segment + 1), vertex(1, segment))
+    for (let ring = 1; ring < rings - 1; ring++) {
+      const a = vertex(ring, segment)
+      const b = vertex(ring, segment + 1)
+      const c = vertex(ring + 1, segment)
+      const d = vertex(ring + 1, segment + 1)
+      indices.push(a, b, c, b, d, c)
+    }
+    indices.push(bottom, vertex(rings - 1, segment), vertex(rings - 1, segment + 1))
+  }
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices) }
+}
+
+function getArea(indices, positions) {
+  let area = 0
+  for (let i = 0; i < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(v => positions.subarray(v * 3, v * 3 + 3))
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]]
+    const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]]
+    area += Math.hypot(u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]) / 2
+  }
+  return area
+}
+
+// edges (by position) that only belong to one triangle
+function getOpenEdges(indices, positions) {
+  const key = v => Array.from(positions.subarray(v * 3, v * 3 + 3)).join(',')
+  const counts = new Map()
+  for (let i = 0; i < indices.length; i += 3) {
+    for (let j = 0; j < 3; j++) {
+      const edge = [key(indices[i + j]), key(indices[i + ((j + 1) % 3)])].sort().join('|')
+      counts.set(edge, (counts.get(edge) || 0) + 1)
+    }
+  }
+  return [...counts]
+    .filter(([, count]) => count === 1)
+    .map(([edge]) => edge.split('|').map(p => p.split(',').map(Number)))
+}
+
+const isOnBorder = ([x, , z]) => x === 0 || x === 1 || z === 0 || z === 1
+
+describe('simplifyMesh', () => {
+  it('collapses a flat grid without changing its shape', async () => {
+    const { positions, indices } = createGrid(16)
+    const result = await simplifyMesh(indices, positions, 0, 0.001)
+    expect(result.indices.length).toBeLessThan(indices.length / 10)
+    expect(result.error).toBeLessThan(0.001)
+    expect(getArea(result.indices, positions)).toBeCloseTo(1, 5)
+    for (const edge of getOpenEdges(result.indices, positions)) {
+      expect(edge.every(isOnBorder)).toBe(true)
+    }
+  })
+
+  it('keeps seams closed', async () => {
+    const { positions, indices } = createGrid(16, true)
+    const result = await simplifyMesh(indices, positions, 0, 0.001)
+    expect(result.indices.length).toBeLessThan(indices.length / 5)
+    expect(getArea(result.indices, positions)).toBeCloseTo(1, 5)
+    // a crack along the seam would show up as open edges inside the grid
+    const open = getOpenEdges(result.indices, positions)
+    expect(open.filter(edge => !edge.every(isOnBorder))).toEqual([])
+  })
+
+  it('stops at the target count', async () => {
+    const { positions, indices } = createSphere(32, 16)
+    const target = Math.floor(indices.length / 2 / 3) * 3
+    const result = await simplifyMesh(indices, positions, target, 1)
+    expect(result.indices.length).toBeLessThanOrEqual(target)
+    expect(result.indices.length).toBeGreaterThan(target * 0.9)
+  })
+
+  it('stops at the target error', async () => {
+    const { positions, indices } = createSphere(32, 16)
+    const tight = await simplifyMesh(indices, positions, 0, 0.001)
+    const loose = await simplifyMesh(indices, positions, 0, 0.1)
+    expect(tight.error).toBeLessThanOrEqual(0.001)
+    expect(loose.error).toBeLessThanOrEqual(0.1)
+    expect(tight.indices.length).toBeGreaterThan(indices.length * 0.9)
+    expect(loose.indices.length).toBeLessThan(indices.length / 2)
+    expect(loose.indices.length).toBeGreaterThan(0)
+  })
+
+  it('only uses existing vertices and never creates degenerate triangles', async () => {
+    const { positions, indices } = createSphere(32, 16)
+    const result = await simplifyMesh(indices, positions, 0, 0.1)
+    expect(result.indices).toBeInstanceOf(Uint16Array)
+    for (let i = 0; i < result.indices.length; i += 3) {
+      const [a, b, c] = result.indices.subarray(i, i + 3)
+      expect(a !== b && b !== c && a !== c).toBe(true)
+      expect(Math.max(a, b, c)).toBeLessThan(positions.length / 3)
+    }
+  })
+})
@@ -5,6 +5,8 @@ import PhysXModule from './physx-js-webidl.js'
  *
  * We are currently using a fork of physx-js-webidl with a custom build, modifying `PhysXWasmBindings.cmake` options to work on both node and browser environments
  *
+ * PhysX only allows one physics sdk per foundation, so it is created here and shared by every world in the process (each world gets its own scene)
+ *
  */
 let promise
 export function loadPhysX() {
@@ -15,7 +17,9 @@ export function loadPhysX() {
       const allocator = new PHYSX.PxDefaultAllocator()
       const errorCb = new PHYSX.PxDefaultErrorCallback()
       const foundation = PHYSX.CreateFoundation(version, allocator, errorCb)
-      resolve({ version, allocator, errorCb, foundation })
+      const tolerances = new PHYSX.PxTolerancesScale()
+      const physics = PHYSX.CreatePhysics(version, foundation, tolerances)
+      resolve({ version, allocator, errorCb, foundation, tolerances, physics })
     })
   }
   return promise
@@ -22,6 +22,9 @@ const names = [
   'kick',
   'ping',
   'pong',
+  'blueprintRemoved',
+  'rolesModified',
+  'playerCorrection',
 ]
 
 const byName = {}
@@ -56,7 +59,7 @@ export function readPacket(packet) {
     const [id, data] = packr.unpack(packet)
     const info = byId[id]
     if (!info) throw new Error(`readPacket failed: ${id} (id not found)`)
-    return [info.method, data]
+    return [info.method, data, info.name]
   } catch (err) {
     console.error(err)
     return []
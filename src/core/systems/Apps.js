@@ -241,6 +241,14 @@ export class Apps extends System {
       keepActive(entity) {
         return entity.keepActive
       },
+      storage(entity) {
+        if (!world.network.isServer) {
+          throw new Error('app.storage is only available on the server')
+        }
+        const storage = world.appStorage.getApi(`app:${entity.data.id}`)
+        storage.blueprint = world.appStorage.getApi(`blueprint:${entity.blueprint.id}`)
+        return storage
+      },
     }
     this.appSetters = {
       state(entity, value) {
@@ -43,6 +43,12 @@ export class Blueprints extends System {
     this.emit('modify', modified)
   }
 
+  remove(id) {
+    if (!this.items.has(id)) return
+    this.items.delete(id)
+    this.emit('remove', id)
+  }
+
   serialize() {
     const datas = []
     this.items.forEach(data => {
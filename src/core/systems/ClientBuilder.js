@@ -6,7 +6,8 @@ import { TransformControls } from 'three/examples/jsm/controls/TransformControls
 import { System } from './System'
 
 import { hashFile } from '../utils-client'
-import { hasRole, uuid } from '../utils'
+import { uuid } from '../utils'
+import { Capabilities } from './Roles'
 import { ControlPriorities } from '../extras/ControlPriorities'
 import { importApp } from '../extras/appTools'
 import { DEG2RAD, RAD2DEG } from '../extras/general'
@@ -82,7 +83,7 @@ export class ClientBuilder extends System {
   }
 
   canBuild() {
-    return this.world.settings.public || hasRole(this.world.entities.player?.data.roles, 'admin')
+    return this.world.roles.can(this.world.entities.player, Capabilities.BUILD)
   }
 
   updateActions() {
@@ -184,6 +185,7 @@ export class ClientBuilder extends System {
           script: entity.blueprint.script,
           props: cloneDeep(entity.blueprint.props),
           preload: entity.blueprint.preload,
+          alwaysRelevant: entity.blueprint.alwaysRelevant,
           public: entity.blueprint.public,
           locked: entity.blueprint.locked,
           frozen: entity.blueprint.frozen,
@@ -284,6 +286,7 @@ export class ClientBuilder extends System {
             script: entity.blueprint.script,
             props: cloneDeep(entity.blueprint.props),
             preload: entity.blueprint.preload,
+            alwaysRelevant: entity.blueprint.alwaysRelevant,
             public: entity.blueprint.public,
             locked: entity.blueprint.locked,
             frozen: entity.blueprint.frozen,
@@ -751,6 +754,7 @@ export class ClientBuilder extends System {
       script: info.blueprint.script,
       props: info.blueprint.props,
       preload: info.blueprint.preload,
+      alwaysRelevant: info.blueprint.alwaysRelevant,
       public: info.blueprint.public,
       locked: info.blueprint.locked,
       frozen: info.blueprint.frozen,
@@ -780,7 +784,7 @@ export class ClientBuilder extends System {
     } catch (err) {
       console.error('failed to upload .hyp assets')
       console.error(err)
-      app.destroy()
+      this.onUploadFailed(app, err)
     }
   }
 
@@ -830,11 +834,28 @@ export class ClientBuilder extends System {
     }
     const app = this.world.entities.add(data, true)
     // upload the glb
-    await this.world.network.upload(file)
+    try {
+      await this.world.network.upload(file)
+    } catch (err) {
+      console.error(err)
+      this.onUploadFailed(app, err)
+      return
+    }
     // mark as uploaded so other clients can load it in
     app.onUploaded()
   }
 
+  onUploadFailed(app, err) {
+    app.destroy(true)
+    this.world.chat.add({
+      id: uuid(),
+      from: null,
+      fromId: null,
+      body: `Upload failed (${err.message.replace('upload failed: ', '')})`,
+      createdAt: moment().toISOString(),
+    })
+  }
+
   async addAvatar(file, transform) {
     // immutable hash the file
     const hash = await hashFile(file)
@@ -888,7 +909,13 @@ export class ClientBuilder extends System {
         }
         const app = this.world.entities.add(data, true)
         // upload the glb
-        await this.world.network.upload(file)
+        try {
+          await this.world.network.upload(file)
+        } catch (err) {
+          console.error(err)
+          this.onUploadFailed(app, err)
+          return
+        }
         // mark as uploaded so other clients can load it in
         app.onUploaded()
       },
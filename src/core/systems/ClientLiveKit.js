@@ -132,11 +132,9 @@ export class ClientLiveKit extends System {
   onTrackSubscribed = (track, publication, participant) => {
     // console.log('onTrackSubscribed', track, publication, participant)
     const playerId = participant.identity
-    const player = this.world.entities.getPlayer(playerId)
-    if (!player) return console.error('onTrackSubscribed failed: no player')
     const world = this.world
     if (track.source === 'microphone') {
-      const voice = new PlayerVoice(world, player, track, participant)
+      const voice = new PlayerVoice(world, playerId, track, participant)
       this.voices.set(playerId, voice)
     }
     if (track.source === 'screen_share') {
@@ -223,9 +221,9 @@ export class ClientLiveKit extends System {
 }
 
 class PlayerVoice {
-  constructor(world, player, track, participant) {
+  constructor(world, playerId, track, participant) {
     this.world = world
-    this.player = player
+    this.playerId = playerId
     this.track = track
     this.participant = participant
     this.track.setAudioContext(world.audio.ctx)
@@ -245,13 +243,20 @@ class PlayerVoice {
     this.track.attach()
     this.track.setWebAudioPlugins([this.spatial ? this.panner : this.gain])
     this.participant.on(ParticipantEvent.IsSpeakingChanged, speaking => {
-      this.player.setSpeaking(speaking)
+      this.player?.setSpeaking(speaking)
     })
   }
 
+  get player() {
+    // players that are too far away aren't sent to us (see ServerInterest) so this can come and go
+    return this.world.entities.getPlayer(this.playerId)
+  }
+
   lateUpdate(delta) {
+    const player = this.player
+    if (!player) return
     const audio = this.world.audio
-    const matrix = this.player.base.matrixWorld
+    const matrix = player.base.matrixWorld
     const pos = v1.setFromMatrixPosition(matrix)
     const qua = q1.setFromRotationMatrix(matrix)
     const dir = v2.set(0, 0, -1).applyQuaternion(qua)
@@ -270,7 +275,7 @@ class PlayerVoice {
   }
 
   destroy() {
-    this.player.setSpeaking(false)
+    this.player?.setSpeaking(false)
     this.track.detach()
   }
 }
@@ -1,11 +1,15 @@
 import moment from 'moment'
 import { emoteUrls } from '../extras/playerEmotes'
+import { formatBytes } from '../extras/formatBytes'
 import { readPacket, writePacket } from '../packets'
 import { storage } from '../storage'
 import { uuid } from '../utils'
 import { hashFile } from '../utils-client'
 import { System } from './System'
 
+const CHUNKED_UPLOAD_THRESHOLD = 8 * 1024 * 1024 // bytes
+const UPLOAD_RETRIES = 8
+
 /**
  * Client Network System
  *
@@ -19,13 +23,16 @@ export class ClientNetwork extends System {
     this.ids = -1
     this.ws = null
     this.apiUrl = null
+    this.authTokenKey = null
     this.id = null
     this.isClient = true
     this.queue = []
   }
 
   init({ wsUrl, name, avatar }) {
-    const authToken = storage.get('authToken')
+    // users are per world and a server can host several worlds on one origin (under /w/:worldId)
+    this.authTokenKey = getAuthTokenKey(wsUrl)
+    const authToken = this.getAuthToken()
     let url = `${wsUrl}?authToken=${authToken}`
     if (name) url += `&name=${encodeURIComponent(name)}`
     if (avatar) url += `&avatar=${encodeURIComponent(avatar)}`
@@ -46,24 +53,120 @@ export class ClientNetwork extends System {
   }
 
   async upload(file) {
+    const hash = await hashFile(file)
+    const ext = file.name.split('.').pop().toLowerCase()
+    const filename = `${hash}.${ext}`
     {
       // first check if we even need to upload it
-      const hash = await hashFile(file)
-      const ext = file.name.split('.').pop().toLowerCase()
-      const filename = `${hash}.${ext}`
       const url = `${this.apiUrl}/upload-check?filename=${filename}`
       const resp = await fetch(url)
       const data = await resp.json()
-      if (data.exists) return // console.log('already uploaded:', filename)
-    }
-    // then upload it
-    const form = new FormData()
-    form.append('file', file)
-    const url = `${this.apiUrl}/upload`
-    await fetch(url, {
-      method: 'POST',
-      body: form,
-    })
+      if (data.exists) return { url: `asset://${filename}`, hash, filename, size: file.size } // already uploaded
+    }
+    let result
+    if (file.size > CHUNKED_UPLOAD_THRESHOLD) {
+      // large files are uploaded in resumable chunks
+      result = await this.uploadChunked(file, filename)
+    } else {
+      // then upload it
+      const form = new FormData()
+      form.append('file', file)
+      result = await this.uploadRequest('POST', '/upload', form)
+    }
+    // models over the world's budgets are still accepted when it only warns about them
+    if (result?.report?.exceeded.length) {
+      this.world.chat.add({
+        id: uuid(),
+        from: null,
+        fromId: null,
+        body: `${file.name} is over budget (${formatExceeded(result.report.exceeded)})`,
+        createdAt: moment().toISOString(),
+      })
+    }
+    return result
+  }
+
+  async uploadChunked(file, filename) {
+    const progress = { id: filename, name: file.name, loaded: 0, total: file.size }
+    this.world.emit('upload', progress)
+    let session = null
+    let offset = 0
+    let attempts = 0
+    let result = null
+    try {
+      while (!result) {
+        try {
+          if (!session) {
+            // start or resume, the server tells us how much it already has
+            session = await this.uploadRequest('POST', '/upload/init', { filename, size: file.size })
+            if (session.exists) {
+              result = session
+              break
+            }
+            offset = session.received
+          }
+          if (offset >= file.size) {
+            result = await this.uploadRequest('POST', `/upload/${session.uploadId}/finalize`)
+            break
+          }
+          const chunk = file.slice(offset, offset + session.chunkSize)
+          const data = await this.uploadRequest('PUT', `/upload/${session.uploadId}?offset=${offset}`, chunk)
+          offset = data.received
+          attempts = 0
+          this.world.emit('upload', { ...progress, loaded: offset })
+        } catch (err) {
+          if (err.fatal || ++attempts > UPLOAD_RETRIES) throw err
+          console.warn(`upload interrupted, retrying (${attempts}/${UPLOAD_RETRIES})`)
+          await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** attempts, 30000)))
+          session = null
+        }
+      }
+    } finally {
+      this.world.emit('upload', { ...progress, loaded: offset, done: true })
+    }
+    return result
+  }
+
+  async uploadRequest(method, path, body) {
+    const headers = {
+      Authorization: `Bearer ${this.getAuthToken()}`,
+    }
+    if (body instanceof Blob) {
+      headers['Content-Type'] = 'application/octet-stream'
+    } else if (body && !(body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json'
+      body = JSON.stringify(body)
+    }
+    const resp = await fetch(`${this.apiUrl}${path}`, { method, headers, body })
+    const data = await resp.json().catch(() => null)
+    if (!resp.ok) {
+      let message = data?.error || resp.status
+      if (data?.exceeded) message += ` (${formatExceeded(data.exceeded)})`
+      const err = new Error(`upload failed: ${message}`)
+      // these can be resolved by resuming from wherever the server is up to
+      err.fatal = ![404, 409, 429].includes(resp.status) && resp.status < 500
+      throw err
+    }
+    return data
+  }
+
+  async apiRequest(method, path, body) {
+    const headers = {
+      Authorization: `Bearer ${this.getAuthToken()}`,
+    }
+    if (body) {
+      headers['Content-Type'] = 'application/json'
+      body = JSON.stringify(body)
+    }
+    const resp = await fetch(`${this.apiUrl}${path}`, { method, headers, body })
+    const data = await resp.json().catch(() => null)
+    if (!resp.ok) throw new Error(`request failed: ${data?.error || resp.status}`)
+    return data
+  }
+
+  getAuthToken() {
+    // fall back to the token from before they were stored per world (the server makes a new user if it's not theirs)
+    return storage.get(this.authTokenKey) || storage.get('authToken')
   }
 
   enqueue(method, data) {
@@ -138,17 +241,22 @@ export class ClientNetwork extends System {
 
     this.world.collections.deserialize(data.collections)
     this.world.settings.deserialize(data.settings)
+    this.world.roles.deserialize(data.roles)
     this.world.chat.deserialize(data.chat)
     this.world.blueprints.deserialize(data.blueprints)
     this.world.entities.deserialize(data.entities)
     this.world.livekit?.deserialize(data.livekit)
-    storage.set('authToken', data.authToken)
+    storage.set(this.authTokenKey, data.authToken)
   }
 
   onSettingsModified = data => {
     this.world.settings.set(data.key, data.value)
   }
 
+  onRolesModified = roles => {
+    this.world.roles.deserialize(roles)
+  }
+
   onChatAdded = msg => {
     this.world.chat.add(msg, false)
   }
@@ -165,6 +273,10 @@ export class ClientNetwork extends System {
     this.world.blueprints.modify(change)
   }
 
+  onBlueprintRemoved = id => {
+    this.world.blueprints.remove(id)
+  }
+
   onEntityAdded = data => {
     this.world.entities.add(data)
   }
@@ -189,6 +301,11 @@ export class ClientNetwork extends System {
     this.world.entities.player?.teleport(data)
   }
 
+  onPlayerCorrection = data => {
+    // the server rejected our movement
+    this.world.entities.player?.teleport(data)
+  }
+
   onPlayerPush = data => {
     this.world.entities.player?.push(data.force)
   }
@@ -228,3 +345,19 @@ export class ClientNetwork extends System {
     }
   }
 }
+
+function formatExceeded(exceeded) {
+  return exceeded
+    .map(({ key, value, limit }) => {
+      const isBytes = key === 'size' || key === 'textureBytes'
+      return isBytes ? `${key} ${formatBytes(value)} > ${formatBytes(limit)}` : `${key} ${value} > ${limit}`
+    })
+    .join(', ')
+}
+
+/**
+ * Returns the storage key for a world's auth token, based on its websocket url
+ */
+export function getAuthTokenKey(wsUrl) {
+  return `authToken:${wsUrl}`
+}
@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+const data = vi.hoisted(() => ({}))
+vi.mock('../storage', () => ({
+  storage: {
+    get: (key, defaultValue = null) => data[key] || defaultValue,
+    set: (key, value) => {
+      data[key] = value
+    },
+  },
+}))
+
+import { ClientNetwork } from './ClientNetwork'
+
+class FakeWebSocket {
+  static sockets = []
+  constructor(url) {
+    this.url = url
+    FakeWebSocket.sockets.push(this)
+  }
+  addEventListener() {}
+}
+
+function createWorld() {
+  const deserialize = () => ({ deserialize: vi.fn() })
+  return {
+    loader: { preload: vi.fn(), execPreload: vi.fn() },
+    environment: {},
+    collections: deserialize(),
+    settings: deserialize(),
+    roles: deserialize(),
+    chat: deserialize(),
+    blueprints: deserialize(),
+    entities: deserialize(),
+  }
+}
+
+function snapshot(authToken) {
+  return {
+    id: 'user',
+    serverTime: 0,
+    apiUrl: 'http://localhost/api',
+    settings: {},
+    blueprints: [],
+    entities: [],
+    authToken,
+  }
+}
+
+function connect(wsUrl) {
+  const network = new ClientNetwork(createWorld())
+  network.init({ wsUrl })
+  const ws = FakeWebSocket.sockets.at(-1)
+  return { network, authToken: new URL(ws.url).searchParams.get('authToken') }
+}
+
+describe('ClientNetwork auth tokens', () => {
+  beforeEach(() => {
+    for (const key in data) delete data[key]
+    vi.stubGlobal('WebSocket', FakeWebSocket)
+  })
+
+  it('keeps a token for each world', () => {
+    const a = connect('ws://localhost/w/a/ws')
+    expect(a.authToken).toBe('null')
+    a.network.onSnapshot(snapshot('token-a'))
+
+    const b = connect('ws://localhost/w/b/ws')
+    expect(b.authToken).toBe('null')
+    b.network.onSnapshot(snapshot('token-b'))
+
+    expect(connect('ws://localhost/w/a/ws').authToken).toBe('token-a')
+    expect(connect('ws://localhost/w/b/ws').authToken).toBe('token-b')
+  })
+
+  it('uses the world token for api requests', async () => {
+    data['authToken:ws://localhost/w/a/ws'] = 'token-a'
+    data['authToken:ws://localhost/w/b/ws'] = 'token-b'
+    const fetch = vi.fn(async () => new Response('{}'))
+    vi.stubGlobal('fetch', fetch)
+    const { network } = connect('ws://localhost/w/b/ws')
+    network.apiUrl = 'http://localhost/w/b/api'
+    await network.apiRequest('GET', '/thing')
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token-b')
+  })
+
+  it('falls back to the token from before they were per world', () => {
+    data.authToken = 'token-old'
+    const { network, authToken } = connect('ws://localhost/ws')
+    expect(authToken).toBe('token-old')
+    network.onSnapshot(snapshot('token-new'))
+    expect(data['authToken:ws://localhost/ws']).toBe('token-new')
+    expect(data.authToken).toBe('token-old')
+  })
+})
+
+describe('ClientNetwork uploads', () => {
+  it('only retries uploads that can be resumed', async () => {
+    vi.stubGlobal('WebSocket', FakeWebSocket)
+    const { network } = connect('ws://localhost/ws')
+    network.apiUrl = 'http://localhost/api'
+    const fail = async (status, error) => {
+      vi.stubGlobal('fetch', async () => new Response(JSON.stringify({ error }), { status }))
+      return network.uploadRequest('POST', '/upload/init', { filename: 'a.glb', size: 1 }).catch(err => err)
+    }
+    expect(await fail(400, 'invalid_filename')).toMatchObject({
+      message: 'upload failed: invalid_filename',
+      fatal: true,
+    })
+    expect(await fail(413, 'too_large')).toMatchObject({ fatal: true })
+    expect(await fail(409, 'busy')).toMatchObject({ fatal: false })
+    expect(await fail(429)).toMatchObject({ fatal: false })
+    expect(await fail(503)).toMatchObject({ message: 'upload failed: 503', fatal: false })
+  })
+})
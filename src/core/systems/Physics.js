@@ -52,9 +52,9 @@ export class Physics extends System {
 
     extendThreePhysX()
 
-    this.tolerances = new PHYSX.PxTolerancesScale()
+    this.tolerances = info.tolerances
     this.cookingParams = new PHYSX.PxCookingParams(this.tolerances)
-    this.physics = PHYSX.CreatePhysics(this.version, this.foundation, this.tolerances)
+    this.physics = info.physics
     this.defaultMaterial = this.physics.createMaterial(0.2, 0.2, 0.2)
 
     this.callbackQueue = []
@@ -580,6 +580,14 @@ export class Physics extends System {
     }
     return material
   }
+
+  destroy() {
+    // the physics sdk is shared (see loadPhysX) so only this world's scene is released
+    this.controllerManager?.release()
+    this.scene?.release()
+    this.controllerManager = null
+    this.scene = null
+  }
 }
 
 function createPool(factory) {
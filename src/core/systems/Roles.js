@@ -0,0 +1,102 @@
+import { System } from './System'
+
+export const Capabilities = {
+  BUILD: 'build', // add, move and remove apps, edit blueprints and set the spawn point
+  MODERATE: 'moderate', // clear chat and deal with other players
+  SETTINGS: 'settings', // change the world settings
+  ROLES: 'roles', // grant and revoke roles (that only have capabilities they also have)
+  SERVER: 'server', // server stats, gc, backups and the audit log
+}
+
+export const allCapabilities = Object.values(Capabilities)
+
+/**
+ * Roles that always exist. Everyone is a visitor, the other roles are granted.
+ * Admins always have every capability, the others can be changed (see `/api/admin/roles`).
+ */
+export const builtinRoles = {
+  admin: allCapabilities,
+  moderator: [Capabilities.MODERATE],
+  builder: [Capabilities.BUILD],
+  visitor: [],
+}
+
+export const DEFAULT_ROLE = 'visitor'
+
+/**
+ * Roles System
+ *
+ * - Runs on both the server and client
+ * - Holds every role and its capabilities, the server loads custom roles from the database and sends them to clients
+ * - Players have a list of role names (`player.data.roles`), roles prefixed with `~` are temporary (see utils hasRole)
+ *
+ */
+export class Roles extends System {
+  constructor(world) {
+    super(world)
+    this.items = new Map() // name -> { name, capabilities, builtin }
+    this.reset()
+  }
+
+  reset() {
+    this.items.clear()
+    for (const name in builtinRoles) {
+      this.items.set(name, { name, capabilities: builtinRoles[name].slice(), builtin: true })
+    }
+  }
+
+  get(name) {
+    return this.items.get(name)
+  }
+
+  set(role) {
+    const builtin = !!builtinRoles[role.name]
+    // admin always has everything
+    const capabilities = role.name === 'admin' ? allCapabilities.slice() : role.capabilities
+    this.items.set(role.name, { name: role.name, capabilities, builtin })
+    this.emit('change')
+  }
+
+  remove(name) {
+    if (builtinRoles[name]) return
+    this.items.delete(name)
+    this.emit('change')
+  }
+
+  /**
+   * Returns every capability from a list of role names (including the default role)
+   */
+  getCapabilities(roles = []) {
+    const capabilities = new Set(this.items.get(DEFAULT_ROLE)?.capabilities)
+    for (let name of roles) {
+      if (name.startsWith('~')) name = name.slice(1)
+      const role = this.items.get(name)
+      if (!role) continue
+      for (const capability of role.capabilities) {
+        capabilities.add(capability)
+      }
+    }
+    return capabilities
+  }
+
+  /**
+   * Whether a player has a capability. Everyone can build in public worlds.
+   */
+  can(player, capability) {
+    if (!player) return false
+    if (capability === Capabilities.BUILD && this.world.settings.public) return true
+    return this.getCapabilities(player.data.roles).has(capability)
+  }
+
+  serialize() {
+    return Array.from(this.items.values())
+  }
+
+  deserialize(roles) {
+    this.reset()
+    for (const role of roles) {
+      this.items.set(role.name, role)
+    }
+    this.emit('change')
+  }
+}
@@ -0,0 +1,73 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { allCapabilities, Capabilities, Roles } from './Roles'
+
+describe('Roles', () => {
+  let world
+  let roles
+
+  beforeEach(() => {
+    world = { settings: { public: false } }
+    roles = new Roles(world)
+  })
+
+  it('starts with the built-in roles', () => {
+    expect(roles.serialize()).toEqual([
+      { name: 'admin', capabilities: allCapabilities, builtin: true },
+      { name: 'moderator', capabilities: ['moderate'], builtin: true },
+      { name: 'builder', capabilities: ['build'], builtin: true },
+      { name: 'visitor', capabilities: [], builtin: true },
+    ])
+  })
+
+  it('adds custom roles and changes built-in ones, except admin', () => {
+    const onChange = vi.fn()
+    roles.on('change', onChange)
+    roles.set({ name: 'helper', capabilities: ['build', 'moderate'] })
+    roles.set({ name: 'builder', capabilities: ['build', 'settings'] })
+    roles.set({ name: 'admin', capabilities: [] })
+    expect(roles.get('helper')).toEqual({ name: 'helper', capabilities: ['build', 'moderate'], builtin: false })
+    expect(roles.get('builder')).toEqual({ name: 'builder', capabilities: ['build', 'settings'], builtin: true })
+    expect(roles.get('admin').capabilities).toEqual(allCapabilities)
+    roles.remove('helper')
+    roles.remove('builder')
+    expect(roles.get('helper')).toBeUndefined()
+    expect(roles.get('builder')).toBeDefined()
+    expect(onChange).toHaveBeenCalledTimes(4)
+  })
+
+  it('combines the capabilities of every role a player has', () => {
+    roles.set({ name: 'helper', capabilities: ['settings'] })
+    expect([...roles.getCapabilities(['builder', 'helper', 'unknown'])].sort()).toEqual(['build', 'settings'])
+    // temporary roles
+    expect([...roles.getCapabilities(['~moderator'])]).toEqual(['moderate'])
+    // everyone has the default role
+    roles.set({ name: 'visitor', capabilities: ['build'] })
+    expect([...roles.getCapabilities()]).toEqual(['build'])
+  })
+
+  it('checks player capabilities', () => {
+    const visitor = { data: { roles: [] } }
+    const builder = { data: { roles: ['builder'] } }
+    const admin = { data: { roles: ['~admin'] } }
+    expect(roles.can(visitor, Capabilities.BUILD)).toBe(false)
+    expect(roles.can(builder, Capabilities.BUILD)).toBe(true)
+    expect(roles.can(builder, Capabilities.SERVER)).toBe(false)
+    expect(roles.can(admin, Capabilities.SERVER)).toBe(true)
+    expect(roles.can(null, Capabilities.BUILD)).toBe(false)
+    // everyone can build in public worlds
+    world.settings.public = true
+    expect(roles.can(visitor, Capabilities.BUILD)).toBe(true)
+    expect(roles.can(visitor, Capabilities.MODERATE)).toBe(false)
+  })
+
+  it('replaces every role when deserialized', () => {
+    const server = new Roles(world)
+    server.set({ name: 'helper', capabilities: ['moderate'] })
+    server.set({ name: 'builder', capabilities: [] })
+    roles.set({ name: 'stale', capabilities: ['build'] })
+    roles.deserialize(server.serialize())
+    expect(roles.serialize()).toEqual(server.serialize())
+    expect(roles.get('stale')).toBeUndefined()
+  })
+})
@@ -22,6 +22,7 @@ export class Server extends System {
   tick = () => {
     const time = performance.now()
     this.world.tick(time)
+    this.world.monitor.onTick((performance.now() - time) / 1000)
     this.timerId = setTimeout(this.tick, TICK_RATE * 1000)
   }
 
@@ -0,0 +1,114 @@
+import moment from 'moment'
+import { isString } from 'lodash-es'
+
+import { System } from './System'
+import { isSQLite } from '../../server/db'
+
+const APP_STORAGE_QUOTA = parseFloat(process.env.APP_STORAGE_QUOTA || '1024') * 1024 // kb per app/blueprint -> bytes
+const PLAYER_DATA_QUOTA = parseFloat(process.env.PLAYER_DATA_QUOTA || '64') * 1024 // kb per user per blueprint -> bytes
+const MAX_KEY_LENGTH = 256
+
+/**
+ * Server App Storage System
+ *
+ * - Runs on the server
+ * - Durable key/value storage for app scripts, values are JSON and each scope has a size quota
+ * - `app.storage` is scoped to the app instance (`app:<entityId>` in the `app_storage` table), and
+ *   `app.storage.blueprint` is shared by every instance of the same blueprint (`blueprint:<blueprintId>`)
+ * - `player.data` is scoped to a user and the blueprint of the app using it (`player_data` table)
+ *   so apps can't read each others data
+ * - Data is removed when its entity/blueprint removal is saved (see ServerNetwork.save)
+ *
+ */
+export class ServerAppStorage extends System {
+  init({ db }) {
+    this.db = db
+    this.worldId = db.userParams.worldId
+  }
+
+  /**
+   * Returns the `app.storage` api exposed to scripts
+   */
+  getApi(namespace) {
+    return this.createApi('app_storage', { worldId: this.worldId, namespace }, APP_STORAGE_QUOTA)
+  }
+
+  /**
+   * Returns the `player.data` api exposed to scripts
+   */
+  getPlayerApi(userId, blueprintId) {
+    return this.createApi('player_data', { worldId: this.worldId, userId, blueprintId }, PLAYER_DATA_QUOTA)
+  }
+
+  createApi(table, scope, quota) {
+    return {
+      get: key => this.get(table, scope, key),
+      set: (key, value) => this.set(table, scope, quota, key, value),
+      delete: key => this.delete(table, scope, key),
+      keys: () => this.keys(table, scope),
+    }
+  }
+
+  async get(table, scope, key) {
+    validateKey(key)
+    const row = await this.db(table)
+      .where({ ...scope, key })
+      .first()
+    if (!row) return undefined
+    return JSON.parse(row.value)
+  }
+
+  async set(table, scope, quota, key, value) {
+    validateKey(key)
+    if (value === undefined) return this.delete(table, scope, key)
+    const json = JSON.stringify(value)
+    if (json === undefined) throw new Error('[storage] value must be json serializable')
+    const size = Buffer.byteLength(json)
+    // the quota check and the write happen together so concurrent sets can't both pass the check
+    // (sqlite transactions are always serializable, postgres ones have to ask)
+    const config = isSQLite(this.db) ? {} : { isolationLevel: 'serializable' }
+    await this.db.transaction(async trx => {
+      const row = await trx(table).where(scope).whereNot('key', key).sum({ total: 'size' }).first()
+      const used = Number(row?.total || 0) // postgres returns sums as strings
+      if (used + size > quota) {
+        throw new Error(`[storage] quota exceeded (${used + size} / ${quota} bytes)`)
+      }
+      const now = moment().toISOString()
+      await trx(table)
+        .insert({ ...scope, key, value: json, size, updatedAt: now })
+        .onConflict([...Object.keys(scope), 'key'])
+        .merge({ value: json, size, updatedAt: now })
+    }, config)
+  }
+
+  async delete(table, scope, key) {
+    validateKey(key)
+    await this.db(table)
+      .where({ ...scope, key })
+      .delete()
+  }
+
+  async keys(table, scope) {
+    const rows = await this.db(table).where(scope).orderBy('key').select('key')
+    return rows.map(row => row.key)
+  }
+
+  async clearApp(entityId) {
+    await this.db('app_storage')
+      .where({ worldId: this.worldId, namespace: `app:${entityId}` })
+      .delete()
+  }
+
+  async clearBlueprint(blueprintId) {
+    await this.db('app_storage')
+      .where({ worldId: this.worldId, namespace: `blueprint:${blueprintId}` })
+      .delete()
+    await this.db('player_data').where({ worldId: this.worldId, blueprintId }).delete()
+  }
+}
+
+function validateKey(key) {
+  if (!isString(key) || !key.length || key.length > MAX_KEY_LENGTH) {
+    throw new Error(`[storage] key must be a string of 1-${MAX_KEY_LENGTH} characters`)
+  }
+}
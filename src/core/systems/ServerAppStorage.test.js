@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { createDB, migrate } from '../../server/db'
+
+describe('ServerAppStorage', () => {
+  let db
+  let appStorage
+
+  // quotas are read when the module is loaded
+  async function load(env = {}) {
+    for (const key in env) {
+      vi.stubEnv(key, env[key])
+    }
+    vi.resetModules()
+    const { ServerAppStorage } = await import('./ServerAppStorage')
+    appStorage = new ServerAppStorage({})
+    appStorage.init({ db })
+  }
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    await load()
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  describe('app.storage', () => {
+    it('stores json values by key', async () => {
+      const storage = appStorage.getApi('app:app1')
+      await storage.set('score', { best: 10, names: ['a'] })
+      await storage.set('count', 1)
+      expect(await storage.get('score')).toEqual({ best: 10, names: ['a'] })
+      await storage.set('count', 2)
+      expect(await storage.get('count')).toBe(2)
+      expect(await storage.keys()).toEqual(['count', 'score'])
+      await storage.delete('score')
+      // setting undefined deletes too
+      await storage.set('count', undefined)
+      expect(await storage.get('score')).toBeUndefined()
+      expect(await storage.keys()).toEqual([])
+    })
+
+    it('keeps apps, blueprints and worlds apart', async () => {
+      await appStorage.getApi('app:app1').set('key', 1)
+      await appStorage.getApi('blueprint:bp1').set('key', 2)
+      const other = db.withUserParams({ worldId: 'world2' })
+      const { ServerAppStorage } = await import('./ServerAppStorage')
+      const otherStorage = new ServerAppStorage({})
+      otherStorage.init({ db: other })
+      await otherStorage.getApi('app:app1').set('key', 3)
+      expect(await appStorage.getApi('app:app1').get('key')).toBe(1)
+      expect(await appStorage.getApi('app:app2').get('key')).toBeUndefined()
+      expect(await appStorage.getApi('blueprint:bp1').get('key')).toBe(2)
+      expect(await otherStorage.getApi('app:app1').get('key')).toBe(3)
+
+      await appStorage.clearApp('app1')
+      expect(await appStorage.getApi('app:app1').keys()).toEqual([])
+      expect(await appStorage.getApi('blueprint:bp1').keys()).toEqual(['key'])
+      expect(await otherStorage.getApi('app:app1').keys()).toEqual(['key'])
+      await appStorage.clearBlueprint('bp1')
+      expect(await appStorage.getApi('blueprint:bp1').keys()).toEqual([])
+    })
+
+    it('enforces the quota', async () => {
+      await load({ APP_STORAGE_QUOTA: '0.02' }) // 20 bytes
+      const storage = appStorage.getApi('app:app1')
+      await storage.set('a', '12345678') // 10 bytes
+      await expect(storage.set('b', '123456789012')).rejects.toThrow('[storage] quota exceeded (24 / 20.48 bytes)')
+      // replacing a value only counts the new one
+      await storage.set('a', '1234567890123456')
+      expect(await storage.get('b')).toBeUndefined()
+    })
+
+    it('enforces the quota when values are set at the same time', async () => {
+      await load({ APP_STORAGE_QUOTA: '0.02' }) // 20 bytes
+      const storage = appStorage.getApi('app:app1')
+      await storage.set('a', '12345678') // 10 bytes
+      const results = await Promise.allSettled([storage.set('b', '12345678'), storage.set('c', '12345678')])
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected'])
+      expect(await storage.keys()).toHaveLength(2)
+    })
+
+    it('validates keys and values', async () => {
+      const storage = appStorage.getApi('app:app1')
+      await expect(storage.get('')).rejects.toThrow('key must be a string')
+      await expect(storage.set(1, 'value')).rejects.toThrow('key must be a string')
+      await expect(storage.set('x'.repeat(257), 'value')).rejects.toThrow('key must be a string')
+      await expect(storage.set('fn', () => {})).rejects.toThrow('value must be json serializable')
+    })
+  })
+  describe('player.data', () => {
+    it('is scoped to the user and the blueprint', async () => {
+      await appStorage.getPlayerApi('user1', 'bp1').set('coins', 5)
+      await appStorage.getPlayerApi('user2', 'bp1').set('coins', 7)
+      await appStorage.getPlayerApi('user1', 'bp2').set('level', 3)
+      expect(await appStorage.getPlayerApi('user1', 'bp1').get('coins')).toBe(5)
+      expect(await appStorage.getPlayerApi('user2', 'bp1').get('coins')).toBe(7)
+      // other apps can't read it
+      expect(await appStorage.getPlayerApi('user1', 'bp2').keys()).toEqual(['level'])
+      // and it isn't app storage
+      expect(await appStorage.getApi('blueprint:bp1').keys()).toEqual([])
+    })
+
+    it('enforces the quota per user', async () => {
+      await load({ PLAYER_DATA_QUOTA: '0.02' }) // 20 bytes
+      const data = appStorage.getPlayerApi('user1', 'bp1')
+      await data.set('a', '12345678')
+      await expect(data.set('b', '123456789012')).rejects.toThrow('[storage] quota exceeded')
+      await appStorage.getPlayerApi('user2', 'bp1').set('b', '123456789012')
+    })
+
+    it('is removed with its blueprint', async () => {
+      await appStorage.getPlayerApi('user1', 'bp1').set('coins', 5)
+      await appStorage.getPlayerApi('user1', 'bp2').set('coins', 5)
+      await appStorage.clearApp('app1')
+      expect(await appStorage.getPlayerApi('user1', 'bp1').keys()).toEqual(['coins'])
+      await appStorage.clearBlueprint('bp1')
+      expect(await appStorage.getPlayerApi('user1', 'bp1').keys()).toEqual([])
+      expect(await appStorage.getPlayerApi('user1', 'bp2').keys()).toEqual(['coins'])
+    })
+  })
+})
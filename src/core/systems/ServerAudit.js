@@ -0,0 +1,156 @@
+import moment from 'moment'
+import { isEqual, omit } from 'lodash-es'
+
+import { System } from './System'
+
+const AUDIT_RETENTION = parseFloat(process.env.AUDIT_RETENTION || '90') // days, 0 = keep forever
+const FLUSH_RATE = 5 // seconds
+const MERGE_WINDOW = 10 // seconds
+const PRUNE_RATE = 60 * 60 // seconds
+
+// transient keys that change constantly while building and aren't worth recording
+const ignoredKeys = ['id', 'mover', 'uploader']
+
+/**
+ * Server Audit System
+ *
+ * - Runs on the server
+ * - Records who changed what in the world (entities, blueprints, settings, spawn) in the `audit_log` table
+ * - Changes are buffered and written every few seconds. Repeated changes to the same target by the same user
+ *   (eg dragging an app around) are merged into one record with the original before and latest after values.
+ *
+ */
+export class ServerAudit extends System {
+  constructor(world) {
+    super(world)
+    this.pending = []
+    this.flushIntervalId = null
+    this.pruneIntervalId = null
+  }
+
+  init({ db }) {
+    this.db = db
+    this.worldId = db.userParams.worldId
+  }
+
+  start() {
+    this.flushIntervalId = setInterval(this.flush, FLUSH_RATE * 1000)
+    if (AUDIT_RETENTION) {
+      this.prune()
+      this.pruneIntervalId = setInterval(this.prune, PRUNE_RATE * 1000)
+    }
+  }
+
+  /**
+   * Records a change made by `actor` ({ id, name }). Only the keys that actually changed are kept.
+   */
+  record(actor, action, targetId, before, after) {
+    before = before ? omit(before, ignoredKeys) : null
+    after = after ? omit(after, ignoredKeys) : null
+    if (before && after) {
+      for (const key in after) {
+        if (!isEqual(before[key], after[key])) continue
+        delete before[key]
+        delete after[key]
+      }
+      if (!Object.keys(after).length) return
+    }
+    const now = Date.now()
+    const last = this.pending.findLast(
+      entry => entry.userId === actor.id && entry.action === action && entry.targetId === targetId
+    )
+    if (last?.before && last.after && before && after) {
+      last.before = { ...before, ...last.before }
+      last.after = { ...last.after, ...after }
+      last.updatedAt = now
+      return
+    }
+    this.pending.push({
+      userId: actor.id,
+      userName: actor.name,
+      action,
+      targetId,
+      before,
+      after,
+      createdAt: moment(now).toISOString(),
+      updatedAt: now,
+    })
+  }
+
+  /**
+   * Writes buffered records. Records that are still being changed are held back (so they can be merged)
+   * unless `all` is true.
+   */
+  flush = async all => {
+    const now = Date.now()
+    const entries = []
+    const pending = []
+    for (const entry of this.pending) {
+      if (all === true || now - entry.updatedAt >= MERGE_WINDOW * 1000) {
+        entries.push(entry)
+      } else {
+        pending.push(entry)
+      }
+    }
+    if (!entries.length) return
+    this.pending = pending
+    try {
+      const rows = entries.map(entry => ({
+        worldId: this.worldId,
+        userId: entry.userId,
+        userName: entry.userName,
+        action: entry.action,
+        targetId: entry.targetId,
+        data: JSON.stringify({ before: entry.before, after: entry.after }),
+        createdAt: entry.createdAt,
+      }))
+      await this.db.batchInsert('audit_log', rows, 100)
+    } catch (err) {
+      console.error(err)
+      console.error('failed to write audit log')
+    }
+  }
+
+  prune = async () => {
+    try {
+      const before = moment().subtract(AUDIT_RETENTION, 'days').toISOString()
+      const count = await this.db('audit_log').where('worldId', this.worldId).where('createdAt', '<', before).delete()
+      if (count) console.log(`audit: removed ${count} records older than ${AUDIT_RETENTION} days`)
+    } catch (err) {
+      console.error(err)
+    }
+  }
+
+  /**
+   * Returns records (newest first) filtered by `userId`, `targetId`, `action` and/or a `from`/`to` time range
+   */
+  async query({ userId, targetId, action, from, to, limit = 100 } = {}) {
+    // unsaved changes should show up too
+    await this.flush(true)
+    const query = this.db('audit_log').where('worldId', this.worldId)
+    if (userId) query.where('userId', userId)
+    if (targetId) query.where('targetId', targetId)
+    if (action) query.where('action', action)
+    if (from) query.where('createdAt', '>=', moment(from).toISOString())
+    if (to) query.where('createdAt', '<=', moment(to).toISOString())
+    const rows = await query.orderBy('id', 'desc').limit(Math.min(limit, 1000))
+    return rows.map(row => {
+      const { before, after } = JSON.parse(row.data)
+      return {
+        id: row.id,
+        userId: row.userId,
+        userName: row.userName,
+        action: row.action,
+        targetId: row.targetId,
+        before,
+        after,
+        createdAt: row.createdAt,
+      }
+    })
+  }
+
+  destroy() {
+    clearInterval(this.flushIntervalId)
+    clearInterval(this.pruneIntervalId)
+  }
+}
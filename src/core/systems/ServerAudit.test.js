@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { ServerAudit } from './ServerAudit'
+import { createDB, migrate } from '../../server/db'
+
+const alice = { id: 'user1', name: 'Alice' }
+const bob = { id: 'user2', name: 'Bob' }
+
+describe('ServerAudit', () => {
+  let db
+  let audit
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    audit = new ServerAudit({})
+    audit.init({ db })
+  })
+
+  afterEach(async () => {
+    audit.destroy()
+    await db.destroy()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('only records what changed', async () => {
+    audit.record(
+      alice,
+      'entityModified',
+      'app1',
+      { position: [0, 0, 0], scale: [1, 1, 1] },
+      { position: [1, 0, 0], scale: [1, 1, 1], mover: 'user1' }
+    )
+    // nothing changed
+    audit.record(alice, 'settingsModified', 'title', { title: 'A' }, { title: 'A' })
+    audit.record(alice, 'entityAdded', 'app2', null, { id: 'app2', blueprint: 'bp1' })
+    expect(await audit.query()).toMatchObject([
+      { action: 'entityAdded', targetId: 'app2', before: null, after: { blueprint: 'bp1' } },
+      {
+        userId: 'user1',
+        userName: 'Alice',
+        targetId: 'app1',
+        before: { position: [0, 0, 0] },
+        after: { position: [1, 0, 0] },
+      },
+    ])
+  })
+
+  it('merges repeated changes to the same target by the same user', async () => {
+    audit.record(alice, 'entityModified', 'app1', { position: [0, 0, 0] }, { position: [1, 0, 0] })
+    audit.record(alice, 'entityModified', 'app1', { position: [1, 0, 0] }, { position: [2, 0, 0] })
+    audit.record(alice, 'entityModified', 'app1', { scale: [1, 1, 1] }, { scale: [2, 2, 2] })
+    audit.record(bob, 'entityModified', 'app1', { position: [2, 0, 0] }, { position: [3, 0, 0] })
+    expect(await audit.query()).toMatchObject([
+      { userId: 'user2', before: { position: [2, 0, 0] }, after: { position: [3, 0, 0] } },
+      {
+        userId: 'user1',
+        before: { position: [0, 0, 0], scale: [1, 1, 1] },
+        after: { position: [2, 0, 0], scale: [2, 2, 2] },
+      },
+    ])
+  })
+
+  it('holds back records that are still being changed', async () => {
+    audit.record(alice, 'entityModified', 'app1', { position: [0, 0, 0] }, { position: [1, 0, 0] })
+    await audit.flush()
+    expect(await db('audit_log')).toHaveLength(0)
+    vi.advanceTimersByTime(10 * 1000)
+    await audit.flush()
+    expect(await db('audit_log')).toHaveLength(1)
+    expect(audit.pending).toEqual([])
+  })
+
+  it('filters records', async () => {
+    audit.record(alice, 'entityAdded', 'app1', null, { blueprint: 'bp1' })
+    await audit.flush(true)
+    vi.setSystemTime(new Date('2026-01-02T00:00:00Z'))
+    audit.record(bob, 'entityRemoved', 'app1', { blueprint: 'bp1' }, null)
+    audit.record(bob, 'blueprintModified', 'bp1', { script: null }, { script: 'asset://a.js' })
+    const targets = async filter => (await audit.query(filter)).map(record => `${record.action}:${record.targetId}`)
+    expect(await targets({ userId: 'user2' })).toEqual(['blueprintModified:bp1', 'entityRemoved:app1'])
+    expect(await targets({ targetId: 'app1' })).toEqual(['entityRemoved:app1', 'entityAdded:app1'])
+    expect(await targets({ action: 'entityAdded' })).toEqual(['entityAdded:app1'])
+    expect(await targets({ to: '2026-01-01T12:00:00Z' })).toEqual(['entityAdded:app1'])
+    expect(await targets({ from: '2026-01-01T12:00:00Z', limit: 1 })).toEqual(['blueprintModified:bp1'])
+  })
+
+  it('removes records older than the retention period', async () => {
+    audit.record(alice, 'entityAdded', 'app1', null, { blueprint: 'bp1' })
+    await audit.flush(true)
+    vi.setSystemTime(new Date('2026-03-15T00:00:00Z'))
+    audit.record(alice, 'entityAdded', 'app2', null, { blueprint: 'bp1' })
+    await audit.flush(true)
+    await audit.prune()
+    expect(await db('audit_log').pluck('targetId')).toEqual(['app1', 'app2'])
+    vi.setSystemTime(new Date('2026-04-15T00:00:00Z'))
+    await audit.prune()
+    expect(await db('audit_log').pluck('targetId')).toEqual(['app2'])
+  })
+})
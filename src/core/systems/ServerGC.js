@@ -0,0 +1,196 @@
+import fs from 'fs-extra'
+
+import { System } from './System'
+import { getReferencedAssets } from '../extras/getReferencedAssets'
+
+const GRACE_PERIOD = 60 * 60 // seconds (recent uploads may not be referenced by a blueprint yet)
+
+/**
+ * Server GC System
+ *
+ * - Runs on the server
+ * - Finds uploaded assets that are no longer referenced by any blueprint (or revision), user avatar, world setting or collection
+ * - Unused assets are first moved into quarantine and only deleted when purged,
+ *   so nothing is lost if something still turns out to need them
+ * - Reads references from the live world so it's safe to run while players are building
+ *
+ */
+export class ServerGC extends System {
+  constructor(world) {
+    super(world)
+    this.assets = null
+    this.builtinAssetsDir = null
+    this.running = false
+  }
+
+  init({ assets, builtinAssetsDir }) {
+    this.assets = assets
+    this.builtinAssetsDir = builtinAssetsDir
+  }
+
+  async getUsedAssets() {
+    const world = this.world
+    const db = world.network.db
+    // these queries aren't scoped by world id on purpose: worlds sharing a database may also share asset storage,
+    // so anything referenced by any of them is kept
+    const blueprints = world.blueprints.serialize()
+    // include persisted blueprints that haven't been saved as removed yet
+    const rows = await db('blueprints')
+    for (const row of rows) {
+      blueprints.push(JSON.parse(row.data))
+    }
+    // older revisions can be reverted to, so their assets need to stay around too
+    const revisions = await db('blueprint_revisions').select('data')
+    for (const row of revisions) {
+      blueprints.push(JSON.parse(row.data))
+    }
+    for (const collection of world.collections.serialize()) {
+      blueprints.push(...collection.blueprints)
+    }
+    const used = getReferencedAssets({ blueprints, settings: world.settings.serialize() })
+    const users = await db('users').select('avatar')
+    for (const user of users) {
+      if (user.avatar?.startsWith('asset://')) used.add(user.avatar.slice(8))
+    }
+    for (const entity of world.entities.items.values()) {
+      if (!entity.isPlayer) continue
+      for (const avatar of [entity.data.avatar, entity.data.sessionAvatar]) {
+        if (avatar?.startsWith('asset://')) used.add(avatar.slice(8))
+      }
+    }
+    // blueprints can be switched between a model and its generated lods at any time, so they're kept together
+    const lods = await db('asset_lods').whereNotNull('lodFilename').select('filename', 'lodFilename')
+    for (const row of lods) {
+      if (!used.has(row.filename) && !used.has(row.lodFilename)) continue
+      used.add(row.filename)
+      used.add(row.lodFilename)
+    }
+    if (this.builtinAssetsDir && (await fs.exists(this.builtinAssetsDir))) {
+      for (const filename of await fs.readdir(this.builtinAssetsDir)) {
+        used.add(filename)
+      }
+    }
+    return used
+  }
+
+  /**
+   * Returns a report of unused assets without changing anything (dry-run)
+   */
+  async scan() {
+    const used = await this.getUsedAssets()
+    const now = Date.now()
+    const report = {
+      total: 0,
+      totalSize: 0,
+      unused: [],
+      reclaimable: 0,
+      quarantined: 0,
+      quarantinedSize: 0,
+    }
+    for (const asset of await this.assets.list()) {
+      report.total++
+      report.totalSize += asset.size
+      if (used.has(asset.filename)) continue
+      if (now - asset.modifiedAt < GRACE_PERIOD * 1000) continue
+      report.unused.push({ filename: asset.filename, size: asset.size })
+      report.reclaimable += asset.size
+    }
+    for (const asset of await this.assets.listQuarantined()) {
+      report.quarantined++
+      report.quarantinedSize += asset.size
+    }
+    return report
+  }
+
+  /**
+   * Moves all unused assets into quarantine
+   */
+  async quarantine() {
+    return this.exclusive(async () => {
+      const report = await this.scan()
+      let moved = 0
+      let size = 0
+      for (const asset of report.unused) {
+        await this.assets.quarantine(asset.filename)
+        moved++
+        size += asset.size
+      }
+      // the world is live, so restore anything that became referenced while we were moving files
+      const used = await this.getUsedAssets()
+      for (const asset of report.unused) {
+        if (!used.has(asset.filename)) continue
+        await this.assets.unquarantine(asset.filename)
+        moved--
+        size -= asset.size
+      }
+      if (moved) console.log(`gc: quarantined ${moved} assets (${size} bytes)`)
+      return { quarantined: moved, size }
+    })
+  }
+
+  /**
+   * Deletes quarantined assets.
+   * Anything that has become referenced again since it was quarantined is restored instead.
+   */
+  async purge() {
+    return this.exclusive(async () => {
+      const used = await this.getUsedAssets()
+      const deleted = []
+      let restored = 0
+      let size = 0
+      for (const asset of await this.assets.listQuarantined()) {
+        if (used.has(asset.filename)) {
+          await this.assets.unquarantine(asset.filename)
+          restored++
+          continue
+        }
+        await this.assets.removeQuarantined(asset.filename)
+        deleted.push(asset.filename)
+        size += asset.size
+      }
+      if (deleted.length) {
+        // deleted assets no longer count towards upload quotas, and their reports and lods go with them
+        await this.world.network.db.transaction(async trx => {
+          await trx('uploads').whereIn('filename', deleted).delete()
+          await trx('asset_reports').whereIn('filename', deleted).delete()
+          await trx('asset_lods').whereIn('filename', deleted).delete()
+        })
+        console.log(`gc: deleted ${deleted.length} assets (${size} bytes)`)
+      }
+      return { deleted: deleted.length, restored, size }
+    })
+  }
+
+  /**
+   * Moves all quarantined assets back into the assets folder
+   */
+  async restore() {
+    return this.exclusive(async () => {
+      let restored = 0
+      for (const asset of await this.assets.listQuarantined()) {
+        await this.assets.unquarantine(asset.filename)
+        restored++
+      }
+      return { restored }
+    })
+  }
+
+  async getQuarantined() {
+    const assets = await this.assets.listQuarantined()
+    return assets.map(asset => ({
+      filename: asset.filename,
+      size: asset.size,
+      quarantinedAt: new Date(asset.modifiedAt).toISOString(),
+    }))
+  }
+
+  async exclusive(fn) {
+    if (this.running) throw new Error('gc already running')
+    this.running = true
+    try {
+      return await fn()
+    } finally {
+      this.running = false
+    }
+  }
+}
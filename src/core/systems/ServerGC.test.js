@@ -0,0 +1,158 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { ServerGC } from './ServerGC'
+import { AssetsLocal } from '../../server/AssetsLocal'
+import { createDB, migrate } from '../../server/db'
+
+const HOUR = 60 * 60 * 1000
+
+describe('ServerGC', () => {
+  let dir
+  let db
+  let assets
+  let world
+  let gc
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gc-'))
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    assets = new AssetsLocal({ dir: path.join(dir, 'assets'), quarantineDir: path.join(dir, 'quarantine') })
+    await assets.init()
+    world = {
+      network: { db },
+      blueprints: { serialize: () => [{ id: 'bp1', model: 'asset://model.glb', props: {} }] },
+      collections: { serialize: () => [{ blueprints: [{ id: 'bp2', script: 'asset://collection.js' }] }] },
+      settings: { serialize: () => ({ image: { url: 'asset://settings.png' } }) },
+      entities: { items: new Map([['player1', { isPlayer: true, data: { avatar: 'asset://player.vrm' } }]]) },
+    }
+    gc = new ServerGC(world)
+    gc.init({ assets, builtinAssetsDir: path.join(dir, 'builtin') })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+    await fs.remove(dir)
+    vi.restoreAllMocks()
+  })
+
+  async function addAsset(filename, age = 2 * HOUR) {
+    await assets.put(filename, Buffer.from(filename))
+    const time = new Date(Date.now() - age)
+    await fs.utimes(assets.resolve(filename), time, time)
+  }
+
+  it('reports assets that nothing references', async () => {
+    const now = new Date().toISOString()
+    await db('blueprints').insert({
+      worldId: 'world2',
+      id: 'bp3',
+      data: JSON.stringify({ id: 'bp3', model: 'asset://other-world.glb' }),
+      createdAt: now,
+      updatedAt: now,
+    })
+    await db('blueprint_revisions').insert({
+      worldId: 'world1',
+      blueprintId: 'bp1',
+      version: 0,
+      data: JSON.stringify({ id: 'bp1', model: 'asset://old.glb' }),
+      createdAt: now,
+    })
+    await db('users').insert({
+      worldId: 'world1',
+      id: 'user1',
+      name: 'Bob',
+      avatar: 'asset://user.vrm',
+      createdAt: now,
+    })
+    await db('asset_lods').insert({
+      worldId: 'world1',
+      filename: 'model.glb',
+      status: 'done',
+      lodFilename: 'model-lod.glb',
+      createdAt: now,
+      updatedAt: now,
+    })
+    await fs.outputFile(path.join(dir, 'builtin', 'builtin.glb'), '')
+    const used = [
+      'model.glb',
+      'model-lod.glb',
+      'collection.js',
+      'settings.png',
+      'player.vrm',
+      'other-world.glb',
+      'old.glb',
+      'user.vrm',
+      'builtin.glb',
+    ]
+    for (const filename of used) {
+      await addAsset(filename)
+    }
+    await addAsset('unused.glb')
+    // recent uploads may not be referenced yet
+    await addAsset('recent.glb', 0)
+
+    const report = await gc.scan()
+    expect(report).toMatchObject({ total: 11, quarantined: 0, reclaimable: 10 })
+    expect(report.unused).toEqual([{ filename: 'unused.glb', size: 10 }])
+  })
+
+  it('quarantines, purges and restores unused assets', async () => {
+    await addAsset('model.glb')
+    await addAsset('unused.glb')
+    await addAsset('deleted.glb')
+    await db('uploads').insert({
+      worldId: 'world1',
+      userId: 'user1',
+      filename: 'deleted.glb',
+      size: 11,
+      createdAt: new Date().toISOString(),
+    })
+    await db('asset_reports').insert({
+      worldId: 'world1',
+      filename: 'deleted.glb',
+      size: 11,
+      triangles: 12,
+      textureBytes: 0,
+      materials: 1,
+      meshes: 1,
+      bones: 0,
+      animations: '[]',
+      bounds: '[]',
+      exceeded: '[]',
+      createdAt: new Date().toISOString(),
+    })
+    expect(await gc.quarantine()).toEqual({ quarantined: 2, size: 21 })
+    expect((await assets.list()).map(asset => asset.filename)).toEqual(['model.glb'])
+    expect((await gc.getQuarantined()).map(asset => asset.filename).sort()).toEqual(['deleted.glb', 'unused.glb'])
+    expect(await gc.scan()).toMatchObject({ total: 1, unused: [], quarantined: 2, quarantinedSize: 21 })
+
+    // anything referenced again while quarantined is restored instead of deleted
+    const blueprints = world.blueprints.serialize()
+    world.blueprints.serialize = () => [...blueprints, { id: 'bp4', model: 'asset://unused.glb' }]
+    expect(await gc.purge()).toEqual({ deleted: 1, restored: 1, size: 11 })
+    expect(await assets.exists('unused.glb')).toBe(true)
+    expect(await gc.getQuarantined()).toEqual([])
+    expect(await db('uploads')).toEqual([])
+    expect(await db('asset_reports')).toEqual([])
+
+    // restored assets get a new grace period
+    world.blueprints.serialize = () => blueprints
+    expect(await gc.quarantine()).toEqual({ quarantined: 0, size: 0 })
+    await addAsset('unused.glb')
+    await gc.quarantine()
+    expect(await gc.restore()).toEqual({ restored: 1 })
+    expect(await assets.exists('unused.glb')).toBe(true)
+  })
+
+  it('only runs one operation at a time', async () => {
+    const first = gc.quarantine()
+    await expect(gc.purge()).rejects.toThrow('gc already running')
+    await first
+    await expect(gc.purge()).resolves.toBeTruthy()
+  })
+})
@@ -0,0 +1,225 @@
+import moment from 'moment'
+import { isNumber, pick } from 'lodash-es'
+
+import { System } from './System'
+import * as THREE from '../extras/three'
+import { GLTFLoader } from '../libs/gltfloader/GLTFLoader.js'
+import { getTrianglesFromGeometry } from '../extras/getTrianglesFromGeometry'
+import { getTextureBytesFromMaterial } from '../extras/getTextureBytesFromMaterial'
+import { getImageSize } from '../extras/getImageSize'
+
+export const INSPECTED_TYPES = ['glb', 'vrm']
+
+// stats that can be given a budget, plus `size` (file size in bytes)
+export const BUDGET_KEYS = ['size', 'triangles', 'textureBytes', 'materials', 'meshes', 'bones']
+
+export const BudgetModes = {
+  WARN: 'warn', // assets over budget are accepted but the uploader is warned
+  REJECT: 'reject', // assets over budget are rejected
+}
+
+const defaultBudgets = { mode: BudgetModes.WARN }
+
+/**
+ * Server Inspector System
+ *
+ * - Runs on the server
+ * - Inspects glb/vrm assets when they are uploaded (or on demand) and records their triangles, texture bytes,
+ *   material/mesh/bone counts, animations and bounding box in the `asset_reports` table
+ * - Checks them against the world's budgets (stored in config as `assetBudgets`), see uploads.js
+ * - Textures aren't decoded on the server, their size is read from the image headers instead
+ *
+ */
+export class ServerInspector extends System {
+  constructor(world) {
+    super(world)
+    this.assets = null
+    this.budgets = defaultBudgets
+    this.running = false
+    this.gltfLoader = new GLTFLoader()
+    // ktx2 textures go through loadImageSource below too, the basisu extension only needs a loader to be set
+    this.gltfLoader.setKTX2Loader({})
+    // resolve images to an empty texture of the right size so getTextureBytesFromMaterial works without decoding
+    // (the default creates object urls with `self.URL`, which doesn't exist on the server)
+    this.gltfLoader.register(parser => {
+      parser.loadImageSource = sourceIndex => loadTextureSize(parser, sourceIndex)
+      return { name: 'HYP_texture_size' }
+    })
+  }
+
+  init({ db, assets }) {
+    this.db = db
+    this.worldId = db.userParams.worldId
+    this.assets = assets
+  }
+
+  async start() {
+    const row = await this.db('config').where({ worldId: this.worldId, key: 'assetBudgets' }).first()
+    this.budgets = { ...defaultBudgets, ...JSON.parse(row?.value || '{}') }
+  }
+
+  /**
+   * Returns the stats of a glb/vrm file
+   */
+  async analyze(buffer) {
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    const glb = await new Promise((resolve, reject) => {
+      this.gltfLoader.parse(arrayBuffer, '', resolve, reject)
+    })
+    const materials = new Set()
+    const bones = new Set()
+    let meshes = 0
+    let triangles = 0
+    glb.scene.traverse(obj => {
+      if (!obj.isMesh) return
+      meshes++
+      triangles += getTrianglesFromGeometry(obj.geometry)
+      for (const material of Array.isArray(obj.material) ? obj.material : [obj.material]) {
+        materials.add(material)
+      }
+      if (obj.isSkinnedMesh) {
+        for (const bone of obj.skeleton.bones) {
+          bones.add(bone)
+        }
+      }
+    })
+    let textureBytes = 0
+    for (const material of materials) {
+      textureBytes += getTextureBytesFromMaterial(material)
+    }
+    const box = new THREE.Box3().setFromObject(glb.scene)
+    return {
+      size: buffer.length,
+      triangles,
+      textureBytes,
+      materials: materials.size,
+      meshes,
+      bones: bones.size,
+      animations: glb.animations.map(clip => ({ name: clip.name, duration: Math.round(clip.duration * 1000) / 1000 })),
+      bounds: box.isEmpty() ? null : { min: box.min.toArray(), max: box.max.toArray() },
+    }
+  }
+
+  /**
+   * Returns the stats that are over the world's budgets as `[{ key, value, limit }]`
+   */
+  check(stats) {
+    const exceeded = []
+    for (const key of BUDGET_KEYS) {
+      const limit = this.budgets[key]
+      if (!isNumber(limit) || stats[key] <= limit) continue
+      exceeded.push({ key, value: stats[key], limit })
+    }
+    return exceeded
+  }
+
+  /**
+   * Analyzes an asset and checks it against the budgets (without recording it, see uploads.js)
+   */
+  async createReport(filename, buffer) {
+    const stats = await this.analyze(buffer)
+    return { filename, ...stats, exceeded: this.check(stats), createdAt: moment().toISOString() }
+  }
+
+  /**
+   * Analyzes a stored asset, checks it against the budgets and records the report
+   */
+  async inspect(filename) {
+    const report = await this.createReport(filename, await this.assets.read(filename))
+    await this.save(report)
+    return report
+  }
+
+  async save(report) {
+    await this.db('asset_reports')
+      .insert({
+        worldId: this.worldId,
+        ...pick(report, ['filename', 'size', 'triangles', 'textureBytes', 'materials', 'meshes', 'bones', 'createdAt']),
+        animations: JSON.stringify(report.animations),
+        bounds: JSON.stringify(report.bounds),
+        exceeded: JSON.stringify(report.exceeded),
+      })
+      .onConflict(['worldId', 'filename'])
+      .merge()
+  }
+
+  async get(filename) {
+    const row = await this.db('asset_reports').where({ worldId: this.worldId, filename }).first()
+    return row ? parseReport(row) : null
+  }
+
+  async list({ exceeded = false, limit = 100, offset = 0 } = {}) {
+    const query = this.db('asset_reports').where('worldId', this.worldId)
+    if (exceeded) query.whereNot('exceeded', '[]')
+    const rows = await query.orderBy('createdAt', 'desc').limit(limit).offset(offset)
+    return rows.map(parseReport)
+  }
+
+  /**
+   * Inspects every glb/vrm in asset storage that doesn't have a report yet (or all of them with `all`)
+   */
+  async inspectAll({ all = false } = {}) {
+    this.running = true
+    try {
+      return await this.inspectMissing(all)
+    } finally {
+      this.running = false
+    }
+  }
+
+  async inspectMissing(all) {
+    const reported = new Set()
+    if (!all) {
+      const rows = await this.db('asset_reports').where('worldId', this.worldId).select('filename')
+      for (const row of rows) reported.add(row.filename)
+    }
+    const result = { inspected: 0, exceeded: 0, failed: [] }
+    for (const asset of await this.assets.list()) {
+      const ext = asset.filename.split('.').pop().toLowerCase()
+      if (!INSPECTED_TYPES.includes(ext) || reported.has(asset.filename)) continue
+      try {
+        const report = await this.inspect(asset.filename)
+        result.inspected++
+        if (report.exceeded.length) result.exceeded++
+      } catch (err) {
+        console.error(`inspector: failed to inspect ${asset.filename} (${err.message})`)
+        result.failed.push(asset.filename)
+      }
+    }
+    return result
+  }
+
+  async setBudgets(budgets) {
+    this.budgets = { ...defaultBudgets, ...pick(budgets, ['mode', ...BUDGET_KEYS]) }
+    await this.db('config')
+      .insert({ worldId: this.worldId, key: 'assetBudgets', value: JSON.stringify(this.budgets) })
+      .onConflict(['worldId', 'key'])
+      .merge()
+    return this.budgets
+  }
+}
+
+async function loadTextureSize(parser, sourceIndex) {
+  const sourceDef = parser.json.images[sourceIndex]
+  if (sourceDef.bufferView === undefined) throw new Error('external images are not supported')
+  const buffer = await parser.getDependency('bufferView', sourceDef.bufferView)
+  const size = getImageSize(buffer)
+  if (!size) throw new Error('unknown image format')
+  return new THREE.Texture(size)
+}
+
+function parseReport(row) {
+  return {
+    filename: row.filename,
+    size: row.size,
+    triangles: row.triangles,
+    textureBytes: Number(row.textureBytes), // bigint columns come back as strings from postgres
+    materials: row.materials,
+    meshes: row.meshes,
+    bones: row.bones,
+    animations: JSON.parse(row.animations),
+    bounds: JSON.parse(row.bounds),
+    exceeded: JSON.parse(row.exceeded),
+    createdAt: moment(row.createdAt).toISOString(),
+  }
+}
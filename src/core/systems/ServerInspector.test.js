@@ -0,0 +1,137 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { BudgetModes, ServerInspector } from './ServerInspector'
+import { AssetsLocal } from '../../server/AssetsLocal'
+import { createDB, migrate } from '../../server/db'
+
+// just enough of a png for its size to be read (64x32)
+const png = Buffer.from('89504e470d0a1a0a0000000d494844520000004000000020080600000000000000', 'hex')
+
+// just enough of a ktx2 for its size to be read (128x128)
+const ktx2 = Buffer.alloc(28)
+Buffer.from('ab4b5458203230bb0d0a1a0a', 'hex').copy(ktx2)
+ktx2.writeUInt32LE(128, 20)
+ktx2.writeUInt32LE(128, 24)
+
+// a 1x2 quad with a png (or basisu) texture
+function createGLB({ image = png, basisu = false } = {}) {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 1, 2, 0, 0, 2, 0])
+  const indices = new Uint16Array([0, 1, 2, 0, 2, 3])
+  const bin = Buffer.concat([Buffer.from(positions.buffer), Buffer.from(indices.buffer), image])
+  const json = {
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorTexture: { index: 0 } } }],
+    textures: [basisu ? { extensions: { KHR_texture_basisu: { source: 0 } } } : { source: 0 }],
+    images: [{ bufferView: 2, mimeType: basisu ? 'image/ktx2' : 'image/png' }],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 4, type: 'VEC3', min: [0, 0, 0], max: [1, 2, 0] },
+      { bufferView: 1, componentType: 5123, count: 6, type: 'SCALAR' },
+    ],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 48 },
+      { buffer: 0, byteOffset: 48, byteLength: 12 },
+      { buffer: 0, byteOffset: 60, byteLength: image.length },
+    ],
+    buffers: [{ byteLength: bin.length }],
+  }
+  const chunk = (data, type, pad) => {
+    const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4, pad)])
+    const header = Buffer.alloc(8)
+    header.writeUInt32LE(padded.length, 0)
+    header.writeUInt32LE(type, 4)
+    return Buffer.concat([header, padded])
+  }
+  const chunks = Buffer.concat([chunk(Buffer.from(JSON.stringify(json)), 0x4e4f534a, 0x20), chunk(bin, 0x004e4942, 0)])
+  const header = Buffer.alloc(12)
+  header.write('glTF', 0)
+  header.writeUInt32LE(2, 4)
+  header.writeUInt32LE(12 + chunks.length, 8)
+  return Buffer.concat([header, chunks])
+}
+
+describe('ServerInspector', () => {
+  let dir
+  let db
+  let assets
+  let inspector
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inspector-'))
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    assets = new AssetsLocal({ dir: path.join(dir, 'assets'), quarantineDir: path.join(dir, 'quarantine') })
+    await assets.init()
+    inspector = new ServerInspector({})
+    inspector.init({ db, assets })
+    await inspector.start()
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+    await fs.remove(dir)
+    vi.restoreAllMocks()
+  })
+
+  it('analyzes models without decoding their textures', async () => {
+    const glb = createGLB()
+    expect(await inspector.analyze(glb)).toEqual({
+      size: glb.length,
+      triangles: 2,
+      textureBytes: 64 * 32 * 4,
+      materials: 1,
+      meshes: 1,
+      bones: 0,
+      animations: [],
+      bounds: { min: [0, 0, 0], max: [1, 2, 0] },
+    })
+    const compressed = await inspector.analyze(createGLB({ image: ktx2, basisu: true }))
+    expect(compressed.textureBytes).toBe(128 * 128 * 4)
+  })
+
+  it('checks reports against the budgets', async () => {
+    expect(inspector.budgets).toEqual({ mode: BudgetModes.WARN })
+    await inspector.setBudgets({ mode: BudgetModes.REJECT, triangles: 1, textureBytes: 10000, other: 1 })
+    const report = await inspector.createReport('model.glb', createGLB())
+    expect(report.exceeded).toEqual([{ key: 'triangles', value: 2, limit: 1 }])
+    // budgets are stored with the world
+    const loaded = new ServerInspector({})
+    loaded.init({ db, assets })
+    await loaded.start()
+    expect(loaded.budgets).toEqual({ mode: BudgetModes.REJECT, triangles: 1, textureBytes: 10000 })
+  })
+
+  it('stores and lists reports', async () => {
+    await inspector.setBudgets({ triangles: 1 })
+    await assets.put('model.glb', createGLB())
+    const report = await inspector.inspect('model.glb')
+    expect(await inspector.get('model.glb')).toEqual(report)
+    await inspector.setBudgets({})
+    await inspector.inspect('model.glb')
+    await inspector.save({ ...report, filename: 'other.glb', exceeded: [] })
+    expect((await inspector.list()).map(report => report.filename).sort()).toEqual(['model.glb', 'other.glb'])
+    await inspector.save({ ...report, filename: 'other.glb' })
+    expect((await inspector.list({ exceeded: true })).map(report => report.filename)).toEqual(['other.glb'])
+    expect(await inspector.get('missing.glb')).toBeNull()
+  })
+
+  it('inspects every model that has no report yet', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    await assets.put('a.glb', createGLB())
+    await assets.put('b.vrm', createGLB())
+    await assets.put('broken.glb', Buffer.from('not a model'))
+    await assets.put('image.png', png)
+    expect(await inspector.inspectAll()).toEqual({ inspected: 2, exceeded: 0, failed: ['broken.glb'] })
+    expect(inspector.running).toBe(false)
+    expect(await inspector.inspectAll()).toEqual({ inspected: 0, exceeded: 0, failed: ['broken.glb'] })
+    await inspector.setBudgets({ size: 10 })
+    expect(await inspector.inspectAll({ all: true })).toEqual({ inspected: 2, exceeded: 2, failed: ['broken.glb'] })
+  })
+})
@@ -0,0 +1,163 @@
+import { System } from './System'
+
+const PLAYER_RADIUS = parseFloat(process.env.INTEREST_PLAYER_RADIUS || '0') // meters, 0 = players are always relevant
+const APP_RADIUS = parseFloat(process.env.INTEREST_APP_RADIUS || '0') // meters, 0 = apps are always relevant
+const UPDATE_RATE = 0.5 // seconds between streaming entities in and out
+const HYSTERESIS = 1.2 // entities are streamed out a bit further away than they're streamed in so they don't flicker at the edge
+
+/**
+ * Server Interest System
+ *
+ * - Runs on the server
+ * - Only sends each client the players (`INTEREST_PLAYER_RADIUS`) and apps (`INTEREST_APP_RADIUS`) that are near their player,
+ *   measured horizontally. Disabled when neither is set.
+ * - Keeps track of the entities each client has, ServerNetwork.send drops updates and events for any others
+ * - Entities are streamed in (`entityAdded`) and out (`entityRemoved`) as players move around, using a spatial grid
+ * - Apps with an `alwaysRelevant` or `preload` blueprint are sent to everyone
+ *
+ */
+export class ServerInterest extends System {
+  constructor(world) {
+    super(world)
+    this.enabled = PLAYER_RADIUS > 0 || APP_RADIUS > 0
+    this.cellSize = Math.min(...[PLAYER_RADIUS, APP_RADIUS].filter(radius => radius > 0))
+    this.cellRange = Math.ceil((Math.max(PLAYER_RADIUS, APP_RADIUS) * HYSTERESIS) / this.cellSize)
+    this.grid = new Map() // cell key -> [entity]
+    this.always = [] // entities that are relevant to everyone
+    this.known = new Map() // socketId -> Set<entityId> the client has
+    this.intervalId = null
+  }
+
+  start() {
+    if (!this.enabled) return
+    this.intervalId = setInterval(() => this.refresh(), UPDATE_RATE * 1000)
+  }
+
+  /**
+   * Returns how close a player needs to be to an entity for it to be relevant, or 0 if it always is
+   */
+  getRadius(data) {
+    if (data.type === 'player') return PLAYER_RADIUS
+    const blueprint = this.world.blueprints.get(data.blueprint)
+    if (blueprint?.alwaysRelevant || blueprint?.preload) return 0
+    return APP_RADIUS
+  }
+
+  isRelevant(socket, data, scale = 1) {
+    if (data.id === socket.player.data.id) return true
+    const radius = this.getRadius(data)
+    if (!radius) return true
+    const from = socket.player.data.position
+    const to = data.position
+    const dx = to[0] - from[0]
+    const dz = to[2] - from[2]
+    const max = radius * scale
+    return dx * dx + dz * dz <= max * max
+  }
+
+  getCellKey(x, z) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(z / this.cellSize)}`
+  }
+
+  rebuildGrid() {
+    this.grid.clear()
+    this.always.length = 0
+    for (const entity of this.world.entities.items.values()) {
+      if (!this.getRadius(entity.data)) {
+        this.always.push(entity)
+        continue
+      }
+      const position = entity.data.position
+      const key = this.getCellKey(position[0], position[2])
+      let cell = this.grid.get(key)
+      if (!cell) {
+        cell = []
+        this.grid.set(key, cell)
+      }
+      cell.push(entity)
+    }
+  }
+
+  /**
+   * Streams entities in and out for every client based on where their player is now
+   */
+  refresh() {
+    this.rebuildGrid()
+    for (const socket of this.world.network.sockets.values()) {
+      const known = this.known.get(socket.id)
+      if (!known) continue
+      // stream out
+      for (const id of known) {
+        const entity = this.world.entities.get(id)
+        if (entity && this.isRelevant(socket, entity.data, HYSTERESIS)) continue
+        known.delete(id)
+        if (entity) socket.send('entityRemoved', id)
+      }
+      // stream in
+      const add = entity => {
+        if (known.has(entity.data.id) || !this.isRelevant(socket, entity.data)) return
+        known.add(entity.data.id)
+        socket.send('entityAdded', entity.serialize())
+      }
+      for (const entity of this.always) {
+        add(entity)
+      }
+      const position = socket.player.data.position
+      const cx = Math.floor(position[0] / this.cellSize)
+      const cz = Math.floor(position[2] / this.cellSize)
+      for (let x = cx - this.cellRange; x <= cx + this.cellRange; x++) {
+        for (let z = cz - this.cellRange; z <= cz + this.cellRange; z++) {
+          const cell = this.grid.get(`${x},${z}`)
+          if (!cell) continue
+          for (const entity of cell) {
+            add(entity)
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the entities a new client starts with, and starts keeping track of them
+   */
+  getSnapshot(socket) {
+    const entities = []
+    const known = new Set()
+    for (const entity of this.world.entities.items.values()) {
+      if (this.enabled && !this.isRelevant(socket, entity.data)) continue
+      known.add(entity.data.id)
+      entities.push(entity.serialize())
+    }
+    if (this.enabled) this.known.set(socket.id, known)
+    return entities
+  }
+
+  /**
+   * Whether a packet that ServerNetwork is broadcasting should go to a client, keeping track of the entities it has.
+   * The `sender` of a packet already has the change, so it's only tracked.
+   */
+  track(socket, name, data, sender) {
+    if (!this.enabled) return true
+    const known = this.known.get(socket.id)
+    if (!known) return true
+    if (name === 'entityAdded') {
+      if (!sender && !this.isRelevant(socket, data)) return false
+      known.add(data.id)
+      return true
+    }
+    if (name === 'entityRemoved') return known.delete(data)
+    if (name === 'entityModified') return known.has(data.id)
+    if (name === 'entityEvent') return known.has(data[0])
+    return true
+  }
+
+  onDisconnect(socket) {
+    this.known.delete(socket.id)
+  }
+
+  destroy() {
+    clearInterval(this.intervalId)
+    this.known.clear()
+    this.grid.clear()
+  }
+}
@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+describe('ServerInterest', () => {
+  let world
+  let entities
+  let blueprints
+  let interest
+
+  // the radii are read when the module is loaded
+  async function load(env = {}) {
+    for (const key in env) vi.stubEnv(key, env[key])
+    vi.resetModules()
+    const { ServerInterest } = await import('./ServerInterest')
+    interest = new ServerInterest(world)
+  }
+
+  function addEntity(data) {
+    const entity = { data, serialize: () => ({ ...data }) }
+    entities.set(data.id, entity)
+    return entity
+  }
+
+  function connect(id, position) {
+    const player = addEntity({ id, type: 'player', position })
+    const socket = { id: `socket-${id}`, player, send: vi.fn() }
+    world.network.sockets.set(socket.id, socket)
+    return socket
+  }
+
+  // the ids of the entities a snapshot has
+  function getSnapshot(socket) {
+    return interest.getSnapshot(socket).map(data => data.id)
+  }
+
+  // the entities a client was sent or told to remove since the last call
+  function getStreamed(socket) {
+    const streamed = { added: [], removed: [] }
+    for (const [name, data] of socket.send.mock.calls) {
+      if (name === 'entityAdded') streamed.added.push(data.id)
+      if (name === 'entityRemoved') streamed.removed.push(data)
+    }
+    socket.send.mockClear()
+    return streamed
+  }
+
+  beforeEach(async () => {
+    entities = new Map()
+    blueprints = new Map([
+      ['bp1', { id: 'bp1' }],
+      ['always', { id: 'always', alwaysRelevant: true }],
+      ['preload', { id: 'preload', preload: true }],
+    ])
+    world = {
+      entities: { items: entities, get: id => entities.get(id) },
+      blueprints: { get: id => blueprints.get(id) },
+      network: { sockets: new Map() },
+    }
+    await load({ INTEREST_PLAYER_RADIUS: '50', INTEREST_APP_RADIUS: '100' })
+  })
+
+  afterEach(() => {
+    interest.destroy()
+    vi.useRealTimers()
+    vi.unstubAllEnvs()
+  })
+
+  it('sends everything when it is disabled', async () => {
+    await load({ INTEREST_PLAYER_RADIUS: '', INTEREST_APP_RADIUS: '' })
+    expect(interest.enabled).toBe(false)
+    const socket = connect('p1', [0, 0, 0])
+    addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [1000, 0, 0] })
+    expect(getSnapshot(socket)).toEqual(['p1', 'app1'])
+    expect(interest.track(socket, 'entityModified', { id: 'app2' })).toBe(true)
+    expect(interest.known.size).toBe(0)
+  })
+
+  it('only snapshots nearby entities', () => {
+    const socket = connect('p1', [0, 0, 0])
+    connect('p2', [30, 0, 40])
+    connect('p3', [40, 0, 40])
+    addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [0, 500, 99] })
+    addEntity({ id: 'app2', type: 'app', blueprint: 'bp1', position: [101, 0, 0] })
+    addEntity({ id: 'app3', type: 'app', blueprint: 'always', position: [1000, 0, 0] })
+    addEntity({ id: 'app4', type: 'app', blueprint: 'preload', position: [-1000, 0, 0] })
+    // distances are measured horizontally
+    expect(getSnapshot(socket)).toEqual(['p1', 'p2', 'app1', 'app3', 'app4'])
+    expect([...interest.known.get(socket.id)]).toEqual(['p1', 'p2', 'app1', 'app3', 'app4'])
+  })
+
+  it('only lets clients have updates for entities they know about', () => {
+    const socket = connect('p1', [0, 0, 0])
+    addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [0, 0, 0] })
+    addEntity({ id: 'app2', type: 'app', blueprint: 'bp1', position: [500, 0, 0] })
+    // clients that haven't had a snapshot yet get everything
+    expect(interest.track(socket, 'entityModified', { id: 'app2' })).toBe(true)
+    getSnapshot(socket)
+    expect(interest.track(socket, 'entityModified', { id: 'app1' })).toBe(true)
+    expect(interest.track(socket, 'entityModified', { id: 'app2' })).toBe(false)
+    expect(interest.track(socket, 'entityEvent', ['app1', 0, 'open'])).toBe(true)
+    expect(interest.track(socket, 'entityEvent', ['app2', 0, 'open'])).toBe(false)
+    expect(interest.track(socket, 'chatAdded', { body: 'hi' })).toBe(true)
+    // new entities are only sent when they're nearby, unless the client added it
+    expect(interest.track(socket, 'entityAdded', { id: 'app3', type: 'app', position: [500, 0, 0] })).toBe(false)
+    expect(interest.track(socket, 'entityAdded', { id: 'app3', type: 'app', position: [500, 0, 0] }, true)).toBe(true)
+    expect(interest.track(socket, 'entityModified', { id: 'app3' })).toBe(true)
+    expect(interest.track(socket, 'entityAdded', { id: 'app4', type: 'app', position: [10, 0, 0] })).toBe(true)
+    expect(interest.track(socket, 'entityRemoved', 'app4')).toBe(true)
+    expect(interest.track(socket, 'entityRemoved', 'app4')).toBe(false)
+    expect(interest.track(socket, 'entityRemoved', 'app2')).toBe(false)
+    interest.onDisconnect(socket)
+    expect(interest.known.has(socket.id)).toBe(false)
+  })
+
+  it('streams entities in and out as players move', () => {
+    const socket = connect('p1', [0, 0, 0])
+    const app = addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [90, 0, 0] })
+    addEntity({ id: 'app2', type: 'app', blueprint: 'bp1', position: [300, 0, 0] })
+    addEntity({ id: 'app3', type: 'app', blueprint: 'always', position: [5000, 0, 5000] })
+    expect(getSnapshot(socket)).toEqual(['p1', 'app1', 'app3'])
+    socket.player.data.position = [250, 0, 0]
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: ['app2'], removed: ['app1'] })
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: [], removed: [] })
+    // entities that are moved are streamed too
+    app.data.position = [260, 0, 10]
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: ['app1'], removed: [] })
+    // removed entities are forgotten without telling the client again
+    entities.delete('app1')
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: [], removed: [] })
+    expect(interest.known.get(socket.id).has('app1')).toBe(false)
+  })
+
+  it('streams entities out a bit further away than they are streamed in', () => {
+    const socket = connect('p1', [0, 0, 0])
+    addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [0, 0, 0] })
+    getSnapshot(socket)
+    socket.player.data.position = [110, 0, 0]
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: [], removed: [] })
+    socket.player.data.position = [121, 0, 0]
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: [], removed: ['app1'] })
+    socket.player.data.position = [110, 0, 0]
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: [], removed: [] })
+    socket.player.data.position = [99, 0, 0]
+    interest.refresh()
+    expect(getStreamed(socket)).toEqual({ added: ['app1'], removed: [] })
+  })
+
+  it('refreshes while running', async () => {
+    vi.useFakeTimers()
+    const socket = connect('p1', [0, 0, 0])
+    addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [300, 0, 0] })
+    getSnapshot(socket)
+    interest.start()
+    socket.player.data.position = [300, 0, 0]
+    await vi.advanceTimersByTimeAsync(500)
+    expect(getStreamed(socket)).toEqual({ added: ['app1'], removed: [] })
+  })
+})
@@ -0,0 +1,148 @@
+import moment from 'moment'
+
+import { System } from './System'
+import { hashFile } from '../utils-server'
+import { generateLODs } from '../extras/generateLODs'
+
+const LOD_GENERATION = process.env.LOD_GENERATION !== 'false'
+const LOD_MIN_TRIANGLES = parseInt(process.env.LOD_MIN_TRIANGLES || '20000')
+
+export const LODStatus = {
+  PENDING: 'pending', // queued or being generated
+  DONE: 'done', // `lodFilename` is the generated model
+  SKIPPED: 'skipped', // nothing in the model could be simplified
+  FAILED: 'failed', // see `error`
+}
+
+/**
+ * Server LOD Generator System
+ *
+ * - Runs on the server
+ * - Generates a copy of high poly glb uploads (at least `LOD_MIN_TRIANGLES`) with simplified `lod` levels, see generateLODs
+ * - Jobs run one at a time in the background and are recorded in the `asset_lods` table, pending jobs resume after a restart
+ * - Builders can opt a blueprint into the generated model (and back out again), see lods.js
+ *
+ */
+export class ServerLODGenerator extends System {
+  constructor(world) {
+    super(world)
+    this.assets = null
+    this.queue = []
+    this.running = false
+    this.destroyed = false
+  }
+
+  init({ db, assets }) {
+    this.db = db
+    this.worldId = db.userParams.worldId
+    this.assets = assets
+  }
+
+  async start() {
+    const rows = await this.db('asset_lods').where({ worldId: this.worldId, status: LODStatus.PENDING })
+    for (const row of rows) {
+      this.queue.push(row.filename)
+    }
+    this.process()
+  }
+
+  /**
+   * Whether an upload should get lods, from its inspector report
+   */
+  shouldGenerate(report) {
+    return LOD_GENERATION && report?.triangles >= LOD_MIN_TRIANGLES
+  }
+
+  /**
+   * Queues a (stored) glb for lod generation, replacing any previous result
+   */
+  async request(filename) {
+    const now = moment().toISOString()
+    await this.db('asset_lods')
+      .insert({
+        worldId: this.worldId,
+        filename,
+        status: LODStatus.PENDING,
+        lodFilename: null,
+        triangles: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+      })
+      .onConflict(['worldId', 'filename'])
+      .merge(['status', 'lodFilename', 'triangles', 'error', 'updatedAt'])
+    if (!this.queue.includes(filename)) this.queue.push(filename)
+    this.process()
+    return this.get(filename)
+  }
+
+  async process() {
+    if (this.running) return
+    this.running = true
+    while (this.queue.length && !this.destroyed) {
+      await this.generate(this.queue.shift())
+    }
+    this.running = false
+  }
+
+  async generate(filename) {
+    const startTime = performance.now()
+    try {
+      const result = await generateLODs(await this.assets.read(filename))
+      // the world was unloaded part way through, it will be picked up again when it next starts
+      if (this.destroyed) return
+      if (!result) {
+        await this.update(filename, { status: LODStatus.SKIPPED })
+        return
+      }
+      const buffer = Buffer.from(result.buffer.buffer, result.buffer.byteOffset, result.buffer.byteLength)
+      const lodFilename = `${await hashFile(buffer)}.glb`
+      await this.assets.put(lodFilename, buffer)
+      await this.update(filename, {
+        status: LODStatus.DONE,
+        lodFilename,
+        triangles: JSON.stringify(result.triangles),
+      })
+      const time = Math.round(performance.now() - startTime)
+      console.log(
+        `lods: generated ${lodFilename} from ${filename} (${result.triangles.join('/')} triangles, ${time}ms)`
+      )
+    } catch (err) {
+      if (this.destroyed) return
+      console.error(`lods: failed to generate lods for ${filename} (${err.message})`)
+      await this.update(filename, { status: LODStatus.FAILED, error: err.message }).catch(console.error)
+    }
+  }
+
+  async update(filename, data) {
+    await this.db('asset_lods')
+      .where({ worldId: this.worldId, filename })
+      .update({ ...data, updatedAt: moment().toISOString() })
+  }
+
+  /**
+   * Returns the lod job for a model, looked up by either the original or the generated filename
+   */
+  async get(filename) {
+    const row = await this.db('asset_lods')
+      .where('worldId', this.worldId)
+      .andWhere(query => query.where('filename', filename).orWhere('lodFilename', filename))
+      .first()
+    if (!row) return null
+    return {
+      filename: row.filename,
+      status: row.status,
+      url: `asset://${row.filename}`,
+      lodUrl: row.lodFilename ? `asset://${row.lodFilename}` : null,
+      triangles: row.triangles ? JSON.parse(row.triangles) : null,
+      error: row.error,
+      createdAt: moment(row.createdAt).toISOString(),
+      updatedAt: moment(row.updatedAt).toISOString(),
+    }
+  }
+
+  destroy() {
+    this.destroyed = true
+    this.queue = []
+  }
+}
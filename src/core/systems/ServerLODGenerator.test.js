@@ -0,0 +1,142 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { LODStatus, ServerLODGenerator } from './ServerLODGenerator'
+import { generateLODs } from '../extras/generateLODs'
+import { AssetsLocal } from '../../server/AssetsLocal'
+import { createDB, migrate } from '../../server/db'
+import { hashFile } from '../utils-server'
+
+// generateLODs has its own tests, these only cover the jobs around it
+vi.mock('../extras/generateLODs', () => ({ generateLODs: vi.fn() }))
+
+describe('ServerLODGenerator', () => {
+  let dir
+  let db
+  let assets
+  let generator
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lods-'))
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    assets = new AssetsLocal({ dir: path.join(dir, 'assets'), quarantineDir: path.join(dir, 'quarantine') })
+    await assets.init()
+    await assets.put('model.glb', Buffer.from('model'))
+    generator = new ServerLODGenerator({})
+    generator.init({ db, assets })
+    await generator.start()
+  })
+
+  afterEach(async () => {
+    generator.destroy()
+    await db.destroy()
+    await fs.remove(dir)
+    vi.resetAllMocks()
+    vi.restoreAllMocks()
+    vi.unstubAllEnvs()
+  })
+
+  async function waitFor(filename) {
+    let lods
+    await vi.waitFor(async () => {
+      lods = await generator.get(filename)
+      expect(lods.status).not.toBe(LODStatus.PENDING)
+    })
+    return lods
+  }
+
+  it('only generates lods for high poly models', async () => {
+    expect(generator.shouldGenerate({ triangles: 20000 })).toBe(true)
+    expect(generator.shouldGenerate({ triangles: 19999 })).toBe(false)
+    expect(generator.shouldGenerate(null)).toBe(false)
+    // the settings are read when the module is loaded
+    vi.stubEnv('LOD_GENERATION', 'false')
+    vi.resetModules()
+    const disabled = new (await import('./ServerLODGenerator')).ServerLODGenerator({})
+    expect(disabled.shouldGenerate({ triangles: 100000 })).toBe(false)
+    vi.stubEnv('LOD_GENERATION', 'true')
+    vi.stubEnv('LOD_MIN_TRIANGLES', '100')
+    vi.resetModules()
+    const lower = new (await import('./ServerLODGenerator')).ServerLODGenerator({})
+    expect(lower.shouldGenerate({ triangles: 100 })).toBe(true)
+  })
+
+  it('stores the generated model', async () => {
+    const buffer = new Uint8Array(Buffer.from('simplified'))
+    generateLODs.mockResolvedValue({ buffer, meshes: 1, triangles: [100, 35, 10] })
+    expect(await generator.request('model.glb')).toMatchObject({ filename: 'model.glb', status: LODStatus.PENDING })
+    const lodFilename = `${await hashFile(Buffer.from('simplified'))}.glb`
+    expect(await waitFor('model.glb')).toMatchObject({
+      filename: 'model.glb',
+      status: LODStatus.DONE,
+      url: 'asset://model.glb',
+      lodUrl: `asset://${lodFilename}`,
+      triangles: [100, 35, 10],
+      error: null,
+    })
+    expect(generateLODs).toHaveBeenCalledWith(Buffer.from('model'))
+    expect((await assets.read(lodFilename)).toString()).toBe('simplified')
+    // the job can be found from the generated model too
+    expect(await generator.get(lodFilename)).toMatchObject({ filename: 'model.glb', status: LODStatus.DONE })
+    expect(await generator.get('other.glb')).toBe(null)
+  })
+
+  it('records models that are skipped or fail', async () => {
+    generateLODs.mockResolvedValue(null)
+    await generator.request('model.glb')
+    expect(await waitFor('model.glb')).toMatchObject({ status: LODStatus.SKIPPED, lodUrl: null, triangles: null })
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    generateLODs.mockRejectedValue(new Error('KHR_draco_mesh_compression is not supported'))
+    await generator.request('model.glb')
+    expect(await waitFor('model.glb')).toMatchObject({
+      status: LODStatus.FAILED,
+      error: 'KHR_draco_mesh_compression is not supported',
+    })
+    // a missing file fails the same way
+    await generator.request('missing.glb')
+    expect(await waitFor('missing.glb')).toMatchObject({ status: LODStatus.FAILED })
+  })
+
+  it('replaces previous results when requested again', async () => {
+    generateLODs.mockResolvedValue({ buffer: new Uint8Array([1]), meshes: 1, triangles: [100, 10] })
+    await generator.request('model.glb')
+    await waitFor('model.glb')
+    generateLODs.mockResolvedValue(null)
+    await generator.request('model.glb')
+    expect(await waitFor('model.glb')).toMatchObject({ status: LODStatus.SKIPPED, lodUrl: null, triangles: null })
+    expect(await db('asset_lods').count({ count: '*' }).first()).toEqual({ count: 1 })
+  })
+
+  it('resumes pending jobs when it starts', async () => {
+    const now = new Date().toISOString()
+    await db('asset_lods').insert({
+      worldId: 'world1',
+      filename: 'model.glb',
+      status: LODStatus.PENDING,
+      createdAt: now,
+      updatedAt: now,
+    })
+    generateLODs.mockResolvedValue(null)
+    const restarted = new ServerLODGenerator({})
+    restarted.init({ db, assets })
+    await restarted.start()
+    expect(await waitFor('model.glb')).toMatchObject({ status: LODStatus.SKIPPED })
+    restarted.destroy()
+  })
+
+  it('leaves jobs pending when the world is unloaded part way through', async () => {
+    let resolve
+    generateLODs.mockReturnValue(new Promise(r => (resolve = r)))
+    await generator.request('model.glb')
+    generator.destroy()
+    resolve({ buffer: new Uint8Array([1]), meshes: 1, triangles: [100, 10] })
+    await new Promise(r => setTimeout(r, 10))
+    expect(generateLODs).toHaveBeenCalled()
+    expect(await generator.get('model.glb')).toMatchObject({ status: LODStatus.PENDING })
+    expect((await assets.list()).map(asset => asset.filename)).toEqual(['model.glb'])
+  })
+})
@@ -1,4 +1,4 @@
-import { AccessToken, TrackSource } from 'livekit-server-sdk'
+import { AccessToken, RoomServiceClient, TrackSource } from 'livekit-server-sdk'
 
 import { System } from './System'
 import { uuid } from '../utils'
@@ -11,6 +11,7 @@ export class ServerLiveKit extends System {
     this.apiKey = process.env.LIVEKIT_API_KEY
     this.apiSecret = process.env.LIVEKIT_API_SECRET
     this.enabled = this.wsUrl && this.apiKey && this.apiSecret
+    this.rooms = this.enabled ? new RoomServiceClient(this.wsUrl, this.apiKey, this.apiSecret) : null
   }
 
   async getPlayerOpts(playerId) {
@@ -22,7 +23,7 @@ export class ServerLiveKit extends System {
       room: this.roomId,
       roomJoin: true,
       canSubscribe: true,
-      canPublish: true,
+      canPublish: !this.world.moderation.isMuted(playerId),
       canPublishSources: [TrackSource.MICROPHONE, TrackSource.SCREEN_SHARE, TrackSource.SCREEN_SHARE_AUDIO],
       canUpdateOwnMetadata: true,
     }
@@ -33,4 +34,17 @@ export class ServerLiveKit extends System {
       token,
     }
   }
+
+  /**
+   * Grants or revokes a connected player's rights to publish their microphone and screen (eg when muted)
+   */
+  async setCanPublish(playerId, canPublish) {
+    if (!this.enabled) return
+    try {
+      await this.rooms.updateParticipant(this.roomId, playerId, undefined, { canPublish, canSubscribe: true })
+    } catch (err) {
+      // not in the voice room (yet), their next token will have the right permissions
+      if (err.status !== 404) console.error('[livekit] setCanPublish failed', err.message)
+    }
+  }
 }
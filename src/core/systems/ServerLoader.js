@@ -1,5 +1,4 @@
 import fs from 'fs-extra'
-import path from 'path'
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader.js'
 // import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
 import { GLTFLoader } from '../libs/gltfloader/GLTFLoader.js'
@@ -21,9 +20,7 @@ import { createEmoteFactory } from '../extras/createEmoteFactory'
 export class ServerLoader extends System {
   constructor(world) {
     super(world)
-    const rootDir = process.env.STORAGE_PATH || path.join(__dirname, '../')
-    const dataVolumeName = process.env.STORAGE_DIRNAME || 'world'
-    this.assetsDir = path.join(rootDir, `${dataVolumeName}/assets`)
+    this.assets = null
     this.promises = new Map()
     this.results = new Map()
     this.rgbeLoader = new RGBELoader()
@@ -39,6 +36,10 @@ export class ServerLoader extends System {
     }
   }
 
+  init({ assets }) {
+    this.assets = assets
+  }
+
   start() {
     // ...
   }
@@ -65,6 +66,10 @@ export class ServerLoader extends System {
   }
 
   async fetchArrayBuffer(url) {
+    if (url.startsWith('asset://')) {
+      const buffer = await this.assets.read(url.slice(8))
+      return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    }
     const isRemote = url.startsWith('http://') || url.startsWith('https://')
     if (isRemote) {
       const response = await fetch(url)
@@ -78,6 +83,10 @@ export class ServerLoader extends System {
   }
 
   async fetchText(url) {
+    if (url.startsWith('asset://')) {
+      const buffer = await this.assets.read(url.slice(8))
+      return buffer.toString('utf8')
+    }
     const isRemote = url.startsWith('http://') || url.startsWith('https://')
     if (isRemote) {
       const response = await fetch(url)
@@ -94,7 +103,10 @@ export class ServerLoader extends System {
     if (this.promises.has(key)) {
       return this.promises.get(key)
     }
-    url = this.world.resolveURL(url, true)
+    // assets are read straight from asset storage
+    if (!url.startsWith('asset://')) {
+      url = this.world.resolveURL(url, true)
+    }
 
     let promise
     if (type === 'hdr') {
@@ -0,0 +1,190 @@
+import moment from 'moment'
+
+import { System } from './System'
+import { uuid } from '../utils'
+
+const BAN_IP_CHECK = process.env.BAN_IP_CHECK === 'true'
+const EXPIRE_RATE = 10 // seconds
+
+const DURATION_REGEX = /^(\d+)([mhd])$/ // eg 30m, 2h, 7d
+
+/**
+ * Parses a duration like `30m`, `2h` or `7d` into a moment duration (or null if it isn't one)
+ */
+export function parseDuration(str) {
+  const match = DURATION_REGEX.exec(str || '')
+  if (!match) return null
+  return moment.duration(parseInt(match[1]), match[2])
+}
+
+/**
+ * Server Moderation System
+ *
+ * - Runs on the server
+ * - Kicks, bans and mutes players (see the `/kick`, `/ban`, `/unban`, `/mute` and `/unmute` commands)
+ * - Bans are stored in the `bans` table and checked when a player connects, by user id and
+ *   optionally by ip address (`BAN_IP_CHECK`) so that banned players can't come back as a new anonymous user
+ * - Mutes are stored in the `mutes` table, muted players can't chat and lose their voice chat publish rights
+ *
+ */
+export class ServerModeration extends System {
+  constructor(world) {
+    super(world)
+    this.mutes = new Map() // userId -> expiresAt (ms) or null for permanent
+    this.expireIntervalId = null
+  }
+
+  init({ db }) {
+    this.db = db
+    this.worldId = db.userParams.worldId
+  }
+
+  async start() {
+    const rows = await this.db('mutes').where('worldId', this.worldId)
+    for (const row of rows) {
+      this.mutes.set(row.userId, row.expiresAt ? moment(row.expiresAt).valueOf() : null)
+    }
+    this.expireIntervalId = setInterval(this.expire, EXPIRE_RATE * 1000)
+  }
+
+  /**
+   * Disconnects a connected player, showing them the reason. Returns false if they aren't connected.
+   */
+  kick(userId, reason) {
+    const socket = this.world.network.sockets.get(userId)
+    if (!socket) return false
+    socket.send('kick', { code: 'kicked', reason: reason || null })
+    socket.ws.close()
+    return true
+  }
+
+  /**
+   * Bans a user, optionally for a duration (see parseDuration), and kicks them if they're connected
+   */
+  async ban(userId, { duration, reason, createdBy } = {}) {
+    const socket = this.world.network.sockets.get(userId)
+    const expiresAt = duration ? moment().add(duration).toISOString() : null
+    const data = {
+      ip: BAN_IP_CHECK ? socket?.ip || null : null,
+      reason: reason || null,
+      createdBy: createdBy || null,
+      expiresAt,
+      createdAt: moment().toISOString(),
+    }
+    await this.db('bans')
+      .insert({ worldId: this.worldId, userId, ...data })
+      .onConflict(['worldId', 'userId'])
+      .merge()
+    if (socket) {
+      socket.send('kick', { code: 'banned', reason: data.reason, expiresAt })
+      socket.ws.close()
+    }
+    return { userId, ...data }
+  }
+
+  /**
+   * Lifts a ban. Returns false if the user wasn't banned.
+   */
+  async unban(userId) {
+    const deleted = await this.db('bans').where({ worldId: this.worldId, userId }).delete()
+    return deleted > 0
+  }
+
+  /**
+   * Returns the active ban for a user (or their ip address when `BAN_IP_CHECK` is enabled)
+   */
+  async getBan(userId, ip) {
+    const now = moment().toISOString()
+    const ban = await this.db('bans')
+      .where('worldId', this.worldId)
+      .where(query => {
+        query.where('userId', userId)
+        if (BAN_IP_CHECK && ip) query.orWhere('ip', ip)
+      })
+      .where(query => query.whereNull('expiresAt').orWhere('expiresAt', '>', now))
+      .first()
+    if (!ban) return null
+    return {
+      userId: ban.userId,
+      reason: ban.reason,
+      expiresAt: ban.expiresAt ? moment(ban.expiresAt).toISOString() : null,
+    }
+  }
+
+  async getBans() {
+    const now = moment().toISOString()
+    const rows = await this.db('bans')
+      .where('worldId', this.worldId)
+      .where(query => query.whereNull('expiresAt').orWhere('expiresAt', '>', now))
+      .orderBy('createdAt', 'desc')
+    return rows.map(row => ({
+      userId: row.userId,
+      ip: row.ip,
+      reason: row.reason,
+      createdBy: row.createdBy,
+      expiresAt: row.expiresAt ? moment(row.expiresAt).toISOString() : null,
+      createdAt: moment(row.createdAt).toISOString(),
+    }))
+  }
+
+  isMuted(userId) {
+    if (!this.mutes.has(userId)) return false
+    const expiresAt = this.mutes.get(userId)
+    return !expiresAt || expiresAt > Date.now()
+  }
+
+  /**
+   * Stops a user from chatting (and publishing voice), optionally for a duration (see parseDuration)
+   */
+  async mute(userId, { duration, createdBy } = {}) {
+    const expiresAt = duration ? moment().add(duration) : null
+    await this.db('mutes')
+      .insert({
+        worldId: this.worldId,
+        userId,
+        createdBy: createdBy || null,
+        expiresAt: expiresAt?.toISOString() || null,
+        createdAt: moment().toISOString(),
+      })
+      .onConflict(['worldId', 'userId'])
+      .merge()
+    this.mutes.set(userId, expiresAt ? expiresAt.valueOf() : null)
+    await this.world.livekit.setCanPublish(userId, false)
+    return { userId, expiresAt: expiresAt?.toISOString() || null }
+  }
+
+  /**
+   * Lets a muted user chat again. Returns false if they weren't muted.
+   */
+  async unmute(userId) {
+    if (!this.mutes.has(userId)) return false
+    this.mutes.delete(userId)
+    await this.db('mutes').where({ worldId: this.worldId, userId }).delete()
+    await this.world.livekit.setCanPublish(userId, true)
+    return true
+  }
+
+  expire = async () => {
+    const now = Date.now()
+    for (const [userId, expiresAt] of this.mutes) {
+      if (!expiresAt || expiresAt > now) continue
+      try {
+        await this.unmute(userId)
+        this.world.network.sendTo(userId, 'chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body: 'You are no longer muted',
+          createdAt: moment().toISOString(),
+        })
+      } catch (err) {
+        console.error(err)
+      }
+    }
+  }
+
+  destroy() {
+    clearInterval(this.expireIntervalId)
+    this.mutes.clear()
+  }
+}
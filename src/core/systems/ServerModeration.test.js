@@ -0,0 +1,155 @@
+import moment from 'moment'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { parseDuration } from './ServerModeration'
+import { createDB, migrate } from '../../server/db'
+
+describe('parseDuration', () => {
+  it('parses minutes, hours and days', () => {
+    expect(parseDuration('30m').asMinutes()).toBe(30)
+    expect(parseDuration('2h').asHours()).toBe(2)
+    expect(parseDuration('7d').asDays()).toBe(7)
+    expect(parseDuration('2w')).toBe(null)
+    expect(parseDuration('1.5h')).toBe(null)
+    expect(parseDuration('h')).toBe(null)
+    expect(parseDuration('spamming')).toBe(null)
+    expect(parseDuration(undefined)).toBe(null)
+  })
+})
+
+describe('ServerModeration', () => {
+  let db
+  let world
+  let moderation
+  let sockets
+
+  function createSocket(id, ip) {
+    const socket = { id, ip, send: vi.fn(), ws: { close: vi.fn() } }
+    sockets.set(id, socket)
+    return socket
+  }
+
+  // BAN_IP_CHECK is read when the module is loaded
+  async function load(env = {}) {
+    for (const key in env) vi.stubEnv(key, env[key])
+    vi.resetModules()
+    const { ServerModeration } = await import('./ServerModeration')
+    moderation = new ServerModeration(world)
+    moderation.init({ db })
+    await moderation.start()
+  }
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date', 'setInterval', 'clearInterval'] })
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    sockets = new Map()
+    world = {
+      network: { sockets, sendTo: vi.fn() },
+      livekit: { setCanPublish: vi.fn(async () => {}) },
+    }
+    await load()
+  })
+
+  afterEach(async () => {
+    moderation.destroy()
+    await db.destroy()
+    vi.useRealTimers()
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  it('kicks connected players', () => {
+    const socket = createSocket('user1')
+    expect(moderation.kick('user1', 'spamming')).toBe(true)
+    expect(socket.send).toHaveBeenCalledWith('kick', { code: 'kicked', reason: 'spamming' })
+    expect(socket.ws.close).toHaveBeenCalled()
+    expect(moderation.kick('user2')).toBe(false)
+  })
+
+  it('bans users until they are unbanned or the ban expires', async () => {
+    const socket = createSocket('user1')
+    const ban = await moderation.ban('user1', {
+      duration: moment.duration(2, 'h'),
+      reason: 'griefing',
+      createdBy: 'mod',
+    })
+    expect(ban).toMatchObject({ userId: 'user1', reason: 'griefing', createdBy: 'mod', ip: null })
+    expect(ban.expiresAt).toBe('2026-01-01T02:00:00.000Z')
+    expect(socket.send).toHaveBeenCalledWith('kick', {
+      code: 'banned',
+      reason: 'griefing',
+      expiresAt: '2026-01-01T02:00:00.000Z',
+    })
+    expect(socket.ws.close).toHaveBeenCalled()
+    await moderation.ban('user2')
+    expect(await moderation.getBan('user1')).toEqual({
+      userId: 'user1',
+      reason: 'griefing',
+      expiresAt: '2026-01-01T02:00:00.000Z',
+    })
+    expect((await moderation.getBans()).map(ban => ban.userId).sort()).toEqual(['user1', 'user2'])
+    // banning again replaces the ban
+    await moderation.ban('user2', { duration: moment.duration(30, 'm') })
+    expect((await moderation.getBan('user2')).expiresAt).toBe('2026-01-01T00:30:00.000Z')
+
+    vi.setSystemTime(new Date('2026-01-01T03:00:00Z'))
+    expect(await moderation.getBan('user1')).toBe(null)
+    expect(await moderation.getBans()).toEqual([])
+
+    await moderation.ban('user3')
+    expect(await moderation.unban('user3')).toBe(true)
+    expect(await moderation.unban('user3')).toBe(false)
+    expect(await moderation.getBan('user3')).toBe(null)
+  })
+
+  it('only checks ip addresses when enabled', async () => {
+    createSocket('user1', '1.2.3.4')
+    await moderation.ban('user1')
+    expect(await moderation.getBan('user2', '1.2.3.4')).toBe(null)
+    moderation.destroy()
+    await load({ BAN_IP_CHECK: 'true' })
+    createSocket('user3', '5.6.7.8')
+    await moderation.ban('user3', { reason: 'evading' })
+    expect(await moderation.getBan('user4', '5.6.7.8')).toEqual({ userId: 'user3', reason: 'evading', expiresAt: null })
+    expect(await moderation.getBan('user4', '1.2.3.4')).toBe(null)
+    expect(await moderation.getBan('user4')).toBe(null)
+  })
+
+  it('mutes users and revokes their voice chat', async () => {
+    const mute = await moderation.mute('user1', { duration: moment.duration(30, 'm'), createdBy: 'mod' })
+    expect(mute).toEqual({ userId: 'user1', expiresAt: '2026-01-01T00:30:00.000Z' })
+    expect(moderation.isMuted('user1')).toBe(true)
+    expect(moderation.isMuted('user2')).toBe(false)
+    expect(world.livekit.setCanPublish).toHaveBeenCalledWith('user1', false)
+    await moderation.mute('user2')
+    // mutes are loaded when the world starts
+    moderation.destroy()
+    await load()
+    expect(moderation.isMuted('user1')).toBe(true)
+    expect(moderation.isMuted('user2')).toBe(true)
+    expect(await moderation.unmute('user2')).toBe(true)
+    expect(await moderation.unmute('user2')).toBe(false)
+    expect(moderation.isMuted('user2')).toBe(false)
+    expect(world.livekit.setCanPublish).toHaveBeenLastCalledWith('user2', true)
+    expect(await db('mutes').pluck('userId')).toEqual(['user1'])
+  })
+
+  it('unmutes users when their mute expires', async () => {
+    await moderation.mute('user1', { duration: moment.duration(30, 'm') })
+    await moderation.mute('user2')
+    vi.setSystemTime(new Date('2026-01-01T00:31:00Z'))
+    expect(moderation.isMuted('user1')).toBe(false)
+    await moderation.expire()
+    expect(await db('mutes').pluck('userId')).toEqual(['user2'])
+    expect(world.livekit.setCanPublish).toHaveBeenLastCalledWith('user1', true)
+    expect(world.network.sendTo).toHaveBeenCalledWith(
+      'user1',
+      'chatAdded',
+      expect.objectContaining({ body: 'You are no longer muted' })
+    )
+    expect(moderation.isMuted('user2')).toBe(true)
+  })
+})
@@ -1,9 +1,34 @@
 import { System } from './System'
 import os from 'os'
 
+const TICK_BUCKETS = [0.001, 0.0025, 0.005, 0.01, 0.02, 0.033, 0.05, 0.1, 0.25] // seconds
+const SAVE_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] // seconds
+
+/**
+ * Server Monitor System
+ *
+ * - Runs on the server
+ * - Collects cpu/memory stats for the `/server stats` command
+ * - Collects counters for the prometheus `/metrics` endpoint
+ *
+ */
 export class ServerMonitor extends System {
   constructor(world) {
     super(world)
+    this.packetsIn = {} // name -> count
+    this.packetsOut = {} // name -> count
+    this.bytesIn = 0
+    this.bytesOut = 0
+    this.tickDuration = createHistogram(TICK_BUCKETS)
+    this.saveDuration = createHistogram(SAVE_BUCKETS)
+    this.saveErrors = 0
+    this.scriptCrashes = 0
+    this.permissionViolations = {} // packet name -> count
+    this.movementViolations = 0
+  }
+
+  start() {
+    this.world.on('crash', this.onScriptCrash)
   }
 
   async getStats() {
@@ -19,4 +44,139 @@ export class ServerMonitor extends System {
       currentCPU: cpuPercent,
     }
   }
+
+  onPacketIn(name = 'invalid', bytes) {
+    this.packetsIn[name] = (this.packetsIn[name] || 0) + 1
+    this.bytesIn += bytes
+  }
+
+  onPacketOut(name, bytes, count = 1) {
+    this.packetsOut[name] = (this.packetsOut[name] || 0) + count
+    this.bytesOut += bytes * count
+  }
+
+  onTick(seconds) {
+    observe(this.tickDuration, seconds)
+  }
+
+  onSave(seconds, errors) {
+    observe(this.saveDuration, seconds)
+    this.saveErrors += errors
+  }
+
+  onScriptCrash = () => {
+    this.scriptCrashes++
+  }
+
+  onPermissionViolation(name) {
+    this.permissionViolations[name] = (this.permissionViolations[name] || 0) + 1
+  }
+
+  onMovementViolation() {
+    this.movementViolations++
+  }
+
+  getMetrics() {
+    const world = this.world
+    const lines = []
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`)
+      lines.push(`# TYPE ${name} ${type}`)
+      for (const [labels, value] of samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`)
+      }
+    }
+    const entityCounts = {}
+    for (const entity of world.entities.items.values()) {
+      const type = entity.isPlayer ? 'player' : entity.data.type
+      entityCounts[type] = (entityCounts[type] || 0) + 1
+    }
+    const cpu = process.cpuUsage()
+    metric('hyperfy_sockets', 'gauge', 'Connected sockets.', [[null, world.network.sockets.size]])
+    metric(
+      'hyperfy_packets_received_total',
+      'counter',
+      'Packets received from clients by packet type.',
+      Object.entries(this.packetsIn).map(([name, count]) => [{ packet: name }, count])
+    )
+    metric(
+      'hyperfy_packets_sent_total',
+      'counter',
+      'Packets sent to clients by packet type.',
+      Object.entries(this.packetsOut).map(([name, count]) => [{ packet: name }, count])
+    )
+    metric('hyperfy_received_bytes_total', 'counter', 'Bytes received from clients.', [[null, this.bytesIn]])
+    metric('hyperfy_sent_bytes_total', 'counter', 'Bytes sent to clients.', [[null, this.bytesOut]])
+    metric('hyperfy_network_queue_length', 'gauge', 'Packets waiting to be flushed.', [
+      [null, world.network.queue.length],
+    ])
+    histogram(lines, 'hyperfy_tick_duration_seconds', 'World tick duration.', this.tickDuration)
+    metric('hyperfy_hot_items', 'gauge', 'Items receiving per-frame updates.', [[null, world.hot.size]])
+    metric(
+      'hyperfy_entities',
+      'gauge',
+      'Entities by type.',
+      Object.entries(entityCounts).map(([type, count]) => [{ type }, count])
+    )
+    metric('hyperfy_blueprints', 'gauge', 'Blueprints.', [[null, world.blueprints.items.size]])
+    histogram(lines, 'hyperfy_save_duration_seconds', 'World save duration.', this.saveDuration)
+    metric('hyperfy_save_errors_total', 'counter', 'Blueprints/entities that failed to save.', [
+      [null, this.saveErrors],
+    ])
+    metric('hyperfy_script_crashes_total', 'counter', 'App script crashes.', [[null, this.scriptCrashes]])
+    metric(
+      'hyperfy_permission_violations_total',
+      'counter',
+      'Packets rejected by the permission checks by packet type.',
+      Object.entries(this.permissionViolations).map(([name, count]) => [{ packet: name }, count])
+    )
+    metric('hyperfy_movement_violations_total', 'counter', 'Player movement updates that failed the movement checks.', [
+      [null, this.movementViolations],
+    ])
+    metric('process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', [
+      [null, process.memoryUsage().rss],
+    ])
+    metric('process_cpu_seconds_total', 'counter', 'Total user and system CPU time spent in seconds.', [
+      [null, (cpu.user + cpu.system) / 1e6],
+    ])
+    return lines.join('\n') + '\n'
+  }
+
+  destroy() {
+    this.world.off('crash', this.onScriptCrash)
+  }
+}
+
+function createHistogram(buckets) {
+  return { buckets, counts: buckets.map(() => 0), sum: 0, count: 0 }
+}
+
+function observe(histogram, value) {
+  for (let i = 0; i < histogram.buckets.length; i++) {
+    if (value <= histogram.buckets[i]) histogram.counts[i]++
+  }
+  histogram.sum += value
+  histogram.count++
+}
+
+function histogram(lines, name, help, { buckets, counts, sum, count }) {
+  lines.push(`# HELP ${name} ${help}`)
+  lines.push(`# TYPE ${name} histogram`)
+  buckets.forEach((le, i) => {
+    lines.push(`${name}_bucket{le="${le}"} ${counts[i]}`)
+  })
+  lines.push(`${name}_bucket{le="+Inf"} ${count}`)
+  lines.push(`${name}_sum ${sum}`)
+  lines.push(`${name}_count ${count}`)
+}
+
+function formatLabels(labels) {
+  if (!labels) return ''
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+  return `{${pairs.join(',')}}`
+}
+
+// label values escape backslashes, quotes and newlines (as `\n`)
+function escapeLabel(value) {
+  return String(value).replace(/["\\]/g, '\\$&').replace(/\n/g, '\\n')
 }
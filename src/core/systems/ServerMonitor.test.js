@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest'
+
+import { ServerMonitor } from './ServerMonitor'
+
+function createMonitor() {
+  const world = {
+    network: { sockets: new Map([['a', {}]]), queue: [] },
+    entities: {
+      items: new Map([
+        ['p', { isPlayer: true, data: { type: 'player' } }],
+        ['a1', { data: { type: 'app' } }],
+        ['a2', { data: { type: 'app' } }],
+      ]),
+    },
+    hot: new Set(),
+    blueprints: { items: new Map() },
+  }
+  return new ServerMonitor(world)
+}
+
+function getLines(monitor, name) {
+  return monitor
+    .getMetrics()
+    .split('\n')
+    .filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `))
+}
+
+describe('ServerMonitor', () => {
+  it('counts packets by type', () => {
+    const monitor = createMonitor()
+    monitor.onPacketIn('chatAdded', 10)
+    monitor.onPacketIn('chatAdded', 20)
+    monitor.onPacketOut('entityModified', 5, 3)
+    expect(getLines(monitor, 'hyperfy_packets_received_total')).toEqual([
+      'hyperfy_packets_received_total{packet="chatAdded"} 2',
+    ])
+    expect(getLines(monitor, 'hyperfy_received_bytes_total')).toEqual(['hyperfy_received_bytes_total 30'])
+    expect(getLines(monitor, 'hyperfy_packets_sent_total')).toEqual([
+      'hyperfy_packets_sent_total{packet="entityModified"} 3',
+    ])
+    expect(getLines(monitor, 'hyperfy_sent_bytes_total')).toEqual(['hyperfy_sent_bytes_total 15'])
+    expect(getLines(monitor, 'hyperfy_sockets')).toEqual(['hyperfy_sockets 1'])
+    expect(getLines(monitor, 'hyperfy_entities')).toEqual([
+      'hyperfy_entities{type="player"} 1',
+      'hyperfy_entities{type="app"} 2',
+    ])
+  })
+
+  it('observes histograms', () => {
+    const monitor = createMonitor()
+    monitor.onTick(0.004)
+    monitor.onTick(1)
+    const lines = getLines(monitor, 'hyperfy_tick_duration_seconds_bucket')
+    expect(lines[0]).toBe('hyperfy_tick_duration_seconds_bucket{le="0.001"} 0')
+    expect(lines[2]).toBe('hyperfy_tick_duration_seconds_bucket{le="0.005"} 1')
+    expect(lines.at(-1)).toBe('hyperfy_tick_duration_seconds_bucket{le="+Inf"} 2')
+    expect(getLines(monitor, 'hyperfy_tick_duration_seconds_sum')).toEqual(['hyperfy_tick_duration_seconds_sum 1.004'])
+  })
+
+  it('escapes label values', () => {
+    const monitor = createMonitor()
+    monitor.onPermissionViolation('a"b\\c\nd')
+    expect(getLines(monitor, 'hyperfy_permission_violations_total')).toEqual([
+      'hyperfy_permission_violations_total{packet="a\\"b\\\\c\\nd"} 1',
+    ])
+    // every sample is on one line
+    for (const line of monitor.getMetrics().trim().split('\n')) {
+      expect(line).toMatch(/^(# (HELP|TYPE) \w+ .+|\w+(\{.*\})? [\d.e+-]+)$/)
+    }
+  })
+})
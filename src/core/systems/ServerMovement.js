@@ -0,0 +1,290 @@
+import * as THREE from '../extras/three'
+
+import { System } from './System'
+import { Capabilities } from './Roles'
+import { DEFAULT_MOVEMENT_MODE, MovementModes } from './Settings'
+import { Layers } from '../extras/Layers'
+
+const MAX_RUN_SPEED = 10 // m/s, players run at 8
+const MAX_FLY_SPEED = 100 // m/s, only builders can fly
+const MAX_CLIMB_SPEED = 12 // m/s upwards, jumping is ~8
+const MAX_FALL_SPEED = 100 // m/s downwards
+const MAX_ANCHORED_SPEED = 100 // m/s, players anchored to an app (eg seats and vehicles) move with it
+const BURST = 2 // seconds of movement a player can save up (eg when packets arrive in bursts)
+const SLACK = 1 // meters allowed on top of every budget
+
+const TELEPORT_DISTANCE = 1 // meters a teleport can land from where it was sent
+const TELEPORT_TIMEOUT = 10 // seconds a server issued teleport (or correction) is valid for
+const PUSH_TIMEOUT = 3 // seconds the extra movement from a push is kept for
+const SCRIPT_RANGE = 100 // meters from an app that a client script can teleport a player to (and they have to be within)
+const SCRIPT_RATE = 1 // seconds between teleports (and pushes) from client scripts for each player
+const MAX_SCRIPT_PUSH = 50 // meters of extra movement a push from a client script can give
+const LOG_RATE = 10 // seconds between logged violations for each player
+
+const SWEEP_RADIUS = 0.25 // a bit smaller than the player capsule
+const SWEEP_HEIGHT = 1 // chest height, so that floors and small steps don't count
+
+const v1 = new THREE.Vector3()
+const v2 = new THREE.Vector3()
+
+/**
+ * Server Movement System
+ *
+ * - Runs on the server
+ * - Checks the position in every player update against how far they could have moved since the last one,
+ *   based on max run/fly/climb/fall speeds, and only allows teleports that the server sent
+ * - Scripts that teleport or push a player on their own client tell the server first (`playerTeleport` and `playerPush`
+ *   with the player's own id), which is allowed when it comes from a nearby app with a script, once a second, and only
+ *   within range of the app (teleports) or up to a max force (pushes)
+ * - What happens depends on the world's `movement` setting:
+ *   - `off` no checks
+ *   - `log` violations are logged but the update is still applied
+ *   - `correct` invalid updates are dropped and the player is moved back (`playerCorrection`)
+ *   - `strict` same as correct, but also sweeps between positions to stop players moving through static colliders
+ *
+ */
+export class ServerMovement extends System {
+  constructor(world) {
+    super(world)
+    this.states = new Map() // socketId -> { position, time, horizontal, up, down, pushedUntil, teleports, scriptAt, loggedAt, suppressed }
+    this.sweepGeometry = null
+  }
+
+  getMode() {
+    const mode = this.world.settings.movement
+    return Object.values(MovementModes).includes(mode) ? mode : DEFAULT_MOVEMENT_MODE
+  }
+
+  getState(socket) {
+    let state = this.states.get(socket.id)
+    if (!state) {
+      state = {
+        position: new THREE.Vector3().fromArray(socket.player.data.position),
+        time: this.now(),
+        horizontal: 0,
+        up: 0,
+        down: 0,
+        pushedUntil: -Infinity,
+        teleports: [], // [{ position, expiresAt }]
+        scriptAt: -Infinity,
+        loggedAt: -Infinity,
+        suppressed: 0,
+      }
+      this.states.set(socket.id, state)
+    }
+    return state
+  }
+
+  now() {
+    return performance.now() / 1000
+  }
+
+  /**
+   * Checks a player's own entityModified packet before it's applied.
+   * Returns false if the update has been dropped, otherwise the position (and teleport flag) are removed from `data`
+   * when they're rejected.
+   */
+  check(socket, data) {
+    if (!data.p) return true
+    const mode = this.getMode()
+    if (mode === MovementModes.OFF) return true
+    const state = this.getState(socket)
+    const now = this.now()
+    const position = v1.fromArray(data.p)
+    this.refill(socket, state, now)
+    let reason
+    if (data.t) {
+      reason = this.checkTeleport(state, position, now)
+    } else {
+      reason = this.checkMove(state, position, mode)
+    }
+    state.time = now
+    if (!reason || mode === MovementModes.LOG) {
+      if (reason) this.violation(socket, state, reason)
+      state.position.copy(position)
+      return true
+    }
+    this.violation(socket, state, reason)
+    this.correct(socket, state, now)
+    delete data.p
+    delete data.t
+    return Object.keys(data).some(key => key !== 'id')
+  }
+
+  /**
+   * Tops up how far a player can move in each direction for the time since their last update
+   */
+  refill(socket, state, now) {
+    const player = socket.player
+    const elapsed = Math.min(now - state.time, BURST)
+    const canFly = this.world.roles.can(player, Capabilities.BUILD)
+    // the effect is owner writable, so it only counts when it's an anchor an app actually made
+    const anchorId = player.data.effect?.anchorId
+    const anchored = !!anchorId && !!this.world.anchors.get(anchorId)
+    const speed = anchored ? MAX_ANCHORED_SPEED : canFly ? MAX_FLY_SPEED : MAX_RUN_SPEED
+    const climb = anchored ? MAX_ANCHORED_SPEED : canFly ? MAX_FLY_SPEED : MAX_CLIMB_SPEED
+    const fall = anchored ? MAX_ANCHORED_SPEED : MAX_FALL_SPEED
+    // anything over the cap is from a recent push, which is kept until it's used or expires
+    const pushed = now < state.pushedUntil
+    const topUp = (budget, rate) => {
+      const refilled = Math.min(budget + rate * elapsed, rate * BURST)
+      return pushed ? Math.max(budget, refilled) : refilled
+    }
+    state.horizontal = topUp(state.horizontal, speed)
+    state.up = topUp(state.up, climb)
+    state.down = topUp(state.down, fall)
+  }
+
+  checkMove(state, position, mode) {
+    const dx = position.x - state.position.x
+    const dy = position.y - state.position.y
+    const dz = position.z - state.position.z
+    const horizontal = Math.sqrt(dx * dx + dz * dz)
+    const up = Math.max(dy, 0)
+    const down = Math.max(-dy, 0)
+    if (horizontal > state.horizontal + SLACK) return `moved ${horizontal.toFixed(1)}m too fast`
+    if (up > state.up + SLACK) return `moved up ${up.toFixed(1)}m too fast`
+    if (down > state.down + SLACK) return `moved down ${down.toFixed(1)}m too fast`
+    if (mode === MovementModes.STRICT && this.isBlocked(state.position, position)) {
+      return 'moved through a static collider'
+    }
+    state.horizontal = Math.max(state.horizontal - horizontal, 0)
+    state.up = Math.max(state.up - up, 0)
+    state.down = Math.max(state.down - down, 0)
+    return null
+  }
+
+  checkTeleport(state, position, now) {
+    state.teleports = state.teleports.filter(teleport => teleport.expiresAt > now)
+    const idx = state.teleports.findIndex(teleport => teleport.position.distanceTo(position) <= TELEPORT_DISTANCE)
+    if (idx === -1) return 'teleported without the server'
+    state.teleports.splice(idx, 1)
+    return null
+  }
+
+  /**
+   * Sweeps from one position to another, returning true if a static collider is in the way
+   */
+  isBlocked(from, to) {
+    if (!this.sweepGeometry) this.sweepGeometry = new PHYSX.PxSphereGeometry(SWEEP_RADIUS)
+    const origin = v2.copy(from)
+    origin.y += SWEEP_HEIGHT
+    const direction = new THREE.Vector3().subVectors(to, from)
+    const distance = direction.length()
+    if (distance < 0.01) return false
+    direction.divideScalar(distance)
+    const hit = this.world.physics.sweep(this.sweepGeometry, origin, direction, distance, Layers.environment.group)
+    // moving colliders (eg platforms and doors) are up to the client
+    return !!hit && hit.actor.getType() === PHYSX.PxActorTypeEnum.eRIGID_STATIC
+  }
+
+  /**
+   * Moves a player back to their last valid position, once until they've applied it (packets already on their way are dropped)
+   */
+  correct(socket, state, now) {
+    if (state.teleports.some(teleport => teleport.correction && teleport.expiresAt > now)) return
+    state.teleports.push({ position: state.position.clone(), expiresAt: now + TELEPORT_TIMEOUT, correction: true })
+    socket.send('playerCorrection', { position: state.position.toArray() })
+  }
+
+  /**
+   * Called when the server sends a player a teleport, so that it's allowed when they send it back
+   */
+  onTeleport(socketId, position) {
+    const socket = this.world.network.sockets.get(socketId)
+    if (!socket) return
+    const state = this.getState(socket)
+    state.teleports.push({
+      position: new THREE.Vector3().fromArray(position),
+      expiresAt: this.now() + TELEPORT_TIMEOUT,
+    })
+  }
+
+  /**
+   * Called when the server pushes a player, which lets them move further than they could by themselves
+   */
+  onPush(socketId, force) {
+    const socket = this.world.network.sockets.get(socketId)
+    if (!socket) return
+    const amount = v2.fromArray(force).length()
+    if (!Number.isFinite(amount)) return
+    this.push(this.getState(socket), amount)
+  }
+
+  push(state, amount) {
+    state.horizontal += amount
+    state.up += amount
+    state.down += amount
+    state.pushedUntil = this.now() + PUSH_TIMEOUT
+  }
+
+  /**
+   * Called when a script teleports a player on their own client, just before the client sends the teleport.
+   * The position comes from the client, so it's only allowed near the app that asked for it.
+   */
+  onScriptTeleport(socket, data) {
+    const state = this.getState(socket)
+    const reason = this.checkScript(state, data.appId, 'teleported')
+    if (reason) return this.violation(socket, state, reason)
+    const position = v2.fromArray(data.position)
+    if (!Number.isFinite(position.lengthSq())) return
+    const app = this.world.entities.get(data.appId)
+    if (position.distanceTo(v1.fromArray(app.data.position)) > SCRIPT_RANGE) {
+      return this.violation(socket, state, `teleported too far from an app (${data.appId})`)
+    }
+    state.scriptAt = this.now()
+    this.onTeleport(socket.id, data.position)
+  }
+
+  /**
+   * Called when a script pushes a player on their own client, where the force is capped
+   */
+  onScriptPush(socket, data) {
+    const state = this.getState(socket)
+    const reason = this.checkScript(state, data.appId, 'pushed')
+    if (reason) return this.violation(socket, state, reason)
+    const amount = v2.fromArray(data.force).length()
+    if (!Number.isFinite(amount)) return
+    state.scriptAt = this.now()
+    this.push(state, Math.min(amount, MAX_SCRIPT_PUSH))
+  }
+
+  /**
+   * Checks that a client script teleport or push comes from an app with a script near the player, and not too often
+   */
+  checkScript(state, appId, action) {
+    const entity = this.world.entities.get(appId)
+    if (!entity?.isApp || !this.world.blueprints.get(entity.data.blueprint)?.script) {
+      return `${action} by an unknown app (${appId})`
+    }
+    if (state.position.distanceTo(v1.fromArray(entity.data.position)) > SCRIPT_RANGE) {
+      return `${action} by an app out of range (${appId})`
+    }
+    if (this.now() - state.scriptAt < SCRIPT_RATE) {
+      return `${action} by a script too often (${appId})`
+    }
+    return null
+  }
+
+  violation(socket, state, reason) {
+    this.world.monitor?.onMovementViolation()
+    const now = this.now()
+    const player = socket.player.data
+    if (now - state.loggedAt >= LOG_RATE) {
+      const suppressed = state.suppressed ? ` (+${state.suppressed} more)` : ''
+      console.error(`movement: ${player.name} (${player.userId}) ${reason}${suppressed}`)
+      state.loggedAt = now
+      state.suppressed = 0
+    } else {
+      state.suppressed++
+    }
+  }
+
+  onDisconnect(socket) {
+    this.states.delete(socket.id)
+  }
+
+  destroy() {
+    this.states.clear()
+  }
+}
@@ -0,0 +1,187 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { ServerMovement } from './ServerMovement'
+import { Capabilities } from './Roles'
+
+function createWorld({ mode = 'correct', capabilities = [] } = {}) {
+  const apps = {
+    app1: { isApp: true, data: { id: 'app1', blueprint: 'bp1', position: [0, 0, 0] } },
+    app2: { isApp: true, data: { id: 'app2', blueprint: 'bp1', position: [500, 0, 500] } },
+  }
+  const sent = []
+  const socket = {
+    id: 'player1',
+    player: { data: { id: 'player1', name: 'Bob', userId: 'player1', position: [0, 0, 0] } },
+    send: (name, data) => sent.push([name, data]),
+  }
+  const world = {
+    settings: { movement: mode },
+    roles: { can: (player, capability) => capabilities.includes(capability) },
+    network: { sockets: new Map([[socket.id, socket]]) },
+    entities: { get: id => apps[id] || null },
+    blueprints: { get: id => (id === 'bp1' ? { id, script: 'asset://script.js' } : null) },
+    anchors: { get: id => (id === 'app1:seat' ? {} : undefined) },
+    monitor: { onMovementViolation: vi.fn() },
+  }
+  const movement = new ServerMovement(world)
+  let time = 0
+  movement.now = () => time
+  const tick = seconds => {
+    time += seconds
+  }
+  return { world, movement, socket, sent, tick }
+}
+
+describe('ServerMovement', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  it('allows a normal move', () => {
+    const { world, movement, socket, sent, tick } = createWorld()
+    movement.getState(socket)
+    tick(1)
+    const data = { id: 'player1', p: [8, 0, 0] }
+    expect(movement.check(socket, data)).toBe(true)
+    expect(data.p).toEqual([8, 0, 0])
+    expect(world.monitor.onMovementViolation).not.toHaveBeenCalled()
+    expect(sent).toEqual([])
+  })
+
+  it('corrects a speed violation', () => {
+    const { world, movement, socket, sent, tick } = createWorld()
+    movement.getState(socket)
+    tick(1)
+    expect(movement.check(socket, { id: 'player1', p: [30, 0, 0] })).toBe(false)
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(1)
+    expect(sent).toEqual([['playerCorrection', { position: [0, 0, 0] }]])
+    // other fields are still applied
+    const data = { id: 'player1', p: [60, 0, 0], e: 1 }
+    expect(movement.check(socket, data)).toBe(true)
+    expect(data).toEqual({ id: 'player1', e: 1 })
+    // only corrected once until the player applies it
+    expect(sent.length).toBe(1)
+    expect(movement.check(socket, { id: 'player1', p: [0, 0, 0], t: true })).toBe(true)
+  })
+
+  it('only logs a speed violation in log mode', () => {
+    const { world, movement, socket, sent, tick } = createWorld({ mode: 'log' })
+    movement.getState(socket)
+    tick(1)
+    const data = { id: 'player1', p: [30, 0, 0] }
+    expect(movement.check(socket, data)).toBe(true)
+    expect(data.p).toEqual([30, 0, 0])
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(1)
+    expect(console.error).toHaveBeenCalledWith('movement: Bob (player1) moved 30.0m too fast')
+    expect(sent).toEqual([])
+  })
+
+  it('lets builders fly faster', () => {
+    const { movement, socket, tick } = createWorld({ capabilities: [Capabilities.BUILD] })
+    movement.getState(socket)
+    tick(1)
+    expect(movement.check(socket, { id: 'player1', p: [30, 20, 0] })).toBe(true)
+  })
+
+  it('allows a teleport the server sent', () => {
+    const { world, movement, socket, tick } = createWorld()
+    movement.onTeleport('player1', [500, 0, 500])
+    tick(1)
+    expect(movement.check(socket, { id: 'player1', p: [500.5, 0, 500], t: true })).toBe(true)
+    // but only once
+    expect(movement.check(socket, { id: 'player1', p: [0, 0, 0], t: true })).toBe(false)
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(1)
+  })
+
+  it('rejects a teleport the server did not send', () => {
+    const { movement, socket, sent } = createWorld()
+    expect(movement.check(socket, { id: 'player1', p: [500, 0, 500], t: true })).toBe(false)
+    expect(sent).toEqual([['playerCorrection', { position: [0, 0, 0] }]])
+  })
+
+  it('expires server teleports', () => {
+    const { movement, socket, tick } = createWorld()
+    movement.onTeleport('player1', [500, 0, 500])
+    tick(11)
+    expect(movement.check(socket, { id: 'player1', p: [500, 0, 500], t: true })).toBe(false)
+  })
+
+  it('allows a teleport from a script on the client near its app', () => {
+    const { world, movement, socket } = createWorld()
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [50, 0, 50], appId: 'app1' })
+    expect(movement.check(socket, { id: 'player1', p: [50, 0, 50], t: true })).toBe(true)
+    expect(world.monitor.onMovementViolation).not.toHaveBeenCalled()
+  })
+
+  it('rejects a teleport from the client that no app near the player made', () => {
+    const { world, movement, socket } = createWorld()
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [50, 0, 50], appId: 'nope' })
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [500, 0, 500], appId: 'app2' })
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(2)
+    expect(movement.check(socket, { id: 'player1', p: [50, 0, 50], t: true })).toBe(false)
+  })
+
+  it('rejects a teleport from a script on the client far from its app', () => {
+    const { world, movement, socket } = createWorld()
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [500, 0, 500], appId: 'app1' })
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(1)
+    expect(movement.check(socket, { id: 'player1', p: [500, 0, 500], t: true })).toBe(false)
+  })
+
+  it('limits how often scripts on the client can teleport', () => {
+    const { world, movement, socket, tick } = createWorld()
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [50, 0, 0], appId: 'app1' })
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [-50, 0, 0], appId: 'app1' })
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(1)
+    expect(movement.check(socket, { id: 'player1', p: [-50, 0, 0], t: true })).toBe(false)
+    tick(1)
+    movement.onScriptTeleport(socket, { networkId: 'player1', position: [-50, 0, 0], appId: 'app1' })
+    expect(movement.check(socket, { id: 'player1', p: [-50, 0, 0], t: true })).toBe(true)
+  })
+
+  it('allows moving further after a push', () => {
+    const { movement, socket, tick } = createWorld()
+    movement.getState(socket)
+    movement.onScriptPush(socket, { networkId: 'player1', force: [0, 0, 30], appId: 'app1' })
+    movement.onPush('player1', [NaN, 0, 0])
+    tick(1)
+    expect(movement.check(socket, { id: 'player1', p: [0, 0, 30] })).toBe(true)
+    tick(0.1)
+    expect(movement.check(socket, { id: 'player1', p: [0, 0, 60] })).toBe(false)
+  })
+
+  it('caps pushes from scripts on the client', () => {
+    const { world, movement, socket, tick } = createWorld()
+    movement.getState(socket)
+    movement.onScriptPush(socket, { networkId: 'player1', force: [1e6, 0, 0], appId: 'app1' })
+    movement.onScriptPush(socket, { networkId: 'player1', force: [1e6, 0, 0], appId: 'app1' })
+    expect(world.monitor.onMovementViolation).toHaveBeenCalledTimes(1)
+    tick(0.1)
+    expect(movement.check(socket, { id: 'player1', p: [1000, 0, 0] })).toBe(false)
+    expect(movement.check(socket, { id: 'player1', p: [50, 0, 0] })).toBe(true)
+  })
+
+  it('drops extra movement from a push after a while', () => {
+    const { movement, socket, tick } = createWorld()
+    movement.getState(socket)
+    movement.onPush('player1', [0, 0, 100])
+    tick(4)
+    expect(movement.check(socket, { id: 'player1', p: [0, 0, 60] })).toBe(false)
+  })
+
+  it('only allows anchored speeds for anchors that exist', () => {
+    const { movement, socket, tick } = createWorld()
+    movement.getState(socket)
+    socket.player.data.effect = { anchorId: 'fake' }
+    tick(1)
+    expect(movement.check(socket, { id: 'player1', p: [50, 0, 0] })).toBe(false)
+    socket.player.data.effect = { anchorId: 'app1:seat' }
+    tick(1)
+    expect(movement.check(socket, { id: 'player1', p: [50, 0, 0] })).toBe(true)
+  })
+
+  it('does nothing when off', () => {
+    const { movement, socket } = createWorld({ mode: 'off' })
+    expect(movement.check(socket, { id: 'player1', p: [500, 0, 500], t: true })).toBe(true)
+  })
+})
@@ -1,18 +1,32 @@
 import moment from 'moment'
 import { writePacket } from '../packets'
 import { Socket } from '../Socket'
-import { addRole, hasRole, removeRole, serializeRoles, uuid } from '../utils'
+import { hasRole, uuid } from '../utils'
 import { System } from './System'
+import { Capabilities, DEFAULT_ROLE } from './Roles'
+import { parseDuration } from './ServerModeration'
 import { createJWT, readJWT } from '../utils-server'
-import { cloneDeep, isNumber } from 'lodash-es'
+import { chunk, cloneDeep, isNumber, pick } from 'lodash-es'
+import { formatBytes } from '../extras/formatBytes'
 import * as THREE from '../extras/three'
+import { isSQLite } from '../../server/db'
 
 const SAVE_INTERVAL = parseInt(process.env.SAVE_INTERVAL || '60') // seconds
+const SAVE_BATCH_SIZE = 500 // rows per insert when saving without prepared statements
 const PING_RATE = 1 // seconds
 const defaultSpawn = '{ "position": [0, 0, 0], "quaternion": [0, 0, 0, 1] }'
 
 const HEALTH_MAX = 100
 
+// moderation commands and their usage
+const moderationCommands = {
+  kick: '/kick <player> [reason]',
+  ban: '/ban <player> [30m|2h|7d] [reason]',
+  unban: '/unban <player>',
+  mute: '/mute <player> [30m|2h|7d]',
+  unmute: '/unmute <player>',
+}
+
 /**
  * Server Network System
  *
@@ -30,45 +44,56 @@ export class ServerNetwork extends System {
     this.saveTimerId = null
     this.dirtyBlueprints = new Set()
     this.dirtyApps = new Set()
+    this.blueprintAuthors = new Map() // blueprintId -> userId of the last change (recorded with each revision)
+    this.stableTransforms = new Map() // entityId -> transform from before it started being moved
     this.isServer = true
     this.queue = []
+    this.closing = false
+    this.restoring = false
   }
 
-  init({ db }) {
+  init({ db, backups, apiUrl }) {
     this.db = db
+    this.worldId = db.userParams.worldId
+    this.backups = backups
+    this.apiUrl = apiUrl
   }
 
   async start() {
+    await this.hydrate()
+    // watch settings changes
+    this.world.settings.on('change', this.saveSettings)
+    // queue first save
+    if (SAVE_INTERVAL) {
+      this.saveTimerId = setTimeout(this.save, SAVE_INTERVAL * 1000)
+    }
+  }
+
+  async hydrate() {
     // get spawn
-    const spawnRow = await this.db('config').where('key', 'spawn').first()
+    const spawnRow = await this.db('config').where({ worldId: this.worldId, key: 'spawn' }).first()
     this.spawn = JSON.parse(spawnRow?.value || defaultSpawn)
     // hydrate blueprints
-    const blueprints = await this.db('blueprints')
+    const blueprints = await this.db('blueprints').where('worldId', this.worldId)
     for (const blueprint of blueprints) {
       const data = JSON.parse(blueprint.data)
       this.world.blueprints.add(data, true)
     }
     // hydrate entities
-    const entities = await this.db('entities')
+    const entities = await this.db('entities').where('worldId', this.worldId)
     for (const entity of entities) {
       const data = JSON.parse(entity.data)
       data.state = {}
       this.world.entities.add(data, true)
     }
     // hydrate settings
-    let settingsRow = await this.db('config').where('key', 'settings').first()
+    let settingsRow = await this.db('config').where({ worldId: this.worldId, key: 'settings' }).first()
     try {
       const settings = JSON.parse(settingsRow?.value || '{}')
       this.world.settings.deserialize(settings)
     } catch (err) {
       console.error(err)
     }
-    // watch settings changes
-    this.world.settings.on('change', this.saveSettings)
-    // queue first save
-    if (SAVE_INTERVAL) {
-      this.saveTimerId = setTimeout(this.save, SAVE_INTERVAL * 1000)
-    }
     // load environment model
     await this.world.environment.updateModel()
   }
@@ -80,10 +105,15 @@ export class ServerNetwork extends System {
   send(name, data, ignoreSocketId) {
     // console.log('->>>', name, data)
     const packet = writePacket(name, data)
+    let count = 0
     this.sockets.forEach(socket => {
-      if (socket.id === ignoreSocketId) return
+      const sender = socket.id === ignoreSocketId
+      // skip entities the client doesn't have (see ServerInterest)
+      if (!this.world.interest.track(socket, name, data, sender) || sender) return
       socket.sendPacket(packet)
+      count++
     })
+    this.world.monitor.onPacketOut(name, packet.length, count)
   }
 
   sendTo(socketId, name, data) {
@@ -104,14 +134,15 @@ export class ServerNetwork extends System {
     dead.forEach(socket => socket.disconnect())
   }
 
-  enqueue(socket, method, data) {
-    this.queue.push([socket, method, data])
+  enqueue(socket, method, data, name) {
+    this.queue.push([socket, method, data, name])
   }
 
   flush() {
     while (this.queue.length) {
       try {
-        const [socket, method, data] = this.queue.shift()
+        const [socket, method, data, name] = this.queue.shift()
+        if (!this.world.permissions.check(socket, name, data)) continue
         this[method]?.(socket, data)
       } catch (err) {
         console.error(err)
@@ -124,72 +155,213 @@ export class ServerNetwork extends System {
   }
 
   save = async () => {
-    const counts = {
-      upsertedBlueprints: 0,
-      upsertedApps: 0,
-      deletedApps: 0,
-    }
+    const startTime = performance.now()
+    let errors = 0
     const now = moment().toISOString()
-    // blueprints
+    // collect everything that changed. dirty flags are cleared up front (and restored if the write fails)
+    // so that changes made while the write is in progress are picked up by the next save.
+    const changes = {
+      blueprints: [],
+      removedBlueprints: [],
+      apps: [],
+      removedApps: [],
+    }
     for (const id of this.dirtyBlueprints) {
       const blueprint = this.world.blueprints.get(id)
+      if (!blueprint) {
+        changes.removedBlueprints.push(id)
+        continue
+      }
       try {
-        const record = {
-          id: blueprint.id,
+        changes.blueprints.push({
+          id,
+          name: blueprint.name,
           data: JSON.stringify(blueprint),
-        }
-        await this.db('blueprints')
-          .insert({ ...record, createdAt: now, updatedAt: now })
-          .onConflict('id')
-          .merge({ ...record, updatedAt: now })
-        counts.upsertedBlueprints++
-        this.dirtyBlueprints.delete(id)
+          version: blueprint.version,
+          userId: this.blueprintAuthors.get(id) || null,
+        })
       } catch (err) {
-        console.log(`error saving blueprint: ${blueprint.id}`)
+        console.log(`error saving blueprint: ${id}`)
         console.error(err)
+        errors++
       }
     }
-    // app entities
     for (const id of this.dirtyApps) {
       const entity = this.world.entities.get(id)
-      if (entity) {
-        // it needs creating/updating
-        if (entity.data.uploader || entity.data.mover) {
-          continue // ignore while uploading or moving
-        }
-        try {
-          const data = cloneDeep(entity.data)
-          data.state = null
-          const record = {
-            id: entity.data.id,
-            data: JSON.stringify(entity.data),
-          }
-          await this.db('entities')
-            .insert({ ...record, createdAt: now, updatedAt: now })
-            .onConflict('id')
-            .merge({ ...record, updatedAt: now })
-          counts.upsertedApps++
-          this.dirtyApps.delete(id)
-        } catch (err) {
-          console.log(`error saving entity: ${entity.data.id}`)
-          console.error(err)
+      if (!entity) {
+        changes.removedApps.push(id)
+        continue
+      }
+      // apps are only saved once their assets are uploaded (they stay dirty until then)
+      if (entity.data.uploader) continue
+      try {
+        const data = cloneDeep(entity.data)
+        if (data.mover) {
+          // save where it was before someone started moving it
+          Object.assign(data, this.stableTransforms.get(id))
         }
+        data.mover = null
+        data.uploader = null
+        data.state = null
+        changes.apps.push({ id, data: JSON.stringify(data) })
+      } catch (err) {
+        console.log(`error saving entity: ${id}`)
+        console.error(err)
+        errors++
+      }
+    }
+    for (const { id } of changes.blueprints) {
+      this.dirtyBlueprints.delete(id)
+      this.blueprintAuthors.delete(id)
+    }
+    for (const id of changes.removedBlueprints) {
+      this.dirtyBlueprints.delete(id)
+    }
+    for (const { id } of changes.apps) {
+      this.dirtyApps.delete(id)
+    }
+    for (const id of changes.removedApps) {
+      this.dirtyApps.delete(id)
+    }
+    // write everything in a single transaction
+    let saved = false
+    try {
+      if (isSQLite(this.db)) {
+        await this.writeSQLite(changes, now)
       } else {
-        // it was removed
-        await this.db('entities').where('id', id).delete()
-        counts.deletedApps++
-        this.dirtyApps.delete(id)
+        await this.writeKnex(changes, now)
+      }
+      saved = true
+    } catch (err) {
+      // the transaction was rolled back, mark everything dirty again so it's retried next save
+      console.error(err)
+      console.error('failed to save world')
+      errors++
+      for (const { id, userId } of changes.blueprints) {
+        this.dirtyBlueprints.add(id)
+        if (userId && !this.blueprintAuthors.has(id)) this.blueprintAuthors.set(id, userId)
+      }
+      for (const id of changes.removedBlueprints) {
+        this.dirtyBlueprints.add(id)
+      }
+      for (const { id } of changes.apps) {
+        this.dirtyApps.add(id)
+      }
+      for (const id of changes.removedApps) {
+        this.dirtyApps.add(id)
+      }
+    }
+    // let webhooks know about new blueprint versions
+    if (saved) {
+      for (const { id, name, version, userId } of changes.blueprints) {
+        this.world.webhooks.emit('blueprintPublished', { blueprint: { id, name, version }, userId })
+      }
+    }
+    // clear storage of removed apps and blueprints
+    if (saved) {
+      try {
+        for (const id of changes.removedBlueprints) {
+          await this.world.appStorage.clearBlueprint(id)
+        }
+        for (const id of changes.removedApps) {
+          await this.world.appStorage.clearApp(id)
+        }
+      } catch (err) {
+        console.error(err)
+        errors++
       }
     }
     // log
-    const didSave = counts.upsertedBlueprints > 0 || counts.upsertedApps > 0 || counts.deletedApps > 0
+    const duration = performance.now() - startTime
+    const counts = {
+      upsertedBlueprints: saved ? changes.blueprints.length : 0,
+      deletedBlueprints: saved ? changes.removedBlueprints.length : 0,
+      upsertedApps: saved ? changes.apps.length : 0,
+      deletedApps: saved ? changes.removedApps.length : 0,
+    }
+    const didSave =
+      counts.upsertedBlueprints > 0 || counts.deletedBlueprints > 0 || counts.upsertedApps > 0 || counts.deletedApps > 0
     if (didSave) {
       console.log(
-        `world saved (${counts.upsertedBlueprints} blueprints, ${counts.upsertedApps} apps, ${counts.deletedApps} apps removed)`
+        `world saved (${counts.upsertedBlueprints} blueprints, ${counts.deletedBlueprints} blueprints removed, ${counts.upsertedApps} apps, ${counts.deletedApps} apps removed) in ${Math.round(duration)}ms`
       )
     }
+    this.world.monitor.onSave(duration / 1000, errors)
     // queue again
-    this.saveTimerId = setTimeout(this.save, SAVE_INTERVAL * 1000)
+    clearTimeout(this.saveTimerId)
+    if (SAVE_INTERVAL && !this.closing && !this.restoring) {
+      this.saveTimerId = setTimeout(this.save, SAVE_INTERVAL * 1000)
+    }
+  }
+
+  async writeSQLite(changes, now) {
+    const worldId = this.worldId
+    // sqlite only has one connection, so borrow it from knex and use prepared statements directly
+    const conn = await this.db.client.acquireConnection()
+    try {
+      const upsertBlueprint = conn.prepare(
+        'INSERT INTO blueprints (worldId, id, data, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?) ON CONFLICT (worldId, id) DO UPDATE SET data = excluded.data, updatedAt = excluded.updatedAt'
+      )
+      const insertRevision = conn.prepare(
+        'INSERT INTO blueprint_revisions (worldId, blueprintId, version, data, userId, createdAt) VALUES (?, ?, ?, ?, ?, ?)'
+      )
+      const deleteBlueprint = conn.prepare('DELETE FROM blueprints WHERE worldId = ? AND id = ?')
+      const upsertEntity = conn.prepare(
+        'INSERT INTO entities (worldId, id, data, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?) ON CONFLICT (worldId, id) DO UPDATE SET data = excluded.data, updatedAt = excluded.updatedAt'
+      )
+      const deleteEntity = conn.prepare('DELETE FROM entities WHERE worldId = ? AND id = ?')
+      conn.transaction(() => {
+        for (const record of changes.blueprints) {
+          upsertBlueprint.run(worldId, record.id, record.data, now, now)
+          insertRevision.run(worldId, record.id, record.version, record.data, record.userId, now)
+        }
+        for (const id of changes.removedBlueprints) {
+          deleteBlueprint.run(worldId, id)
+        }
+        for (const record of changes.apps) {
+          upsertEntity.run(worldId, record.id, record.data, now, now)
+        }
+        for (const id of changes.removedApps) {
+          deleteEntity.run(worldId, id)
+        }
+      })()
+    } finally {
+      await this.db.client.releaseConnection(conn)
+    }
+  }
+
+  async writeKnex(changes, now) {
+    const worldId = this.worldId
+    await this.db.transaction(async trx => {
+      for (const records of chunk(changes.blueprints, SAVE_BATCH_SIZE)) {
+        await trx('blueprints')
+          .insert(records.map(({ id, data }) => ({ worldId, id, data, createdAt: now, updatedAt: now })))
+          .onConflict(['worldId', 'id'])
+          .merge(['data', 'updatedAt'])
+        await trx('blueprint_revisions').insert(
+          records.map(({ id, version, data, userId }) => ({
+            worldId,
+            blueprintId: id,
+            version,
+            data,
+            userId,
+            createdAt: now,
+          }))
+        )
+      }
+      for (const ids of chunk(changes.removedBlueprints, SAVE_BATCH_SIZE)) {
+        await trx('blueprints').where('worldId', worldId).whereIn('id', ids).delete()
+      }
+      for (const records of chunk(changes.apps, SAVE_BATCH_SIZE)) {
+        await trx('entities')
+          .insert(records.map(({ id, data }) => ({ worldId, id, data, createdAt: now, updatedAt: now })))
+          .onConflict(['worldId', 'id'])
+          .merge(['data', 'updatedAt'])
+      }
+      for (const ids of chunk(changes.removedApps, SAVE_BATCH_SIZE)) {
+        await trx('entities').where('worldId', worldId).whereIn('id', ids).delete()
+      }
+    })
   }
 
   saveSettings = async () => {
@@ -197,25 +369,128 @@ export class ServerNetwork extends System {
     const value = JSON.stringify(data)
     await this.db('config')
       .insert({
+        worldId: this.worldId,
         key: 'settings',
         value,
       })
-      .onConflict('key')
+      .onConflict(['worldId', 'key'])
       .merge({
         value,
       })
   }
 
+  /**
+   * Stops accepting players, counts down in chat, kicks everyone and then saves anything that hasn't been saved yet
+   */
+  async shutdown(countdown) {
+    this.closing = true
+    clearTimeout(this.saveTimerId)
+    for (let i = countdown; i > 0; i--) {
+      if (!this.sockets.size) break
+      this.world.chat.add(
+        {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body: `Server restarting in ${i}...`,
+          createdAt: moment().toISOString(),
+        },
+        true
+      )
+      await new Promise(resolve => setTimeout(resolve, 1000))
+    }
+    for (const socket of this.sockets.values()) {
+      socket.send('kick', 'server_restart')
+      socket.ws.close()
+    }
+    await this.save()
+    await this.saveSettings()
+    await this.world.audit.flush(true)
+    await this.world.webhooks.drain(5)
+  }
+
+  destroy() {
+    clearInterval(this.socketIntervalId)
+    clearTimeout(this.saveTimerId)
+    this.world.settings.off('change', this.saveSettings)
+  }
+
+  /**
+   * Restores a backup and reloads the world from it while players stay connected.
+   * A backup of the current world is taken first so a restore can always be undone.
+   */
+  async restoreBackup(id) {
+    if (this.restoring) throw new Error('restore already running')
+    if (!(await this.backups.get(id))) throw new Error(`backup not found: ${id}`)
+    this.restoring = true
+    clearTimeout(this.saveTimerId)
+    try {
+      await this.save()
+      const undo = await this.backups.create('pre-restore')
+      await this.backups.restore(id)
+      // unload the current world
+      for (const entity of Array.from(this.world.entities.items.values())) {
+        if (entity.isApp) this.removeEntity(entity.data.id)
+      }
+      for (const blueprintId of Array.from(this.world.blueprints.items.keys())) {
+        this.removeBlueprint(blueprintId)
+      }
+      // the restored database is now the source of truth, so these removals must not be saved
+      this.dirtyBlueprints.clear()
+      this.dirtyApps.clear()
+      this.blueprintAuthors.clear()
+      // load it back in the same way as when the server starts (this also sends everything to clients)
+      await this.hydrate()
+      const settings = this.world.settings.serialize()
+      for (const key in settings) {
+        this.send('settingsModified', { key, value: settings[key] })
+      }
+      return undo
+    } finally {
+      this.restoring = false
+      if (SAVE_INTERVAL && !this.closing) {
+        this.saveTimerId = setTimeout(this.save, SAVE_INTERVAL * 1000)
+      }
+    }
+  }
+
   isAdmin(player) {
     return hasRole(player.data.roles, 'admin')
   }
 
+  /**
+   * Finds a user by id or name, preferring players that are connected
+   */
+  async findUser(idOrName) {
+    for (const socket of this.sockets.values()) {
+      const data = socket.player.data
+      if (data.userId === idOrName || data.name === idOrName) return { id: data.userId, name: data.name }
+    }
+    const user = await this.db('users')
+      .where('worldId', this.worldId)
+      .where(query => query.where('id', idOrName).orWhere('name', idOrName))
+      .first()
+    return user ? { id: user.id, name: user.name } : null
+  }
+
+  getActor(socket) {
+    return { id: socket.player.data.userId, name: socket.player.data.name }
+  }
+
   isBuilder(player) {
-    return this.world.settings.public || this.isAdmin(player)
+    return this.world.roles.can(player, Capabilities.BUILD)
   }
 
-  async onConnection(ws, params) {
+  async onConnection(ws, params, ip) {
     try {
+      // reject new players while shutting down
+      if (this.closing) {
+        const packet = writePacket('kick', 'server_restart')
+        ws.send(packet)
+        ws.close()
+        return
+      }
+
       // check player limit
       const playerLimit = this.world.settings.playerLimit
       if (isNumber(playerLimit) && playerLimit > 0 && this.sockets.size >= playerLimit) {
@@ -235,7 +510,7 @@ export class ServerNetwork extends System {
       if (authToken) {
         try {
           const { userId } = await readJWT(authToken)
-          user = await this.db('users').where('id', userId).first()
+          user = await this.db('users').where({ worldId: this.worldId, id: userId }).first()
         } catch (err) {
           console.error('failed to read authToken:', authToken)
         }
@@ -245,13 +520,21 @@ export class ServerNetwork extends System {
           id: uuid(),
           name: 'Anonymous',
           avatar: null,
-          roles: '',
           createdAt: moment().toISOString(),
         }
-        await this.db('users').insert(user)
+        await this.db('users').insert({ ...user, worldId: this.worldId })
         authToken = await createJWT({ userId: user.id })
       }
-      user.roles = user.roles.split(',')
+      user.roles = await this.world.permissions.getUserRoles(user.id)
+
+      // reject banned users
+      const ban = await this.world.moderation.getBan(user.id, ip)
+      if (ban) {
+        const packet = writePacket('kick', { code: 'banned', reason: ban.reason, expiresAt: ban.expiresAt })
+        ws.send(packet)
+        ws.close()
+        return
+      }
 
       // disconnect if user already in this world
       if (this.sockets.has(user.id)) {
@@ -271,7 +554,7 @@ export class ServerNetwork extends System {
       const livekit = await this.world.livekit.getPlayerOpts(user.id)
 
       // create socket
-      const socket = new Socket({ id: user.id, ws, network: this })
+      const socket = new Socket({ id: user.id, ws, network: this, ip })
 
       // spawn player
       socket.player = this.world.entities.add(
@@ -295,14 +578,15 @@ export class ServerNetwork extends System {
       socket.send('snapshot', {
         id: socket.id,
         serverTime: performance.now(),
-        assetsUrl: process.env.PUBLIC_ASSETS_URL,
-        apiUrl: process.env.PUBLIC_API_URL,
+        assetsUrl: this.world.assetsUrl,
+        apiUrl: this.apiUrl,
         maxUploadSize: process.env.PUBLIC_MAX_UPLOAD_SIZE,
         collections: this.world.collections.serialize(),
         settings: this.world.settings.serialize(),
+        roles: this.world.roles.serialize(),
         chat: this.world.chat.serialize(),
         blueprints: this.world.blueprints.serialize(),
-        entities: this.world.entities.serialize(),
+        entities: this.world.interest.getSnapshot(socket),
         livekit,
         authToken,
       })
@@ -318,31 +602,47 @@ export class ServerNetwork extends System {
   }
 
   onChatAdded = async (socket, msg) => {
+    if (this.world.moderation.isMuted(socket.player.data.userId)) {
+      socket.send('chatAdded', {
+        id: uuid(),
+        from: null,
+        fromId: null,
+        body: 'You are muted',
+        createdAt: moment().toISOString(),
+      })
+      return
+    }
     this.world.chat.add(msg, false)
     this.send('chatAdded', msg, socket.id)
   }
 
   onCommand = async (socket, args) => {
-    // TODO: check for spoofed messages, permissions/roles etc
     // handle slash commands
     const player = socket.player
     const playerId = player.data.id
-    const [cmd, arg1, arg2] = args
+    const [cmd, arg1, arg2, arg3] = args
+    if (!this.world.permissions.canUseCommand(player, cmd, arg1)) {
+      socket.send('chatAdded', {
+        id: uuid(),
+        from: null,
+        fromId: null,
+        body: `You don't have permission to do that.`,
+        createdAt: moment().toISOString(),
+      })
+      return
+    }
     // become admin command
     if (cmd === 'admin') {
       const code = arg1
       if (process.env.ADMIN_CODE && process.env.ADMIN_CODE === code) {
         const id = player.data.id
         const userId = player.data.userId
-        const roles = player.data.roles
-        const granting = !hasRole(roles, 'admin')
+        const granting = !hasRole(player.data.roles, 'admin')
         if (granting) {
-          addRole(roles, 'admin')
+          await this.world.permissions.grant(userId, 'admin')
         } else {
-          removeRole(roles, 'admin')
+          await this.world.permissions.revoke(userId, 'admin')
         }
-        player.modify({ roles })
-        this.send('entityModified', { id, roles })
         socket.send('chatAdded', {
           id: uuid(),
           from: null,
@@ -350,9 +650,9 @@ export class ServerNetwork extends System {
           body: granting ? 'Admin granted!' : 'Admin revoked!',
           createdAt: moment().toISOString(),
         })
-        await this.db('users')
-          .where('id', userId)
-          .update({ roles: serializeRoles(roles) })
+        this.world.webhooks.emit(granting ? 'adminGranted' : 'adminRevoked', {
+          player: this.world.webhooks.getPlayer(id),
+        })
       }
     }
     if (cmd === 'name') {
@@ -370,19 +670,136 @@ export class ServerNetwork extends System {
           body: `Name set to ${name}!`,
           createdAt: moment().toISOString(),
         })
-        await this.db('users').where('id', userId).update({ name })
+        await this.db('users').where({ worldId: this.worldId, id: userId }).update({ name })
       }
     }
     if (cmd === 'spawn') {
       const op = arg1
       this.onSpawnModified(socket, op)
     }
+    if (cmd === 'role') {
+      const op = arg1
+      const send = body => {
+        socket.send('chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body,
+          createdAt: moment().toISOString(),
+        })
+      }
+      const user = arg2 ? await this.findUser(arg2) : null
+      if (op === 'list' && !arg2) {
+        for (const role of this.world.roles.serialize()) {
+          send(`${role.name}: ${role.capabilities.join(', ') || 'no capabilities'}`)
+        }
+      } else if ((op === 'list' || op === 'grant' || op === 'revoke') && arg2 && !user) {
+        send(`Player not found: ${arg2}`)
+      } else if (op === 'list') {
+        const roles = await this.world.permissions.getUserRoles(user.id)
+        send(`${user.name}: ${roles.length ? roles.join(', ') : DEFAULT_ROLE}`)
+      } else if ((op === 'grant' || op === 'revoke') && user && arg3) {
+        const role = arg3
+        if (!this.world.roles.get(role) || role === DEFAULT_ROLE) {
+          send(`Unknown role: ${role}`)
+        } else if (!this.world.permissions.canManageRole(player, role)) {
+          send(`You don't have permission to ${op} the ${role} role.`)
+        } else if (op === 'grant') {
+          if (await this.world.permissions.grant(user.id, role)) {
+            this.world.audit.record(this.getActor(socket), 'roleGranted', user.id, null, { role })
+            send(`Granted ${role} to ${user.name}`)
+          } else {
+            send(`${user.name} already has the ${role} role`)
+          }
+        } else {
+          if (await this.world.permissions.revoke(user.id, role)) {
+            this.world.audit.record(this.getActor(socket), 'roleRevoked', user.id, { role }, null)
+            send(`Revoked ${role} from ${user.name}`)
+          } else {
+            send(`${user.name} doesn't have the ${role} role`)
+          }
+        }
+      } else {
+        send('Usage: /role list [player] | /role grant <player> <role> | /role revoke <player> <role>')
+      }
+    }
     if (cmd === 'chat') {
       const op = arg1
-      if (op === 'clear' && this.isBuilder(socket.player)) {
+      if (op === 'clear') {
         this.world.chat.clear(true)
       }
     }
+    if (moderationCommands[cmd]) {
+      const send = body => {
+        socket.send('chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body,
+          createdAt: moment().toISOString(),
+        })
+      }
+      const notify = body => {
+        this.sendTo(user.id, 'chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body,
+          createdAt: moment().toISOString(),
+        })
+      }
+      const user = arg1 ? await this.findUser(arg1) : null
+      // ban and mute take an optional duration (before the reason)
+      const duration = cmd === 'ban' || cmd === 'mute' ? parseDuration(arg2) : null
+      const reason = args.slice(duration ? 3 : 2).join(' ') || null
+      const forDuration = duration ? ` for ${arg2}` : ''
+      const actor = this.getActor(socket)
+      if (!arg1) {
+        send(`Usage: ${moderationCommands[cmd]}`)
+      } else if (!user) {
+        send(`Player not found: ${arg1}`)
+      } else if (user.id === player.data.userId) {
+        send(`You can't ${cmd} yourself`)
+      } else if (
+        !this.world.permissions.canModerate(
+          player,
+          this.sockets.get(user.id)?.player.data.roles || (await this.world.permissions.getUserRoles(user.id))
+        )
+      ) {
+        send(`You don't have permission to ${cmd} ${user.name}`)
+      } else if (cmd === 'kick') {
+        if (this.world.moderation.kick(user.id, reason)) {
+          this.world.audit.record(actor, 'playerKicked', user.id, null, { reason })
+          send(`Kicked ${user.name}`)
+        } else {
+          send(`${user.name} isn't in the world`)
+        }
+      } else if (cmd === 'ban') {
+        const ban = await this.world.moderation.ban(user.id, { duration, reason, createdBy: actor.id })
+        this.world.audit.record(actor, 'playerBanned', user.id, null, { reason, expiresAt: ban.expiresAt })
+        send(`Banned ${user.name}${forDuration}`)
+      } else if (cmd === 'unban') {
+        if (await this.world.moderation.unban(user.id)) {
+          this.world.audit.record(actor, 'playerUnbanned', user.id, null, null)
+          send(`Unbanned ${user.name}`)
+        } else {
+          send(`${user.name} isn't banned`)
+        }
+      } else if (cmd === 'mute') {
+        const mute = await this.world.moderation.mute(user.id, { duration, createdBy: actor.id })
+        this.world.audit.record(actor, 'playerMuted', user.id, null, { expiresAt: mute.expiresAt })
+        send(`Muted ${user.name}${forDuration}`)
+        notify(`You have been muted${forDuration}`)
+      } else if (cmd === 'unmute') {
+        if (await this.world.moderation.unmute(user.id)) {
+          this.world.audit.record(actor, 'playerUnmuted', user.id, null, null)
+          send(`Unmuted ${user.name}`)
+          notify('You are no longer muted')
+        } else {
+          send(`${user.name} isn't muted`)
+        }
+      }
+    }
     if (cmd === 'server') {
       const op = arg1
       if (op === 'stats') {
@@ -402,6 +819,129 @@ export class ServerNetwork extends System {
         )
       }
     }
+    if (cmd === 'gc') {
+      const op = arg1 || 'scan'
+      const send = body => {
+        socket.send('chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body,
+          createdAt: moment().toISOString(),
+        })
+      }
+      try {
+        if (op === 'scan') {
+          const report = await this.world.gc.scan()
+          send(
+            `${report.unused.length} of ${report.total} assets unused (${formatBytes(report.reclaimable)} reclaimable)`
+          )
+          send(`${report.quarantined} assets in quarantine (${formatBytes(report.quarantinedSize)})`)
+        }
+        if (op === 'quarantine') {
+          const result = await this.world.gc.quarantine()
+          send(`Quarantined ${result.quarantined} assets (${formatBytes(result.size)})`)
+        }
+        if (op === 'purge') {
+          const result = await this.world.gc.purge()
+          send(`Deleted ${result.deleted} assets (${formatBytes(result.size)}), restored ${result.restored}`)
+        }
+        if (op === 'restore') {
+          const result = await this.world.gc.restore()
+          send(`Restored ${result.restored} assets`)
+        }
+      } catch (err) {
+        console.error(err)
+        send(`GC failed: ${err.message}`)
+      }
+    }
+    if (cmd === 'backup' && !this.backups) {
+      socket.send('chatAdded', {
+        id: uuid(),
+        from: null,
+        fromId: null,
+        body: 'Backups are only available with sqlite databases',
+        createdAt: moment().toISOString(),
+      })
+    }
+    if (cmd === 'backup' && this.backups) {
+      const op = arg1 || 'list'
+      const send = body => {
+        socket.send('chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body,
+          createdAt: moment().toISOString(),
+        })
+      }
+      try {
+        if (op === 'now') {
+          await this.save()
+          const backup = await this.backups.create('manual')
+          send(`Backup created: ${backup.id} (${formatBytes(backup.size)})`)
+        }
+        if (op === 'list') {
+          const backups = await this.backups.list()
+          if (!backups.length) send('No backups')
+          for (const backup of backups) {
+            send(`${backup.id} - ${backup.label} (${formatBytes(backup.size)})`)
+          }
+        }
+        if (op === 'restore' && !arg2) {
+          send('Usage: /backup restore <id>')
+        }
+        if (op === 'restore' && arg2) {
+          send(`Restoring backup ${arg2}...`)
+          const undo = await this.restoreBackup(arg2)
+          send(`Backup ${arg2} restored. To undo use /backup restore ${undo.id}`)
+        }
+      } catch (err) {
+        console.error(err)
+        send(`Backup failed: ${err.message}`)
+      }
+    }
+    if (cmd === 'audit') {
+      const send = body => {
+        socket.send('chatAdded', {
+          id: uuid(),
+          from: null,
+          fromId: null,
+          body,
+          createdAt: moment().toISOString(),
+        })
+      }
+      const filter = { limit: 10 }
+      if (arg1 === 'user' && arg2) {
+        // accept a user id or name
+        const user = await this.db('users')
+          .where('worldId', this.worldId)
+          .where(query => query.where('id', arg2).orWhere('name', arg2))
+          .first()
+        filter.userId = user?.id || arg2
+      }
+      if (arg1 === 'entity' && arg2) {
+        filter.targetId = arg2
+      }
+      if (arg1 === 'since' && arg2) {
+        // eg 30m, 2h, 7d
+        const match = /^(\d+)([mhd])$/.exec(arg2)
+        if (match) filter.from = moment().subtract(parseInt(match[1]), match[2]).toISOString()
+      }
+      if (arg1 && !arg2) {
+        send('Usage: /audit [user <name|id> | entity <id> | since <30m|2h|7d>]')
+      } else {
+        const records = await this.world.audit.query(filter)
+        if (!records.length) send('No audit records found')
+        for (const record of records.reverse()) {
+          const keys = Object.keys(record.after || record.before || {})
+          const time = moment(record.createdAt).format('MMM D HH:mm')
+          send(
+            `${time} ${record.userName} ${record.action} ${record.targetId}${keys.length ? ` (${keys.join(', ')})` : ''}`
+          )
+        }
+      }
+    }
     // emit event for all except admin
     if (cmd !== 'admin') {
       this.world.events.emit('command', { playerId, args })
@@ -409,45 +949,122 @@ export class ServerNetwork extends System {
   }
 
   onBlueprintAdded = (socket, blueprint) => {
-    if (!this.isBuilder(socket.player)) {
-      return console.error('player attempted to add blueprint without builder permission')
-    }
-    this.world.blueprints.add(blueprint)
-    this.send('blueprintAdded', blueprint, socket.id)
-    this.dirtyBlueprints.add(blueprint.id)
+    this.addBlueprint(blueprint, socket.id)
+    this.blueprintAuthors.set(blueprint.id, socket.player.data.userId)
+    this.world.audit.record(this.getActor(socket), 'blueprintAdded', blueprint.id, null, blueprint)
   }
 
   onBlueprintModified = (socket, data) => {
-    if (!this.isBuilder(socket.player)) {
-      return console.error('player attempted to modify blueprint without builder permission')
-    }
-    const blueprint = this.world.blueprints.get(data.id)
-    // if new version is greater than current version, allow it
-    if (data.version > blueprint.version) {
-      this.world.blueprints.modify(data)
-      this.send('blueprintModified', data, socket.id)
-      this.dirtyBlueprints.add(data.id)
-    }
-    // otherwise, send a revert back to client, because someone else modified before them
-    else {
-      socket.send('blueprintModified', blueprint)
+    const modified = this.modifyBlueprint(data, socket.id)
+    if (modified) this.blueprintAuthors.set(data.id, socket.player.data.userId)
+    // if it wasn't a newer version, send a revert back to client, because someone else modified before them
+    if (!modified) {
+      const blueprint = this.world.blueprints.get(data.id)
+      if (blueprint) socket.send('blueprintModified', blueprint)
     }
   }
 
   onEntityAdded = (socket, data) => {
-    if (!this.isBuilder(socket.player)) {
-      return console.error('player attempted to add entity without builder permission')
-    }
-    const entity = this.world.entities.add(data)
-    this.send('entityAdded', data, socket.id)
-    if (entity.isApp) this.dirtyApps.add(entity.data.id)
+    this.addEntity(data, socket.id)
+    this.world.audit.record(this.getActor(socket), 'entityAdded', data.id, null, data)
   }
 
   onEntityModified = async (socket, data) => {
     const entity = this.world.entities.get(data.id)
     if (!entity) return console.error('onEntityModified: no entity found', data)
+    if (entity.isPlayer && !this.world.movement.check(socket, data)) return
+    const before = entity.isApp ? cloneDeep(pick(entity.data, Object.keys(data))) : null
+    await this.modifyEntity(data, socket.id)
+    if (before) this.world.audit.record(this.getActor(socket), 'entityModified', data.id, before, data)
+  }
+
+  onEntityEvent = (socket, event) => {
+    const [id, version, name, data] = event
+    const entity = this.world.entities.get(id)
+    entity?.onEvent(version, name, data, socket.id)
+  }
+
+  onEntityRemoved = (socket, id) => {
+    const entity = this.world.entities.get(id)
+    const before = entity?.isApp ? cloneDeep(entity.data) : null
+    if (!this.removeEntity(id, socket.id)) return
+    if (before) this.world.audit.record(this.getActor(socket), 'entityRemoved', id, before, null)
+  }
+
+  onSettingsModified = (socket, data) => {
+    const before = { [data.key]: cloneDeep(this.world.settings[data.key]) }
+    this.modifySettings(data, socket.id)
+    this.world.audit.record(this.getActor(socket), 'settingsModified', data.key, before, { [data.key]: data.value })
+  }
+
+  onSpawnModified = async (socket, op) => {
+    const player = socket.player
+    const before = this.spawn
+    if (op === 'set') {
+      await this.setSpawn({ position: player.data.position.slice(), quaternion: player.data.quaternion.slice() })
+    } else if (op === 'clear') {
+      await this.setSpawn(null)
+    } else {
+      return
+    }
+    this.world.audit.record(this.getActor(socket), 'spawnModified', 'spawn', before, this.spawn)
+    socket.send('chatAdded', {
+      id: uuid(),
+      from: null,
+      fromId: null,
+      body: op === 'set' ? 'Spawn updated' : 'Spawn cleared',
+      createdAt: moment().toISOString(),
+    })
+  }
+
+  /**
+   * World mutations
+   *
+   * These apply a change, broadcast it to every socket (except `ignoreSocketId`) and queue it for saving.
+   * Permission checks are the responsibility of the caller (eg socket handlers or the admin api).
+   */
+
+  addBlueprint(blueprint, ignoreSocketId) {
+    this.world.blueprints.add(blueprint)
+    this.send('blueprintAdded', blueprint, ignoreSocketId)
+    this.dirtyBlueprints.add(blueprint.id)
+  }
+
+  modifyBlueprint(data, ignoreSocketId) {
+    const blueprint = this.world.blueprints.get(data.id)
+    // only allow it if new version is greater than current version
+    if (!blueprint || !(data.version > blueprint.version)) return false
+    this.world.blueprints.modify(data)
+    this.send('blueprintModified', data, ignoreSocketId)
+    this.dirtyBlueprints.add(data.id)
+    return true
+  }
+
+  removeBlueprint(id, ignoreSocketId) {
+    const blueprint = this.world.blueprints.get(id)
+    if (!blueprint) return false
+    this.world.blueprints.remove(id)
+    this.send('blueprintRemoved', id, ignoreSocketId)
+    this.dirtyBlueprints.add(id)
+    return true
+  }
+
+  addEntity(data, ignoreSocketId) {
+    const entity = this.world.entities.add(data)
+    this.send('entityAdded', data, ignoreSocketId)
+    if (entity.isApp) {
+      this.dirtyApps.add(entity.data.id)
+      this.trackStableTransform(entity, data)
+    }
+    return entity
+  }
+
+  async modifyEntity(data, ignoreSocketId) {
+    const entity = this.world.entities.get(data.id)
+    if (!entity) return null
+    if (entity.isApp) this.trackStableTransform(entity, data)
     entity.modify(data)
-    this.send('entityModified', data, socket.id)
+    this.send('entityModified', data, ignoreSocketId)
     if (entity.isApp) {
       // mark for saving
       this.dirtyApps.add(entity.data.id)
@@ -465,69 +1082,68 @@ export class ServerNetwork extends System {
         changed = true
       }
       if (changed) {
-        await this.db('users').where('id', entity.data.userId).update(changes)
+        await this.db('users').where({ worldId: this.worldId, id: entity.data.userId }).update(changes)
       }
     }
+    return entity
   }
 
-  onEntityEvent = (socket, event) => {
-    const [id, version, name, data] = event
-    const entity = this.world.entities.get(id)
-    entity?.onEvent(version, name, data, socket.id)
-  }
-
-  onEntityRemoved = (socket, id) => {
-    if (!this.isBuilder(socket.player))
-      return console.error('player attempted to remove entity without builder permission')
+  removeEntity(id, ignoreSocketId) {
     const entity = this.world.entities.get(id)
+    if (!entity) return false
     this.world.entities.remove(id)
-    this.send('entityRemoved', id, socket.id)
+    this.stableTransforms.delete(id)
+    this.send('entityRemoved', id, ignoreSocketId)
     if (entity.isApp) this.dirtyApps.add(id)
+    return true
   }
 
-  onSettingsModified = (socket, data) => {
-    if (!this.isBuilder(socket.player))
-      return console.error('player attempted to modify settings without builder permission')
+  /**
+   * Remembers where an app was before someone started moving it, so saves don't persist a transform mid-move.
+   * Call this before applying `data`.
+   */
+  trackStableTransform(entity, data) {
+    if (!('mover' in data)) return
+    if (data.mover && !this.stableTransforms.has(entity.data.id)) {
+      const source = entity.data.mover ? data : entity.data
+      this.stableTransforms.set(entity.data.id, cloneDeep(pick(source, ['position', 'quaternion', 'scale'])))
+    }
+    if (!data.mover) {
+      this.stableTransforms.delete(entity.data.id)
+    }
+  }
+
+  modifySettings(data, ignoreSocketId) {
     this.world.settings.set(data.key, data.value)
-    this.send('settingsModified', data, socket.id)
+    this.send('settingsModified', data, ignoreSocketId)
   }
 
-  onSpawnModified = async (socket, op) => {
-    if (!this.isBuilder(socket.player)) {
-      return console.error('player attempted to modify spawn without builder permission')
-    }
-    const player = socket.player
-    if (op === 'set') {
-      this.spawn = { position: player.data.position.slice(), quaternion: player.data.quaternion.slice() }
-    } else if (op === 'clear') {
-      this.spawn = { position: [0, 0, 0], quaternion: [0, 0, 0, 1] }
-    } else {
-      return
-    }
+  async setSpawn(spawn) {
+    this.spawn = spawn || JSON.parse(defaultSpawn)
     const data = JSON.stringify(this.spawn)
     await this.db('config')
       .insert({
+        worldId: this.worldId,
         key: 'spawn',
         value: data,
       })
-      .onConflict('key')
+      .onConflict(['worldId', 'key'])
       .merge({
         value: data,
       })
-    socket.send('chatAdded', {
-      id: uuid(),
-      from: null,
-      fromId: null,
-      body: op === 'set' ? 'Spawn updated' : 'Spawn cleared',
-      createdAt: moment().toISOString(),
-    })
   }
 
   onPlayerTeleport = (socket, data) => {
+    // a script teleported the player on their own client
+    if (data.networkId === socket.id) return this.world.movement.onScriptTeleport(socket, data)
+    this.world.movement.onTeleport(data.networkId, data.position)
     this.sendTo(data.networkId, 'playerTeleport', data)
   }
 
   onPlayerPush = (socket, data) => {
+    // a script pushed the player on their own client
+    if (data.networkId === socket.id) return this.world.movement.onScriptPush(socket, data)
+    this.world.movement.onPush(data.networkId, data.force)
     this.sendTo(data.networkId, 'playerPush', data)
   }
 
@@ -540,7 +1156,10 @@ export class ServerNetwork extends System {
   }
 
   onDisconnect = (socket, code) => {
+    this.world.permissions.onDisconnect(socket)
+    this.world.movement.onDisconnect(socket)
     socket.player.destroy(true)
+    this.world.interest.onDisconnect(socket)
     this.sockets.delete(socket.id)
   }
 }
@@ -0,0 +1,539 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { newDb } from 'pg-mem'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { ServerNetwork } from './ServerNetwork'
+import { ServerModeration } from './ServerModeration'
+import { ServerPermissions } from './ServerPermissions'
+import { Roles } from './Roles'
+import { readPacket } from '../packets'
+import { Backups } from '../../server/Backups'
+import { createDB, migrate } from '../../server/db'
+import { Storage } from '../../server/Storage'
+
+// local adds are broadcast, like the real Blueprints and Entities systems
+function createWorld() {
+  const blueprints = new Map()
+  const entities = new Map()
+  const settings = { title: 'World' }
+  const world = {
+    blueprints: {
+      items: blueprints,
+      get: id => blueprints.get(id),
+      add: (data, local) => {
+        blueprints.set(data.id, data)
+        if (local) world.network.send('blueprintAdded', data)
+      },
+      remove: id => blueprints.delete(id),
+    },
+    entities: {
+      items: entities,
+      get: id => entities.get(id),
+      add: (data, local) => {
+        const entity = {
+          isApp: data.type === 'app',
+          data,
+          modify: changes => Object.assign(entity.data, changes),
+          serialize: () => ({ ...entity.data }),
+        }
+        entities.set(data.id, entity)
+        if (local) world.network.send('entityAdded', data)
+        return entity
+      },
+      remove: id => entities.delete(id),
+    },
+    settings: {
+      serialize: () => ({ ...settings }),
+      deserialize: data => Object.assign(settings, data),
+      off: () => {},
+    },
+    environment: { updateModel: async () => {} },
+    interest: { track: () => true },
+    chat: { add: vi.fn() },
+    events: { emit: vi.fn() },
+    monitor: { onSave: vi.fn(), onPacketOut: () => {}, onPermissionViolation: vi.fn() },
+    webhooks: { emit: vi.fn(), drain: vi.fn(async () => {}) },
+    audit: { record: vi.fn(), flush: vi.fn(async () => {}) },
+    appStorage: { clearBlueprint: vi.fn(async () => {}), clearApp: vi.fn(async () => {}) },
+  }
+  return world
+}
+
+function createSocket(id) {
+  return { id, alive: true, ping: () => {}, send: vi.fn(), sendPacket: vi.fn(), ws: { close: vi.fn() } }
+}
+
+// a connected player's socket
+function connect(network, userId, name, roles) {
+  const socket = createSocket(userId)
+  const player = {
+    data: { id: `player-${userId}`, userId, name, roles },
+    modify: changes => Object.assign(player.data, changes),
+  }
+  socket.player = player
+  network.sockets.set(userId, socket)
+  return socket
+}
+
+// the chat messages the server sent to a socket
+function getMessages(socket) {
+  return socket.send.mock.calls.filter(([name]) => name === 'chatAdded').map(([, msg]) => msg.body)
+}
+
+describe('ServerNetwork', () => {
+  let db
+  let world
+  let network
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    world = createWorld()
+    network = new ServerNetwork(world)
+    world.network = network
+    network.init({ db })
+  })
+
+  afterEach(async () => {
+    network.destroy()
+    await db.destroy()
+    vi.restoreAllMocks()
+  })
+
+  describe('shutdown', () => {
+    it('counts down, kicks everyone and saves', async () => {
+      const socket = createSocket('user1')
+      network.sockets.set(socket.id, socket)
+      world.blueprints.items.set('bp1', { id: 'bp1', name: 'Chair', version: 1 })
+      network.dirtyBlueprints.add('bp1')
+
+      await network.shutdown(2)
+      expect(world.chat.add.mock.calls.map(([msg, broadcast]) => [msg.body, broadcast])).toEqual([
+        ['Server restarting in 2...', true],
+        ['Server restarting in 1...', true],
+      ])
+      expect(socket.send).toHaveBeenCalledWith('kick', 'server_restart')
+      expect(socket.ws.close).toHaveBeenCalled()
+      expect((await db('blueprints')).map(row => row.id)).toEqual(['bp1'])
+      expect(JSON.parse((await db('config').where({ key: 'settings' }).first()).value)).toEqual({ title: 'World' })
+      expect(world.audit.flush).toHaveBeenCalledWith(true)
+      expect(world.webhooks.drain).toHaveBeenCalledWith(5)
+      // saves aren't queued again
+      const setTimeout = vi.spyOn(globalThis, 'setTimeout')
+      await network.save()
+      expect(setTimeout).not.toHaveBeenCalledWith(network.save, expect.anything())
+    })
+
+    it('skips the countdown when nobody is connected', async () => {
+      const start = performance.now()
+      await network.shutdown(5)
+      expect(performance.now() - start).toBeLessThan(1000)
+      expect(world.chat.add).not.toHaveBeenCalled()
+    })
+
+    it('turns away players that connect while shutting down', async () => {
+      network.closing = true
+      const ws = { send: vi.fn(), close: vi.fn() }
+      await network.onConnection(ws, {}, '127.0.0.1')
+      const [, data, name] = readPacket(ws.send.mock.calls[0][0])
+      expect([name, data]).toEqual(['kick', 'server_restart'])
+      expect(ws.close).toHaveBeenCalled()
+      expect(network.sockets.size).toBe(0)
+    })
+  })
+
+  describe('save', () => {
+    async function saveChanges() {
+      network.addBlueprint({ id: 'bp1', name: 'Chair', version: 0 })
+      network.addBlueprint({ id: 'bp2', name: 'Table', version: 0 })
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [0, 0, 0], state: { on: true } })
+      network.addEntity({ id: 'app2', type: 'app', blueprint: 'bp2', position: [0, 0, 0] })
+      await network.save()
+      world.blueprints.items.set('bp1', { id: 'bp1', name: 'Chair', version: 1 })
+      network.dirtyBlueprints.add('bp1')
+      network.blueprintAuthors.set('bp1', 'user1')
+      network.removeBlueprint('bp2')
+      network.removeEntity('app2')
+      // apps being moved are saved where they were before the move started
+      await network.modifyEntity({ id: 'app1', mover: 'user1', position: [5, 0, 0] })
+      await network.save()
+    }
+
+    async function expectSaved() {
+      expect(await db('blueprints').pluck('id')).toEqual(['bp1'])
+      const revisions = await db('blueprint_revisions').orderBy('id').select('blueprintId', 'version', 'userId')
+      expect(revisions).toEqual([
+        { blueprintId: 'bp1', version: 0, userId: null },
+        { blueprintId: 'bp2', version: 0, userId: null },
+        { blueprintId: 'bp1', version: 1, userId: 'user1' },
+      ])
+      const entities = await db('entities').select('id', 'data')
+      expect(entities.map(row => [row.id, JSON.parse(row.data)])).toEqual([
+        [
+          'app1',
+          { id: 'app1', type: 'app', blueprint: 'bp1', position: [0, 0, 0], mover: null, uploader: null, state: null },
+        ],
+      ])
+      expect(network.dirtyBlueprints.size + network.dirtyApps.size).toBe(0)
+      expect(world.webhooks.emit).toHaveBeenLastCalledWith('blueprintPublished', {
+        blueprint: { id: 'bp1', name: 'Chair', version: 1 },
+        userId: 'user1',
+      })
+    }
+
+    it('writes changes to sqlite', async () => {
+      await saveChanges()
+      await expectSaved()
+    })
+
+    it('writes changes to postgres', async () => {
+      await db.destroy()
+      db = newDb().adapters.createKnex().withUserParams({ worldId: 'world1' })
+      await migrate(db)
+      network.init({ db })
+      await saveChanges()
+      await expectSaved()
+    })
+
+    it('writes nothing and retries when the save fails', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      network.addBlueprint({ id: 'bp1', version: 0 })
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1' })
+      network.blueprintAuthors.set('bp1', 'user1')
+      await db.schema.renameTable('entities', 'entities_old')
+      await network.save()
+      expect(await db('blueprints')).toEqual([])
+      expect(await db('blueprint_revisions')).toEqual([])
+      expect([...network.dirtyBlueprints, ...network.dirtyApps]).toEqual(['bp1', 'app1'])
+      expect(world.webhooks.emit).not.toHaveBeenCalled()
+      expect(world.monitor.onSave).toHaveBeenLastCalledWith(expect.any(Number), 1)
+
+      await db.schema.renameTable('entities_old', 'entities')
+      await network.save()
+      expect(await db('blueprint_revisions').select('blueprintId', 'userId')).toEqual([
+        { blueprintId: 'bp1', userId: 'user1' },
+      ])
+      expect(await db('entities').pluck('id')).toEqual(['app1'])
+    })
+
+    it('waits for apps to finish uploading before saving them', async () => {
+      network.addBlueprint({ id: 'bp1', version: 0 })
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', uploader: 'user1' })
+      await network.save()
+      expect(await db('entities')).toEqual([])
+      expect([...network.dirtyApps]).toEqual(['app1'])
+      await network.modifyEntity({ id: 'app1', uploader: null })
+      await network.save()
+      expect(await db('entities').pluck('id')).toEqual(['app1'])
+      expect(network.dirtyApps.size).toBe(0)
+    })
+
+    it('clears the storage of removed apps and blueprints', async () => {
+      network.addBlueprint({ id: 'bp1', version: 0 })
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1' })
+      await network.save()
+      expect(world.appStorage.clearApp).not.toHaveBeenCalled()
+      network.removeEntity('app1')
+      network.removeBlueprint('bp1')
+      await network.save()
+      expect(world.appStorage.clearApp).toHaveBeenCalledWith('app1')
+      expect(world.appStorage.clearBlueprint).toHaveBeenCalledWith('bp1')
+    })
+  })
+
+  describe('permissions', () => {
+    it('drops packets the sender is not allowed to send', () => {
+      world.roles = new Roles(world)
+      world.permissions = new ServerPermissions(world)
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1' })
+      const visitor = createSocket('user1')
+      visitor.player = { data: { id: 'player1', userId: 'user1', name: 'Visitor', roles: [] } }
+      const builder = createSocket('user2')
+      builder.player = { data: { id: 'player2', userId: 'user2', name: 'Builder', roles: ['builder'] } }
+      network.enqueue(visitor, 'onEntityRemoved', 'app1', 'entityRemoved')
+      network.flush()
+      expect(world.entities.get('app1')).toBeDefined()
+      expect(console.error).toHaveBeenCalledWith(
+        'permissions: Visitor (user1) sent entityRemoved (app) without permission'
+      )
+      network.enqueue(builder, 'onEntityRemoved', 'app1', 'entityRemoved')
+      network.flush()
+      expect(world.entities.get('app1')).toBeUndefined()
+      expect(world.audit.record).toHaveBeenCalledWith(
+        { id: 'user2', name: 'Builder' },
+        'entityRemoved',
+        'app1',
+        expect.objectContaining({ id: 'app1' }),
+        null
+      )
+    })
+  })
+
+  describe('role command', () => {
+    let admin
+    let visitor
+
+    async function command(socket, ...args) {
+      socket.send.mockClear()
+      await network.onCommand(socket, ['role', ...args])
+      return getMessages(socket)
+    }
+
+    beforeEach(async () => {
+      world.roles = new Roles(world)
+      world.permissions = new ServerPermissions(world)
+      world.permissions.init({ db })
+      await db('users').insert({ worldId: 'world1', id: 'user3', name: 'Carol', createdAt: new Date().toISOString() })
+      admin = connect(network, 'user1', 'Alice', ['admin'])
+      visitor = connect(network, 'user2', 'Bob', [])
+    })
+
+    it('lists roles', async () => {
+      expect(await command(visitor, 'list')).toEqual([
+        'admin: build, moderate, settings, roles, server',
+        'moderator: moderate',
+        'builder: build',
+        'visitor: no capabilities',
+      ])
+      await world.permissions.grant('user3', 'builder')
+      expect(await command(visitor, 'list', 'Carol')).toEqual(['Carol: builder'])
+      expect(await command(visitor, 'list', 'Bob')).toEqual(['Bob: visitor'])
+      expect(await command(visitor, 'list', 'Dave')).toEqual(['Player not found: Dave'])
+    })
+
+    it('grants and revokes roles', async () => {
+      expect(await command(admin, 'grant', 'Bob', 'builder')).toEqual(['Granted builder to Bob'])
+      expect(visitor.player.data.roles).toEqual(['builder'])
+      expect(world.audit.record).toHaveBeenCalledWith({ id: 'user1', name: 'Alice' }, 'roleGranted', 'user2', null, {
+        role: 'builder',
+      })
+      expect(await command(admin, 'grant', 'user2', 'builder')).toEqual(['Bob already has the builder role'])
+      expect(await command(admin, 'grant', 'Carol', 'moderator')).toEqual(['Granted moderator to Carol'])
+      expect(await command(admin, 'revoke', 'Bob', 'builder')).toEqual(['Revoked builder from Bob'])
+      expect(await command(admin, 'revoke', 'Bob', 'builder')).toEqual(["Bob doesn't have the builder role"])
+      expect(visitor.player.data.roles).toEqual([])
+      expect(await command(admin, 'grant', 'Bob', 'visitor')).toEqual(['Unknown role: visitor'])
+      expect(await command(admin, 'grant', 'Bob', 'wizard')).toEqual(['Unknown role: wizard'])
+      expect(await command(admin, 'grant', 'Bob')).toEqual([
+        'Usage: /role list [player] | /role grant <player> <role> | /role revoke <player> <role>',
+      ])
+    })
+
+    it('only lets players manage roles with capabilities they have', async () => {
+      expect(await command(visitor, 'grant', 'Bob', 'builder')).toEqual(["You don't have permission to do that."])
+      world.roles.set({ name: 'manager', capabilities: ['roles', 'build'] })
+      await world.permissions.grant('user2', 'manager')
+      expect(await command(visitor, 'grant', 'Carol', 'builder')).toEqual(['Granted builder to Carol'])
+      expect(await command(visitor, 'grant', 'Carol', 'moderator')).toEqual([
+        "You don't have permission to grant the moderator role.",
+      ])
+      expect(await command(visitor, 'revoke', 'Alice', 'admin')).toEqual([
+        "You don't have permission to revoke the admin role.",
+      ])
+    })
+  })
+
+  describe('moderation', () => {
+    let createJWT
+    let moderator
+    let visitor
+
+    async function command(socket, ...args) {
+      socket.send.mockClear()
+      await network.onCommand(socket, args)
+      return getMessages(socket)
+    }
+
+    beforeEach(async () => {
+      // JWT_SECRET is read when the module is loaded
+      vi.stubEnv('JWT_SECRET', 'secret')
+      vi.resetModules()
+      const { ServerNetwork } = await import('./ServerNetwork')
+      ;({ createJWT } = await import('../utils-server'))
+      network.destroy()
+      network = new ServerNetwork(world)
+      world.network = network
+      network.init({ db })
+      world.roles = new Roles(world)
+      world.permissions = new ServerPermissions(world)
+      world.permissions.init({ db })
+      world.livekit = { setCanPublish: vi.fn(async () => {}) }
+      world.moderation = new ServerModeration(world)
+      world.moderation.init({ db })
+      await world.moderation.start()
+      await db('users').insert({ worldId: 'world1', id: 'user3', name: 'Carol', createdAt: new Date().toISOString() })
+      connect(network, 'user1', 'Alice', ['admin'])
+      moderator = connect(network, 'user2', 'Bob', ['moderator'])
+      visitor = connect(network, 'user4', 'Dave', [])
+    })
+
+    afterEach(() => {
+      world.moderation.destroy()
+      vi.unstubAllEnvs()
+    })
+
+    it('kicks players', async () => {
+      expect(await command(visitor, 'kick', 'Bob')).toEqual(["You don't have permission to do that."])
+      expect(await command(moderator, 'kick', 'Dave', 'being', 'rude')).toEqual(['Kicked Dave'])
+      expect(visitor.send).toHaveBeenCalledWith('kick', { code: 'kicked', reason: 'being rude' })
+      expect(visitor.ws.close).toHaveBeenCalled()
+      expect(world.audit.record).toHaveBeenCalledWith({ id: 'user2', name: 'Bob' }, 'playerKicked', 'user4', null, {
+        reason: 'being rude',
+      })
+      expect(await command(moderator, 'kick', 'Carol')).toEqual(["Carol isn't in the world"])
+      expect(await command(moderator, 'kick', 'Eve')).toEqual(['Player not found: Eve'])
+      expect(await command(moderator, 'kick', 'Bob')).toEqual(["You can't kick yourself"])
+      expect(await command(moderator, 'kick', 'Alice')).toEqual(["You don't have permission to kick Alice"])
+      expect(await command(moderator, 'kick')).toEqual(['Usage: /kick <player> [reason]'])
+    })
+
+    it('bans and unbans users', async () => {
+      expect(await command(moderator, 'ban', 'Carol', '2h', 'spamming', 'links')).toEqual(['Banned Carol for 2h'])
+      expect(await world.moderation.getBan('user3')).toMatchObject({ reason: 'spamming links' })
+      expect((await world.moderation.getBan('user3')).expiresAt).not.toBe(null)
+      // banned users are turned away when they connect
+      const ws = { send: vi.fn(), close: vi.fn() }
+      await network.onConnection(ws, { authToken: await createJWT({ userId: 'user3' }) }, '1.2.3.4')
+      const [, data, name] = readPacket(ws.send.mock.calls[0][0])
+      expect(name).toBe('kick')
+      expect(data).toMatchObject({ code: 'banned', reason: 'spamming links' })
+      expect(ws.close).toHaveBeenCalled()
+      expect(network.sockets.has('user3')).toBe(false)
+
+      // without a duration the whole message is the reason
+      expect(await command(moderator, 'ban', 'Dave', 'griefing')).toEqual(['Banned Dave'])
+      expect(await world.moderation.getBan('user4')).toEqual({ userId: 'user4', reason: 'griefing', expiresAt: null })
+      expect(visitor.ws.close).toHaveBeenCalled()
+
+      expect(await command(moderator, 'unban', 'Carol')).toEqual(['Unbanned Carol'])
+      expect(await command(moderator, 'unban', 'Carol')).toEqual(["Carol isn't banned"])
+      expect(await world.moderation.getBan('user3')).toBe(null)
+    })
+
+    it('mutes players', async () => {
+      expect(await command(moderator, 'mute', 'Dave', '30m')).toEqual(['Muted Dave for 30m'])
+      expect(getMessages(visitor)).toEqual(['You have been muted for 30m'])
+      expect(world.livekit.setCanPublish).toHaveBeenCalledWith('user4', false)
+      const msg = {
+        id: 'msg1',
+        from: 'Dave',
+        fromId: 'player-user4',
+        body: 'hello',
+        createdAt: new Date().toISOString(),
+      }
+      visitor.send.mockClear()
+      await network.onChatAdded(visitor, msg)
+      expect(getMessages(visitor)).toEqual(['You are muted'])
+      expect(world.chat.add).not.toHaveBeenCalled()
+
+      visitor.send.mockClear()
+      expect(await command(moderator, 'unmute', 'Dave')).toEqual(['Unmuted Dave'])
+      expect(getMessages(visitor)).toEqual(['You are no longer muted'])
+      expect(await command(moderator, 'unmute', 'Dave')).toEqual(["Dave isn't muted"])
+      await network.onChatAdded(visitor, msg)
+      expect(world.chat.add).toHaveBeenCalledWith(msg, false)
+    })
+  })
+
+  describe('interest', () => {
+    beforeEach(async () => {
+      // the radii are read when the module is loaded
+      vi.stubEnv('INTEREST_APP_RADIUS', '100')
+      vi.resetModules()
+      const { ServerInterest } = await import('./ServerInterest')
+      world.interest = new ServerInterest(world)
+    })
+
+    afterEach(() => {
+      world.interest.destroy()
+      vi.unstubAllEnvs()
+    })
+
+    it('only sends clients updates for entities near them', () => {
+      const near = connect(network, 'user1', 'Alice', [])
+      const far = connect(network, 'user2', 'Bob', [])
+      near.player.data.position = [0, 0, 0]
+      far.player.data.position = [1000, 0, 0]
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1', position: [10, 0, 0] })
+      world.interest.getSnapshot(near)
+      world.interest.getSnapshot(far)
+      near.sendPacket.mockClear()
+      far.sendPacket.mockClear()
+      const getSent = socket => socket.sendPacket.mock.calls.map(([packet]) => readPacket(packet)[2])
+
+      network.send('entityModified', { id: 'app1', position: [20, 0, 0] })
+      network.send('entityEvent', ['app1', 0, 'open'])
+      network.send('chatAdded', { id: 'msg1', body: 'hi' })
+      expect(getSent(near)).toEqual(['entityModified', 'entityEvent', 'chatAdded'])
+      expect(getSent(far)).toEqual(['chatAdded'])
+      // new apps are only sent to clients near them
+      network.addEntity({ id: 'app2', type: 'app', blueprint: 'bp1', position: [990, 0, 0] })
+      expect(getSent(near)).not.toContain('entityAdded')
+      expect(getSent(far)).toEqual(['chatAdded', 'entityAdded'])
+    })
+  })
+
+  describe('restoreBackup', () => {
+    let dir
+
+    beforeEach(async () => {
+      // backups need a database file
+      await db.destroy()
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'restore-'))
+      db = createDB({ file: path.join(dir, 'db.sqlite'), worldId: 'world1', client: 'sqlite' })
+      await migrate(db)
+      const storage = new Storage(path.join(dir, 'storage.json'))
+      const backups = new Backups({ db, dbFile: path.join(dir, 'db.sqlite'), storage, dir: path.join(dir, 'backups') })
+      network.init({ db, backups })
+    })
+
+    afterEach(async () => {
+      await fs.remove(dir)
+    })
+
+    it('reloads the world from a backup while players stay connected', async () => {
+      network.addBlueprint({ id: 'bp1', version: 0 })
+      network.addEntity({ id: 'app1', type: 'app', blueprint: 'bp1' })
+      await network.save()
+      await network.saveSettings()
+      const backup = await network.backups.create()
+
+      network.addBlueprint({ id: 'bp2', version: 0 })
+      network.removeEntity('app1')
+      await network.save()
+      world.settings.deserialize({ title: 'Changed' })
+      await network.saveSettings()
+      const socket = createSocket('user1')
+      network.sockets.set(socket.id, socket)
+
+      const undo = await network.restoreBackup(backup.id)
+      expect([...world.blueprints.items.keys()]).toEqual(['bp1'])
+      expect([...world.entities.items.keys()]).toEqual(['app1'])
+      expect(world.settings.serialize().title).toBe('World')
+      expect(socket.ws.close).not.toHaveBeenCalled()
+      const sent = socket.sendPacket.mock.calls.map(([packet]) => readPacket(packet)[2])
+      expect(sent).toEqual(
+        expect.arrayContaining(['blueprintRemoved', 'blueprintAdded', 'entityAdded', 'settingsModified'])
+      )
+      // the unloaded world isn't saved over the restored one
+      await network.save()
+      expect((await db('blueprints')).map(row => row.id)).toEqual(['bp1'])
+
+      // the world from before the restore was backed up
+      expect(undo.label).toBe('pre-restore')
+      await network.restoreBackup(undo.id)
+      expect([...world.blueprints.items.keys()].sort()).toEqual(['bp1', 'bp2'])
+      expect([...world.entities.items.keys()]).toEqual([])
+    })
+
+    it('rejects unknown backups', async () => {
+      await expect(network.restoreBackup('missing')).rejects.toThrow('backup not found: missing')
+      expect(network.restoring).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,321 @@
+import moment from 'moment'
+
+import { System } from './System'
+import { Capabilities, builtinRoles } from './Roles'
+import { addRole, removeRole } from '../utils'
+
+const VIOLATION_LIMIT = parseInt(process.env.PERMISSION_VIOLATION_LIMIT || '20') // per window, 0 = never kick
+const VIOLATION_WINDOW = 60 // seconds
+const LOG_RATE = 10 // seconds between logged violations for each player
+
+const ROLE_NAME_REGEX = /^[a-z][a-z0-9_-]{0,31}$/
+
+export const Access = {
+  EVERYONE: 'everyone', // any connected player
+  OWNER: 'owner', // the player the packet is about (eg their own player entity)
+  // anything else is a capability, see Roles
+}
+
+const { EVERYONE, OWNER } = Access
+const { BUILD, MODERATE, SETTINGS, ROLES, SERVER } = Capabilities
+
+/**
+ * Who can send each packet, either everyone, the owner or players with a capability.
+ *
+ * - `access` applies to the whole packet
+ * - `types` applies to the entity the packet adds or removes, by entity type
+ * - `fields` applies to each field of an entityModified packet, by entity type
+ * - `sender` is a field that has to be the sender's own player id (if set)
+ * - `self` is a field that, when it's the sender's own player id, lets everyone send the packet regardless of `access`
+ *
+ * Anything that isn't listed (packets, entity types and fields) can only be changed by the server.
+ */
+export const packetPermissions = {
+  ping: { access: EVERYONE },
+  command: { access: EVERYONE }, // see commandPermissions
+  chatAdded: { access: EVERYONE, sender: 'fromId' },
+  chatCleared: { access: MODERATE },
+  blueprintAdded: { access: BUILD },
+  blueprintModified: { access: BUILD },
+  entityAdded: { types: { app: BUILD } },
+  entityModified: {
+    fields: {
+      player: {
+        p: OWNER,
+        q: OWNER,
+        e: OWNER,
+        t: OWNER,
+        ef: OWNER,
+        name: OWNER,
+        avatar: OWNER,
+        sessionAvatar: OWNER,
+      },
+      app: {
+        position: BUILD,
+        quaternion: BUILD,
+        scale: BUILD,
+        mover: BUILD,
+        blueprint: BUILD,
+        pinned: BUILD,
+        state: BUILD,
+        uploader: BUILD,
+      },
+    },
+  },
+  entityEvent: { access: EVERYONE },
+  entityRemoved: { types: { app: BUILD } },
+  // these are relayed to another player, or tell the server about a script on the player's own client
+  playerTeleport: { access: BUILD, self: 'networkId' },
+  playerPush: { access: BUILD, self: 'networkId' },
+  playerSessionAvatar: { access: BUILD },
+  settingsModified: { access: SETTINGS },
+  spawnModified: { access: BUILD },
+}
+
+/**
+ * Who can use each built-in slash command, optionally by its first argument.
+ * Anything else is an app command that everyone can use.
+ */
+export const commandPermissions = {
+  admin: EVERYONE, // checks the admin code itself
+  name: EVERYONE,
+  spawn: BUILD,
+  chat: { clear: MODERATE },
+  role: { list: EVERYONE, grant: ROLES, revoke: ROLES }, // also see canManageRole
+  kick: MODERATE, // also see canModerate
+  ban: MODERATE,
+  unban: MODERATE,
+  mute: MODERATE,
+  unmute: MODERATE,
+  server: SERVER,
+  gc: SERVER,
+  backup: SERVER,
+  audit: SERVER,
+}
+
+/**
+ * Server Permissions System
+ *
+ * - Runs on the server
+ * - Checks every packet a client sends against `packetPermissions` before ServerNetwork handles it
+ * - Rejected packets are dropped and count as violations, which are logged (at most every `LOG_RATE` seconds per player)
+ * - Players with more than `PERMISSION_VIOLATION_LIMIT` violations within a minute are kicked
+ * - Stores the roles each user has (`user_roles`) and custom roles (`roles`), see Roles for what each role can do
+ *
+ */
+export class ServerPermissions extends System {
+  constructor(world) {
+    super(world)
+    this.violations = new Map() // socketId -> { times, loggedAt, suppressed, kicked }
+  }
+
+  init({ db }) {
+    this.db = db
+    this.worldId = db.userParams.worldId
+  }
+
+  async start() {
+    const rows = await this.db('roles').where('worldId', this.worldId)
+    for (const row of rows) {
+      this.world.roles.set({ name: row.name, capabilities: JSON.parse(row.capabilities) })
+    }
+  }
+
+  /**
+   * Whether a player has access, ie `everyone`, `owner` (only true when `isOwner` is) or a capability
+   */
+  allows(player, access, isOwner = false) {
+    if (access === EVERYONE) return true
+    if (access === OWNER) return isOwner
+    return this.world.roles.can(player, access)
+  }
+
+  /**
+   * Checks a packet from a socket, recording a violation and returning false if it isn't allowed
+   */
+  check(socket, name, data) {
+    // drop anything still queued from a player we've kicked
+    if (this.violations.get(socket.id)?.kicked) return false
+    const reason = this.getViolation(socket, name, data)
+    if (!reason) return true
+    this.violation(socket, name, reason)
+    return false
+  }
+
+  getViolation(socket, name, data) {
+    const player = socket.player
+    const rule = packetPermissions[name]
+    if (!rule) return `sent ${name}, which only the server can send`
+    const self = rule.self && data?.[rule.self] === player.data.id
+    if (rule.access && !self && !this.allows(player, rule.access)) {
+      return `sent ${name} without ${rule.access} permission`
+    }
+    if (rule.sender && data?.[rule.sender] && data[rule.sender] !== player.data.id) {
+      return `sent ${name} as another player`
+    }
+    if (rule.types) {
+      const type = name === 'entityAdded' ? data?.type : this.world.entities.get(data)?.data.type
+      // removing something that's already gone isn't a violation
+      if (!type) return name === 'entityAdded' ? `sent ${name} without a type` : null
+      const access = rule.types[type]
+      if (!access || !this.allows(player, access)) return `sent ${name} (${type}) without permission`
+    }
+    if (rule.fields) {
+      const entity = this.world.entities.get(data?.id)
+      if (!entity) return null // handled (and logged) by ServerNetwork
+      const type = entity.data.type
+      const isOwner = entity.isPlayer && entity.data.id === player.data.id
+      const fields = rule.fields[type] || {}
+      for (const key in data) {
+        if (key === 'id') continue
+        const access = fields[key]
+        if (!access) return `sent ${name} (${type}) with a server only field (${key})`
+        if (!this.allows(player, access, isOwner)) {
+          return `sent ${name} for ${isOwner ? 'their' : `another ${type}'s`} ${key} without ${access} permission`
+        }
+      }
+    }
+    return null
+  }
+
+  canUseCommand(player, cmd, op) {
+    let access = commandPermissions[cmd] || EVERYONE
+    // anything not listed for a command with per-argument access is usage help
+    if (typeof access === 'object') access = access[op] || EVERYONE
+    return this.allows(player, access)
+  }
+
+  /**
+   * Whether a player can grant or revoke a role, which needs the `roles` capability and every capability the role has
+   */
+  canManageRole(player, name) {
+    const role = this.world.roles.get(name)
+    if (!role || !this.world.roles.can(player, ROLES)) return false
+    const capabilities = this.world.roles.getCapabilities(player.data.roles)
+    return role.capabilities.every(capability => capabilities.has(capability))
+  }
+
+  /**
+   * Whether a player can kick, ban or mute a user, which isn't allowed for users with capabilities they don't have
+   */
+  canModerate(player, userRoles) {
+    if (!this.world.roles.can(player, MODERATE)) return false
+    const capabilities = this.world.roles.getCapabilities(player.data.roles)
+    for (const capability of this.world.roles.getCapabilities(userRoles)) {
+      if (!capabilities.has(capability)) return false
+    }
+    return true
+  }
+
+  violation(socket, name, reason) {
+    this.world.monitor?.onPermissionViolation(name)
+    const now = performance.now() / 1000
+    let record = this.violations.get(socket.id)
+    if (!record) {
+      record = { times: [], loggedAt: -Infinity, suppressed: 0 }
+      this.violations.set(socket.id, record)
+    }
+    record.times = record.times.filter(time => now - time < VIOLATION_WINDOW)
+    record.times.push(now)
+    const player = socket.player.data
+    if (now - record.loggedAt >= LOG_RATE) {
+      const suppressed = record.suppressed ? ` (+${record.suppressed} more)` : ''
+      console.error(`permissions: ${player.name} (${player.userId}) ${reason}${suppressed}`)
+      record.loggedAt = now
+      record.suppressed = 0
+    } else {
+      record.suppressed++
+    }
+    if (VIOLATION_LIMIT && record.times.length > VIOLATION_LIMIT) {
+      console.error(`permissions: kicked ${player.name} (${player.userId}) after ${record.times.length} violations`)
+      record.kicked = true
+      socket.send('kick', 'permission_violations')
+      socket.ws.close()
+    }
+  }
+
+  async getUserRoles(userId) {
+    const rows = await this.db('user_roles').where({ worldId: this.worldId, userId }).orderBy('createdAt', 'asc')
+    return rows.map(row => row.role)
+  }
+
+  /**
+   * Gives a user a role, updating their player if they're connected. Returns false if they already had it.
+   */
+  async grant(userId, role) {
+    const existing = await this.db('user_roles').where({ worldId: this.worldId, userId, role }).first()
+    if (existing) return false
+    await this.db('user_roles').insert({ worldId: this.worldId, userId, role, createdAt: moment().toISOString() })
+    this.updatePlayer(userId, roles => addRole(roles, role))
+    return true
+  }
+
+  /**
+   * Takes a role away from a user, updating their player if they're connected. Returns false if they didn't have it.
+   */
+  async revoke(userId, role) {
+    const deleted = await this.db('user_roles').where({ worldId: this.worldId, userId, role }).delete()
+    if (!deleted) return false
+    this.updatePlayer(userId, roles => removeRole(roles, role))
+    return true
+  }
+
+  updatePlayer(userId, update) {
+    const player = this.world.network.sockets.get(userId)?.player
+    if (!player) return
+    const roles = player.data.roles.slice()
+    update(roles)
+    player.modify({ roles })
+    this.world.network.send('entityModified', { id: player.data.id, roles })
+  }
+
+  /**
+   * Creates a custom role or changes the capabilities of a built-in one (except admin)
+   */
+  async setRole(name, capabilities) {
+    const now = moment().toISOString()
+    await this.db('roles')
+      .insert({
+        worldId: this.worldId,
+        name,
+        capabilities: JSON.stringify(capabilities),
+        createdAt: now,
+        updatedAt: now,
+      })
+      .onConflict(['worldId', 'name'])
+      .merge(['capabilities', 'updatedAt'])
+    this.world.roles.set({ name, capabilities })
+    this.world.network.send('rolesModified', this.world.roles.serialize())
+    return this.world.roles.get(name)
+  }
+
+  /**
+   * Removes a custom role from the world and everyone that has it. Built-in roles go back to their default capabilities.
+   */
+  async deleteRole(name) {
+    await this.db('roles').where({ worldId: this.worldId, name }).delete()
+    if (builtinRoles[name]) {
+      this.world.roles.set({ name, capabilities: builtinRoles[name].slice() })
+    } else {
+      const userIds = await this.db('user_roles').where({ worldId: this.worldId, role: name }).pluck('userId')
+      await this.db('user_roles').where({ worldId: this.worldId, role: name }).delete()
+      for (const userId of userIds) {
+        this.updatePlayer(userId, roles => removeRole(roles, name))
+      }
+      this.world.roles.remove(name)
+    }
+    this.world.network.send('rolesModified', this.world.roles.serialize())
+  }
+
+  isValidRoleName(name) {
+    return ROLE_NAME_REGEX.test(name || '')
+  }
+
+  onDisconnect(socket) {
+    this.violations.delete(socket.id)
+  }
+
+  destroy() {
+    this.violations.clear()
+  }
+}
@@ -0,0 +1,303 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { ServerPermissions } from './ServerPermissions'
+import { Roles } from './Roles'
+import { createDB, migrate } from '../../server/db'
+
+function createPlayer(id, roles = []) {
+  const player = {
+    isPlayer: true,
+    data: { id, type: 'player', userId: `user-${id}`, name: id, roles },
+    modify: changes => Object.assign(player.data, changes),
+  }
+  return player
+}
+
+function createSocket(player) {
+  return { id: player.data.userId, player, send: vi.fn(), ws: { close: vi.fn() } }
+}
+
+describe('ServerPermissions', () => {
+  let world
+  let permissions
+  let now
+  let visitor
+  let builder
+  let moderator
+  let admin
+
+  beforeEach(() => {
+    now = 1000
+    vi.spyOn(performance, 'now').mockImplementation(() => now * 1000)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const entities = new Map()
+    world = {
+      settings: { public: false },
+      entities: { get: id => entities.get(id) },
+      monitor: { onPermissionViolation: vi.fn() },
+    }
+    world.roles = new Roles(world)
+    permissions = new ServerPermissions(world)
+    visitor = createSocket(createPlayer('visitor'))
+    builder = createSocket(createPlayer('builder', ['builder']))
+    moderator = createSocket(createPlayer('moderator', ['moderator']))
+    admin = createSocket(createPlayer('admin', ['~admin']))
+    for (const socket of [visitor, builder, moderator, admin]) {
+      entities.set(socket.player.data.id, socket.player)
+    }
+    entities.set('app1', { isApp: true, data: { id: 'app1', type: 'app' } })
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('packets', () => {
+    it('drops packets only the server can send', () => {
+      expect(permissions.getViolation(admin, 'snapshot', {})).toBe('sent snapshot, which only the server can send')
+      expect(permissions.getViolation(admin, 'kick', 'reason')).toBe('sent kick, which only the server can send')
+      expect(permissions.getViolation(admin, 'blueprintRemoved', 'bp1')).toBe(
+        'sent blueprintRemoved, which only the server can send'
+      )
+    })
+
+    it('checks the capability a packet needs', () => {
+      expect(permissions.getViolation(visitor, 'ping', 1)).toBe(null)
+      expect(permissions.getViolation(visitor, 'blueprintAdded', {})).toBe(
+        'sent blueprintAdded without build permission'
+      )
+      expect(permissions.getViolation(builder, 'blueprintAdded', {})).toBe(null)
+      expect(permissions.getViolation(builder, 'chatCleared')).toBe('sent chatCleared without moderate permission')
+      expect(permissions.getViolation(moderator, 'chatCleared')).toBe(null)
+      expect(permissions.getViolation(builder, 'settingsModified', {})).toBe(
+        'sent settingsModified without settings permission'
+      )
+      // temporary roles count too
+      expect(permissions.getViolation(admin, 'settingsModified', {})).toBe(null)
+      // everyone can build in public worlds
+      world.settings.public = true
+      expect(permissions.getViolation(visitor, 'blueprintAdded', {})).toBe(null)
+    })
+
+    it('only lets players chat as themselves', () => {
+      expect(permissions.getViolation(visitor, 'chatAdded', { fromId: 'visitor', body: 'hi' })).toBe(null)
+      expect(permissions.getViolation(visitor, 'chatAdded', { fromId: null, body: 'hi' })).toBe(null)
+      expect(permissions.getViolation(visitor, 'chatAdded', { fromId: 'admin', body: 'hi' })).toBe(
+        'sent chatAdded as another player'
+      )
+    })
+
+    it('only lets builders teleport and push other players', () => {
+      expect(permissions.getViolation(visitor, 'playerTeleport', { networkId: 'visitor' })).toBe(null)
+      expect(permissions.getViolation(visitor, 'playerPush', { networkId: 'visitor' })).toBe(null)
+      expect(permissions.getViolation(visitor, 'playerTeleport', { networkId: 'admin' })).toBe(
+        'sent playerTeleport without build permission'
+      )
+      expect(permissions.getViolation(builder, 'playerPush', { networkId: 'visitor' })).toBe(null)
+    })
+
+    it('checks the type of entity being added or removed', () => {
+      expect(permissions.getViolation(visitor, 'entityAdded', { id: 'app2', type: 'app' })).toBe(
+        'sent entityAdded (app) without permission'
+      )
+      expect(permissions.getViolation(builder, 'entityAdded', { id: 'app2', type: 'app' })).toBe(null)
+      expect(permissions.getViolation(admin, 'entityAdded', { id: 'p', type: 'player' })).toBe(
+        'sent entityAdded (player) without permission'
+      )
+      expect(permissions.getViolation(builder, 'entityAdded', { id: 'app2' })).toBe('sent entityAdded without a type')
+      expect(permissions.getViolation(visitor, 'entityRemoved', 'app1')).toBe(
+        'sent entityRemoved (app) without permission'
+      )
+      expect(permissions.getViolation(builder, 'entityRemoved', 'app1')).toBe(null)
+      expect(permissions.getViolation(admin, 'entityRemoved', 'visitor')).toBe(
+        'sent entityRemoved (player) without permission'
+      )
+      // already gone
+      expect(permissions.getViolation(visitor, 'entityRemoved', 'app2')).toBe(null)
+    })
+
+    it('checks each field of an entity change', () => {
+      expect(permissions.getViolation(visitor, 'entityModified', { id: 'visitor', p: [0, 1, 0], name: 'Bob' })).toBe(
+        null
+      )
+      expect(permissions.getViolation(admin, 'entityModified', { id: 'visitor', p: [0, 1, 0] })).toBe(
+        "sent entityModified for another player's p without owner permission"
+      )
+      expect(permissions.getViolation(visitor, 'entityModified', { id: 'visitor', roles: ['admin'] })).toBe(
+        'sent entityModified (player) with a server only field (roles)'
+      )
+      expect(permissions.getViolation(visitor, 'entityModified', { id: 'app1', position: [1, 0, 0] })).toBe(
+        "sent entityModified for another app's position without build permission"
+      )
+      expect(
+        permissions.getViolation(builder, 'entityModified', { id: 'app1', position: [1, 0, 0], pinned: true })
+      ).toBe(null)
+      expect(permissions.getViolation(builder, 'entityModified', { id: 'app1', type: 'player' })).toBe(
+        'sent entityModified (app) with a server only field (type)'
+      )
+      // unknown entities are left to ServerNetwork
+      expect(permissions.getViolation(visitor, 'entityModified', { id: 'app2', position: [1, 0, 0] })).toBe(null)
+    })
+  })
+
+  describe('commands', () => {
+    it('checks the capability each command needs', () => {
+      expect(permissions.canUseCommand(visitor.player, 'name')).toBe(true)
+      expect(permissions.canUseCommand(visitor.player, 'admin')).toBe(true)
+      expect(permissions.canUseCommand(visitor.player, 'spawn')).toBe(false)
+      expect(permissions.canUseCommand(builder.player, 'spawn')).toBe(true)
+      expect(permissions.canUseCommand(builder.player, 'kick')).toBe(false)
+      expect(permissions.canUseCommand(moderator.player, 'kick')).toBe(true)
+      expect(permissions.canUseCommand(moderator.player, 'gc')).toBe(false)
+      expect(permissions.canUseCommand(admin.player, 'gc')).toBe(true)
+      // app commands
+      expect(permissions.canUseCommand(visitor.player, 'dance')).toBe(true)
+    })
+
+    it('checks commands by their first argument', () => {
+      expect(permissions.canUseCommand(visitor.player, 'chat', 'clear')).toBe(false)
+      expect(permissions.canUseCommand(moderator.player, 'chat', 'clear')).toBe(true)
+      expect(permissions.canUseCommand(visitor.player, 'role', 'list')).toBe(true)
+      expect(permissions.canUseCommand(visitor.player, 'role', 'grant')).toBe(false)
+      expect(permissions.canUseCommand(admin.player, 'role', 'grant')).toBe(true)
+      // usage help
+      expect(permissions.canUseCommand(visitor.player, 'role')).toBe(true)
+    })
+  })
+
+  describe('violations', () => {
+    it('drops packets and logs violations at a limited rate', () => {
+      expect(permissions.check(visitor, 'ping', 1)).toBe(true)
+      expect(permissions.check(visitor, 'blueprintAdded', {})).toBe(false)
+      expect(permissions.check(visitor, 'blueprintAdded', {})).toBe(false)
+      expect(world.monitor.onPermissionViolation).toHaveBeenCalledTimes(2)
+      expect(world.monitor.onPermissionViolation).toHaveBeenCalledWith('blueprintAdded')
+      expect(console.error).toHaveBeenCalledTimes(1)
+      expect(console.error).toHaveBeenCalledWith(
+        'permissions: visitor (user-visitor) sent blueprintAdded without build permission'
+      )
+      now += 10
+      permissions.check(visitor, 'settingsModified', {})
+      expect(console.error).toHaveBeenLastCalledWith(
+        'permissions: visitor (user-visitor) sent settingsModified without settings permission (+1 more)'
+      )
+      // other players are logged separately
+      permissions.check(builder, 'settingsModified', {})
+      expect(console.error).toHaveBeenCalledTimes(3)
+    })
+
+    it('kicks players with too many violations', () => {
+      for (let i = 0; i < 20; i++) {
+        permissions.check(visitor, 'blueprintAdded', {})
+        now += 1
+      }
+      expect(visitor.ws.close).not.toHaveBeenCalled()
+      // violations older than a minute don't count
+      now += 60
+      for (let i = 0; i < 20; i++) permissions.check(visitor, 'blueprintAdded', {})
+      expect(visitor.ws.close).not.toHaveBeenCalled()
+      permissions.check(visitor, 'blueprintAdded', {})
+      expect(visitor.send).toHaveBeenCalledWith('kick', 'permission_violations')
+      expect(visitor.ws.close).toHaveBeenCalled()
+      // anything still queued is dropped
+      expect(permissions.check(visitor, 'ping', 1)).toBe(false)
+      permissions.onDisconnect(visitor)
+      expect(permissions.check(visitor, 'ping', 1)).toBe(true)
+    })
+  })
+
+  describe('roles', () => {
+    let db
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {})
+      db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+      await migrate(db)
+      world.network = {
+        sockets: new Map([[visitor.id, visitor]]),
+        send: vi.fn(),
+      }
+      permissions.init({ db })
+    })
+
+    afterEach(async () => {
+      await db.destroy()
+    })
+
+    it('grants and revokes roles, updating connected players', async () => {
+      expect(await permissions.grant('user-visitor', 'builder')).toBe(true)
+      expect(await permissions.grant('user-visitor', 'builder')).toBe(false)
+      await permissions.grant('user-visitor', 'moderator')
+      await permissions.grant('user-offline', 'builder')
+      expect(await permissions.getUserRoles('user-visitor')).toEqual(['builder', 'moderator'])
+      expect(visitor.player.data.roles).toEqual(['builder', 'moderator'])
+      expect(world.network.send).toHaveBeenLastCalledWith('entityModified', {
+        id: 'visitor',
+        roles: ['builder', 'moderator'],
+      })
+      expect(await permissions.revoke('user-visitor', 'builder')).toBe(true)
+      expect(await permissions.revoke('user-visitor', 'builder')).toBe(false)
+      expect(await permissions.getUserRoles('user-visitor')).toEqual(['moderator'])
+      expect(visitor.player.data.roles).toEqual(['moderator'])
+      expect(await permissions.getUserRoles('user-offline')).toEqual(['builder'])
+    })
+
+    it('stores custom roles and changes to built-in ones', async () => {
+      expect(await permissions.setRole('helper', ['build', 'moderate'])).toEqual({
+        name: 'helper',
+        capabilities: ['build', 'moderate'],
+        builtin: false,
+      })
+      await permissions.setRole('builder', ['build', 'settings'])
+      expect(world.network.send).toHaveBeenLastCalledWith('rolesModified', world.roles.serialize())
+      // loaded when the world starts
+      const restarted = new ServerPermissions({ roles: new Roles(world) })
+      restarted.init({ db })
+      await restarted.start()
+      expect(restarted.world.roles.get('helper').capabilities).toEqual(['build', 'moderate'])
+      expect(restarted.world.roles.get('builder').capabilities).toEqual(['build', 'settings'])
+    })
+
+    it('removes custom roles from everyone and resets built-in ones', async () => {
+      await permissions.setRole('helper', ['moderate'])
+      await permissions.setRole('builder', [])
+      await permissions.grant('user-visitor', 'helper')
+      await permissions.grant('user-offline', 'helper')
+      await permissions.deleteRole('helper')
+      await permissions.deleteRole('builder')
+      expect(world.roles.get('helper')).toBeUndefined()
+      expect(world.roles.get('builder').capabilities).toEqual(['build'])
+      expect(await permissions.getUserRoles('user-offline')).toEqual([])
+      expect(visitor.player.data.roles).toEqual([])
+      expect(await db('roles')).toEqual([])
+    })
+
+    it('only lets players manage roles with capabilities they have', () => {
+      world.roles.set({ name: 'manager', capabilities: ['roles', 'build'] })
+      const manager = createPlayer('manager', ['manager'])
+      expect(permissions.canManageRole(manager, 'builder')).toBe(true)
+      expect(permissions.canManageRole(manager, 'moderator')).toBe(false)
+      expect(permissions.canManageRole(manager, 'admin')).toBe(false)
+      expect(permissions.canManageRole(manager, 'unknown')).toBe(false)
+      expect(permissions.canManageRole(builder.player, 'builder')).toBe(false)
+      expect(permissions.canManageRole(admin.player, 'admin')).toBe(true)
+    })
+
+    it('only lets players moderate users with capabilities they have', () => {
+      expect(permissions.canModerate(moderator.player, [])).toBe(true)
+      expect(permissions.canModerate(moderator.player, ['moderator'])).toBe(true)
+      expect(permissions.canModerate(moderator.player, ['builder'])).toBe(false)
+      expect(permissions.canModerate(builder.player, [])).toBe(false)
+      expect(permissions.canModerate(admin.player, ['~admin'])).toBe(true)
+    })
+
+    it('validates role names', () => {
+      expect(permissions.isValidRoleName('helper')).toBe(true)
+      expect(permissions.isValidRoleName('event-staff_2')).toBe(true)
+      expect(permissions.isValidRoleName('Helper')).toBe(false)
+      expect(permissions.isValidRoleName('~admin')).toBe(false)
+      expect(permissions.isValidRoleName('a'.repeat(33))).toBe(false)
+      expect(permissions.isValidRoleName(undefined)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,161 @@
+import crypto from 'crypto'
+import moment from 'moment'
+
+import { System } from './System'
+import { uuid } from '../utils'
+
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || ''
+const WEBHOOK_EVENTS = (process.env.WEBHOOK_EVENTS || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+
+const MAX_ATTEMPTS = 6
+const RETRY_DELAY = 1 // seconds, doubled after each failed attempt
+const MAX_RETRY_DELAY = 60 // seconds
+const TIMEOUT = 10 // seconds
+const CONCURRENCY = 4
+const MAX_QUEUE = 1000
+
+/**
+ * Server Webhooks System
+ *
+ * - Runs on the server
+ * - POSTs world events as JSON to every url in WEBHOOK_URLS (optionally only the events in WEBHOOK_EVENTS)
+ * - Events: enter, leave, chat, command, blueprintPublished (when a new blueprint version is saved), adminGranted, adminRevoked
+ * - Bodies are signed with WEBHOOK_SECRET (`X-Hyperfy-Signature: sha256=<hmac of the body>`)
+ * - Deliveries are queued and sent in the background, failed ones are retried with exponential backoff
+ *
+ */
+export class ServerWebhooks extends System {
+  constructor(world) {
+    super(world)
+    this.urls = WEBHOOK_URLS
+    this.queue = []
+    this.active = 0
+    this.retryTimers = new Set()
+  }
+
+  start() {
+    if (!this.urls.length) return
+    this.world.events.on('enter', this.onEnter)
+    this.world.events.on('leave', this.onLeave)
+    this.world.events.on('chat', this.onChat)
+    this.world.events.on('command', this.onCommand)
+  }
+
+  onEnter = ({ playerId }) => {
+    this.emit('enter', { player: this.getPlayer(playerId) })
+  }
+
+  onLeave = ({ playerId }) => {
+    this.emit('leave', { player: this.getPlayer(playerId) })
+  }
+
+  onChat = msg => {
+    this.emit('chat', { id: msg.id, from: msg.from, fromId: msg.fromId, body: msg.body, createdAt: msg.createdAt })
+  }
+
+  onCommand = ({ playerId, args }) => {
+    this.emit('command', { player: this.getPlayer(playerId), args })
+  }
+
+  getPlayer(playerId) {
+    const player = this.world.entities.getPlayer(playerId)
+    if (!player) return { id: playerId }
+    return { id: player.data.id, userId: player.data.userId, name: player.data.name }
+  }
+
+  /**
+   * Queues an event for delivery to every webhook url. Never blocks or throws.
+   */
+  emit(event, data) {
+    if (!this.urls.length) return
+    if (WEBHOOK_EVENTS.length && !WEBHOOK_EVENTS.includes(event)) return
+    const body = JSON.stringify({
+      id: uuid(),
+      event,
+      worldId: this.world.network.worldId,
+      createdAt: moment().toISOString(),
+      data,
+    })
+    for (const url of this.urls) {
+      if (this.queue.length >= MAX_QUEUE) {
+        console.error(`webhooks: queue full, dropping ${event} for ${url}`)
+        continue
+      }
+      this.queue.push({ url, event, body, attempts: 0 })
+    }
+    this.process()
+  }
+
+  process() {
+    while (this.active < CONCURRENCY && this.queue.length) {
+      const delivery = this.queue.shift()
+      this.active++
+      this.deliver(delivery).finally(() => {
+        this.active--
+        this.process()
+      })
+    }
+  }
+
+  async deliver(delivery) {
+    delivery.attempts++
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Hyperfy-Event': delivery.event,
+      }
+      if (WEBHOOK_SECRET) {
+        const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(delivery.body).digest('hex')
+        headers['X-Hyperfy-Signature'] = `sha256=${signature}`
+      }
+      const resp = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body: delivery.body,
+        signal: AbortSignal.timeout(TIMEOUT * 1000),
+      })
+      if (!resp.ok) throw new Error(`status ${resp.status}`)
+    } catch (err) {
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        console.error(`webhooks: giving up on ${delivery.event} for ${delivery.url} (${err.message})`)
+        return
+      }
+      const delay = Math.min(RETRY_DELAY * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY)
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(timer)
+        this.queue.push(delivery)
+        this.process()
+      }, delay * 1000)
+      this.retryTimers.add(timer)
+    }
+  }
+
+  /**
+   * Waits (up to `timeout` seconds) for queued deliveries to be sent, used when shutting down
+   */
+  async drain(timeout) {
+    const end = Date.now() + timeout * 1000
+    while ((this.queue.length || this.active) && Date.now() < end) {
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+  }
+
+  destroy() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer)
+    }
+    this.retryTimers.clear()
+    this.queue = []
+    this.world.events.off('enter', this.onEnter)
+    this.world.events.off('leave', this.onLeave)
+    this.world.events.off('chat', this.onChat)
+    this.world.events.off('command', this.onCommand)
+  }
+}
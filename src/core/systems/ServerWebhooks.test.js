@@ -0,0 +1,127 @@
+import crypto from 'crypto'
+import EventEmitter from 'events'
+import http from 'http'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+const SECRET = 'shh'
+
+describe('ServerWebhooks', () => {
+  let server
+  let url
+  let handler
+  let requests
+  let webhooks
+
+  beforeEach(async () => {
+    requests = []
+    handler = (req, res) => res.end()
+    server = http.createServer(async (req, res) => {
+      const chunks = []
+      for await (const chunk of req) chunks.push(chunk)
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString(), time: Date.now() })
+      handler(req, res)
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}/hook`
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    webhooks?.destroy()
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  async function createWebhooks(env = {}) {
+    vi.stubEnv('WEBHOOK_URLS', url)
+    vi.stubEnv('WEBHOOK_SECRET', SECRET)
+    for (const key in env) vi.stubEnv(key, env[key])
+    // settings are read when the module is loaded
+    vi.resetModules()
+    const { ServerWebhooks } = await import('./ServerWebhooks')
+    const world = {
+      events: new EventEmitter(),
+      entities: { getPlayer: id => ({ data: { id, userId: 'user1', name: 'Bob' } }) },
+      network: { worldId: 'world1' },
+    }
+    webhooks = new ServerWebhooks(world)
+    webhooks.start()
+    return { world, webhooks }
+  }
+
+  it('signs deliveries', async () => {
+    const { world } = await createWebhooks()
+    world.events.emit('enter', { playerId: 'player1' })
+    await vi.waitFor(() => expect(requests.length).toBe(1))
+    const { headers, body } = requests[0]
+    const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex')
+    expect(headers['x-hyperfy-signature']).toBe(`sha256=${signature}`)
+    expect(headers['x-hyperfy-event']).toBe('enter')
+    expect(headers['content-type']).toBe('application/json')
+    expect(JSON.parse(body)).toMatchObject({
+      event: 'enter',
+      worldId: 'world1',
+      data: { player: { id: 'player1', userId: 'user1', name: 'Bob' } },
+    })
+  })
+
+  it('only sends the events in WEBHOOK_EVENTS', async () => {
+    const { world } = await createWebhooks({ WEBHOOK_EVENTS: 'chat' })
+    world.events.emit('enter', { playerId: 'player1' })
+    world.events.emit('chat', { id: 'msg1', from: 'Bob', fromId: 'player1', body: 'hi', createdAt: 'now' })
+    await vi.waitFor(() => expect(requests.length).toBe(1))
+    await webhooks.drain(1)
+    expect(requests.map(request => request.headers['x-hyperfy-event'])).toEqual(['chat'])
+  })
+
+  it('retries failed deliveries with backoff', async () => {
+    let failures = 2
+    handler = (req, res) => {
+      res.statusCode = failures-- > 0 ? 500 : 200
+      res.end()
+    }
+    await createWebhooks()
+    webhooks.emit('test', {})
+    await vi.waitFor(() => expect(requests.length).toBe(3), { timeout: 5000 })
+    const [first, second, third] = requests.map(request => request.time)
+    expect(second - first).toBeGreaterThanOrEqual(900)
+    expect(third - second).toBeGreaterThanOrEqual(1900)
+    // the same delivery each time
+    expect(new Set(requests.map(request => request.body)).size).toBe(1)
+  }, 10000)
+
+  it('never blocks the caller (eg ServerNetwork.flush), even when the receiver hangs', async () => {
+    handler = () => {} // never responds
+    await createWebhooks()
+    const start = performance.now()
+    for (let i = 0; i < 100; i++) {
+      webhooks.emit('test', { i })
+    }
+    expect(performance.now() - start).toBeLessThan(100)
+    await vi.waitFor(() => expect(requests.length).toBe(4))
+    // only a few are sent at once, the rest wait in the queue
+    expect(webhooks.active).toBe(4)
+    expect(webhooks.queue.length).toBe(96)
+  })
+
+  it('drops events when the queue is full', async () => {
+    handler = () => {}
+    await createWebhooks()
+    for (let i = 0; i < 1010; i++) {
+      webhooks.emit('test', { i })
+    }
+    expect(webhooks.active + webhooks.queue.length).toBe(1004)
+    expect(console.error).toHaveBeenCalledWith(`webhooks: queue full, dropping test for ${url}`)
+  })
+
+  it('stops waiting to drain after the timeout', async () => {
+    handler = () => {}
+    await createWebhooks()
+    webhooks.emit('test', {})
+    const start = Date.now()
+    await webhooks.drain(0.2)
+    expect(Date.now() - start).toBeLessThan(1000)
+  })
+})
@@ -1,5 +1,17 @@
 import { System } from './System'
 
+/**
+ * How strictly the server checks player movement, see ServerMovement
+ */
+export const MovementModes = {
+  OFF: 'off',
+  LOG: 'log',
+  CORRECT: 'correct',
+  STRICT: 'strict',
+}
+
+export const DEFAULT_MOVEMENT_MODE = MovementModes.LOG
+
 export class Settings extends System {
   constructor(world) {
     super(world)
@@ -11,6 +23,7 @@ export class Settings extends System {
     this.avatar = null
     this.public = null
     this.playerLimit = null
+    this.movement = null
 
     this.changes = null
   }
@@ -23,6 +36,7 @@ export class Settings extends System {
     this.avatar = data.avatar
     this.public = data.public
     this.playerLimit = data.playerLimit
+    this.movement = data.movement
     this.emit('change', {
       title: { value: this.title },
       desc: { value: this.desc },
@@ -31,6 +45,7 @@ export class Settings extends System {
       avatar: { value: this.avatar },
       public: { value: this.public },
       playerLimit: { value: this.playerLimit },
+      movement: { value: this.movement },
     })
   }
 
@@ -43,6 +58,7 @@ export class Settings extends System {
       avatar: this.avatar,
       public: this.public,
       playerLimit: this.playerLimit,
+      movement: this.movement,
     }
   }
 
@@ -38,3 +38,13 @@ export function readJWT(token) {
     })
   })
 }
+
+/**
+ * Compares two strings in constant time (for their length), eg for api keys and tokens
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(a)
+  const bufB = Buffer.from(b)
+  if (bufA.length !== bufB.length) return false
+  return crypto.timingSafeEqual(bufA, bufB)
+}
@@ -0,0 +1,13 @@
+import { describe, expect, it } from 'vitest'
+
+import { safeEqual } from './utils-server'
+
+describe('safeEqual', () => {
+  it('compares strings', () => {
+    expect(safeEqual('Bearer abc', 'Bearer abc')).toBe(true)
+    expect(safeEqual('Bearer abd', 'Bearer abc')).toBe(false)
+    expect(safeEqual('Bearer ab', 'Bearer abc')).toBe(false)
+    expect(safeEqual('', 'Bearer abc')).toBe(false)
+    expect(safeEqual('héllo', 'héllo')).toBe(true)
+  })
+})
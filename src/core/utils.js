@@ -39,13 +39,6 @@ export function removeRole(arr, role) {
   }
 }
 
-export function serializeRoles(roles) {
-  // remove temporary (~) roles
-  roles = roles.filter(role => !role.startsWith('~'))
-  // convert to string
-  return roles.join(',')
-}
-
 export function num(min, max, dp = 0) {
   const value = Math.random() * (max - min) + min
   return parseFloat(value.toFixed(dp))
@@ -0,0 +1,134 @@
+import fs from 'fs-extra'
+import path from 'path'
+
+/**
+ * Local Asset Storage
+ *
+ * Stores assets in a folder on disk. With sharding enabled each asset is stored in a sub folder named after
+ * the first two characters of its hash (eg `assets/ab/abcd...glb`) to keep folders small for large worlds.
+ * Existing unsharded assets are moved into their shard when the server starts.
+ *
+ */
+export class AssetsLocal {
+  constructor({ dir, quarantineDir, sharding, url }) {
+    this.dir = dir
+    this.quarantineDir = quarantineDir
+    this.sharding = sharding
+    this.url = url
+  }
+
+  async init() {
+    await fs.ensureDir(this.dir)
+    if (!this.sharding) return
+    let moved = 0
+    for (const filename of await fs.readdir(this.dir)) {
+      const filePath = path.join(this.dir, filename)
+      const stats = await fs.stat(filePath)
+      if (!stats.isFile()) continue
+      await fs.move(filePath, this.resolve(filename), { overwrite: true })
+      moved++
+    }
+    if (moved) console.warn(`assets: moved ${moved} assets into shards`)
+  }
+
+  resolve(filename) {
+    filename = path.basename(filename)
+    if (!this.sharding) return path.join(this.dir, filename)
+    return path.join(this.dir, filename.slice(0, 2), filename)
+  }
+
+  async exists(filename) {
+    return fs.exists(this.resolve(filename))
+  }
+
+  async stat(filename) {
+    try {
+      const stats = await fs.stat(this.resolve(filename))
+      return { size: stats.size, modifiedAt: stats.mtimeMs }
+    } catch (err) {
+      return null
+    }
+  }
+
+  async put(filename, source, move) {
+    const filePath = this.resolve(filename)
+    await fs.ensureDir(path.dirname(filePath))
+    if (Buffer.isBuffer(source)) {
+      await fs.writeFile(filePath, source)
+    } else if (move) {
+      await fs.move(source, filePath, { overwrite: true })
+    } else {
+      await fs.copy(source, filePath)
+    }
+  }
+
+  async read(filename) {
+    return fs.readFile(this.resolve(filename))
+  }
+
+  async getStream(filename) {
+    return fs.createReadStream(this.resolve(filename))
+  }
+
+  async remove(filename) {
+    await fs.remove(this.resolve(filename))
+  }
+
+  async list() {
+    const assets = []
+    const readDir = async dir => {
+      for (const name of await fs.readdir(dir)) {
+        const filePath = path.join(dir, name)
+        const stats = await fs.stat(filePath)
+        if (stats.isDirectory()) {
+          if (this.sharding && dir === this.dir) await readDir(filePath)
+          continue
+        }
+        assets.push({ filename: name, size: stats.size, modifiedAt: stats.mtimeMs })
+      }
+    }
+    await readDir(this.dir)
+    return assets
+  }
+
+  async quarantine(filename) {
+    const quarantinePath = path.join(this.quarantineDir, path.basename(filename))
+    await fs.move(this.resolve(filename), quarantinePath, { overwrite: true })
+    const now = new Date()
+    await fs.utimes(quarantinePath, now, now)
+  }
+
+  async unquarantine(filename) {
+    const quarantinePath = path.join(this.quarantineDir, path.basename(filename))
+    // asset filenames are content hashes, so if it was uploaded again in the meantime they're identical
+    if (await this.exists(filename)) {
+      await fs.remove(quarantinePath)
+    } else {
+      await this.put(filename, quarantinePath, true)
+    }
+  }
+
+  async listQuarantined() {
+    if (!(await fs.exists(this.quarantineDir))) return []
+    const assets = []
+    for (const filename of await fs.readdir(this.quarantineDir)) {
+      const stats = await fs.stat(path.join(this.quarantineDir, filename))
+      if (!stats.isFile()) continue
+      assets.push({ filename, size: stats.size, modifiedAt: stats.mtimeMs })
+    }
+    return assets
+  }
+
+  async removeQuarantined(filename) {
+    await fs.remove(path.join(this.quarantineDir, path.basename(filename)))
+  }
+
+  getUrl(filename) {
+    return `${this.url}/${path.basename(filename)}`
+  }
+
+  serve(req, reply, filename) {
+    // relative to the root given to @fastify/static
+    return reply.sendFile(path.relative(this.dir, this.resolve(filename)))
+  }
+}
@@ -0,0 +1,336 @@
+import fs from 'fs-extra'
+import path from 'path'
+import http from 'http'
+import https from 'https'
+import crypto from 'crypto'
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD'
+const QUARANTINE_PREFIX = '.quarantine/' // hosted worlds are stored under their id, which can't start with a dot
+
+const contentTypes = {
+  glb: 'model/gltf-binary',
+  vrm: 'model/gltf-binary',
+  hdr: 'image/vnd.radiance',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  mp4: 'video/mp4',
+  js: 'text/javascript',
+}
+
+/**
+ * S3 Asset Storage
+ *
+ * Stores assets in an S3-compatible bucket. Requests are signed with AWS signature v4 so this works with
+ * AWS S3, Cloudflare R2, MinIO etc without needing an sdk.
+ *
+ * If `publicUrl` is set (eg a public bucket or a CDN in front of it) asset urls point there directly,
+ * otherwise `/assets/:filename` redirects to a short-lived signed url. The public url is where `prefix` is served
+ * from, so `S3_PUBLIC_URL` has to include `S3_PREFIX` (hosted worlds add their id to both, see createAssets).
+ *
+ */
+export class AssetsS3 {
+  constructor({
+    endpoint,
+    region,
+    bucket,
+    prefix,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle,
+    publicUrl,
+    signedUrlExpiry,
+    url,
+  }) {
+    if (!bucket) throw new Error('S3_BUCKET is required')
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`)
+    this.region = region
+    this.bucket = bucket
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix
+    this.accessKeyId = accessKeyId
+    this.secretAccessKey = secretAccessKey
+    this.forcePathStyle = forcePathStyle
+    this.publicUrl = publicUrl
+    this.signedUrlExpiry = signedUrlExpiry
+    this.url = url
+  }
+
+  async init() {
+    const res = await this.request('HEAD', '')
+    if (res.status >= 300) throw new Error(`s3 bucket not accessible: ${this.bucket} (${res.status})`)
+  }
+
+  getKey(filename) {
+    return `${this.prefix}${path.basename(filename)}`
+  }
+
+  getQuarantineKey(filename) {
+    return `${this.prefix}${QUARANTINE_PREFIX}${path.basename(filename)}`
+  }
+
+  async exists(filename) {
+    return !!(await this.stat(filename))
+  }
+
+  async stat(filename) {
+    const res = await this.request('HEAD', this.getKey(filename))
+    if (res.status === 404) return null
+    if (res.status >= 300) throw new Error(`s3 head failed: ${filename} (${res.status})`)
+    return {
+      size: parseInt(res.headers['content-length']),
+      modifiedAt: new Date(res.headers['last-modified']).getTime(),
+    }
+  }
+
+  async put(filename, source, move) {
+    const isBuffer = Buffer.isBuffer(source)
+    const size = isBuffer ? source.length : (await fs.stat(source)).size
+    const body = isBuffer ? source : fs.createReadStream(source)
+    const res = await this.request('PUT', this.getKey(filename), {
+      headers: {
+        'content-type': getContentType(filename),
+        'content-length': String(size),
+        // assets are content hashed so they never change
+        'cache-control': 'public, max-age=31536000, immutable',
+      },
+      body,
+    })
+    this.check(res, `s3 put failed: ${filename}`)
+    if (move && !isBuffer) await fs.remove(source)
+  }
+
+  async read(filename) {
+    const res = await this.request('GET', this.getKey(filename))
+    this.check(res, `s3 get failed: ${filename}`)
+    return res.body
+  }
+
+  async getStream(filename) {
+    const res = await this.request('GET', this.getKey(filename), { stream: true })
+    if (res.status >= 300) {
+      res.stream.resume()
+      throw new Error(`s3 get failed: ${filename} (${res.status})`)
+    }
+    return res.stream
+  }
+
+  async remove(filename) {
+    const res = await this.request('DELETE', this.getKey(filename))
+    if (res.status === 404) return
+    this.check(res, `s3 delete failed: ${filename}`)
+  }
+
+  async list() {
+    return this.listPrefix(this.prefix)
+  }
+
+  async quarantine(filename) {
+    await this.copy(this.getKey(filename), this.getQuarantineKey(filename))
+    await this.remove(filename)
+  }
+
+  async unquarantine(filename) {
+    if (!(await this.exists(filename))) {
+      await this.copy(this.getQuarantineKey(filename), this.getKey(filename))
+    }
+    await this.removeQuarantined(filename)
+  }
+
+  async listQuarantined() {
+    return this.listPrefix(`${this.prefix}${QUARANTINE_PREFIX}`)
+  }
+
+  async removeQuarantined(filename) {
+    const res = await this.request('DELETE', this.getQuarantineKey(filename))
+    if (res.status === 404) return
+    this.check(res, `s3 delete failed: ${filename}`)
+  }
+
+  getUrl(filename) {
+    if (this.publicUrl) return `${this.publicUrl}/${path.basename(filename)}`
+    return this.sign('GET', this.getKey(filename), { expires: this.signedUrlExpiry })
+  }
+
+  serve(req, reply, filename) {
+    // signed urls expire so the redirect itself can only be cached for a little while
+    if (!this.publicUrl) {
+      reply.header('Cache-Control', `public, max-age=${Math.floor(this.signedUrlExpiry / 2)}`)
+    }
+    return reply.redirect(this.getUrl(filename), 302)
+  }
+
+  async copy(fromKey, toKey) {
+    const res = await this.request('PUT', toKey, {
+      headers: { 'x-amz-copy-source': `/${this.bucket}/${encodeKey(fromKey)}` },
+    })
+    this.check(res, `s3 copy failed: ${fromKey}`)
+    // copy can fail after responding with a 200
+    const body = res.body.toString()
+    if (body.includes('<Error>')) throw new Error(`s3 copy failed: ${fromKey} ${body}`)
+  }
+
+  async listPrefix(prefix) {
+    const assets = []
+    let token = null
+    do {
+      const query = { 'list-type': '2', prefix, delimiter: '/' }
+      if (token) query['continuation-token'] = token
+      const res = await this.request('GET', '', { query })
+      this.check(res, 's3 list failed')
+      const xml = res.body.toString()
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        const key = decodeXML(getTag(contents, 'Key'))
+        assets.push({
+          filename: key.slice(prefix.length),
+          size: parseInt(getTag(contents, 'Size')),
+          modifiedAt: new Date(getTag(contents, 'LastModified')).getTime(),
+        })
+      }
+      token = getTag(xml, 'IsTruncated') === 'true' ? decodeXML(getTag(xml, 'NextContinuationToken')) : null
+    } while (token)
+    return assets
+  }
+
+  getObjectUrl(key) {
+    const url = new URL(this.endpoint)
+    const base = url.pathname.replace(/\/$/, '')
+    if (this.forcePathStyle) {
+      url.pathname = key ? `${base}/${this.bucket}/${encodeKey(key)}` : `${base}/${this.bucket}`
+    } else {
+      url.host = `${this.bucket}.${url.host}`
+      url.pathname = `${base}/${encodeKey(key)}`
+    }
+    return url
+  }
+
+  /**
+   * Returns the headers for a signed request, or a presigned url if `expires` is provided
+   */
+  sign(method, key, { query = {}, headers = {}, expires } = {}) {
+    const url = this.getObjectUrl(key)
+    const now = new Date()
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+    const date = amzDate.slice(0, 8)
+    const scope = `${date}/${this.region}/s3/aws4_request`
+    const credential = `${this.accessKeyId}/${scope}`
+    headers = { ...headers, host: url.host }
+    query = { ...query }
+    if (expires) {
+      query['X-Amz-Algorithm'] = 'AWS4-HMAC-SHA256'
+      query['X-Amz-Credential'] = credential
+      query['X-Amz-Date'] = amzDate
+      query['X-Amz-Expires'] = String(expires)
+      query['X-Amz-SignedHeaders'] = 'host'
+    } else {
+      headers['x-amz-date'] = amzDate
+      headers['x-amz-content-sha256'] = UNSIGNED_PAYLOAD
+    }
+    const headerNames = Object.keys(headers)
+      .map(name => name.toLowerCase())
+      .sort()
+    const signedHeaders = expires ? 'host' : headerNames.join(';')
+    const canonicalHeaders = expires
+      ? `host:${url.host}\n`
+      : headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('')
+    const canonicalQuery = Object.keys(query)
+      .sort()
+      .map(name => `${encode(name)}=${encode(query[name])}`)
+      .join('&')
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      canonicalQuery,
+      canonicalHeaders,
+      signedHeaders,
+      UNSIGNED_PAYLOAD,
+    ].join('\n')
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n')
+    let signingKey = hmac(`AWS4${this.secretAccessKey}`, date)
+    signingKey = hmac(signingKey, this.region)
+    signingKey = hmac(signingKey, 's3')
+    signingKey = hmac(signingKey, 'aws4_request')
+    const signature = hmac(signingKey, stringToSign).toString('hex')
+    if (expires) {
+      return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`
+    }
+    url.search = canonicalQuery
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    return { url, headers }
+  }
+
+  /**
+   * Makes a signed request. The response body is buffered unless `stream` is true.
+   */
+  request(method, key, { query, headers, body, stream } = {}) {
+    const signed = this.sign(method, key, { query, headers })
+    const url = signed.url
+    const transport = url.protocol === 'https:' ? https : http
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: signed.headers }, res => {
+        if (stream) return resolve({ status: res.statusCode, headers: res.headers, stream: res })
+        readBody(res)
+          .then(body => resolve({ status: res.statusCode, headers: res.headers, body }))
+          .catch(reject)
+      })
+      req.on('error', reject)
+      if (body?.pipe) {
+        body.on('error', err => req.destroy(err))
+        body.pipe(req)
+      } else {
+        req.end(body)
+      }
+    })
+  }
+
+  check(res, message) {
+    if (res.status < 300) return
+    throw new Error(`${message} (${res.status}) ${res.body.toString()}`)
+  }
+}
+
+function getContentType(filename) {
+  const ext = filename.split('.').pop().toLowerCase()
+  return contentTypes[ext] || 'application/octet-stream'
+}
+
+async function readBody(stream) {
+  const chunks = []
+  for await (const chunk of stream) {
+    chunks.push(chunk)
+  }
+  return Buffer.concat(chunks)
+}
+
+function getTag(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml)
+  return match ? match[1] : null
+}
+
+function decodeXML(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+// rfc 3986 encoding as required by aws signatures
+function encode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encode).join('/')
+}
+
+function sha256(str) {
+  return crypto.createHash('sha256').update(str).digest('hex')
+}
+
+function hmac(key, str) {
+  return crypto.createHmac('sha256', key).update(str).digest()
+}
@@ -0,0 +1,182 @@
+import fs from 'fs-extra'
+import path from 'path'
+import moment from 'moment'
+import Database from 'better-sqlite3'
+
+import { getLatestVersion, isSQLite, migrate } from './db.js'
+import { Storage } from './Storage.js'
+
+/**
+ * Backups
+ *
+ * Snapshots the world database (using sqlite's online backup so the world keeps running) along with storage.json
+ * into `world/backups/<id>`. Backups are taken every `interval` hours and only the newest `retention` scheduled
+ * backups are kept. Manual, pre-restore and pre-migrate backups are never removed automatically.
+ *
+ */
+export class Backups {
+  constructor({ db, dbFile, storage, dir, interval, retention }) {
+    this.db = db
+    this.dbFile = dbFile
+    this.storage = storage
+    this.dir = dir
+    this.interval = interval // hours
+    this.retention = retention
+    this.intervalId = null
+    this.running = false
+  }
+
+  start() {
+    if (!this.interval) return
+    this.intervalId = setInterval(
+      () => {
+        this.create('scheduled').catch(err => {
+          console.error(err)
+          console.error('scheduled backup failed')
+        })
+      },
+      this.interval * 60 * 60 * 1000
+    )
+  }
+
+  stop() {
+    clearInterval(this.intervalId)
+    this.intervalId = null
+  }
+
+  async create(label = 'manual') {
+    return this.exclusive(async () => {
+      const id = await this.getNextId()
+      const dir = path.join(this.dir, id)
+      await fs.ensureDir(dir)
+      const versionRow = await this.db('config').where('key', 'version').first()
+      // sqlite only has one connection, so borrow it from knex while the backup runs
+      const conn = await this.db.client.acquireConnection()
+      try {
+        await conn.backup(path.join(dir, 'db.sqlite'))
+      } finally {
+        await this.db.client.releaseConnection(conn)
+      }
+      await fs.writeJson(path.join(dir, 'storage.json'), this.storage.data)
+      const meta = {
+        id,
+        label,
+        version: parseInt(versionRow.value),
+        createdAt: moment().toISOString(),
+      }
+      await fs.writeJson(path.join(dir, 'meta.json'), meta)
+      meta.size = await getSize(dir)
+      console.warn(`backup created: ${id} (${label})`)
+      if (label === 'scheduled') await this.prune()
+      return meta
+    })
+  }
+
+  async list() {
+    if (!(await fs.exists(this.dir))) return []
+    const backups = []
+    for (const id of await fs.readdir(this.dir)) {
+      const dir = path.join(this.dir, id)
+      const metaPath = path.join(dir, 'meta.json')
+      if (!(await fs.exists(metaPath))) continue
+      const meta = await fs.readJson(metaPath)
+      meta.size = await getSize(dir)
+      backups.push(meta)
+    }
+    // newest first
+    backups.sort((a, b) => b.id.localeCompare(a.id))
+    return backups
+  }
+
+  async get(id) {
+    if (!/^[\w-]+$/.test(id)) return null
+    const metaPath = path.join(this.dir, id, 'meta.json')
+    if (!(await fs.exists(metaPath))) return null
+    return fs.readJson(metaPath)
+  }
+
+  /**
+   * Replaces the live database and storage.json with a backup.
+   * The caller is responsible for reloading the world afterwards (see ServerNetwork.restoreBackup)
+   */
+  async restore(id) {
+    const meta = await this.get(id)
+    if (!meta) throw new Error(`backup not found: ${id}`)
+    if (meta.version > getLatestVersion()) {
+      throw new Error(`backup ${id} is from a newer version of the database (${meta.version})`)
+    }
+    return this.exclusive(async () => {
+      const dir = path.join(this.dir, id)
+      // copy the backup into the live database file using the same online backup api, so the open connection stays valid
+      const backup = new Database(path.join(dir, 'db.sqlite'), { readonly: true })
+      try {
+        await backup.backup(this.dbFile)
+      } finally {
+        backup.close()
+      }
+      // backups from older versions need bringing up to date
+      await migrate(this.db)
+      const storagePath = path.join(dir, 'storage.json')
+      this.storage.save.cancel()
+      this.storage.data = (await fs.exists(storagePath)) ? await fs.readJson(storagePath) : {}
+      await this.storage.persist()
+      console.warn(`backup restored: ${id}`)
+      return meta
+    })
+  }
+
+  async prune() {
+    if (!this.retention) return
+    const backups = (await this.list()).filter(backup => backup.label === 'scheduled')
+    for (const backup of backups.slice(this.retention)) {
+      await fs.remove(path.join(this.dir, backup.id))
+      console.warn(`backup removed: ${backup.id}`)
+    }
+  }
+
+  async getNextId() {
+    const base = moment().format('YYYYMMDD-HHmmss')
+    let id = base
+    let n = 1
+    while (await fs.exists(path.join(this.dir, id))) {
+      id = `${base}-${n++}`
+    }
+    return id
+  }
+
+  async exclusive(fn) {
+    if (this.running) throw new Error('backup already running')
+    this.running = true
+    try {
+      return await fn()
+    } finally {
+      this.running = false
+    }
+  }
+}
+
+async function getSize(dir) {
+  let size = 0
+  for (const filename of await fs.readdir(dir)) {
+    const stats = await fs.stat(path.join(dir, filename))
+    size += stats.size
+  }
+  return size
+}
+
+/**
+ * Returns a `beforeMigrate` hook (see migrate) that backs up an existing world before any migrations run on it
+ */
+export function backupBeforeMigrate(worldDir) {
+  return async (db, version) => {
+    if (!version) return // brand new database, nothing to back up
+    if (!isSQLite(db)) return // postgres databases are backed up by whoever manages them
+    const backups = new Backups({
+      db,
+      dbFile: path.join(worldDir, 'db.sqlite'),
+      storage: new Storage(path.join(worldDir, 'storage.json')),
+      dir: path.join(worldDir, 'backups'),
+    })
+    await backups.create('pre-migrate')
+  }
+}
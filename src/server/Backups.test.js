@@ -0,0 +1,103 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { Backups, backupBeforeMigrate } from './Backups'
+import { createDB, getLatestVersion, migrate } from './db'
+import { Storage } from './Storage'
+
+describe('Backups', () => {
+  let dir
+  let db
+  let storage
+  let backups
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backups-'))
+    db = createDB({ file: path.join(dir, 'db.sqlite'), worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    storage = new Storage(path.join(dir, 'storage.json'))
+    backups = new Backups({
+      db,
+      dbFile: path.join(dir, 'db.sqlite'),
+      storage,
+      dir: path.join(dir, 'backups'),
+      retention: 2,
+    })
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+    await fs.remove(dir)
+    vi.restoreAllMocks()
+  })
+
+  async function addBlueprint(id) {
+    const now = new Date().toISOString()
+    await db('blueprints').insert({
+      worldId: 'world1',
+      id,
+      data: JSON.stringify({ id }),
+      createdAt: now,
+      updatedAt: now,
+    })
+  }
+
+  it('restores the database and storage from a backup', async () => {
+    await addBlueprint('bp1')
+    storage.data = { score: 1 }
+    const backup = await backups.create()
+    expect(backup).toMatchObject({ label: 'manual', version: getLatestVersion() })
+    expect(backup.size).toBeGreaterThan(0)
+
+    await db('blueprints').delete()
+    await addBlueprint('bp2')
+    storage.data = { score: 2 }
+    await backups.restore(backup.id)
+    // the existing connection sees the restored database
+    expect((await db('blueprints')).map(row => row.id)).toEqual(['bp1'])
+    expect(storage.data).toEqual({ score: 1 })
+    expect(await fs.readJson(path.join(dir, 'storage.json'))).toEqual({ score: 1 })
+  })
+
+  it('only prunes scheduled backups', async () => {
+    const manual = await backups.create()
+    const scheduled = []
+    for (let i = 0; i < 3; i++) {
+      scheduled.push(await backups.create('scheduled'))
+    }
+    const ids = (await backups.list()).map(backup => backup.id)
+    expect(ids).toEqual([scheduled[2].id, scheduled[1].id, manual.id])
+    expect(await backups.get(scheduled[0].id)).toBeNull()
+  })
+
+  it('rejects unknown backups and backups from newer versions', async () => {
+    expect(await backups.get('../db.sqlite')).toBeNull()
+    await expect(backups.restore('missing')).rejects.toThrow('backup not found: missing')
+    const backup = await backups.create()
+    const metaPath = path.join(dir, 'backups', backup.id, 'meta.json')
+    await fs.writeJson(metaPath, { ...(await fs.readJson(metaPath)), version: getLatestVersion() + 1 })
+    await expect(backups.restore(backup.id)).rejects.toThrow('newer version of the database')
+  })
+
+  it('backs up existing worlds before migrating them', async () => {
+    const worldDir = path.join(dir, 'world')
+    await fs.ensureDir(worldDir)
+    const worldDB = createDB({ file: path.join(worldDir, 'db.sqlite'), worldId: 'world1', client: 'sqlite' })
+    try {
+      await migrate(worldDB, 10, { beforeMigrate: backupBeforeMigrate(worldDir) })
+      // brand new databases aren't backed up
+      expect(await fs.exists(path.join(worldDir, 'backups'))).toBe(false)
+      await migrate(worldDB, getLatestVersion(), { beforeMigrate: backupBeforeMigrate(worldDir) })
+      const backups = await fs.readdir(path.join(worldDir, 'backups'))
+      expect(backups).toHaveLength(1)
+      const meta = await fs.readJson(path.join(worldDir, 'backups', backups[0], 'meta.json'))
+      expect(meta).toMatchObject({ label: 'pre-migrate', version: 10 })
+    } finally {
+      await worldDB.destroy()
+    }
+  })
+})
@@ -0,0 +1,215 @@
+import fs from 'fs-extra'
+import path from 'path'
+
+import { createServerWorld } from '../core/createServerWorld'
+import { getDB, isSQLite } from './db'
+import { Storage } from './Storage'
+import { Backups, backupBeforeMigrate } from './Backups'
+import { initCollections } from './collections'
+import { createAssets } from './assets'
+import { createWorldApp } from './routes'
+
+const BACKUP_INTERVAL = parseFloat(process.env.BACKUP_INTERVAL || '24') // hours
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION || '7')
+const IDLE_CHECK_RATE = 60 // seconds
+
+/**
+ * Loads a world from its folder: assets, collections, database, storage, backups and a `createServerWorld()` instance.
+ *
+ * Hosted worlds (served under `/w/:worldId/`) get urls and an asset prefix scoped to their id.
+ * Returns everything the routes need: `{ id, name, dir, world, db, storage, backups, assets, tmpDir, urls }`
+ */
+export async function loadWorld({ rootDir, dir, id, name, hosted = false }) {
+  const collectionsDir = path.join(dir, 'collections')
+  const tmpDir = path.join(dir, 'tmp')
+  const builtinAssetsDir = path.join(rootDir, 'src/world/assets')
+
+  // create world folders if needed
+  await fs.ensureDir(dir)
+  await fs.ensureDir(collectionsDir)
+
+  const urls = {
+    ws: hosted ? getWorldUrl(process.env.PUBLIC_WS_URL, id) : process.env.PUBLIC_WS_URL,
+    api: hosted ? getWorldUrl(process.env.PUBLIC_API_URL, id) : process.env.PUBLIC_API_URL,
+    assets: hosted ? getWorldUrl(process.env.PUBLIC_ASSETS_URL, id) : process.env.PUBLIC_ASSETS_URL,
+  }
+
+  // init asset storage
+  const assets = createAssets({ worldDir: dir, prefix: hosted ? id : '', url: urls.assets })
+  await assets.init()
+
+  // copy over built-in assets and collections
+  for (const filename of await fs.readdir(builtinAssetsDir)) {
+    const filePath = path.join(builtinAssetsDir, filename)
+    const stats = await assets.stat(filename)
+    if (stats?.size === (await fs.stat(filePath)).size) continue
+    await assets.put(filename, filePath)
+  }
+  await fs.copy(path.join(rootDir, 'src/world/collections'), collectionsDir)
+
+  // init collections
+  const collections = await initCollections({ collectionsDir, assets })
+
+  // init db
+  const dbFile = path.join(dir, '/db.sqlite')
+  const db = await getDB(dbFile, { worldId: id, beforeMigrate: backupBeforeMigrate(dir) })
+
+  // init storage
+  const storage = new Storage(path.join(dir, '/storage.json'))
+
+  // init backups (postgres databases are expected to be backed up by whoever manages them)
+  let backups = null
+  if (isSQLite(db)) {
+    backups = new Backups({
+      db,
+      dbFile,
+      storage,
+      dir: path.join(dir, 'backups'),
+      interval: BACKUP_INTERVAL,
+      retention: BACKUP_RETENTION,
+    })
+    backups.start()
+  }
+
+  // create world
+  const world = createServerWorld()
+  world.assetsUrl = assets.url
+  world.collections.deserialize(collections)
+  await world.init({ db, storage, backups, assets, builtinAssetsDir, apiUrl: urls.api })
+
+  return { id: db.userParams.worldId, name, dir, world, db, storage, backups, assets, tmpDir, urls }
+}
+
+/**
+ * Counts down and kicks everyone, saves anything dirty and releases everything a loaded world holds on to
+ */
+export async function unloadWorld(instance, countdown = 0) {
+  await instance.world.network.shutdown(countdown)
+  instance.world.destroy()
+  instance.backups?.stop()
+  instance.storage.save.cancel()
+  await instance.storage.persist()
+  await instance.db.destroy()
+}
+
+/**
+ * Scopes one of the PUBLIC_*_URL envs to a hosted world, eg `http://localhost:3000/api` -> `http://localhost:3000/w/<id>/api`
+ */
+export function getWorldUrl(url, id) {
+  if (!url) return url
+  const parsed = new URL(url)
+  parsed.pathname = parsed.pathname.replace(/\/[^/]*$/, match => `/w/${id}${match}`)
+  return parsed.toString().replace(/\/$/, '')
+}
+
+/**
+ * Worlds
+ *
+ * Hosts additional worlds from the same process under `/w/:worldId/`.
+ *
+ * - `ids` are the world ids that can be hosted (from the `WORLDS` env), `*` allows any valid id
+ * - each world lives in `<dir>/<id>` with its own database, storage and assets, and is loaded on its first request
+ * - worlds that have had no players or requests for `idleTimeout` minutes are saved and unloaded until they are visited again
+ * - each loaded world gets its own (non-listening) fastify app with the same routes as the main world, see createWorldApp
+ *
+ */
+export class Worlds {
+  constructor({ rootDir, dir, ids, excludeId, idleTimeout }) {
+    this.rootDir = rootDir
+    this.dir = dir
+    this.ids = ids
+    this.excludeId = excludeId // the main world, which is never hosted under /w/
+    this.idleTimeout = idleTimeout // minutes
+    this.hosts = new Map() // id -> { id, loading, unloading, instance, app, lastActiveAt }
+    this.intervalId = null
+  }
+
+  start() {
+    if (!this.ids.length || !this.idleTimeout) return
+    this.intervalId = setInterval(() => this.unloadIdle(), IDLE_CHECK_RATE * 1000)
+  }
+
+  isHosted(id) {
+    if (!/^[\w-]+$/.test(id) || id === this.excludeId) return false
+    return this.ids.includes('*') || this.ids.includes(id)
+  }
+
+  /**
+   * Returns the loaded world (loading it first if needed) or null if this id isn't hosted
+   */
+  async get(id) {
+    if (!this.isHosted(id)) return null
+    let host = this.hosts.get(id)
+    if (host?.unloading) {
+      await host.unloading
+      host = this.hosts.get(id)
+    }
+    if (!host) {
+      host = { id, loading: null, unloading: null, instance: null, app: null, lastActiveAt: Date.now() }
+      host.loading = this.load(host)
+      this.hosts.set(id, host)
+    }
+    await host.loading
+    host.lastActiveAt = Date.now()
+    return host
+  }
+
+  async load(host) {
+    try {
+      const startTime = performance.now()
+      host.instance = await loadWorld({
+        rootDir: this.rootDir,
+        dir: path.join(this.dir, host.id),
+        id: host.id,
+        name: host.id,
+        hosted: true,
+      })
+      host.app = await createWorldApp(host.instance)
+      console.warn(`world ${host.id} loaded in ${Math.round(performance.now() - startTime)}ms`)
+    } catch (err) {
+      this.hosts.delete(host.id)
+      if (host.instance) await unloadWorld(host.instance).catch(console.error)
+      throw err
+    }
+  }
+
+  async unload(id, countdown = 0) {
+    const host = this.hosts.get(id)
+    if (!host) return
+    if (!host.unloading) {
+      host.unloading = (async () => {
+        try {
+          await host.loading
+          await host.app.close()
+          await unloadWorld(host.instance, countdown)
+          console.warn(`world ${id} unloaded`)
+        } catch (err) {
+          console.error(err)
+          console.error(`failed to unload world ${id}`)
+        } finally {
+          this.hosts.delete(id)
+        }
+      })()
+    }
+    await host.unloading
+  }
+
+  async unloadIdle() {
+    const now = Date.now()
+    for (const host of this.hosts.values()) {
+      if (!host.instance || host.unloading) continue
+      if (host.instance.world.network.sockets.size) {
+        host.lastActiveAt = now
+        continue
+      }
+      if (now - host.lastActiveAt < this.idleTimeout * 60 * 1000) continue
+      await this.unload(host.id)
+    }
+  }
+
+  async shutdown(countdown) {
+    clearInterval(this.intervalId)
+    const ids = Array.from(this.hosts.keys())
+    await Promise.all(ids.map(id => this.unload(id, countdown)))
+  }
+}
@@ -0,0 +1,107 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { Worlds, getWorldUrl } from './Worlds'
+
+// a full world needs physx, so worlds and their routes are stand-ins (everything else is real)
+vi.mock('../core/createServerWorld', () => ({
+  createServerWorld: () => ({
+    collections: { deserialize: vi.fn() },
+    init: vi.fn(async () => {}),
+    network: { sockets: new Map(), shutdown: vi.fn(async () => {}) },
+    destroy: vi.fn(),
+  }),
+}))
+
+vi.mock('./routes', () => ({
+  createWorldApp: async () => ({ close: vi.fn(async () => {}) }),
+}))
+
+const rootDir = path.join(__dirname, '../..')
+
+describe('getWorldUrl', () => {
+  it('scopes urls to a hosted world', () => {
+    expect(getWorldUrl('http://localhost:3000/api', 'world1')).toBe('http://localhost:3000/w/world1/api')
+    expect(getWorldUrl('ws://localhost:3000/ws', 'world1')).toBe('ws://localhost:3000/w/world1/ws')
+    expect(getWorldUrl('https://example.com/hyp/assets', 'world1')).toBe('https://example.com/hyp/w/world1/assets')
+    expect(getWorldUrl(undefined, 'world1')).toBeUndefined()
+  })
+})
+
+describe('Worlds', () => {
+  let dir
+  let worlds
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.stubEnv('PUBLIC_API_URL', 'http://localhost:3000/api')
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'worlds-'))
+    worlds = new Worlds({ rootDir, dir, ids: ['world1', 'world2'], excludeId: 'main', idleTimeout: 10 })
+  })
+
+  afterEach(async () => {
+    await worlds.shutdown(0)
+    await fs.remove(dir)
+    vi.unstubAllEnvs()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('only hosts allowed ids', () => {
+    expect(worlds.isHosted('world1')).toBe(true)
+    expect(worlds.isHosted('world3')).toBe(false)
+    expect(worlds.isHosted('../world1')).toBe(false)
+    const any = new Worlds({ rootDir, dir, ids: ['*'], excludeId: 'main' })
+    expect(any.isHosted('world3')).toBe(true)
+    expect(any.isHosted('main')).toBe(false)
+  })
+
+  it('loads each world once, in its own folder and database', async () => {
+    expect(await worlds.get('world3')).toBeNull()
+    const [a, b] = await Promise.all([worlds.get('world1'), worlds.get('world1')])
+    expect(a).toBe(b)
+    const { instance } = a
+    expect(instance).toMatchObject({ id: 'world1', dir: path.join(dir, 'world1') })
+    expect(instance.urls.api).toBe('http://localhost:3000/w/world1/api')
+    expect(instance.db.userParams.worldId).toBe('world1')
+    expect(await fs.exists(path.join(dir, 'world1', 'db.sqlite'))).toBe(true)
+    expect(await instance.assets.list()).not.toEqual([])
+    expect(instance.world.init).toHaveBeenCalledTimes(1)
+
+    const other = await worlds.get('world2')
+    expect(other.instance.dir).toBe(path.join(dir, 'world2'))
+  })
+
+  it('unloads worlds and loads them again when they are visited', async () => {
+    const host = await worlds.get('world1')
+    const { world, storage } = host.instance
+    await storage.set('key', 'value')
+    await worlds.unload('world1', 3)
+    expect(world.network.shutdown).toHaveBeenCalledWith(3)
+    expect(world.destroy).toHaveBeenCalled()
+    expect(host.app.close).toHaveBeenCalled()
+    expect(await fs.readJson(path.join(dir, 'world1', 'storage.json'))).toEqual({ key: 'value' })
+    expect(worlds.hosts.size).toBe(0)
+
+    const reloaded = await worlds.get('world1')
+    expect(reloaded).not.toBe(host)
+    expect(reloaded.instance.storage.get('key')).toBe('value')
+  })
+
+  it('unloads worlds that have been idle', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const idle = await worlds.get('world1')
+    const busy = await worlds.get('world2')
+    busy.instance.world.network.sockets.set('user1', {})
+    vi.advanceTimersByTime(9 * 60 * 1000)
+    await worlds.unloadIdle()
+    expect(worlds.hosts.size).toBe(2)
+    vi.advanceTimersByTime(2 * 60 * 1000)
+    await worlds.unloadIdle()
+    expect([...worlds.hosts.keys()]).toEqual(['world2'])
+    expect(idle.instance.world.destroy).toHaveBeenCalled()
+  })
+})
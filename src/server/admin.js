@@ -0,0 +1,515 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { pipeline } from 'stream/promises'
+import moment from 'moment'
+import { cloneDeep, pick } from 'lodash-es'
+
+import { hasRole, uuid } from '../core/utils'
+import { readJWT, safeEqual } from '../core/utils-server'
+import { ImportModes, readWorldArchive, writeWorldArchive } from './worldArchive'
+import { BUDGET_KEYS, BudgetModes, INSPECTED_TYPES } from '../core/systems/ServerInspector'
+import { DEFAULT_ROLE, allCapabilities } from '../core/systems/Roles'
+import { parseDuration } from '../core/systems/ServerModeration'
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY
+
+const settingsKeys = ['title', 'desc', 'image', 'model', 'avatar', 'public', 'playerLimit', 'movement']
+const entityKeys = ['blueprint', 'position', 'quaternion', 'scale', 'pinned', 'state']
+
+/**
+ * Admin API
+ *
+ * - Registered under `/api/admin`
+ * - Requires either the `ADMIN_API_KEY` or a JWT belonging to a user with the (persisted) admin role,
+ *   sent as `Authorization: Bearer <token>`
+ * - All changes go through the same ServerNetwork methods as socket packets, so connected clients
+ *   receive them and they are queued for saving
+ *
+ */
+export async function admin(fastify, { world, assets }) {
+  const network = world.network
+
+  fastify.addHook('onRequest', async (req, reply) => {
+    const actor = await authorize(req, network.db)
+    if (!actor) {
+      return reply.code(401).send({ error: 'unauthorized' })
+    }
+    req.actor = actor
+  })
+
+  // blueprints
+
+  fastify.get('/blueprints', async () => {
+    return world.blueprints.serialize()
+  })
+
+  fastify.get('/blueprints/:id', async (req, reply) => {
+    const blueprint = world.blueprints.get(req.params.id)
+    if (!blueprint) return reply.code(404).send({ error: 'not_found' })
+    return blueprint
+  })
+
+  fastify.post('/blueprints', async (req, reply) => {
+    const data = req.body || {}
+    if (!data.model) return reply.code(400).send({ error: 'model_required' })
+    if (data.id && world.blueprints.get(data.id)) return reply.code(409).send({ error: 'exists' })
+    const blueprint = {
+      id: uuid(),
+      version: 0,
+      name: null,
+      image: null,
+      author: null,
+      url: null,
+      desc: null,
+      model: null,
+      script: null,
+      props: {},
+      preload: false,
+      public: false,
+      locked: false,
+      unique: false,
+      disabled: false,
+      ...data,
+    }
+    network.addBlueprint(blueprint)
+    network.blueprintAuthors.set(blueprint.id, req.actor.id)
+    world.audit.record(req.actor, 'blueprintAdded', blueprint.id, null, blueprint)
+    return reply.code(201).send(blueprint)
+  })
+
+  fastify.put('/blueprints/:id', async (req, reply) => {
+    const blueprint = world.blueprints.get(req.params.id)
+    if (!blueprint) return reply.code(404).send({ error: 'not_found' })
+    const data = {
+      ...req.body,
+      id: blueprint.id,
+      version: req.body?.version ?? blueprint.version + 1,
+    }
+    const modified = network.modifyBlueprint(data)
+    if (!modified) return reply.code(409).send({ error: 'version_conflict', version: blueprint.version })
+    network.blueprintAuthors.set(blueprint.id, req.actor.id)
+    return world.blueprints.get(blueprint.id)
+  })
+
+  fastify.delete('/blueprints/:id', async (req, reply) => {
+    const id = req.params.id
+    if (!world.blueprints.get(id)) return reply.code(404).send({ error: 'not_found' })
+    for (const entity of world.entities.items.values()) {
+      if (entity.data.blueprint === id) {
+        return reply.code(409).send({ error: 'in_use', entityId: entity.data.id })
+      }
+    }
+    network.removeBlueprint(id)
+    return reply.code(204).send()
+  })
+
+  // entities
+
+  fastify.get('/entities', async () => {
+    const entities = []
+    for (const entity of world.entities.items.values()) {
+      if (entity.isApp) entities.push(entity.data)
+    }
+    return entities
+  })
+
+  fastify.get('/entities/:id', async (req, reply) => {
+    const entity = world.entities.get(req.params.id)
+    if (!entity?.isApp) return reply.code(404).send({ error: 'not_found' })
+    return entity.data
+  })
+
+  fastify.post('/entities', async (req, reply) => {
+    const data = req.body || {}
+    if (!world.blueprints.get(data.blueprint)) return reply.code(400).send({ error: 'invalid_blueprint' })
+    if (data.id && world.entities.get(data.id)) return reply.code(409).send({ error: 'exists' })
+    const entity = network.addEntity({
+      id: data.id || uuid(),
+      type: 'app',
+      blueprint: data.blueprint,
+      position: data.position || [0, 0, 0],
+      quaternion: data.quaternion || [0, 0, 0, 1],
+      scale: data.scale || [1, 1, 1],
+      mover: null,
+      uploader: null,
+      pinned: data.pinned || false,
+      state: data.state || {},
+    })
+    world.audit.record(req.actor, 'entityAdded', entity.data.id, null, entity.data)
+    return reply.code(201).send(entity.data)
+  })
+
+  fastify.put('/entities/:id', async (req, reply) => {
+    const entity = world.entities.get(req.params.id)
+    if (!entity?.isApp) return reply.code(404).send({ error: 'not_found' })
+    const changes = pick(req.body || {}, entityKeys)
+    if (changes.blueprint && !world.blueprints.get(changes.blueprint)) {
+      return reply.code(400).send({ error: 'invalid_blueprint' })
+    }
+    const before = cloneDeep(pick(entity.data, Object.keys(changes)))
+    await network.modifyEntity({ id: entity.data.id, ...changes })
+    world.audit.record(req.actor, 'entityModified', entity.data.id, before, changes)
+    return entity.data
+  })
+
+  fastify.delete('/entities/:id', async (req, reply) => {
+    const entity = world.entities.get(req.params.id)
+    if (!entity?.isApp) return reply.code(404).send({ error: 'not_found' })
+    const before = cloneDeep(entity.data)
+    network.removeEntity(entity.data.id)
+    world.audit.record(req.actor, 'entityRemoved', before.id, before, null)
+    return reply.code(204).send()
+  })
+
+  // settings
+
+  fastify.get('/settings', async () => {
+    return world.settings.serialize()
+  })
+
+  fastify.put('/settings', async req => {
+    const changes = pick(req.body || {}, settingsKeys)
+    for (const key in changes) {
+      const before = { [key]: cloneDeep(world.settings[key]) }
+      network.modifySettings({ key, value: changes[key] })
+      world.audit.record(req.actor, 'settingsModified', key, before, { [key]: changes[key] })
+    }
+    return { ...world.settings.serialize(), ...changes }
+  })
+
+  // spawn
+
+  fastify.get('/spawn', async () => {
+    return network.spawn
+  })
+
+  fastify.put('/spawn', async (req, reply) => {
+    const { position, quaternion } = req.body || {}
+    if (!isNumberArray(position, 3) || !isNumberArray(quaternion, 4)) {
+      return reply.code(400).send({ error: 'invalid_spawn' })
+    }
+    const before = network.spawn
+    await network.setSpawn({ position, quaternion })
+    world.audit.record(req.actor, 'spawnModified', 'spawn', before, network.spawn)
+    return network.spawn
+  })
+
+  fastify.delete('/spawn', async req => {
+    const before = network.spawn
+    await network.setSpawn(null)
+    world.audit.record(req.actor, 'spawnModified', 'spawn', before, network.spawn)
+    return network.spawn
+  })
+
+  // world archive
+
+  fastify.get('/world/export', async (req, reply) => {
+    const file = path.join(os.tmpdir(), `world-${uuid()}.hyw`)
+    const entities = []
+    for (const entity of world.entities.items.values()) {
+      if (entity.isApp) entities.push({ ...entity.data, state: {} })
+    }
+    await writeWorldArchive(
+      file,
+      {
+        blueprints: world.blueprints.serialize(),
+        entities,
+        settings: world.settings.serialize(),
+        spawn: network.spawn,
+        storage: world.storage?.data || {},
+      },
+      assets
+    )
+    const stream = fs.createReadStream(file)
+    stream.on('close', () => fs.remove(file))
+    reply.header('Content-Disposition', `attachment; filename="world.hyw"`)
+    return reply.type('application/octet-stream').send(stream)
+  })
+
+  fastify.post('/world/import', async (req, reply) => {
+    const mode = req.query.mode || ImportModes.MERGE
+    if (!Object.values(ImportModes).includes(mode)) {
+      return reply.code(400).send({ error: 'invalid_mode' })
+    }
+    const upload = await req.file({ limits: { fileSize: Infinity } })
+    if (!upload) return reply.code(400).send({ error: 'file_required' })
+    const file = path.join(os.tmpdir(), `world-${uuid()}.hyw`)
+    try {
+      await pipeline(upload.file, fs.createWriteStream(file))
+      let archive
+      try {
+        archive = await readWorldArchive(file)
+      } catch (err) {
+        return reply.code(400).send({ error: 'invalid_archive', message: err.message })
+      }
+      const extracted = await archive.extractAssets(assets)
+      await applyWorld(world, archive.data, mode)
+      return {
+        mode,
+        blueprints: archive.data.blueprints.length,
+        entities: archive.data.entities.length,
+        assets: extracted,
+      }
+    } finally {
+      await fs.remove(file)
+    }
+  })
+
+  // asset gc
+
+  fastify.get('/assets/gc', async () => {
+    return world.gc.scan()
+  })
+
+  fastify.get('/assets/quarantine', async () => {
+    return world.gc.getQuarantined()
+  })
+
+  fastify.post('/assets/gc/quarantine', async (req, reply) => {
+    return runGC(world.gc, 'quarantine', reply)
+  })
+
+  fastify.post('/assets/gc/purge', async (req, reply) => {
+    return runGC(world.gc, 'purge', reply)
+  })
+
+  fastify.post('/assets/gc/restore', async (req, reply) => {
+    return runGC(world.gc, 'restore', reply)
+  })
+
+  // asset reports
+
+  fastify.get('/assets/reports', async req => {
+    const { exceeded, limit, offset } = req.query
+    return world.inspector.list({
+      exceeded: exceeded === 'true',
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0,
+    })
+  })
+
+  fastify.get('/assets/reports/:filename', async (req, reply) => {
+    const filename = path.basename(req.params.filename)
+    const report = await world.inspector.get(filename)
+    if (report) return report
+    // assets uploaded before reports existed are inspected on demand
+    return inspectAsset(filename, reply)
+  })
+
+  fastify.post('/assets/reports/:filename/inspect', async (req, reply) => {
+    return inspectAsset(path.basename(req.params.filename), reply)
+  })
+
+  fastify.post('/assets/reports/inspect', async (req, reply) => {
+    if (world.inspector.running) return reply.code(409).send({ error: 'inspect_running' })
+    return world.inspector.inspectAll({ all: req.query.all === 'true' })
+  })
+
+  async function inspectAsset(filename, reply) {
+    const ext = filename.split('.').pop().toLowerCase()
+    if (!INSPECTED_TYPES.includes(ext)) return reply.code(400).send({ error: 'unsupported_type', ext })
+    if (!(await assets.exists(filename))) return reply.code(404).send({ error: 'not_found' })
+    try {
+      return await world.inspector.inspect(filename)
+    } catch (err) {
+      return reply.code(422).send({ error: 'inspect_failed', message: err.message })
+    }
+  }
+
+  fastify.get('/assets/budgets', async () => {
+    return world.inspector.budgets
+  })
+
+  fastify.put('/assets/budgets', async (req, reply) => {
+    const budgets = pick(req.body || {}, ['mode', ...BUDGET_KEYS])
+    if (budgets.mode !== undefined && !Object.values(BudgetModes).includes(budgets.mode)) {
+      return reply.code(400).send({ error: 'invalid_mode' })
+    }
+    for (const key of BUDGET_KEYS) {
+      const limit = budgets[key]
+      if (limit !== undefined && limit !== null && !(Number.isFinite(limit) && limit >= 0)) {
+        return reply.code(400).send({ error: 'invalid_budget', key })
+      }
+    }
+    const before = world.inspector.budgets
+    const after = await world.inspector.setBudgets(budgets)
+    world.audit.record(req.actor, 'budgetsModified', 'assetBudgets', before, after)
+    return after
+  })
+
+  // audit log
+
+  fastify.get('/audit', async (req, reply) => {
+    const { userId, targetId, action, from, to, limit } = req.query
+    for (const date of [from, to]) {
+      if (date && !moment(date, moment.ISO_8601, true).isValid()) return reply.code(400).send({ error: 'invalid_date' })
+    }
+    return world.audit.query({ userId, targetId, action, from, to, limit: parseInt(limit) || 100 })
+  })
+
+  // users
+
+  fastify.get('/users', async () => {
+    const rows = await network.db('users').where('worldId', network.worldId).orderBy('createdAt', 'asc')
+    const roles = {} // userId -> [role]
+    const roleRows = await network.db('user_roles').where('worldId', network.worldId).orderBy('createdAt', 'asc')
+    for (const row of roleRows) {
+      if (!roles[row.userId]) roles[row.userId] = []
+      roles[row.userId].push(row.role)
+    }
+    return rows.map(user => ({
+      id: user.id,
+      name: user.name,
+      avatar: user.avatar,
+      roles: roles[user.id] || [],
+      online: network.sockets.has(user.id),
+      createdAt: user.createdAt,
+    }))
+  })
+
+  fastify.put('/users/:id/roles/:role', async (req, reply) => {
+    const { id, role } = req.params
+    const user = await network.db('users').where({ worldId: network.worldId, id }).first()
+    if (!user) return reply.code(404).send({ error: 'not_found' })
+    if (!world.roles.get(role) || role === DEFAULT_ROLE) return reply.code(400).send({ error: 'unknown_role' })
+    if (await world.permissions.grant(id, role)) {
+      world.audit.record(req.actor, 'roleGranted', id, null, { role })
+    }
+    return { id, roles: await world.permissions.getUserRoles(id) }
+  })
+
+  fastify.delete('/users/:id/roles/:role', async (req, reply) => {
+    const { id, role } = req.params
+    const user = await network.db('users').where({ worldId: network.worldId, id }).first()
+    if (!user) return reply.code(404).send({ error: 'not_found' })
+    if (await world.permissions.revoke(id, role)) {
+      world.audit.record(req.actor, 'roleRevoked', id, { role }, null)
+    }
+    return { id, roles: await world.permissions.getUserRoles(id) }
+  })
+
+  // bans
+
+  fastify.get('/bans', async () => {
+    return world.moderation.getBans()
+  })
+
+  fastify.put('/bans/:userId', async (req, reply) => {
+    const userId = req.params.userId
+    const { duration, reason } = req.body || {}
+    const user = await network.db('users').where({ worldId: network.worldId, id: userId }).first()
+    if (!user) return reply.code(404).send({ error: 'not_found' })
+    const parsed = duration ? parseDuration(duration) : null
+    if (duration && !parsed) return reply.code(400).send({ error: 'invalid_duration' })
+    const ban = await world.moderation.ban(userId, { duration: parsed, reason, createdBy: req.actor.id })
+    world.audit.record(req.actor, 'playerBanned', userId, null, { reason: ban.reason, expiresAt: ban.expiresAt })
+    return ban
+  })
+
+  fastify.delete('/bans/:userId', async (req, reply) => {
+    const userId = req.params.userId
+    if (!(await world.moderation.unban(userId))) return reply.code(404).send({ error: 'not_found' })
+    world.audit.record(req.actor, 'playerUnbanned', userId, null, null)
+    return reply.code(204).send()
+  })
+
+  // roles
+
+  fastify.get('/roles', async () => {
+    return world.roles.serialize()
+  })
+
+  fastify.put('/roles/:name', async (req, reply) => {
+    const name = req.params.name
+    const capabilities = req.body?.capabilities
+    if (!world.permissions.isValidRoleName(name)) return reply.code(400).send({ error: 'invalid_name' })
+    if (name === 'admin') return reply.code(400).send({ error: 'builtin_role' })
+    if (!Array.isArray(capabilities) || !capabilities.every(capability => allCapabilities.includes(capability))) {
+      return reply.code(400).send({ error: 'invalid_capabilities', capabilities: allCapabilities })
+    }
+    const before = cloneDeep(world.roles.get(name) || null)
+    const role = await world.permissions.setRole(name, [...new Set(capabilities)])
+    world.audit.record(req.actor, 'roleModified', name, before, role)
+    return role
+  })
+
+  fastify.delete('/roles/:name', async (req, reply) => {
+    const name = req.params.name
+    const before = world.roles.get(name)
+    if (!before) return reply.code(404).send({ error: 'not_found' })
+    if (name === 'admin') return reply.code(400).send({ error: 'builtin_role' })
+    await world.permissions.deleteRole(name)
+    world.audit.record(req.actor, 'roleRemoved', name, cloneDeep(before), null)
+    return reply.code(204).send()
+  })
+}
+
+/**
+ * Applies imported world data to the live world so that connected clients receive every change
+ */
+async function applyWorld(world, data, mode) {
+  const network = world.network
+  const replace = mode === ImportModes.REPLACE
+  const blueprintIds = new Set(data.blueprints.map(blueprint => blueprint.id))
+  if (replace) {
+    for (const entity of Array.from(world.entities.items.values())) {
+      if (entity.isApp) network.removeEntity(entity.data.id)
+    }
+    for (const blueprint of world.blueprints.serialize()) {
+      if (!blueprintIds.has(blueprint.id)) network.removeBlueprint(blueprint.id)
+    }
+  }
+  for (const blueprint of data.blueprints) {
+    const current = world.blueprints.get(blueprint.id)
+    if (current) {
+      network.modifyBlueprint({ ...blueprint, version: Math.max(blueprint.version, current.version + 1) })
+    } else {
+      network.addBlueprint(blueprint)
+    }
+  }
+  for (const entity of data.entities) {
+    if (world.entities.get(entity.id)) {
+      network.removeEntity(entity.id)
+    }
+    network.addEntity({ ...entity, mover: null, uploader: null, state: {} })
+  }
+  for (const key of settingsKeys) {
+    if (replace || key in data.settings) {
+      network.modifySettings({ key, value: data.settings[key] ?? null })
+    }
+  }
+  await network.setSpawn(data.spawn)
+  if (world.storage) {
+    world.storage.data = replace ? data.storage : { ...world.storage.data, ...data.storage }
+    world.storage.save()
+  }
+}
+
+async function runGC(gc, op, reply) {
+  if (gc.running) return reply.code(409).send({ error: 'gc_running' })
+  return gc[op]()
+}
+
+async function authorize(req, db) {
+  const header = req.headers.authorization
+  if (!header?.startsWith('Bearer ')) return null
+  const token = header.slice(7).trim()
+  if (!token) return null
+  // api key
+  if (ADMIN_API_KEY && safeEqual(token, ADMIN_API_KEY)) {
+    return { id: null, name: 'api' }
+  }
+  // admin user
+  const data = await readJWT(token)
+  if (!data?.userId) return null
+  const user = await db('users').where({ worldId: db.userParams.worldId, id: data.userId }).first()
+  if (!user) return null
+  const roles = await db('user_roles').where({ worldId: db.userParams.worldId, userId: user.id }).pluck('role')
+  if (!hasRole(roles, 'admin')) return null
+  return { id: user.id, name: user.name }
+}
+
+function isNumberArray(arr, length) {
+  return Array.isArray(arr) && arr.length === length && arr.every(n => typeof n === 'number' && isFinite(n))
+}
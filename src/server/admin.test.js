@@ -0,0 +1,268 @@
+import Fastify from 'fastify'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { createDB, migrate } from './db'
+import { Roles } from '../core/systems/Roles'
+import { ServerModeration } from '../core/systems/ServerModeration'
+import { ServerPermissions } from '../core/systems/ServerPermissions'
+
+const API_KEY = 'api-key'
+
+function createWorld(db) {
+  const blueprints = new Map()
+  const entities = new Map()
+  const settings = { title: 'World', desc: null }
+  const world = {
+    blueprints: {
+      get: id => blueprints.get(id),
+      serialize: () => [...blueprints.values()],
+    },
+    entities: { items: entities, get: id => entities.get(id) },
+    settings: { serialize: () => ({ ...settings }) },
+    audit: { record: vi.fn(), query: vi.fn(async () => []) },
+    network: {
+      db,
+      worldId: db.userParams.worldId,
+      sockets: new Map(),
+      send: vi.fn(),
+      spawn: { position: [0, 0, 0], quaternion: [0, 0, 0, 1] },
+      blueprintAuthors: new Map(),
+      addBlueprint: blueprint => blueprints.set(blueprint.id, blueprint),
+      modifyBlueprint: data => {
+        const blueprint = blueprints.get(data.id)
+        if (data.version <= blueprint.version) return false
+        blueprints.set(data.id, { ...blueprint, ...data })
+        return true
+      },
+      removeBlueprint: id => blueprints.delete(id),
+      addEntity: data => {
+        const entity = { isApp: true, data }
+        entities.set(data.id, entity)
+        return entity
+      },
+      modifyEntity: async data => Object.assign(entities.get(data.id).data, data),
+      removeEntity: id => entities.delete(id),
+      modifySettings: ({ key, value }) => {
+        settings[key] = value
+      },
+      setSpawn: async spawn => {
+        world.network.spawn = spawn || { position: [0, 0, 0], quaternion: [0, 0, 0, 1] }
+      },
+    },
+  }
+  world.roles = new Roles(world)
+  world.permissions = new ServerPermissions(world)
+  world.permissions.init({ db })
+  world.moderation = new ServerModeration(world)
+  world.moderation.init({ db })
+  return world
+}
+
+describe('admin api', () => {
+  let db
+  let world
+  let app
+  let createJWT
+
+  beforeEach(async () => {
+    // the api key and jwt secret are read when the modules are loaded
+    vi.stubEnv('ADMIN_API_KEY', API_KEY)
+    vi.stubEnv('JWT_SECRET', 'secret')
+    vi.resetModules()
+    const { admin } = await import('./admin')
+    ;({ createJWT } = await import('../core/utils-server'))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    const now = new Date().toISOString()
+    await db('users').insert([
+      { worldId: 'world1', id: 'admin1', name: 'Alice', createdAt: now },
+      { worldId: 'world1', id: 'user1', name: 'Bob', createdAt: now },
+      { worldId: 'world2', id: 'admin2', name: 'Eve', createdAt: now },
+    ])
+    await db('user_roles').insert([
+      { worldId: 'world1', userId: 'admin1', role: 'admin', createdAt: now },
+      { worldId: 'world2', userId: 'admin2', role: 'admin', createdAt: now },
+    ])
+    world = createWorld(db)
+    app = Fastify()
+    app.register(admin, { prefix: '/api/admin', world, assets: {} })
+  })
+
+  afterEach(async () => {
+    await app.close()
+    await db.destroy()
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  function request(method, url, payload, token = API_KEY) {
+    const headers = token ? { authorization: `Bearer ${token}` } : {}
+    return app.inject({ method, url: `/api/admin${url}`, headers, payload })
+  }
+
+  it('needs the api key or an admin', async () => {
+    expect((await request('GET', '/blueprints', undefined, null)).statusCode).toBe(401)
+    expect((await request('GET', '/blueprints', undefined, 'wrong')).statusCode).toBe(401)
+    expect((await request('GET', '/blueprints')).statusCode).toBe(200)
+    expect((await request('GET', '/blueprints', undefined, await createJWT({ userId: 'admin1' }))).statusCode).toBe(200)
+    expect((await request('GET', '/blueprints', undefined, await createJWT({ userId: 'user1' }))).statusCode).toBe(401)
+    // admins of other worlds in the same database aren't admins here
+    expect((await request('GET', '/blueprints', undefined, await createJWT({ userId: 'admin2' }))).statusCode).toBe(401)
+  })
+
+  it('adds, modifies and removes blueprints', async () => {
+    expect((await request('POST', '/blueprints', {})).json()).toEqual({ error: 'model_required' })
+    const res = await request('POST', '/blueprints', { id: 'bp1', model: 'asset://a.glb' })
+    expect(res.statusCode).toBe(201)
+    expect(res.json()).toMatchObject({ id: 'bp1', version: 0, model: 'asset://a.glb', props: {} })
+    expect(world.audit.record).toHaveBeenCalledWith(
+      { id: null, name: 'api' },
+      'blueprintAdded',
+      'bp1',
+      null,
+      res.json()
+    )
+    expect((await request('POST', '/blueprints', { id: 'bp1', model: 'asset://a.glb' })).statusCode).toBe(409)
+
+    const modified = await request('PUT', '/blueprints/bp1', { name: 'Chair' })
+    expect(modified.json()).toMatchObject({ id: 'bp1', version: 1, name: 'Chair' })
+    const conflict = await request('PUT', '/blueprints/bp1', { name: 'Table', version: 1 })
+    expect(conflict.statusCode).toBe(409)
+    expect(conflict.json()).toEqual({ error: 'version_conflict', version: 1 })
+
+    await request('POST', '/entities', { id: 'app1', blueprint: 'bp1' })
+    expect((await request('DELETE', '/blueprints/bp1')).json()).toEqual({ error: 'in_use', entityId: 'app1' })
+    await request('DELETE', '/entities/app1')
+    expect((await request('DELETE', '/blueprints/bp1')).statusCode).toBe(204)
+    expect((await request('GET', '/blueprints/bp1')).statusCode).toBe(404)
+  })
+
+  it('adds, modifies and removes entities', async () => {
+    expect((await request('POST', '/entities', { blueprint: 'nope' })).json()).toEqual({ error: 'invalid_blueprint' })
+    await request('POST', '/blueprints', { id: 'bp1', model: 'asset://a.glb' })
+    const res = await request('POST', '/entities', { id: 'app1', blueprint: 'bp1', position: [1, 2, 3] })
+    expect(res.statusCode).toBe(201)
+    expect(res.json()).toMatchObject({ id: 'app1', type: 'app', position: [1, 2, 3], scale: [1, 1, 1], state: {} })
+
+    // only some fields can be changed
+    const modified = await request('PUT', '/entities/app1', { position: [4, 5, 6], type: 'player' })
+    expect(modified.json()).toMatchObject({ position: [4, 5, 6], type: 'app' })
+    expect(world.audit.record).toHaveBeenLastCalledWith(
+      { id: null, name: 'api' },
+      'entityModified',
+      'app1',
+      { position: [1, 2, 3] },
+      { position: [4, 5, 6] }
+    )
+    expect((await request('PUT', '/entities/app1', { blueprint: 'nope' })).statusCode).toBe(400)
+    expect((await request('GET', '/entities')).json().map(entity => entity.id)).toEqual(['app1'])
+    expect((await request('DELETE', '/entities/app1')).statusCode).toBe(204)
+    expect((await request('GET', '/entities/app1')).statusCode).toBe(404)
+  })
+
+  it('changes settings and the spawn', async () => {
+    const settings = await request('PUT', '/settings', { title: 'New', secret: true })
+    expect(settings.json()).toEqual({ title: 'New', desc: null })
+    expect(world.audit.record).toHaveBeenCalledTimes(1)
+
+    expect((await request('PUT', '/spawn', { position: [0, 0], quaternion: [0, 0, 0, 1] })).statusCode).toBe(400)
+    const spawn = { position: [1, 2, 3], quaternion: [0, 0, 0, 1] }
+    expect((await request('PUT', '/spawn', spawn)).json()).toEqual(spawn)
+    expect((await request('GET', '/spawn')).json()).toEqual(spawn)
+    expect((await request('DELETE', '/spawn')).json()).toEqual({ position: [0, 0, 0], quaternion: [0, 0, 0, 1] })
+  })
+
+  it('lists the users of the world', async () => {
+    world.network.sockets.set('user1', {})
+    const users = (await request('GET', '/users')).json()
+    expect(users.map(({ id, roles, online }) => ({ id, roles, online }))).toEqual([
+      { id: 'admin1', roles: ['admin'], online: false },
+      { id: 'user1', roles: [], online: true },
+    ])
+  })
+
+  it('grants and revokes user roles', async () => {
+    expect((await request('PUT', '/users/user1/roles/builder')).json()).toEqual({ id: 'user1', roles: ['builder'] })
+    expect(world.audit.record).toHaveBeenCalledWith({ id: null, name: 'api' }, 'roleGranted', 'user1', null, {
+      role: 'builder',
+    })
+    // already granted
+    expect((await request('PUT', '/users/user1/roles/builder')).json()).toEqual({ id: 'user1', roles: ['builder'] })
+    expect(world.audit.record).toHaveBeenCalledTimes(1)
+    expect((await request('PUT', '/users/user1/roles/visitor')).json()).toEqual({ error: 'unknown_role' })
+    expect((await request('PUT', '/users/user1/roles/unknown')).json()).toEqual({ error: 'unknown_role' })
+    expect((await request('PUT', '/users/admin2/roles/builder')).statusCode).toBe(404)
+    expect((await request('DELETE', '/users/user1/roles/builder')).json()).toEqual({ id: 'user1', roles: [] })
+    expect(world.audit.record).toHaveBeenLastCalledWith(
+      { id: null, name: 'api' },
+      'roleRevoked',
+      'user1',
+      { role: 'builder' },
+      null
+    )
+  })
+
+  it('adds, modifies and removes roles', async () => {
+    expect((await request('PUT', '/roles/helper', { capabilities: ['build', 'moderate', 'build'] })).json()).toEqual({
+      name: 'helper',
+      capabilities: ['build', 'moderate'],
+      builtin: false,
+    })
+    expect((await request('GET', '/roles')).json().map(role => role.name)).toEqual([
+      'admin',
+      'moderator',
+      'builder',
+      'visitor',
+      'helper',
+    ])
+    expect((await request('PUT', '/roles/Helper', { capabilities: [] })).json()).toEqual({ error: 'invalid_name' })
+    expect((await request('PUT', '/roles/admin', { capabilities: [] })).json()).toEqual({ error: 'builtin_role' })
+    expect((await request('PUT', '/roles/helper', { capabilities: ['fly'] })).json()).toMatchObject({
+      error: 'invalid_capabilities',
+    })
+    expect((await request('PUT', '/roles/builder', { capabilities: [] })).json()).toMatchObject({ builtin: true })
+
+    await request('PUT', '/users/user1/roles/helper')
+    expect((await request('DELETE', '/roles/helper')).statusCode).toBe(204)
+    expect(world.roles.get('helper')).toBeUndefined()
+    expect(await world.permissions.getUserRoles('user1')).toEqual([])
+    expect((await request('DELETE', '/roles/helper')).statusCode).toBe(404)
+    expect((await request('DELETE', '/roles/admin')).json()).toEqual({ error: 'builtin_role' })
+    expect((await request('DELETE', '/roles/builder')).statusCode).toBe(204)
+    expect(world.roles.get('builder').capabilities).toEqual(['build'])
+    expect(world.audit.record).toHaveBeenCalledWith(
+      { id: null, name: 'api' },
+      'roleRemoved',
+      'helper',
+      expect.objectContaining({ name: 'helper' }),
+      null
+    )
+  })
+
+  it('bans and unbans users', async () => {
+    const ban = (await request('PUT', '/bans/user1', { duration: '2h', reason: 'spamming' })).json()
+    expect(ban).toMatchObject({ userId: 'user1', reason: 'spamming', createdBy: null })
+    expect(new Date(ban.expiresAt) - Date.now()).toBeGreaterThan(119 * 60 * 1000)
+    expect(world.audit.record).toHaveBeenCalledWith({ id: null, name: 'api' }, 'playerBanned', 'user1', null, {
+      reason: 'spamming',
+      expiresAt: ban.expiresAt,
+    })
+    expect((await request('PUT', '/bans/user1', { duration: '2w' })).json()).toEqual({ error: 'invalid_duration' })
+    expect((await request('PUT', '/bans/admin2', {})).statusCode).toBe(404)
+    expect((await request('GET', '/bans')).json()).toMatchObject([{ userId: 'user1', reason: 'spamming' }])
+    expect((await request('DELETE', '/bans/user1')).statusCode).toBe(204)
+    expect((await request('DELETE', '/bans/user1')).statusCode).toBe(404)
+    expect((await request('GET', '/bans')).json()).toEqual([])
+  })
+
+  it('queries the audit log', async () => {
+    await request('GET', '/audit?userId=user1&from=2026-01-01T00:00:00Z&limit=10')
+    expect(world.audit.query).toHaveBeenCalledWith({
+      userId: 'user1',
+      from: '2026-01-01T00:00:00Z',
+      limit: 10,
+    })
+    expect((await request('GET', '/audit?to=yesterday')).json()).toEqual({ error: 'invalid_date' })
+  })
+})
@@ -0,0 +1,55 @@
+import path from 'path'
+
+import { AssetsLocal } from './AssetsLocal.js'
+import { AssetsS3 } from './AssetsS3.js'
+
+/**
+ * Asset Storage
+ *
+ * Uploaded (content hashed) assets are stored through one of these backends, selected with the `ASSETS` env:
+ * - `local` (default) stores files in the world's `assets` folder, optionally sharded by hash prefix
+ * - `s3` stores files in any S3-compatible bucket (AWS, R2, MinIO etc)
+ *
+ * Every backend implements:
+ * - `init()`
+ * - `exists(filename)`, `stat(filename)` -> `{ size, modifiedAt }` or null
+ * - `put(filename, source, move)` where source is a file path or Buffer (the file is moved instead of copied if `move`)
+ * - `read(filename)` -> Buffer, `getStream(filename)` -> Readable
+ * - `remove(filename)`
+ * - `list()` -> `[{ filename, size, modifiedAt }]`
+ * - `quarantine(filename)`, `unquarantine(filename)`, `listQuarantined()`, `removeQuarantined(filename)` (used by gc)
+ * - `url` the base url clients resolve `asset://` urls against
+ * - `getUrl(filename)` -> a public (or signed) url to download the asset
+ * - `serve(req, reply, filename)` responds to a `GET /assets/:filename` request
+ *
+ * Worlds hosted under `/w/:worldId/` pass their own `url` and a `prefix` (their id) so they don't share a bucket folder.
+ */
+
+export function createAssets({ worldDir, prefix = '', url = process.env.PUBLIC_ASSETS_URL }) {
+  const type = process.env.ASSETS || 'local'
+  if (type === 'local') {
+    return new AssetsLocal({
+      dir: path.join(worldDir, 'assets'),
+      quarantineDir: path.join(worldDir, 'quarantine'),
+      sharding: process.env.ASSETS_SHARDING === 'true',
+      url,
+    })
+  }
+  if (type === 's3') {
+    const publicUrl =
+      process.env.S3_PUBLIC_URL && prefix ? `${process.env.S3_PUBLIC_URL}/${prefix}` : process.env.S3_PUBLIC_URL
+    return new AssetsS3({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      prefix: prefix ? path.posix.join(process.env.S3_PREFIX || '', prefix) : process.env.S3_PREFIX || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl,
+      url: publicUrl || url,
+      signedUrlExpiry: parseInt(process.env.S3_SIGNED_URL_EXPIRY || '3600'), // seconds
+    })
+  }
+  throw new Error(`unknown asset storage: ${type}`)
+}
@@ -2,7 +2,7 @@ import fs from 'fs-extra'
 import path from 'path'
 import { importApp } from '../core/extras/appTools'
 
-export async function initCollections({ collectionsDir, assetsDir }) {
+export async function initCollections({ collectionsDir, assets }) {
   let folderNames = fs.readdirSync(collectionsDir)
   folderNames.sort((a, b) => {
     // keep "default" first then sort alphabetically
@@ -29,11 +29,10 @@ export async function initCollections({ collectionsDir, assetsDir }) {
       for (const asset of app.assets) {
         const file = asset.file
         const assetFilename = asset.url.slice(8) // remove 'asset://' prefix
-        const assetPath = path.join(assetsDir, assetFilename)
-        const exists = await fs.exists(assetPath)
+        const exists = await assets.exists(assetFilename)
         if (exists) continue
         const arrayBuffer = await file.arrayBuffer()
-        await fs.writeFile(assetPath, Buffer.from(arrayBuffer))
+        await assets.put(assetFilename, Buffer.from(arrayBuffer))
       }
       blueprints.push(app.blueprint)
     }
@@ -1,23 +1,227 @@
 import Knex from 'knex'
 import moment from 'moment'
 
-let db
+import { uuid } from '../core/utils.js'
 
-export async function getDB(path) {
-  if (!db) {
-    db = Knex({
+const DB_CLIENT = process.env.DB_CLIENT || 'sqlite' // sqlite or postgres
+const DB_URL = process.env.DB_URL // postgres connection string
+const WORLD_ID = process.env.WORLD_ID || 'default'
+
+const LOCK_HEARTBEAT = 10 // seconds between a migrating server refreshing its lock
+const LOCK_STALE = 60 // seconds without a heartbeat before a lock is taken over (eg the server that had it crashed)
+const LOCK_POLL = 1 // seconds between checking if a lock has been released
+
+/**
+ * Opens a world database and runs any missing migrations.
+ * Every call returns a new knex instance (one per world), so callers are responsible for `db.destroy()`.
+ */
+export async function getDB(path, { worldId = WORLD_ID, beforeMigrate } = {}) {
+  const db = createDB({ file: path, worldId })
+  await migrate(db, migrations.length, { beforeMigrate })
+  return db
+}
+
+/**
+ * Creates a knex instance for a world, either a sqlite file (default) or the postgres database at DB_URL.
+ *
+ * Several worlds can share one postgres database, so world data is scoped by a `worldId` column.
+ * The id is available to queries as `db.userParams.worldId`.
+ */
+export function createDB({ file, worldId = WORLD_ID, client = DB_CLIENT }) {
+  if (!/^[\w-]+$/.test(worldId || '')) {
+    throw new Error(`invalid world id: ${worldId}`)
+  }
+  let config
+  if (client === 'sqlite') {
+    config = {
       client: 'better-sqlite3',
       connection: {
-        filename: path,
+        filename: file,
       },
       useNullAsDefault: true,
+    }
+  } else if (client === 'postgres') {
+    if (!DB_URL) throw new Error('DB_URL is required when DB_CLIENT=postgres')
+    config = {
+      client: 'pg',
+      connection: DB_URL,
+    }
+  } else {
+    throw new Error(`unknown DB_CLIENT: ${client}`)
+  }
+  return Knex(config).withUserParams({ worldId })
+}
+
+export function isSQLite(db) {
+  return db.client.config.client === 'better-sqlite3'
+}
+
+/**
+ * Runs any missing migrations up to `targetVersion`.
+ * If there are some to run, `beforeMigrate(db, version)` is awaited first (eg to take a backup, see backupBeforeMigrate)
+ *
+ * Servers sharing a database take turns with a lock (see lockMigrations), so migrations never run twice.
+ */
+export async function migrate(db, targetVersion = migrations.length, { beforeMigrate } = {}) {
+  // nothing to do (and no need to wait for the lock)
+  if ((await db.schema.hasTable('config')) && (await getVersion(db)) >= targetVersion) return
+  const unlock = await lockMigrations(db)
+  try {
+    await ensureConfig(db)
+    // another server may have run them while we were waiting
+    let version = await getVersion(db)
+    if (version < targetVersion && beforeMigrate) {
+      await beforeMigrate(db, version)
+    }
+    // run missing migrations
+    const worldId = db.userParams.worldId
+    for (let i = version; i < targetVersion; i++) {
+      console.log(`running migration #${i + 1}...`)
+      await migrations[i](db, { worldId })
+      await db('config')
+        .where('key', 'version')
+        .update('value', (i + 1).toString())
+      version = i + 1
+    }
+  } finally {
+    await unlock()
+  }
+}
+
+/**
+ * Waits until no other server is migrating the database and takes the `migrations_lock`, returning a function that
+ * releases it. The lock is refreshed while it's held so a crashed server's lock can be taken over after LOCK_STALE.
+ */
+export async function lockMigrations(db) {
+  await ensureLockTable(db)
+  const id = uuid()
+  let waiting = false
+  while (!(await tryLock(db, id))) {
+    if (!waiting) console.warn('waiting for another server to finish migrating...')
+    waiting = true
+    await new Promise(resolve => setTimeout(resolve, LOCK_POLL * 1000))
+  }
+  const heartbeat = setInterval(() => {
+    db('migrations_lock')
+      .where({ key: 'lock', lockedBy: id })
+      .update({ lockedAt: Date.now() })
+      .catch(err => console.error('failed to refresh migration lock:', err))
+  }, LOCK_HEARTBEAT * 1000)
+  return async () => {
+    clearInterval(heartbeat)
+    await db('migrations_lock').where({ key: 'lock', lockedBy: id }).update({ lockedBy: null, lockedAt: null })
+  }
+}
+
+export function getLatestVersion() {
+  return migrations.length
+}
+
+/**
+ * Returns the current version and which migrations still need to run, without changing anything
+ */
+export async function getMigrationStatus(db) {
+  const version = (await db.schema.hasTable('config')) ? await getVersion(db) : 0
+  const pending = []
+  for (let i = version; i < migrations.length; i++) {
+    pending.push(i + 1)
+  }
+  return { version, latest: migrations.length, pending }
+}
+
+/**
+ * Runs the missing migrations inside a transaction that is always rolled back, and reports what each one
+ * would have changed: schema changes and how many JSON rows it would add/update/remove in each table.
+ */
+export async function dryRunMigrations(db, targetVersion = migrations.length) {
+  const report = []
+  try {
+    await db.transaction(async trx => {
+      await ensureConfig(trx)
+      const version = await getVersion(trx)
+      const worldId = db.userParams.worldId
+      for (let i = version; i < targetVersion; i++) {
+        const before = await snapshot(trx, worldId)
+        await migrations[i](trx, { worldId })
+        const after = await snapshot(trx, worldId)
+        report.push({ version: i + 1, ...compareSnapshots(before, after) })
+      }
+      throw rollback
     })
-    await migrate(db)
+  } catch (err) {
+    if (err !== rollback) throw err
   }
-  return db
+  return report
 }
 
-async function migrate(db) {
+const rollback = new Error('rollback')
+
+// tables with JSON blobs that migrations rewrite: [table, key column]
+const jsonTables = [
+  ['blueprints', 'id'],
+  ['entities', 'id'],
+  ['blueprint_revisions', 'id'],
+  ['config', 'key'],
+]
+
+async function snapshot(db, worldId) {
+  const schema = new Map()
+  if (isSQLite(db)) {
+    const objects = await db('sqlite_master').whereNotNull('sql').select('type', 'name', 'sql')
+    for (const object of objects) {
+      schema.set(`${object.type} ${object.name}`, object.sql)
+    }
+  } else {
+    const columns = await db('information_schema.columns')
+      .where('table_schema', db.raw('current_schema()'))
+      .select('table_name', 'column_name', 'data_type', 'is_nullable')
+    for (const column of columns) {
+      const name = `table ${column.table_name}`
+      const sql = `${column.column_name} ${column.data_type} ${column.is_nullable}`
+      schema.set(name, schema.has(name) ? `${schema.get(name)}, ${sql}` : sql)
+    }
+  }
+  const tables = {}
+  for (const [table, keyColumn] of jsonTables) {
+    if (!schema.has(`table ${table}`)) continue
+    const query = db(table)
+    if (await db.schema.hasColumn(table, 'worldId')) {
+      // other worlds sharing the database are never touched
+      query.whereIn('worldId', [worldId, ''])
+    }
+    const rows = await query
+    tables[table] = new Map(rows.map(row => [row[keyColumn], JSON.stringify(row)]))
+  }
+  return { schema, tables }
+}
+
+function compareSnapshots(before, after) {
+  const schema = []
+  for (const [name, sql] of after.schema) {
+    if (!before.schema.has(name)) schema.push(`created ${name}`)
+    else if (before.schema.get(name) !== sql) schema.push(`altered ${name}`)
+  }
+  for (const name of before.schema.keys()) {
+    if (!after.schema.has(name)) schema.push(`dropped ${name}`)
+  }
+  const rows = {}
+  for (const table in after.tables) {
+    const prev = before.tables[table] || new Map()
+    const next = after.tables[table]
+    const counts = { added: 0, updated: 0, removed: 0 }
+    for (const [key, value] of next) {
+      if (!prev.has(key)) counts.added++
+      else if (prev.get(key) !== value) counts.updated++
+    }
+    for (const key of prev.keys()) {
+      if (!next.has(key)) counts.removed++
+    }
+    if (counts.added || counts.updated || counts.removed) rows[table] = counts
+  }
+  return { schema, rows }
+}
+
+async function ensureConfig(db) {
   // ensure we have our config table
   const exists = await db.schema.hasTable('config')
   if (!exists) {
@@ -27,20 +231,37 @@ async function migrate(db) {
     })
     await db('config').insert({ key: 'version', value: '0' })
   }
-  // get current version
-  const versionRow = await db('config').where('key', 'version').first()
-  let version = parseInt(versionRow.value)
-  // run missing migrations
-  for (let i = version; i < migrations.length; i++) {
-    console.log(`running migration #${i + 1}...`)
-    await migrations[i](db)
-    await db('config')
-      .where('key', 'version')
-      .update('value', (i + 1).toString())
-    version = i + 1
+}
+
+async function tryLock(db, id) {
+  const now = Date.now()
+  const locked = await db('migrations_lock')
+    .where('key', 'lock')
+    .where(query => query.whereNull('lockedBy').orWhere('lockedAt', '<', now - LOCK_STALE * 1000))
+    .update({ lockedBy: id, lockedAt: now })
+  return locked > 0
+}
+
+async function ensureLockTable(db) {
+  if (await db.schema.hasTable('migrations_lock')) return
+  try {
+    await db.schema.createTable('migrations_lock', table => {
+      table.string('key').primary()
+      table.string('lockedBy')
+      table.bigInteger('lockedAt')
+    })
+    await db('migrations_lock').insert({ key: 'lock' })
+  } catch (err) {
+    // another server created it first
+    if (!(await db.schema.hasTable('migrations_lock'))) throw err
   }
 }
 
+async function getVersion(db) {
+  const versionRow = await db('config').where('key', 'version').first()
+  return parseInt(versionRow.value)
+}
+
 /**
  * NOTE: always append new migrations and never modify pre-existing ones!
  */
@@ -223,4 +444,199 @@ const migrations = [
       }
     }
   },
+  // add uploads table (used for per-user upload quotas)
+  async db => {
+    await db.schema.createTable('uploads', table => {
+      table.increments('id').primary()
+      table.string('userId').notNullable().index()
+      table.string('filename').notNullable()
+      table.integer('size').notNullable()
+      table.timestamp('createdAt').notNullable()
+    })
+  },
+  // add blueprint_revisions table (seeded with the current version of every blueprint)
+  async db => {
+    await db.schema.createTable('blueprint_revisions', table => {
+      table.increments('id').primary()
+      table.string('blueprintId').notNullable().index()
+      table.integer('version').notNullable()
+      table.text('data').notNullable()
+      table.string('userId')
+      table.timestamp('createdAt').notNullable()
+    })
+    const now = moment().toISOString()
+    const blueprints = await db('blueprints')
+    for (const blueprint of blueprints) {
+      const data = JSON.parse(blueprint.data)
+      await db('blueprint_revisions').insert({
+        blueprintId: blueprint.id,
+        version: data.version,
+        data: blueprint.data,
+        userId: null,
+        createdAt: blueprint.updatedAt || now,
+      })
+    }
+  },
+  // add audit_log table
+  async db => {
+    await db.schema.createTable('audit_log', table => {
+      table.increments('id').primary()
+      table.string('userId').index()
+      table.string('userName')
+      table.string('action').notNullable()
+      table.string('targetId').index()
+      table.text('data').notNullable()
+      table.timestamp('createdAt').notNullable().index()
+    })
+  },
+  // add app_storage table
+  async db => {
+    await db.schema.createTable('app_storage', table => {
+      table.string('namespace').notNullable()
+      table.string('key').notNullable()
+      table.text('value').notNullable()
+      table.integer('size').notNullable()
+      table.timestamp('updatedAt').notNullable()
+      table.primary(['namespace', 'key'])
+    })
+  },
+  // add player_data table
+  async db => {
+    await db.schema.createTable('player_data', table => {
+      table.string('userId').notNullable()
+      table.string('blueprintId').notNullable().index()
+      table.string('key').notNullable()
+      table.text('value').notNullable()
+      table.integer('size').notNullable()
+      table.timestamp('updatedAt').notNullable()
+      table.primary(['userId', 'blueprintId', 'key'])
+    })
+  },
+  // scope world data by world id (so several worlds can share one postgres database) and existing rows belong to this world
+  async (db, { worldId }) => {
+    // table -> primary key columns (null for tables with an auto increment id)
+    const tables = {
+      users: ['id'],
+      blueprints: ['id'],
+      entities: ['id'],
+      config: ['key'],
+      app_storage: ['namespace', 'key'],
+      player_data: ['userId', 'blueprintId', 'key'],
+      blueprint_revisions: null,
+      audit_log: null,
+      uploads: null,
+    }
+    for (const table in tables) {
+      const primary = tables[table]
+      await db.schema.alterTable(table, table => {
+        table.string('worldId').notNullable().defaultTo('')
+        if (!primary) table.index('worldId')
+      })
+      await db(table).update({ worldId })
+      if (primary) {
+        await db.schema.alterTable(table, table => {
+          table.dropPrimary()
+          table.primary(['worldId', ...primary])
+        })
+      }
+    }
+    // the schema version is shared by every world in the database
+    await db('config').where('key', 'version').update({ worldId: '' })
+    // config.value was a varchar(255) which postgres enforces, settings need more than that
+    await db.schema.alterTable('config', table => {
+      table.text('valueText')
+    })
+    await db('config').update({ valueText: db.ref('value') })
+    await db.schema.alterTable('config', table => {
+      table.dropColumn('value')
+    })
+    await db.schema.alterTable('config', table => {
+      table.renameColumn('valueText', 'value')
+    })
+  },
+  // add asset_reports table (model stats recorded by ServerInspector)
+  async db => {
+    await db.schema.createTable('asset_reports', table => {
+      table.string('worldId').notNullable()
+      table.string('filename').notNullable()
+      table.integer('size').notNullable()
+      table.integer('triangles').notNullable()
+      table.bigInteger('textureBytes').notNullable()
+      table.integer('materials').notNullable()
+      table.integer('meshes').notNullable()
+      table.integer('bones').notNullable()
+      table.text('animations').notNullable()
+      table.text('bounds').notNullable()
+      table.text('exceeded').notNullable()
+      table.timestamp('createdAt').notNullable()
+      table.primary(['worldId', 'filename'])
+    })
+  },
+  // add asset_lods table (simplified copies of uploaded models generated by ServerLODGenerator)
+  async db => {
+    await db.schema.createTable('asset_lods', table => {
+      table.string('worldId').notNullable()
+      table.string('filename').notNullable()
+      table.string('status').notNullable()
+      table.string('lodFilename')
+      table.text('triangles')
+      table.text('error')
+      table.timestamp('createdAt').notNullable()
+      table.timestamp('updatedAt').notNullable()
+      table.primary(['worldId', 'filename'])
+      table.index(['worldId', 'lodFilename'])
+    })
+  },
+  // move user roles into their own table and add a roles table for custom roles (and changes to built-in ones)
+  async db => {
+    await db.schema.createTable('roles', table => {
+      table.string('worldId').notNullable()
+      table.string('name').notNullable()
+      table.text('capabilities').notNullable()
+      table.timestamp('createdAt').notNullable()
+      table.timestamp('updatedAt').notNullable()
+      table.primary(['worldId', 'name'])
+    })
+    await db.schema.createTable('user_roles', table => {
+      table.string('worldId').notNullable()
+      table.string('userId').notNullable()
+      table.string('role').notNullable()
+      table.timestamp('createdAt').notNullable()
+      table.primary(['worldId', 'userId', 'role'])
+    })
+    // the schema is shared, so this moves the roles of every world in the database
+    const now = moment().toISOString()
+    const users = await db('users').whereNot('roles', '').select('worldId', 'id', 'roles')
+    for (const user of users) {
+      const roles = new Set(user.roles.split(',').filter(role => role && !role.startsWith('~')))
+      for (const role of roles) {
+        await db('user_roles').insert({ worldId: user.worldId, userId: user.id, role, createdAt: now })
+      }
+    }
+    await db.schema.alterTable('users', table => {
+      table.dropColumn('roles')
+    })
+  },
+  // add bans and mutes tables (see ServerModeration)
+  async db => {
+    await db.schema.createTable('bans', table => {
+      table.string('worldId').notNullable()
+      table.string('userId').notNullable()
+      table.string('ip')
+      table.text('reason')
+      table.string('createdBy')
+      table.timestamp('expiresAt')
+      table.timestamp('createdAt').notNullable()
+      table.primary(['worldId', 'userId'])
+      table.index(['worldId', 'ip'])
+    })
+    await db.schema.createTable('mutes', table => {
+      table.string('worldId').notNullable()
+      table.string('userId').notNullable()
+      table.string('createdBy')
+      table.timestamp('expiresAt')
+      table.timestamp('createdAt').notNullable()
+      table.primary(['worldId', 'userId'])
+    })
+  },
 ]
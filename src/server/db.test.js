@@ -0,0 +1,182 @@
+import { execFile } from 'child_process'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { promisify } from 'util'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { newDb } from 'pg-mem'
+
+import { createDB, dryRunMigrations, getLatestVersion, getMigrationStatus, lockMigrations, migrate } from './db'
+
+function createPostgres() {
+  const mem = newDb()
+  const open = worldId => mem.adapters.createKnex().withUserParams({ worldId })
+  return { open }
+}
+
+describe('db', () => {
+  const dbs = []
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    vi.restoreAllMocks()
+    while (dbs.length) await dbs.pop().destroy()
+  })
+
+  function track(db) {
+    dbs.push(db)
+    return db
+  }
+
+  it('migrates a new postgres database', async () => {
+    const db = track(createPostgres().open('world1'))
+    const beforeMigrate = vi.fn()
+    await migrate(db, getLatestVersion(), { beforeMigrate })
+    expect(beforeMigrate).toHaveBeenCalledWith(db, 0)
+    expect(await getMigrationStatus(db)).toEqual({
+      version: getLatestVersion(),
+      latest: getLatestVersion(),
+      pending: [],
+    })
+    expect(await db.schema.hasTable('bans')).toBe(true)
+    expect(await db('migrations_lock').first()).toMatchObject({ key: 'lock', lockedBy: null })
+    // nothing to do the second time
+    await migrate(db, getLatestVersion(), { beforeMigrate })
+    expect(beforeMigrate).toHaveBeenCalledTimes(1)
+  })
+
+  it('migrates a new sqlite database', async () => {
+    const db = track(createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' }))
+    await migrate(db)
+    expect((await getMigrationStatus(db)).pending).toEqual([])
+    expect(await db.schema.hasTable('bans')).toBe(true)
+  })
+
+  it('only runs each migration once when two servers migrate at the same time', async () => {
+    const postgres = createPostgres()
+    const a = track(postgres.open('world1'))
+    const b = track(postgres.open('world2'))
+    const beforeMigrate = vi.fn()
+    await Promise.all([
+      migrate(a, getLatestVersion(), { beforeMigrate }),
+      migrate(b, getLatestVersion(), { beforeMigrate }),
+    ])
+    expect(beforeMigrate).toHaveBeenCalledTimes(1)
+    expect((await getMigrationStatus(b)).version).toBe(getLatestVersion())
+  })
+
+  it('waits for the migration lock', async () => {
+    const db = track(createPostgres().open('world1'))
+    const unlock = await lockMigrations(db)
+    let locked = false
+    const waiting = lockMigrations(db).then(unlock => {
+      locked = true
+      return unlock
+    })
+    await new Promise(resolve => setTimeout(resolve, 1500))
+    expect(locked).toBe(false)
+    await unlock()
+    await (
+      await waiting
+    )()
+    expect(locked).toBe(true)
+  })
+
+  it('takes over a stale migration lock', async () => {
+    const db = track(createPostgres().open('world1'))
+    const unlock = await lockMigrations(db)
+    await db('migrations_lock').update({ lockedBy: 'crashed', lockedAt: Date.now() - 120 * 1000 })
+    await migrate(db)
+    expect((await getMigrationStatus(db)).pending).toEqual([])
+    // the old lock can't release the new one
+    await unlock()
+    expect(await db('migrations_lock').first()).toMatchObject({ lockedBy: null })
+  })
+
+  it('dry runs migrations on postgres', async () => {
+    const db = track(createPostgres().open('world1'))
+    await migrate(db, 2)
+    const now = new Date().toISOString()
+    await db('blueprints').insert({ id: 'bp1', data: JSON.stringify({ id: 'bp1' }), createdAt: now, updatedAt: now })
+    // pg-mem doesn't roll back knex transactions, so only the report is checked here (see the sqlite test)
+    const report = await dryRunMigrations(db)
+    expect(report.length).toBe(getLatestVersion() - 2)
+    expect(report[0]).toEqual({ version: 3, schema: [], rows: { blueprints: { added: 0, updated: 1, removed: 0 } } })
+    expect(report.at(-1)).toEqual({
+      version: getLatestVersion(),
+      schema: ['created table bans', 'created table mutes'],
+      rows: {},
+    })
+  })
+
+  it('dry runs migrations on sqlite without changing anything', async () => {
+    const db = track(createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' }))
+    await migrate(db, 2)
+    const now = new Date().toISOString()
+    await db('blueprints').insert({ id: 'bp1', data: JSON.stringify({ id: 'bp1' }), createdAt: now, updatedAt: now })
+    const report = await dryRunMigrations(db)
+    expect(report[0]).toEqual({ version: 3, schema: [], rows: { blueprints: { added: 0, updated: 1, removed: 0 } } })
+    expect(report.at(-1).schema).toEqual([
+      'created table bans',
+      'created index bans_worldid_ip_index',
+      'created table mutes',
+    ])
+    expect((await getMigrationStatus(db)).version).toBe(2)
+    expect(JSON.parse((await db('blueprints').first()).data)).toEqual({ id: 'bp1' })
+    expect(await db.schema.hasTable('bans')).toBe(false)
+  })
+  describe('world:migrate', () => {
+    const script = path.join(__dirname, '../../scripts/migrate-world.mjs')
+    let dir
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'migrate-'))
+    })
+
+    afterEach(async () => {
+      await fs.remove(dir)
+    })
+
+    async function run(...args) {
+      const env = {
+        ...process.env,
+        STORAGE_PATH: dir,
+        STORAGE_DIRNAME: 'world',
+        DB_CLIENT: 'sqlite',
+        WORLD_ID: 'world1',
+      }
+      const { stdout } = await promisify(execFile)('node', [script, ...args], { cwd: dir, env, timeout: 30 * 1000 })
+      return stdout
+    }
+
+    it(
+      'reports, dry runs and runs pending migrations',
+      async () => {
+        const file = path.join(dir, 'world', 'db.sqlite')
+        await fs.ensureDir(path.dirname(file))
+        const db = track(createDB({ file, worldId: 'world1', client: 'sqlite' }))
+        await migrate(db, getLatestVersion() - 1)
+        await db.destroy()
+
+        const latest = getLatestVersion()
+        expect(await run('status')).toContain(
+          `database version: ${latest - 1} (latest: ${latest})\npending migrations: #${latest}`
+        )
+        const dryRun = await run('up', '--dry-run')
+        expect(dryRun).toContain(`migration #${latest}:\n  schema: created table bans`)
+        expect(dryRun).toContain('dry run, nothing was changed')
+        expect(await run('status')).toContain(`pending migrations: #${latest}`)
+        expect(await run('up')).toContain(`migrated database from version ${latest - 1} to ${latest}`)
+        expect(await run('status')).toContain('up to date')
+        // the world was backed up first
+        const backups = await fs.readdir(path.join(dir, 'world', 'backups'))
+        expect(backups).toHaveLength(1)
+      },
+      60 * 1000
+    )
+  })
+})
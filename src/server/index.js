@@ -2,21 +2,15 @@ import 'ses'
 import '../core/lockdown'
 import './bootstrap'
 
-import fs from 'fs-extra'
 import path from 'path'
-import { pipeline } from 'stream/promises'
 import Fastify from 'fastify'
 import ws from '@fastify/websocket'
 import cors from '@fastify/cors'
 import compress from '@fastify/compress'
 import statics from '@fastify/static'
-import multipart from '@fastify/multipart'
 
-import { createServerWorld } from '../core/createServerWorld'
-import { hashFile } from '../core/utils-server'
-import { getDB } from './db'
-import { Storage } from './Storage'
-import { initCollections } from './collections'
+import { Worlds, loadWorld, unloadWorld } from './Worlds'
+import { handleError, worldRoutes } from './routes'
 
 const rootDir = path.join(__dirname, '../')
 
@@ -24,52 +18,33 @@ const dataRootDir = process.env.STORAGE_PATH || rootDir
 const dataVolumeName = process.env.STORAGE_DIRNAME || 'world'
 
 const worldDir = path.join(dataRootDir, dataVolumeName)
-const assetsDir = path.join(dataRootDir, `${dataVolumeName}/assets`)
-const collectionsDir = path.join(dataRootDir, `${dataVolumeName}/collections`)
 
 const port = process.env.PORT
-
-// create world folders if needed
-await fs.ensureDir(worldDir)
-await fs.ensureDir(assetsDir)
-await fs.ensureDir(collectionsDir)
-
-// copy over built-in assets and collections
-await fs.copy(path.join(rootDir, 'src/world/assets'), path.join(assetsDir))
-await fs.copy(path.join(rootDir, 'src/world/collections'), path.join(collectionsDir))
-
-// init collections
-const collections = await initCollections({ collectionsDir, assetsDir })
-
-// init db
-const db = await getDB(path.join(worldDir, '/db.sqlite'))
-
-// init storage
-const storage = new Storage(path.join(worldDir, '/storage.json'))
-
-// create world
-const world = createServerWorld()
-world.assetsUrl = process.env.PUBLIC_ASSETS_URL
-world.collections.deserialize(collections)
-world.init({ db, storage, assetsDir })
+const SHUTDOWN_COUNTDOWN = parseInt(process.env.SHUTDOWN_COUNTDOWN || '5') // seconds
+const WORLDS = (process.env.WORLDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean)
+const WORLD_IDLE_TIMEOUT = parseFloat(process.env.WORLD_IDLE_TIMEOUT || '10') // minutes
+
+// load the main world
+const main = await loadWorld({ rootDir, dir: worldDir, name: process.env.WORLD })
+const world = main.world
+
+// worlds hosted under /w/:worldId/ are loaded on demand
+const worlds = new Worlds({
+  rootDir,
+  dir: path.join(dataRootDir, 'worlds'),
+  ids: WORLDS,
+  excludeId: main.id,
+  idleTimeout: WORLD_IDLE_TIMEOUT,
+})
+worlds.start()
 
 const fastify = Fastify({ logger: { level: 'error' } })
 
 fastify.register(cors)
 fastify.register(compress)
-fastify.get('/', async (req, reply) => {
-  const title = world.settings.title || 'World'
-  const desc = world.settings.desc || ''
-  const image = world.resolveURL(world.settings.image?.url) || ''
-  const url = process.env.PUBLIC_ASSETS_URL
-  const filePath = path.join(__dirname, 'public', 'index.html')
-  let html = fs.readFileSync(filePath, 'utf-8')
-  html = html.replaceAll('{url}', url)
-  html = html.replaceAll('{title}', title)
-  html = html.replaceAll('{desc}', desc)
-  html = html.replaceAll('{image}', image)
-  reply.type('text/html').send(html)
-})
 fastify.register(statics, {
   root: path.join(__dirname, 'public'),
   prefix: '/',
@@ -80,67 +55,10 @@ fastify.register(statics, {
     res.setHeader('Expires', '0')
   },
 })
-fastify.register(statics, {
-  root: assetsDir,
-  prefix: '/assets/',
-  decorateReply: false,
-  setHeaders: res => {
-    // all assets are hashed & immutable so we can use aggressive caching
-    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable') // 1 year
-    res.setHeader('Expires', new Date(Date.now() + 31536000000).toUTCString()) // older browsers
-  },
-})
-fastify.register(multipart, {
-  limits: {
-    fileSize: 100 * 1024 * 1024, // 100MB
-  },
-})
 fastify.register(ws)
 fastify.register(worldNetwork)
-
-const publicEnvs = {}
-for (const key in process.env) {
-  if (key.startsWith('PUBLIC_')) {
-    const value = process.env[key]
-    publicEnvs[key] = value
-  }
-}
-const envsCode = `
-  if (!globalThis.env) globalThis.env = {}
-  globalThis.env = ${JSON.stringify(publicEnvs)}
-`
-fastify.get('/env.js', async (req, reply) => {
-  reply.type('application/javascript').send(envsCode)
-})
-
-fastify.post('/api/upload', async (req, reply) => {
-  // console.log('DEBUG: slow uploads')
-  // await new Promise(resolve => setTimeout(resolve, 2000))
-  const file = await req.file()
-  const ext = file.filename.split('.').pop().toLowerCase()
-  // create temp buffer to store contents
-  const chunks = []
-  for await (const chunk of file.file) {
-    chunks.push(chunk)
-  }
-  const buffer = Buffer.concat(chunks)
-  // hash from buffer
-  const hash = await hashFile(buffer)
-  const filename = `${hash}.${ext}`
-  // save to fs
-  const filePath = path.join(assetsDir, filename)
-  const exists = await fs.exists(filePath)
-  if (!exists) {
-    await fs.writeFile(filePath, buffer)
-  }
-})
-
-fastify.get('/api/upload-check', async (req, reply) => {
-  const filename = req.query.filename
-  const filePath = path.join(assetsDir, filename)
-  const exists = await fs.exists(filePath)
-  return { exists }
-})
+fastify.register(worldRoutes, { instance: main })
+fastify.register(hostedWorlds)
 
 fastify.get('/health', async (request, reply) => {
   try {
@@ -161,37 +79,7 @@ fastify.get('/health', async (request, reply) => {
   }
 })
 
-fastify.get('/status', async (request, reply) => {
-  try {
-    const status = {
-      uptime: Math.round(world.time),
-      protected: process.env.ADMIN_CODE !== undefined ? true : false,
-      connectedUsers: [],
-      world: process.env.WORLD,
-      commitHash: process.env.COMMIT_HASH,
-    }
-    for (const socket of world.network.sockets.values()) {
-      status.connectedUsers.push({
-        id: socket.player.data.userId,
-        position: socket.player.position.current.toArray(),
-        name: socket.player.data.name,
-      })
-    }
-
-    return reply.code(200).send(status)
-  } catch (error) {
-    console.error('Status failed:', error)
-    return reply.code(503).send({
-      status: 'error',
-      timestamp: new Date().toISOString(),
-    })
-  }
-})
-
-fastify.setErrorHandler((err, req, reply) => {
-  console.error(err)
-  reply.status(500).send()
-})
+fastify.setErrorHandler(handleError)
 
 try {
   await fastify.listen({ port, host: '0.0.0.0' })
@@ -203,19 +91,57 @@ try {
 
 async function worldNetwork(fastify) {
   fastify.get('/ws', { websocket: true }, (ws, req) => {
-    world.network.onConnection(ws, req.query)
+    world.network.onConnection(ws, req.query, req.ip)
+  })
+  fastify.get('/w/:worldId/ws', { websocket: true }, async (ws, req) => {
+    try {
+      const host = await worlds.get(req.params.worldId)
+      if (!host) return ws.close()
+      host.instance.world.network.onConnection(ws, req.query, req.ip)
+    } catch (err) {
+      console.error(err)
+      ws.close()
+    }
   })
 }
 
+async function hostedWorlds(fastify) {
+  // bodies are left unread so the world's own app can parse them (including multipart uploads)
+  fastify.removeAllContentTypeParsers()
+  fastify.addContentTypeParser('*', (req, payload, done) => done(null))
+  const forward = async (req, reply) => {
+    const host = await worlds.get(req.params.worldId)
+    if (!host) return reply.code(404).send({ error: 'not_found' })
+    reply.hijack()
+    host.app.routing(req.raw, reply.raw)
+  }
+  fastify.all('/w/:worldId', forward)
+  fastify.all('/w/:worldId/*', forward)
+}
+
 console.log(`running ${process.env.WORLD} on port ${port}`)
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
-  await fastify.close()
-  process.exit(0)
-})
+let shuttingDown = false
+async function shutdown(signal) {
+  if (shuttingDown) {
+    console.log(`${signal} received again, exiting without saving`)
+    process.exit(1)
+  }
+  shuttingDown = true
+  console.log(`${signal} received, shutting down...`)
+  try {
+    // countdown, kick everyone and save anything dirty (in every world)
+    await Promise.all([unloadWorld(main, SHUTDOWN_COUNTDOWN), worlds.shutdown(SHUTDOWN_COUNTDOWN)])
+    await fastify.close()
+    console.log('shutdown complete')
+    process.exit(0)
+  } catch (err) {
+    console.error(err)
+    console.error('shutdown failed')
+    process.exit(1)
+  }
+}
 
-process.on('SIGTERM', async () => {
-  await fastify.close()
-  process.exit(0)
-})
+process.on('SIGINT', () => shutdown('SIGINT'))
+process.on('SIGTERM', () => shutdown('SIGTERM'))
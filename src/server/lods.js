@@ -0,0 +1,60 @@
+import { isBoolean } from 'lodash-es'
+
+import { getBuilder } from './uploads'
+import { LODStatus } from '../core/systems/ServerLODGenerator'
+
+/**
+ * LOD Routes
+ *
+ * Generated lods are a separate (hashed) model, so blueprints keep using the original until a builder opts them in.
+ *
+ * - `GET /api/lods/:filename` returns the lod job for a model (by its original or generated filename)
+ * - `POST /api/lods/:filename` (re)generates lods for a stored glb, eg one uploaded before lods were generated
+ * - `PUT /api/blueprints/:id/lods` with `{ enabled }` switches a blueprint's model to the generated one, or back to the original
+ *
+ * Like uploads these are only available to builders that are connected to the world.
+ */
+export async function lods(fastify, { world, assets }) {
+  const network = world.network
+
+  fastify.addHook('onRequest', async (req, reply) => {
+    const builder = await getBuilder(req, world)
+    if (builder.error) {
+      return reply.code(builder.status).send({ error: builder.error })
+    }
+    req.builder = builder
+  })
+
+  fastify.get('/lods/:filename', async (req, reply) => {
+    const lods = await world.lodGenerator.get(req.params.filename)
+    if (!lods) return reply.code(404).send({ error: 'not_found' })
+    return lods
+  })
+
+  fastify.post('/lods/:filename', async (req, reply) => {
+    const filename = req.params.filename
+    if (!filename.endsWith('.glb')) return reply.code(415).send({ error: 'unsupported_type' })
+    if (!(await assets.exists(filename))) return reply.code(404).send({ error: 'not_found' })
+    const existing = await world.lodGenerator.get(filename)
+    if (existing?.status === LODStatus.PENDING) return existing
+    // generated models don't get lods of their own
+    if (existing && existing.filename !== filename) return reply.code(409).send({ error: 'generated' })
+    const lods = await world.lodGenerator.request(filename)
+    return reply.code(202).send(lods)
+  })
+
+  fastify.put('/blueprints/:id/lods', async (req, reply) => {
+    const blueprint = world.blueprints.get(req.params.id)
+    if (!blueprint) return reply.code(404).send({ error: 'not_found' })
+    if (blueprint.frozen) return reply.code(403).send({ error: 'frozen' })
+    const enabled = req.body?.enabled
+    if (!isBoolean(enabled)) return reply.code(400).send({ error: 'invalid_enabled' })
+    const lods = blueprint.model?.startsWith('asset://') ? await world.lodGenerator.get(blueprint.model.slice(8)) : null
+    if (lods?.status !== LODStatus.DONE) return reply.code(409).send({ error: 'lods_not_ready', status: lods?.status })
+    const model = enabled ? lods.lodUrl : lods.url
+    if (blueprint.model === model) return blueprint
+    network.modifyBlueprint({ id: blueprint.id, version: blueprint.version + 1, model })
+    network.blueprintAuthors.set(blueprint.id, req.builder.userId)
+    return world.blueprints.get(blueprint.id)
+  })
+}
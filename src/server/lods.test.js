@@ -0,0 +1,150 @@
+import Fastify from 'fastify'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { AssetsLocal } from './AssetsLocal'
+import { createDB, migrate } from './db'
+
+vi.mock('../core/extras/generateLODs', () => ({ generateLODs: vi.fn() }))
+
+describe('lod routes', () => {
+  let dir
+  let db
+  let assets
+  let app
+  let world
+  let blueprints
+  let token
+  let generateLODs
+
+  beforeEach(async () => {
+    // JWT_SECRET is read when the module is loaded
+    vi.stubEnv('JWT_SECRET', 'secret')
+    vi.resetModules()
+    const { lods } = await import('./lods')
+    const { ServerLODGenerator } = await import('../core/systems/ServerLODGenerator')
+    const { createJWT } = await import('../core/utils-server')
+    generateLODs = (await import('../core/extras/generateLODs')).generateLODs
+    generateLODs.mockResolvedValue({
+      buffer: new Uint8Array(Buffer.from('simplified')),
+      meshes: 1,
+      triangles: [100, 10],
+    })
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lods-'))
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    assets = new AssetsLocal({ dir: path.join(dir, 'assets'), quarantineDir: path.join(dir, 'quarantine') })
+    await assets.init()
+    await assets.put('model.glb', Buffer.from('model'))
+    await assets.put('image.png', Buffer.from('image'))
+    blueprints = new Map([
+      ['bp1', { id: 'bp1', version: 0, model: 'asset://model.glb' }],
+      ['bp2', { id: 'bp2', version: 0, model: 'asset://model.glb', frozen: true }],
+      ['bp3', { id: 'bp3', version: 0, model: 'asset://other.glb' }],
+    ])
+    const players = {
+      user1: { data: { userId: 'user1', roles: ['builder'] } },
+      user2: { data: { userId: 'user2', roles: [] } },
+    }
+    const lodGenerator = new ServerLODGenerator({})
+    lodGenerator.init({ db, assets })
+    await lodGenerator.start()
+    world = {
+      blueprints: { get: id => blueprints.get(id) },
+      lodGenerator,
+      network: {
+        sockets: new Map(Object.entries(players).map(([id, player]) => [id, { player }])),
+        isBuilder: player => player.data.roles.includes('builder'),
+        blueprintAuthors: new Map(),
+        modifyBlueprint: data => blueprints.set(data.id, { ...blueprints.get(data.id), ...data }),
+      },
+    }
+    token = await createJWT({ userId: 'user1' })
+    app = Fastify()
+    app.register(lods, { prefix: '/api', world, assets })
+  })
+
+  afterEach(async () => {
+    await app.close()
+    world.lodGenerator.destroy()
+    await db.destroy()
+    await fs.remove(dir)
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  function request(method, url, payload, auth = token) {
+    return app.inject({ method, url: `/api${url}`, headers: { authorization: `Bearer ${auth}` }, payload })
+  }
+
+  async function generate(filename) {
+    expect((await request('POST', `/lods/${filename}`)).statusCode).toBe(202)
+    let lods
+    await vi.waitFor(async () => {
+      lods = (await request('GET', `/lods/${filename}`)).json()
+      expect(lods.status).not.toBe('pending')
+    })
+    return lods
+  }
+
+  it('is only available to connected builders', async () => {
+    const { createJWT } = await import('../core/utils-server')
+    expect((await request('GET', '/lods/model.glb', null, 'invalid')).statusCode).toBe(401)
+    expect((await request('GET', '/lods/model.glb', null, await createJWT({ userId: 'user2' }))).json()).toEqual({
+      error: 'forbidden',
+    })
+    expect((await request('GET', '/lods/model.glb', null, await createJWT({ userId: 'user3' }))).json()).toEqual({
+      error: 'not_connected',
+    })
+  })
+
+  it('generates lods for stored models', async () => {
+    expect((await request('GET', '/lods/model.glb')).statusCode).toBe(404)
+    expect((await request('POST', '/lods/image.png')).statusCode).toBe(415)
+    expect((await request('POST', '/lods/missing.glb')).statusCode).toBe(404)
+    const lods = await generate('model.glb')
+    expect(lods).toMatchObject({ filename: 'model.glb', status: 'done', triangles: [100, 10] })
+    // the generated model doesn't get lods of its own
+    const lodFilename = lods.lodUrl.slice(8)
+    expect((await request('GET', `/lods/${lodFilename}`)).json()).toMatchObject({ filename: 'model.glb' })
+    expect((await request('POST', `/lods/${lodFilename}`)).json()).toEqual({ error: 'generated' })
+    // regenerating replaces the previous result
+    generateLODs.mockResolvedValue(null)
+    expect(await generate('model.glb')).toMatchObject({ status: 'skipped', lodUrl: null })
+  })
+
+  it('returns pending jobs instead of queueing them again', async () => {
+    generateLODs.mockReturnValue(new Promise(() => {}))
+    expect((await request('POST', '/lods/model.glb')).statusCode).toBe(202)
+    const res = await request('POST', '/lods/model.glb')
+    expect(res.statusCode).toBe(200)
+    expect(res.json()).toMatchObject({ status: 'pending' })
+    expect(world.lodGenerator.queue).toEqual([])
+    await vi.waitFor(() => expect(generateLODs).toHaveBeenCalledTimes(1))
+  })
+
+  it('switches blueprints to the generated model and back', async () => {
+    expect((await request('PUT', '/blueprints/missing/lods', { enabled: true })).statusCode).toBe(404)
+    expect((await request('PUT', '/blueprints/bp2/lods', { enabled: true })).json()).toEqual({ error: 'frozen' })
+    expect((await request('PUT', '/blueprints/bp1/lods', { enabled: 'yes' })).json()).toEqual({
+      error: 'invalid_enabled',
+    })
+    expect((await request('PUT', '/blueprints/bp1/lods', { enabled: true })).json()).toEqual({
+      error: 'lods_not_ready',
+    })
+    expect((await request('PUT', '/blueprints/bp3/lods', { enabled: true })).statusCode).toBe(409)
+    const lods = await generate('model.glb')
+
+    const enabled = await request('PUT', '/blueprints/bp1/lods', { enabled: true })
+    expect(enabled.json()).toMatchObject({ id: 'bp1', version: 1, model: lods.lodUrl })
+    expect(world.network.blueprintAuthors.get('bp1')).toBe('user1')
+    // already using it
+    expect((await request('PUT', '/blueprints/bp1/lods', { enabled: true })).json()).toMatchObject({ version: 1 })
+    // the lod job is found from the generated model the blueprint now uses
+    const disabled = await request('PUT', '/blueprints/bp1/lods', { enabled: false })
+    expect(disabled.json()).toMatchObject({ id: 'bp1', version: 2, model: 'asset://model.glb' })
+  })
+})
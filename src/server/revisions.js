@@ -0,0 +1,123 @@
+import { isArray, isEqual } from 'lodash-es'
+
+import { getBuilder } from './uploads'
+
+// blueprint fields that can be restored from an older revision
+const revertableKeys = ['model', 'script', 'props']
+
+/**
+ * Blueprint Revision Routes
+ *
+ * Every saved version of a blueprint is recorded in `blueprint_revisions` (see ServerNetwork.save)
+ *
+ * - `GET /api/blueprints/:id/revisions` lists revisions (newest first) with the author and which fields changed
+ * - `GET /api/blueprints/:id/revisions/:version/diff?to=<version>` diffs a revision against another one (or the live blueprint)
+ * - `POST /api/blueprints/:id/revisions/:version/revert` restores `{ keys: ['script', 'props'] }` from a revision as a new version
+ *
+ * Like uploads these are only available to builders that are connected to the world.
+ */
+export async function revisions(fastify, { world }) {
+  const network = world.network
+
+  fastify.addHook('onRequest', async (req, reply) => {
+    const builder = await getBuilder(req, world)
+    if (builder.error) {
+      return reply.code(builder.status).send({ error: builder.error })
+    }
+    req.builder = builder
+  })
+
+  fastify.get('/blueprints/:id/revisions', async req => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500)
+    const rows = await network
+      .db('blueprint_revisions')
+      .leftJoin('users', join => {
+        join.on('users.id', 'blueprint_revisions.userId').andOn('users.worldId', 'blueprint_revisions.worldId')
+      })
+      .where({ 'blueprint_revisions.worldId': network.worldId, blueprintId: req.params.id })
+      .orderBy('blueprint_revisions.id', 'desc')
+      .limit(limit + 1) // one extra so we can tell what changed in the oldest one
+      .select('blueprint_revisions.*', 'users.name as userName')
+    const revisions = []
+    for (let i = 0; i < Math.min(rows.length, limit); i++) {
+      const row = rows[i]
+      const prev = rows[i + 1]
+      revisions.push({
+        version: row.version,
+        userId: row.userId,
+        userName: row.userName || null,
+        createdAt: row.createdAt,
+        changes: prev ? Object.keys(diff(JSON.parse(prev.data), JSON.parse(row.data))) : [],
+      })
+    }
+    return revisions
+  })
+
+  fastify.get('/blueprints/:id/revisions/:version/diff', async (req, reply) => {
+    const from = await getRevision(network.db, req.params.id, req.params.version)
+    if (!from) return reply.code(404).send({ error: 'not_found' })
+    let to
+    if (req.query.to) {
+      to = await getRevision(network.db, req.params.id, req.query.to)
+    } else {
+      to = world.blueprints.get(req.params.id)
+    }
+    if (!to) return reply.code(404).send({ error: 'not_found' })
+    return {
+      from: from.version,
+      to: to.version,
+      changes: diff(from, to),
+    }
+  })
+
+  fastify.post('/blueprints/:id/revisions/:version/revert', async (req, reply) => {
+    const blueprint = world.blueprints.get(req.params.id)
+    if (!blueprint) return reply.code(404).send({ error: 'not_found' })
+    if (blueprint.frozen) return reply.code(403).send({ error: 'frozen' })
+    const revision = await getRevision(network.db, req.params.id, req.params.version)
+    if (!revision) return reply.code(404).send({ error: 'not_found' })
+    const keys = req.body?.keys || revertableKeys
+    if (!isArray(keys) || !keys.length || !keys.every(key => revertableKeys.includes(key))) {
+      return reply.code(400).send({ error: 'invalid_keys' })
+    }
+    const data = { id: blueprint.id, version: blueprint.version + 1 }
+    for (const key of keys) {
+      data[key] = revision[key]
+    }
+    network.modifyBlueprint(data)
+    network.blueprintAuthors.set(blueprint.id, req.builder.userId)
+    return world.blueprints.get(blueprint.id)
+  })
+}
+
+async function getRevision(db, blueprintId, version) {
+  version = parseInt(version)
+  if (isNaN(version)) return null
+  const row = await db('blueprint_revisions')
+    .where({ worldId: db.userParams.worldId, blueprintId, version })
+    .orderBy('id', 'desc')
+    .first()
+  return row ? JSON.parse(row.data) : null
+}
+
+/**
+ * Returns `{ [key]: { from, to } }` for every blueprint field that differs.
+ * Props are compared individually (eg `props.color`) so small edits are easy to spot.
+ */
+function diff(from, to) {
+  const changes = {}
+  const compare = (a = {}, b = {}, prefix) => {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+    for (const key of keys) {
+      if (!prefix && key === 'version') continue
+      if (!prefix && key === 'props') {
+        compare(a.props, b.props, 'props.')
+        continue
+      }
+      if (isEqual(a[key], b[key])) continue
+      changes[`${prefix || ''}${key}`] = { from: a[key] ?? null, to: b[key] ?? null }
+    }
+  }
+  compare(from, to)
+  return changes
+}
@@ -0,0 +1,129 @@
+import Fastify from 'fastify'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { createDB, migrate } from './db'
+
+describe('revision routes', () => {
+  let db
+  let app
+  let world
+  let token
+
+  beforeEach(async () => {
+    // JWT_SECRET is read when the module is loaded
+    vi.stubEnv('JWT_SECRET', 'secret')
+    vi.resetModules()
+    const { revisions } = await import('./revisions')
+    const { createJWT } = await import('../core/utils-server')
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+    const now = new Date().toISOString()
+    await db('users').insert({ worldId: 'world1', id: 'user1', name: 'Alice', createdAt: now })
+    const versions = [
+      { model: 'asset://a.glb', script: null, props: { color: 'red' } },
+      { model: 'asset://a.glb', script: 'asset://a.js', props: { color: 'red' } },
+      { model: 'asset://b.glb', script: 'asset://a.js', props: { color: 'blue', size: 2 } },
+    ]
+    for (const [version, data] of versions.entries()) {
+      await db('blueprint_revisions').insert({
+        worldId: 'world1',
+        blueprintId: 'bp1',
+        version,
+        data: JSON.stringify({ id: 'bp1', version, ...data }),
+        userId: version ? 'user1' : null,
+        createdAt: now,
+      })
+    }
+    // another world sharing the database
+    await db('blueprint_revisions').insert({
+      worldId: 'world2',
+      blueprintId: 'bp1',
+      version: 3,
+      data: JSON.stringify({ id: 'bp1', version: 3 }),
+      createdAt: now,
+    })
+    const blueprints = new Map([['bp1', { id: 'bp1', version: 2, ...versions[2] }]])
+    const player = { data: { userId: 'user1', roles: ['builder'] } }
+    world = {
+      blueprints: { get: id => blueprints.get(id) },
+      network: {
+        db,
+        worldId: 'world1',
+        sockets: new Map([['user1', { player }]]),
+        isBuilder: player => player.data.roles.includes('builder'),
+        blueprintAuthors: new Map(),
+        modifyBlueprint: data => blueprints.set(data.id, { ...blueprints.get(data.id), ...data }),
+      },
+    }
+    token = await createJWT({ userId: 'user1' })
+    app = Fastify()
+    app.register(revisions, { prefix: '/api', world })
+  })
+
+  afterEach(async () => {
+    await app.close()
+    await db.destroy()
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  function request(method, url, payload) {
+    return app.inject({ method, url: `/api${url}`, headers: { authorization: `Bearer ${token}` }, payload })
+  }
+
+  it('lists revisions with their authors and changes', async () => {
+    expect((await request('GET', '/blueprints/bp1/revisions')).json()).toMatchObject([
+      { version: 2, userId: 'user1', userName: 'Alice', changes: ['model', 'props.color', 'props.size'] },
+      { version: 1, userId: 'user1', userName: 'Alice', changes: ['script'] },
+      { version: 0, userId: null, userName: null, changes: [] },
+    ])
+    // the oldest revision in a page still shows what changed
+    expect((await request('GET', '/blueprints/bp1/revisions?limit=1')).json()).toMatchObject([
+      { version: 2, changes: ['model', 'props.color', 'props.size'] },
+    ])
+  })
+
+  it('diffs revisions', async () => {
+    expect((await request('GET', '/blueprints/bp1/revisions/0/diff?to=1')).json()).toEqual({
+      from: 0,
+      to: 1,
+      changes: { script: { from: null, to: 'asset://a.js' } },
+    })
+    // against the live blueprint
+    expect((await request('GET', '/blueprints/bp1/revisions/1/diff')).json()).toEqual({
+      from: 1,
+      to: 2,
+      changes: {
+        model: { from: 'asset://a.glb', to: 'asset://b.glb' },
+        'props.color': { from: 'red', to: 'blue' },
+        'props.size': { from: null, to: 2 },
+      },
+    })
+    expect((await request('GET', '/blueprints/bp1/revisions/3/diff')).statusCode).toBe(404)
+  })
+
+  it('reverts fields from a revision as a new version', async () => {
+    const res = await request('POST', '/blueprints/bp1/revisions/0/revert', { keys: ['script', 'props'] })
+    expect(res.json()).toEqual({
+      id: 'bp1',
+      version: 3,
+      model: 'asset://b.glb',
+      script: null,
+      props: { color: 'red' },
+    })
+    expect(world.network.blueprintAuthors.get('bp1')).toBe('user1')
+    expect((await request('POST', '/blueprints/bp1/revisions/0/revert', { keys: ['name'] })).json()).toEqual({
+      error: 'invalid_keys',
+    })
+    world.blueprints.get('bp1').frozen = true
+    expect((await request('POST', '/blueprints/bp1/revisions/0/revert')).statusCode).toBe(403)
+  })
+
+  it('only allows connected builders', async () => {
+    world.network.sockets.get('user1').player.data.roles = []
+    const res = await request('GET', '/blueprints/bp1/revisions')
+    expect(res.statusCode).toBe(403)
+    expect(res.json()).toEqual({ error: 'forbidden' })
+  })
+})
@@ -0,0 +1,150 @@
+import fs from 'fs-extra'
+import path from 'path'
+import Fastify from 'fastify'
+import cors from '@fastify/cors'
+import compress from '@fastify/compress'
+import statics from '@fastify/static'
+import multipart from '@fastify/multipart'
+
+import { admin } from './admin'
+import { MAX_UPLOAD_SIZE, uploads } from './uploads'
+import { revisions } from './revisions'
+import { lods } from './lods'
+import { safeEqual } from '../core/utils-server'
+
+const publicEnvs = {}
+for (const key in process.env) {
+  if (key.startsWith('PUBLIC_')) {
+    publicEnvs[key] = process.env[key]
+  }
+}
+
+/**
+ * World Routes
+ *
+ * Everything served for a single world: the page, `/env.js`, `/assets/:filename`, the `/api` routes, `/status` and `/metrics`.
+ * Registered at the root for the main world and under `/w/:worldId` for hosted worlds (see createWorldApp).
+ * Websockets are handled by the main fastify instance.
+ *
+ */
+export async function worldRoutes(fastify, { instance }) {
+  const { world, assets, tmpDir, urls } = instance
+
+  const envsCode = `
+  if (!globalThis.env) globalThis.env = {}
+  globalThis.env = ${JSON.stringify({
+    ...publicEnvs,
+    PUBLIC_WS_URL: urls.ws,
+    PUBLIC_API_URL: urls.api,
+    PUBLIC_ASSETS_URL: urls.assets,
+  })}
+`
+
+  fastify.get('/', async (req, reply) => {
+    const title = world.settings.title || 'World'
+    const desc = world.settings.desc || ''
+    const image = world.resolveURL(world.settings.image?.url) || ''
+    const url = urls.assets
+    const filePath = path.join(__dirname, 'public', 'index.html')
+    let html = fs.readFileSync(filePath, 'utf-8')
+    html = html.replaceAll('{url}', url)
+    html = html.replaceAll('{title}', title)
+    html = html.replaceAll('{desc}', desc)
+    html = html.replaceAll('{image}', image)
+    // hosted worlds load their own env (with urls pointing at /w/:worldId)
+    html = html.replaceAll('src="/env.js', `src="${fastify.prefix}/env.js`)
+    return reply.type('text/html').send(html)
+  })
+  if (assets.dir) {
+    // local assets are served from disk with reply.sendFile (see AssetsLocal.serve)
+    fastify.register(statics, {
+      root: assets.dir,
+      serve: false,
+      cacheControl: false, // otherwise it overrides the headers below
+      setHeaders: res => {
+        // all assets are hashed & immutable so we can use aggressive caching
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable') // 1 year
+        res.setHeader('Expires', new Date(Date.now() + 31536000000).toUTCString()) // older browsers
+      },
+    })
+  }
+  fastify.get('/assets/:filename', async (req, reply) => {
+    return assets.serve(req, reply, req.params.filename)
+  })
+  fastify.register(multipart, {
+    limits: {
+      fileSize: MAX_UPLOAD_SIZE,
+    },
+    // uploads check `file.truncated` and respond with 413 too_large themselves
+    throwFileSizeLimit: false,
+  })
+  fastify.register(uploads, { prefix: '/api', world, assets, tmpDir })
+  fastify.register(revisions, { prefix: '/api', world })
+  fastify.register(lods, { prefix: '/api', world, assets })
+  fastify.register(admin, { prefix: '/api/admin', world, assets })
+
+  fastify.get('/env.js', async (req, reply) => {
+    return reply.type('application/javascript').send(envsCode)
+  })
+
+  fastify.get('/status', async (request, reply) => {
+    try {
+      const status = {
+        uptime: Math.round(world.time),
+        protected: process.env.ADMIN_CODE !== undefined ? true : false,
+        connectedUsers: [],
+        world: instance.name,
+        commitHash: process.env.COMMIT_HASH,
+      }
+      for (const socket of world.network.sockets.values()) {
+        status.connectedUsers.push({
+          id: socket.player.data.userId,
+          position: socket.player.position.current.toArray(),
+          name: socket.player.data.name,
+        })
+      }
+
+      return reply.code(200).send(status)
+    } catch (error) {
+      console.error('Status failed:', error)
+      return reply.code(503).send({
+        status: 'error',
+        timestamp: new Date().toISOString(),
+      })
+    }
+  })
+
+  fastify.get('/metrics', async (request, reply) => {
+    const token = process.env.METRICS_TOKEN
+    if (token && !safeEqual(request.headers.authorization || '', `Bearer ${token}`)) {
+      return reply.code(401).send({ error: 'unauthorized' })
+    }
+    return reply.type('text/plain; version=0.0.4').send(world.monitor.getMetrics())
+  })
+}
+
+/**
+ * Creates the fastify app for a hosted world. It never listens itself, the main server forwards
+ * `/w/:worldId/*` requests to it with `app.routing(req, res)`.
+ */
+export async function createWorldApp(instance) {
+  const app = Fastify({ logger: { level: 'error' } })
+  app.register(cors)
+  app.register(compress)
+  app.register(worldRoutes, { prefix: `/w/${instance.id}`, instance })
+  app.setErrorHandler(handleError)
+  await app.ready()
+  return app
+}
+
+/**
+ * Error handler for the fastify apps. Client errors fastify throws itself (eg invalid json, or a request to
+ * `/api/upload` that isn't multipart) keep their status, anything else is logged and hidden behind a 500.
+ */
+export function handleError(err, req, reply) {
+  if (err.statusCode >= 400 && err.statusCode < 500) {
+    return reply.status(err.statusCode).send({ error: err.code || 'bad_request' })
+  }
+  console.error(err)
+  reply.status(500).send()
+}
@@ -0,0 +1,95 @@
+import Fastify from 'fastify'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { worldRoutes } from './routes'
+
+describe('/metrics', () => {
+  let dir
+  let app
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-'))
+    const world = { monitor: { getMetrics: () => 'hyperfy_sockets 0\n' } }
+    const instance = { world, assets: {}, tmpDir: dir, urls: {} }
+    app = Fastify()
+    app.register(worldRoutes, { instance })
+  })
+
+  afterEach(async () => {
+    await app.close()
+    await fs.remove(dir)
+    vi.unstubAllEnvs()
+  })
+
+  it('is public without a METRICS_TOKEN', async () => {
+    const res = await app.inject({ method: 'GET', url: '/metrics' })
+    expect(res.statusCode).toBe(200)
+    expect(res.headers['content-type']).toBe('text/plain; version=0.0.4')
+    expect(res.body).toBe('hyperfy_sockets 0\n')
+  })
+
+  it('needs the METRICS_TOKEN when there is one', async () => {
+    vi.stubEnv('METRICS_TOKEN', 'secret')
+    const get = authorization => app.inject({ method: 'GET', url: '/metrics', headers: { authorization } })
+    expect((await app.inject({ method: 'GET', url: '/metrics' })).statusCode).toBe(401)
+    expect((await get('Bearer wrong')).statusCode).toBe(401)
+    expect((await get('Bearer secretsecret')).statusCode).toBe(401)
+    expect((await get('Bearer secret')).statusCode).toBe(200)
+  })
+})
+
+describe('errors', () => {
+  let dir
+  let app
+  let token
+
+  beforeEach(async () => {
+    // JWT_SECRET is read when the module is loaded
+    vi.stubEnv('JWT_SECRET', 'secret')
+    vi.resetModules()
+    const { createWorldApp } = await import('./routes')
+    const { createJWT } = await import('../core/utils-server')
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-'))
+    const player = { data: { userId: 'user1' } }
+    const world = {
+      network: { sockets: new Map([['user1', { player }]]), isBuilder: () => true },
+      monitor: {
+        getMetrics: () => {
+          throw new Error('broken')
+        },
+      },
+    }
+    app = await createWorldApp({ id: 'world1', world, assets: {}, tmpDir: dir, urls: {} })
+    token = await createJWT({ userId: 'user1' })
+  })
+
+  afterEach(async () => {
+    await app.close()
+    await fs.remove(dir)
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  it('keeps the status of client errors', async () => {
+    const res = await app.inject({
+      method: 'POST',
+      url: '/w/world1/api/upload',
+      headers: { authorization: `Bearer ${token}` },
+      payload: { file: 'model.glb' },
+    })
+    expect(res.statusCode).toBe(406)
+    expect(res.json()).toEqual({ error: 'FST_INVALID_MULTIPART_CONTENT_TYPE' })
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  it('hides server errors', async () => {
+    const res = await app.inject({ method: 'GET', url: '/w/world1/metrics' })
+    expect(res.statusCode).toBe(500)
+    expect(res.body).toBe('')
+    expect(console.error).toHaveBeenCalledWith(new Error('broken'))
+  })
+})
@@ -0,0 +1,383 @@
+import fs from 'fs-extra'
+import path from 'path'
+import crypto from 'crypto'
+import moment from 'moment'
+import { Transform } from 'stream'
+import { pipeline } from 'stream/promises'
+
+import { readJWT } from '../core/utils-server'
+import { hasRole, uuid } from '../core/utils'
+import { BudgetModes, INSPECTED_TYPES } from '../core/systems/ServerInspector'
+
+const UPLOAD_QUOTA = parseFloat(process.env.UPLOAD_QUOTA || '0') // mb per user, 0 = unlimited
+
+export const MAX_UPLOAD_SIZE = (parseInt(process.env.PUBLIC_MAX_UPLOAD_SIZE) || 100) * 1024 * 1024 // bytes
+export const CHUNK_SIZE = 4 * 1024 * 1024 // bytes
+
+const STALE_UPLOAD_AGE = 24 * 60 * 60 * 1000 // ms
+const SNIFF_SIZE = 16 // bytes
+
+const defaultTypes = ['glb', 'vrm', 'hdr', 'png', 'jpg', 'jpeg', 'webp', 'mp3', 'ogg', 'mp4', 'js']
+
+/**
+ * Content sniffing
+ *
+ * Each allowed extension has a check that the first bytes of the file actually match that type.
+ */
+const validators = {
+  glb: buf => ascii(buf, 0, 4) === 'glTF',
+  vrm: buf => ascii(buf, 0, 4) === 'glTF',
+  hdr: buf => ascii(buf, 0, 10) === '#?RADIANCE' || ascii(buf, 0, 6) === '#?RGBE',
+  png: buf => bytes(buf, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpg: buf => bytes(buf, 0, [0xff, 0xd8, 0xff]),
+  jpeg: buf => bytes(buf, 0, [0xff, 0xd8, 0xff]),
+  webp: buf => ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 4) === 'WEBP',
+  mp3: buf => ascii(buf, 0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0),
+  ogg: buf => ascii(buf, 0, 4) === 'OggS',
+  mp4: buf => ascii(buf, 4, 4) === 'ftyp',
+  js: buf => isText(buf),
+}
+
+function ascii(buf, offset, length) {
+  return buf.subarray(offset, offset + length).toString('latin1')
+}
+
+function bytes(buf, offset, expected) {
+  return expected.every((byte, i) => buf[offset + i] === byte)
+}
+
+function isText(buf) {
+  if (buf.includes(0)) return false
+  // the sniffed bytes can end part way through a multi-byte character
+  const decoder = new TextDecoder('utf-8', { fatal: true })
+  try {
+    decoder.decode(buf, { stream: true })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+export function getAllowedTypes() {
+  const value = process.env.UPLOAD_ALLOWED_TYPES
+  if (!value) return defaultTypes
+  return value
+    .split(',')
+    .map(ext => ext.trim().toLowerCase())
+    .filter(ext => !!validators[ext])
+}
+
+export function isValidContent(ext, buffer) {
+  const validate = validators[ext]
+  if (!validate) return false
+  return validate(buffer)
+}
+
+/**
+ * Resolves the connected player for the auth token on an api request.
+ * Uploads (and other builder requests) are only allowed from players that are currently in the world with builder permission.
+ */
+export async function getBuilder(req, world) {
+  const header = req.headers.authorization
+  if (!header?.startsWith('Bearer ')) return { error: 'unauthorized', status: 401 }
+  const data = await readJWT(header.slice(7).trim())
+  if (!data?.userId) return { error: 'unauthorized', status: 401 }
+  const socket = world.network.sockets.get(data.userId)
+  if (!socket) return { error: 'not_connected', status: 403 }
+  if (!world.network.isBuilder(socket.player)) return { error: 'forbidden', status: 403 }
+  return { userId: data.userId, player: socket.player }
+}
+
+export async function checkQuota(db, player, size) {
+  if (!UPLOAD_QUOTA) return true
+  if (hasRole(player.data.roles, 'admin')) return true
+  const row = await db('uploads')
+    .where({ worldId: db.userParams.worldId, userId: player.data.userId })
+    .sum({ total: 'size' })
+    .first()
+  const total = Number(row?.total || 0) // postgres returns sums as strings
+  return total + size <= UPLOAD_QUOTA * 1024 * 1024
+}
+
+async function readHead(file) {
+  const handle = await fs.promises.open(file, 'r')
+  try {
+    const buffer = Buffer.alloc(SNIFF_SIZE)
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_SIZE, 0)
+    return buffer.subarray(0, bytesRead)
+  } finally {
+    await handle.close()
+  }
+}
+
+/**
+ * Upload Routes
+ *
+ * - `POST /api/upload` stores a hashed asset and responds with its `asset://` url
+ * - `GET /api/upload-check` checks if an asset has already been uploaded, and how much of it has been
+ *   received if it is part way through a chunked upload
+ *
+ * Large files use a resumable chunked upload instead:
+ * - `POST /api/upload/init` starts (or resumes) an upload for `{ filename: <sha256>.<ext>, size }`
+ * - `PUT /api/upload/:uploadId?offset=<bytes>` appends a chunk (`application/octet-stream`)
+ * - `POST /api/upload/:uploadId/finalize` verifies the sha256 and stores the asset
+ *
+ * Everything is streamed to a temp file and hashed incrementally, so files are never buffered in memory
+ * (except glb/vrm models, which are read back to be inspected and checked against the world's budgets, see ServerInspector).
+ * Inspected uploads respond with their `report`, or `422 { error: 'over_budget', exceeded }` if the budgets reject them.
+ * High poly glb uploads also respond with the status of their `lods`, see ServerLODGenerator.
+ */
+export async function uploads(fastify, { world, assets, tmpDir }) {
+  const pending = new Map() // uploadId -> { uploadId, userId, filename, ext, size, received, hash, tempPath }
+
+  await fs.ensureDir(tmpDir)
+
+  // chunks are streamed straight to disk
+  fastify.addContentTypeParser('application/octet-stream', (req, payload, done) => {
+    done(null, payload)
+  })
+
+  async function storeAsset({ tempPath, ext, hash, size, uploader }) {
+    const filename = `${hash}.${ext}`
+    const result = { url: `asset://${filename}`, hash, filename, size }
+    // uploading something that already exists doesn't count towards quota
+    if (await assets.exists(filename)) {
+      await fs.remove(tempPath)
+      return result
+    }
+    // models are inspected before they're stored so that the world's budgets can reject them
+    let report = null
+    if (INSPECTED_TYPES.includes(ext)) {
+      try {
+        report = await world.inspector.createReport(filename, await fs.readFile(tempPath))
+      } catch (err) {
+        // eg draco compressed meshes can't be read on the server, these are stored without a report
+        console.error(`inspector: failed to inspect ${filename} (${err.message})`)
+      }
+    }
+    if (report?.exceeded.length && world.inspector.budgets.mode === BudgetModes.REJECT) {
+      await fs.remove(tempPath)
+      return { error: 'over_budget', status: 422, exceeded: report.exceeded }
+    }
+    const allowed = await checkQuota(world.network.db, uploader.player, size)
+    if (!allowed) {
+      await fs.remove(tempPath)
+      return { error: 'quota_exceeded', status: 413 }
+    }
+    await assets.put(filename, tempPath, true)
+    await world.network.db('uploads').insert({
+      worldId: world.network.worldId,
+      userId: uploader.userId,
+      filename,
+      size,
+      createdAt: moment().toISOString(),
+    })
+    if (report) {
+      await world.inspector.save(report)
+      result.report = report
+    }
+    // high poly models get simplified lods generated in the background
+    if (ext === 'glb' && world.lodGenerator.shouldGenerate(report)) {
+      result.lods = await world.lodGenerator.request(filename)
+    }
+    return result
+  }
+
+  async function rehash(upload) {
+    const hash = crypto.createHash('sha256')
+    let received = 0
+    if (await fs.exists(upload.tempPath)) {
+      for await (const chunk of fs.createReadStream(upload.tempPath)) {
+        hash.update(chunk)
+        received += chunk.length
+      }
+    }
+    upload.hash = hash
+    upload.received = received
+  }
+
+  async function removeStaleUploads() {
+    const now = Date.now()
+    for (const name of await fs.readdir(tmpDir)) {
+      const filePath = path.join(tmpDir, name)
+      const stats = await fs.stat(filePath)
+      if (now - stats.mtimeMs < STALE_UPLOAD_AGE) continue
+      await fs.remove(filePath)
+      for (const [uploadId, upload] of pending) {
+        if (upload.tempPath === filePath) pending.delete(uploadId)
+      }
+    }
+  }
+
+  fastify.post('/upload', async (req, reply) => {
+    // console.log('DEBUG: slow uploads')
+    // await new Promise(resolve => setTimeout(resolve, 2000))
+    const uploader = await getBuilder(req, world)
+    if (uploader.error) {
+      return reply.code(uploader.status).send({ error: uploader.error })
+    }
+    const file = await req.file()
+    if (!file) return reply.code(400).send({ error: 'file_required' })
+    const ext = file.filename.split('.').pop().toLowerCase()
+    if (!getAllowedTypes().includes(ext)) {
+      return reply.code(415).send({ error: 'unsupported_type', ext })
+    }
+    // stream to a temp file, hashing as we go
+    const tempPath = path.join(tmpDir, `${uuid()}.${ext}`)
+    const hash = crypto.createHash('sha256')
+    let head = Buffer.alloc(0)
+    let size = 0
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        if (head.length < SNIFF_SIZE) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_SIZE)
+        hash.update(chunk)
+        size += chunk.length
+        callback(null, chunk)
+      },
+    })
+    try {
+      await pipeline(file.file, hasher, fs.createWriteStream(tempPath))
+    } catch (err) {
+      await fs.remove(tempPath)
+      throw err
+    }
+    if (file.file.truncated) {
+      await fs.remove(tempPath)
+      return reply.code(413).send({ error: 'too_large' })
+    }
+    if (!isValidContent(ext, head)) {
+      await fs.remove(tempPath)
+      return reply.code(415).send({ error: 'invalid_content', ext })
+    }
+    const result = await storeAsset({ tempPath, ext, hash: hash.digest('hex'), size, uploader })
+    if (result.error) return reply.code(result.status).send({ error: result.error, exceeded: result.exceeded })
+    return result
+  })
+
+  fastify.post('/upload/init', async (req, reply) => {
+    const uploader = await getBuilder(req, world)
+    if (uploader.error) {
+      return reply.code(uploader.status).send({ error: uploader.error })
+    }
+    const { filename, size } = req.body || {}
+    const match = /^([a-f0-9]{64})\.([a-z0-9]+)$/.exec(filename || '')
+    if (!match) return reply.code(400).send({ error: 'invalid_filename' })
+    const ext = match[2]
+    if (!getAllowedTypes().includes(ext)) {
+      return reply.code(415).send({ error: 'unsupported_type', ext })
+    }
+    if (!Number.isInteger(size) || size <= 0) return reply.code(400).send({ error: 'invalid_size' })
+    if (size > MAX_UPLOAD_SIZE) return reply.code(413).send({ error: 'too_large' })
+    if (await assets.exists(filename)) {
+      return { exists: true, url: `asset://${filename}`, hash: match[1], filename, size }
+    }
+    if (!(await checkQuota(world.network.db, uploader.player, size))) {
+      return reply.code(413).send({ error: 'quota_exceeded' })
+    }
+    await removeStaleUploads()
+    // upload ids are stable so that a client can resume after a dropped connection (or a server restart)
+    const uploadId = `${uploader.userId}-${filename}`
+    let upload = pending.get(uploadId)
+    if (!upload || upload.size !== size) {
+      upload = {
+        uploadId,
+        userId: uploader.userId,
+        filename,
+        ext,
+        size,
+        received: 0,
+        hash: null,
+        tempPath: path.join(tmpDir, uploadId),
+      }
+      pending.set(uploadId, upload)
+    }
+    if (!upload.hash) await rehash(upload)
+    if (upload.received > size) {
+      await fs.remove(upload.tempPath)
+      await rehash(upload)
+    }
+    return { exists: false, uploadId, chunkSize: CHUNK_SIZE, received: upload.received }
+  })
+
+  fastify.put('/upload/:uploadId', async (req, reply) => {
+    const uploader = await getBuilder(req, world)
+    if (uploader.error) {
+      return reply.code(uploader.status).send({ error: uploader.error })
+    }
+    const upload = pending.get(req.params.uploadId)
+    if (!upload || upload.userId !== uploader.userId) return reply.code(404).send({ error: 'not_found' })
+    if (typeof req.body?.pipe !== 'function') return reply.code(400).send({ error: 'invalid_chunk' })
+    const offset = parseInt(req.query.offset)
+    if (upload.writing) {
+      req.body.resume() // drain
+      return reply.code(409).send({ error: 'busy', received: upload.received })
+    }
+    if (offset !== upload.received) {
+      req.body.resume() // drain
+      return reply.code(409).send({ error: 'offset_mismatch', received: upload.received })
+    }
+    upload.writing = true
+    let written = 0
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        written += chunk.length
+        if (written > CHUNK_SIZE || upload.received + written > upload.size) {
+          return callback(new Error('chunk too large'))
+        }
+        upload.hash.update(chunk)
+        callback(null, chunk)
+      },
+    })
+    try {
+      await pipeline(req.body, hasher, fs.createWriteStream(upload.tempPath, { flags: 'a' }))
+      upload.received += written
+    } catch (err) {
+      // the temp file and hash may be out of sync, so start over from what actually made it to disk
+      await rehash(upload)
+      return reply.code(400).send({ error: 'chunk_failed', received: upload.received })
+    } finally {
+      upload.writing = false
+    }
+    return { received: upload.received }
+  })
+
+  fastify.post('/upload/:uploadId/finalize', async (req, reply) => {
+    const uploader = await getBuilder(req, world)
+    if (uploader.error) {
+      return reply.code(uploader.status).send({ error: uploader.error })
+    }
+    const upload = pending.get(req.params.uploadId)
+    if (!upload || upload.userId !== uploader.userId) return reply.code(404).send({ error: 'not_found' })
+    if (upload.writing) return reply.code(409).send({ error: 'busy', received: upload.received })
+    if (upload.received !== upload.size) {
+      return reply.code(409).send({ error: 'incomplete', received: upload.received })
+    }
+    pending.delete(upload.uploadId)
+    const hash = upload.hash.digest('hex')
+    if (`${hash}.${upload.ext}` !== upload.filename) {
+      await fs.remove(upload.tempPath)
+      return reply.code(422).send({ error: 'hash_mismatch' })
+    }
+    if (!isValidContent(upload.ext, await readHead(upload.tempPath))) {
+      await fs.remove(upload.tempPath)
+      return reply.code(415).send({ error: 'invalid_content', ext: upload.ext })
+    }
+    const result = await storeAsset({ tempPath: upload.tempPath, ext: upload.ext, hash, size: upload.size, uploader })
+    if (result.error) return reply.code(result.status).send({ error: result.error, exceeded: result.exceeded })
+    return result
+  })
+
+  fastify.get('/upload-check', async (req, reply) => {
+    const filename = path.basename(req.query.filename || '')
+    if (!filename) return reply.code(400).send({ error: 'filename_required' })
+    const exists = await assets.exists(filename)
+    // include progress of any chunked upload this user has in progress
+    let received = 0
+    if (!exists && req.headers.authorization) {
+      const uploader = await getBuilder(req, world)
+      const upload = pending.get(`${uploader.userId}-${filename}`)
+      if (upload) received = upload.received
+    }
+    return { exists, received }
+  })
+}
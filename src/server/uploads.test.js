@@ -0,0 +1,275 @@
+import crypto from 'crypto'
+import Fastify from 'fastify'
+import multipart from '@fastify/multipart'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { AssetsLocal } from './AssetsLocal'
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0])
+
+// JWT_SECRET and the upload settings are read when modules are loaded
+async function load(env = {}) {
+  vi.stubEnv('JWT_SECRET', 'secret')
+  for (const key in env) vi.stubEnv(key, env[key])
+  vi.resetModules()
+  const uploads = await import('./uploads')
+  const { createJWT } = await import('../core/utils-server')
+  return { ...uploads, createJWT }
+}
+
+describe('upload content sniffing', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs()
+  })
+
+  it('checks the first bytes of each type', async () => {
+    const { isValidContent } = await load()
+    const valid = {
+      glb: Buffer.from('glTF\x02\x00\x00\x00', 'latin1'),
+      vrm: Buffer.from('glTF\x02\x00\x00\x00', 'latin1'),
+      hdr: Buffer.from('#?RADIANCE\n'),
+      png,
+      jpg: Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+      jpeg: Buffer.from([0xff, 0xd8, 0xff, 0xdb]),
+      webp: Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1'),
+      mp3: Buffer.from('ID3\x04'),
+      ogg: Buffer.from('OggS\x00'),
+      mp4: Buffer.from('\x00\x00\x00\x18ftypmp42', 'latin1'),
+      js: Buffer.from('export default 1'),
+    }
+    for (const ext in valid) {
+      expect(isValidContent(ext, valid[ext]), ext).toBe(true)
+      // nothing is valid as another type, except the types that share a format
+      expect(
+        isValidContent(ext, Buffer.from([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0a, 0x0b])),
+        ext
+      ).toBe(false)
+    }
+    expect(isValidContent('hdr', Buffer.from('#?RGBE'))).toBe(true)
+    expect(isValidContent('mp3', Buffer.from([0xff, 0xfb, 0x90, 0x00]))).toBe(true)
+    expect(isValidContent('png', valid.jpg)).toBe(false)
+    expect(isValidContent('exe', Buffer.from('MZ'))).toBe(false)
+  })
+
+  it('allows text scripts that end part way through a character', async () => {
+    const { isValidContent } = await load()
+    const text = Buffer.from('// héllo')
+    expect(isValidContent('js', text.subarray(0, 5))).toBe(true)
+    expect(isValidContent('js', Buffer.from([0xc3, 0x28]))).toBe(false)
+  })
+
+  it('limits the allowed types with UPLOAD_ALLOWED_TYPES', async () => {
+    expect((await load()).getAllowedTypes()).toContain('glb')
+    const { getAllowedTypes } = await load({ UPLOAD_ALLOWED_TYPES: 'PNG, jpg,exe' })
+    expect(getAllowedTypes()).toEqual(['png', 'jpg'])
+  })
+})
+
+describe('upload routes', () => {
+  let dir
+  let app
+  let assets
+  let token
+  let inserts
+  let world
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'))
+    const { uploads, createJWT } = await load()
+    assets = new AssetsLocal({ dir: path.join(dir, 'assets'), quarantineDir: path.join(dir, 'quarantine') })
+    await assets.init()
+    inserts = []
+    const player = { data: { userId: 'user1', roles: ['builder'] } }
+    world = {
+      network: {
+        worldId: 'world1',
+        sockets: new Map([['user1', { player }]]),
+        isBuilder: player => player.data.roles.includes('builder'),
+        db: () => ({ insert: async row => inserts.push(row) }),
+      },
+      inspector: {
+        budgets: { mode: 'warn' },
+        createReport: async (filename, buffer) => ({ filename, size: buffer.length, exceeded: [] }),
+        save: vi.fn(async () => {}),
+      },
+      lodGenerator: { shouldGenerate: () => false },
+    }
+    token = await createJWT({ userId: 'user1' })
+    app = Fastify()
+    // a small limit, everything else is registered the same way as routes.js
+    app.register(multipart, { limits: { fileSize: 64 }, throwFileSizeLimit: false })
+    app.register(uploads, { prefix: '/api', world, assets, tmpDir: path.join(dir, 'tmp') })
+  })
+
+  afterEach(async () => {
+    await app.close()
+    await fs.remove(dir)
+    vi.unstubAllEnvs()
+    vi.restoreAllMocks()
+  })
+
+  async function upload(filename, content, headers = { authorization: `Bearer ${token}` }) {
+    const form = new FormData()
+    form.append('file', new Blob([content]), filename)
+    const request = new Request('http://localhost', { method: 'POST', body: form })
+    return app.inject({
+      method: 'POST',
+      url: '/api/upload',
+      headers: { ...headers, 'content-type': request.headers.get('content-type') },
+      payload: Buffer.from(await request.arrayBuffer()),
+    })
+  }
+
+  it('stores an upload by its hash', async () => {
+    const res = await upload('image.png', png)
+    expect(res.statusCode).toBe(200)
+    const hash = crypto.createHash('sha256').update(png).digest('hex')
+    expect(res.json()).toEqual({ url: `asset://${hash}.png`, hash, filename: `${hash}.png`, size: png.length })
+    expect(await fs.readFile(path.join(dir, 'assets', `${hash}.png`))).toEqual(png)
+    expect(inserts).toMatchObject([{ worldId: 'world1', userId: 'user1', filename: `${hash}.png`, size: png.length }])
+    expect(await fs.readdir(path.join(dir, 'tmp'))).toEqual([])
+  })
+
+  it('rejects uploads that are too large', async () => {
+    const res = await upload('image.png', Buffer.concat([png, Buffer.alloc(100)]))
+    expect(res.statusCode).toBe(413)
+    expect(res.json()).toEqual({ error: 'too_large' })
+    expect(await fs.readdir(path.join(dir, 'tmp'))).toEqual([])
+    expect(await fs.readdir(path.join(dir, 'assets'))).toEqual([])
+  })
+
+  it('rejects content that does not match its extension', async () => {
+    const res = await upload('image.png', Buffer.from('not a png'))
+    expect(res.statusCode).toBe(415)
+    expect(res.json()).toEqual({ error: 'invalid_content', ext: 'png' })
+    expect(await fs.readdir(path.join(dir, 'tmp'))).toEqual([])
+  })
+
+  it('rejects types that are not allowed', async () => {
+    const res = await upload('virus.exe', Buffer.from('MZ'))
+    expect(res.statusCode).toBe(415)
+    expect(res.json()).toEqual({ error: 'unsupported_type', ext: 'exe' })
+  })
+
+  it('only allows connected builders', async () => {
+    expect((await upload('image.png', png, {})).statusCode).toBe(401)
+    const { createJWT } = await import('../core/utils-server')
+    const stranger = await createJWT({ userId: 'user2' })
+    const res = await upload('image.png', png, { authorization: `Bearer ${stranger}` })
+    expect(res.statusCode).toBe(403)
+    expect(res.json()).toEqual({ error: 'not_connected' })
+  })
+  it('inspects models and checks them against the budgets', async () => {
+    const glb = Buffer.from('glTF model')
+    const hash = crypto.createHash('sha256').update(glb).digest('hex')
+    const exceeded = [{ key: 'size', value: glb.length, limit: 1 }]
+    world.inspector.createReport = async (filename, buffer) => ({ filename, size: buffer.length, exceeded })
+    world.inspector.budgets.mode = 'reject'
+    const rejected = await upload('model.glb', glb)
+    expect(rejected.statusCode).toBe(422)
+    expect(rejected.json()).toEqual({ error: 'over_budget', exceeded })
+    expect(await fs.readdir(path.join(dir, 'assets'))).toEqual([])
+
+    world.inspector.budgets.mode = 'warn'
+    const res = await upload('model.glb', glb)
+    expect(res.json()).toMatchObject({ filename: `${hash}.glb`, report: { filename: `${hash}.glb`, exceeded } })
+    expect(world.inspector.save).toHaveBeenCalledWith(res.json().report)
+  })
+
+  it('stores models that cannot be inspected without a report', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    world.inspector.createReport = async () => {
+      throw new Error('draco')
+    }
+    const res = await upload('model.glb', Buffer.from('glTF model'))
+    expect(res.statusCode).toBe(200)
+    expect(res.json().report).toBeUndefined()
+  })
+
+  function chunked(method, url, payload, headers = {}) {
+    return app.inject({ method, url: `/api${url}`, headers: { authorization: `Bearer ${token}`, ...headers }, payload })
+  }
+
+  function putChunk(uploadId, offset, chunk, headers) {
+    return chunked('PUT', `/upload/${uploadId}?offset=${offset}`, chunk, {
+      'content-type': 'application/octet-stream',
+      ...headers,
+    })
+  }
+
+  it('stores a chunked upload once every chunk has arrived', async () => {
+    const content = Buffer.concat([png, Buffer.alloc(100, 1)])
+    const hash = crypto.createHash('sha256').update(content).digest('hex')
+    const filename = `${hash}.png`
+    const init = await chunked('POST', '/upload/init', { filename, size: content.length })
+    expect(init.json()).toMatchObject({ exists: false, received: 0 })
+    const { uploadId } = init.json()
+
+    expect((await putChunk(uploadId, 0, content.subarray(0, 50))).json()).toEqual({ received: 50 })
+    // resuming picks up where the upload left off
+    expect((await chunked('POST', '/upload/init', { filename, size: content.length })).json()).toMatchObject({
+      uploadId,
+      received: 50,
+    })
+    expect((await chunked('GET', `/upload-check?filename=${filename}`)).json()).toEqual({ exists: false, received: 50 })
+    const mismatch = await putChunk(uploadId, 0, content.subarray(0, 50))
+    expect(mismatch.statusCode).toBe(409)
+    expect(mismatch.json()).toEqual({ error: 'offset_mismatch', received: 50 })
+    expect((await chunked('POST', `/upload/${uploadId}/finalize`)).json()).toEqual({
+      error: 'incomplete',
+      received: 50,
+    })
+
+    expect((await putChunk(uploadId, 50, content.subarray(50))).json()).toEqual({ received: content.length })
+    const res = await chunked('POST', `/upload/${uploadId}/finalize`)
+    expect(res.json()).toEqual({ url: `asset://${filename}`, hash, filename, size: content.length })
+    expect(await fs.readFile(path.join(dir, 'assets', filename))).toEqual(content)
+    expect(await fs.readdir(path.join(dir, 'tmp'))).toEqual([])
+
+    // uploading it again is skipped
+    expect((await chunked('POST', '/upload/init', { filename, size: content.length })).json()).toMatchObject({
+      exists: true,
+      url: `asset://${filename}`,
+    })
+  })
+
+  it('rejects chunked uploads that do not match their hash', async () => {
+    const filename = `${'a'.repeat(64)}.png`
+    const { uploadId } = (await chunked('POST', '/upload/init', { filename, size: png.length })).json()
+    // chunks can't go past the size given to init
+    const overflow = await putChunk(uploadId, 0, Buffer.concat([png, png]))
+    expect(overflow.json()).toEqual({ error: 'chunk_failed', received: 0 })
+    await putChunk(uploadId, 0, png)
+    const res = await chunked('POST', `/upload/${uploadId}/finalize`)
+    expect(res.statusCode).toBe(422)
+    expect(res.json()).toEqual({ error: 'hash_mismatch' })
+    expect(await fs.readdir(path.join(dir, 'tmp'))).toEqual([])
+    expect(await fs.readdir(path.join(dir, 'assets'))).toEqual([])
+  })
+
+  it('validates chunked uploads', async () => {
+    const hash = 'b'.repeat(64)
+    expect((await chunked('POST', '/upload/init', { filename: '../x.png', size: 1 })).json()).toEqual({
+      error: 'invalid_filename',
+    })
+    expect((await chunked('POST', '/upload/init', { filename: `${hash}.exe`, size: 1 })).statusCode).toBe(415)
+    expect((await chunked('POST', '/upload/init', { filename: `${hash}.png`, size: 0 })).json()).toEqual({
+      error: 'invalid_size',
+    })
+    const tooLarge = await chunked('POST', '/upload/init', { filename: `${hash}.png`, size: 1024 * 1024 * 1024 })
+    expect(tooLarge.statusCode).toBe(413)
+  })
+
+  it('only lets the uploader send chunks', async () => {
+    const filename = `${'c'.repeat(64)}.png`
+    const { uploadId } = (await chunked('POST', '/upload/init', { filename, size: png.length })).json()
+    const { createJWT } = await import('../core/utils-server')
+    world.network.sockets.set('user2', { player: { data: { userId: 'user2', roles: ['builder'] } } })
+    const other = { authorization: `Bearer ${await createJWT({ userId: 'user2' })}` }
+    expect((await putChunk(uploadId, 0, png, other)).statusCode).toBe(404)
+    expect((await chunked('POST', `/upload/${uploadId}/finalize`, undefined, other)).statusCode).toBe(404)
+  })
+})
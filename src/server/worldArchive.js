@@ -0,0 +1,239 @@
+import fs from 'fs-extra'
+import path from 'path'
+import crypto from 'crypto'
+import moment from 'moment'
+import { pipeline } from 'stream/promises'
+
+import { createDB, getLatestVersion, migrate } from './db.js'
+import { getReferencedAssets } from '../core/extras/getReferencedAssets.js'
+
+/**
+ * World Archive
+ *
+ * A single file containing everything needed to recreate a world: blueprints, entities, settings, spawn,
+ * storage.json and every hashed asset they reference.
+ *
+ * The layout matches the .hyp format:
+ * - header size (4 bytes, uint32 little-endian)
+ * - header (json)
+ * - asset data (all assets concatenated in the order they appear in the header)
+ *
+ */
+
+const defaultSpawn = { position: [0, 0, 0], quaternion: [0, 0, 0, 1] }
+
+export const ImportModes = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+}
+
+/**
+ * Reads world data from a (migrated) database and storage file
+ */
+export async function readWorldFromDB(db, storageFile) {
+  const scope = await getScope(db)
+  const blueprints = (await db('blueprints').where(scope)).map(row => JSON.parse(row.data))
+  const entities = (await db('entities').where(scope)).map(row => JSON.parse(row.data))
+  const settingsRow = await db('config')
+    .where({ ...scope, key: 'settings' })
+    .first()
+  const spawnRow = await db('config')
+    .where({ ...scope, key: 'spawn' })
+    .first()
+  let storage = {}
+  if (storageFile && (await fs.exists(storageFile))) {
+    storage = await fs.readJson(storageFile)
+  }
+  return {
+    blueprints,
+    entities,
+    settings: JSON.parse(settingsRow?.value || '{}'),
+    spawn: JSON.parse(spawnRow?.value || 'null') || defaultSpawn,
+    storage,
+  }
+}
+
+/**
+ * Writes world data to a (migrated) database and storage file (if any).
+ * In replace mode all existing blueprints and entities are removed first.
+ * In merge mode existing records are kept and records with the same id are overwritten.
+ */
+export async function writeWorldToDB(db, storageFile, data, mode) {
+  const now = moment().toISOString()
+  const scope = await getScope(db)
+  await db.transaction(async trx => {
+    if (mode === ImportModes.REPLACE) {
+      await trx('blueprints').where(scope).delete()
+      await trx('entities').where(scope).delete()
+    }
+    for (const blueprint of data.blueprints) {
+      const record = { id: blueprint.id, data: JSON.stringify(blueprint) }
+      await trx('blueprints')
+        .insert({ ...scope, ...record, createdAt: now, updatedAt: now })
+        .onConflict([...Object.keys(scope), 'id'])
+        .merge({ ...record, updatedAt: now })
+    }
+    for (const entity of data.entities) {
+      const record = { id: entity.id, data: JSON.stringify(entity) }
+      await trx('entities')
+        .insert({ ...scope, ...record, createdAt: now, updatedAt: now })
+        .onConflict([...Object.keys(scope), 'id'])
+        .merge({ ...record, updatedAt: now })
+    }
+    let settings = data.settings
+    if (mode === ImportModes.MERGE) {
+      const row = await trx('config')
+        .where({ ...scope, key: 'settings' })
+        .first()
+      settings = { ...JSON.parse(row?.value || '{}'), ...settings }
+    }
+    for (const [key, value] of [
+      ['settings', settings],
+      ['spawn', data.spawn],
+    ]) {
+      const str = JSON.stringify(value)
+      await trx('config')
+        .insert({ ...scope, key, value: str })
+        .onConflict([...Object.keys(scope), 'key'])
+        .merge({ value: str })
+    }
+  })
+  if (!storageFile) return
+  let storage = data.storage
+  if (mode === ImportModes.MERGE && (await fs.exists(storageFile))) {
+    storage = { ...(await fs.readJson(storageFile)), ...storage }
+  }
+  await fs.writeJson(storageFile, storage)
+}
+
+/**
+ * Writes world data and its referenced assets into a single archive file
+ */
+export async function writeWorldArchive(file, data, assets) {
+  const included = []
+  const missing = []
+  for (const filename of getReferencedAssets(data)) {
+    const stats = await assets.stat(filename)
+    if (!stats) {
+      missing.push(filename)
+      continue
+    }
+    included.push({ filename, size: stats.size })
+  }
+  const header = {
+    version: getLatestVersion(),
+    createdAt: moment().toISOString(),
+    blueprints: data.blueprints,
+    entities: data.entities,
+    settings: data.settings,
+    spawn: data.spawn,
+    storage: data.storage,
+    assets: included,
+  }
+  const headerBytes = Buffer.from(JSON.stringify(header))
+  const headerSize = Buffer.alloc(4)
+  headerSize.writeUInt32LE(headerBytes.length, 0)
+  const out = fs.createWriteStream(file)
+  out.write(headerSize)
+  out.write(headerBytes)
+  for (const asset of included) {
+    await pipeline(await assets.getStream(asset.filename), out, { end: false })
+  }
+  await new Promise((resolve, reject) => {
+    out.on('error', reject)
+    out.end(resolve)
+  })
+  return { assets: included.length, missing }
+}
+
+/**
+ * Reads the header of a world archive.
+ * Returns the world data (migrated to the current schema version) and a function to extract its assets.
+ */
+export async function readWorldArchive(file) {
+  const handle = await fs.promises.open(file, 'r')
+  let header
+  let headerSize
+  try {
+    const sizeBuffer = Buffer.alloc(4)
+    await handle.read(sizeBuffer, 0, 4, 0)
+    headerSize = sizeBuffer.readUInt32LE(0)
+    const headerBuffer = Buffer.alloc(headerSize)
+    await handle.read(headerBuffer, 0, headerSize, 4)
+    header = JSON.parse(headerBuffer.toString())
+  } catch (err) {
+    throw new Error('invalid world archive')
+  } finally {
+    await handle.close()
+  }
+  if (!header.version || header.version > getLatestVersion()) {
+    throw new Error(`unsupported world archive version: ${header.version}`)
+  }
+  const data = await migrateWorldData(header)
+  const assetsOffset = 4 + headerSize
+  return {
+    data,
+    assets: header.assets,
+    extractAssets: assets => extractAssets(file, assetsOffset, header.assets, assets),
+  }
+}
+
+async function extractAssets(file, offset, entries, assets) {
+  let extracted = 0
+  let position = offset
+  for (const asset of entries) {
+    const start = position
+    position += asset.size
+    // asset filenames are content hashes so we never need to replace an existing one
+    const filename = path.basename(asset.filename)
+    if (await assets.exists(filename)) continue
+    if (asset.size === 0) continue
+    const tempPath = `${file}-${filename}.tmp`
+    const hash = crypto.createHash('sha256')
+    const input = fs.createReadStream(file, { start, end: start + asset.size - 1 })
+    input.on('data', chunk => hash.update(chunk))
+    await pipeline(input, fs.createWriteStream(tempPath))
+    const expected = asset.filename.split('.')[0]
+    if (expected.length === 64 && hash.digest('hex') !== expected) {
+      await fs.remove(tempPath)
+      throw new Error(`world archive asset is corrupt: ${asset.filename}`)
+    }
+    await assets.put(filename, tempPath, true)
+    extracted++
+  }
+  return extracted
+}
+
+/**
+ * Archives created by older servers are loaded into a scratch database at their schema version
+ * and run through the same migrations as a real world database.
+ */
+async function migrateWorldData(header) {
+  const data = {
+    blueprints: header.blueprints || [],
+    entities: header.entities || [],
+    settings: header.settings || {},
+    spawn: header.spawn || defaultSpawn,
+    storage: header.storage || {},
+  }
+  if (header.version === getLatestVersion()) return data
+  const scratch = createDB({ client: 'sqlite', file: ':memory:', worldId: 'scratch' })
+  try {
+    await migrate(scratch, header.version)
+    await writeWorldToDB(scratch, null, data, ImportModes.REPLACE)
+    await migrate(scratch)
+    const migrated = await readWorldFromDB(scratch, null)
+    return { ...migrated, storage: data.storage }
+  } finally {
+    await scratch.destroy()
+  }
+}
+
+/**
+ * Returns the where clause that scopes queries to the db's world.
+ * Archives from older versions are migrated in a scratch db that can predate world ids.
+ */
+async function getScope(db) {
+  if (!(await db.schema.hasColumn('blueprints', 'worldId'))) return {}
+  return { worldId: db.userParams.worldId }
+}
@@ -0,0 +1,200 @@
+import { execFile } from 'child_process'
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { promisify } from 'util'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+
+import { AssetsLocal } from './AssetsLocal'
+import { createDB, getLatestVersion, migrate } from './db'
+import { ImportModes, readWorldArchive, readWorldFromDB, writeWorldArchive, writeWorldToDB } from './worldArchive'
+
+const model = Buffer.from('glTF model')
+const script = Buffer.from('app.on("update", () => {})')
+
+function hashed(buffer, ext) {
+  return `${crypto.createHash('sha256').update(buffer).digest('hex')}.${ext}`
+}
+
+function blueprint(id, extra) {
+  return { id, version: 0, name: id, model: null, script: null, props: {}, preload: false, ...extra }
+}
+
+async function createAssets(dir) {
+  const assets = new AssetsLocal({ dir, quarantineDir: `${dir}-quarantine` })
+  await assets.init()
+  return assets
+}
+
+describe('world archives', () => {
+  let dir
+  let db
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'))
+    db = createDB({ file: ':memory:', worldId: 'world1', client: 'sqlite' })
+    await migrate(db)
+  })
+
+  afterEach(async () => {
+    await db.destroy()
+    await fs.remove(dir)
+    vi.restoreAllMocks()
+  })
+
+  it('round trips a world and its assets', async () => {
+    const source = await createAssets(path.join(dir, 'source'))
+    const modelFile = hashed(model, 'glb')
+    const scriptFile = hashed(script, 'js')
+    await source.put(modelFile, model)
+    await source.put(scriptFile, script)
+    const data = {
+      blueprints: [
+        blueprint('bp1', { model: `asset://${modelFile}`, script: `asset://${scriptFile}` }),
+        blueprint('bp2', { model: 'asset://missing.glb' }),
+      ],
+      entities: [{ id: 'app1', type: 'app', blueprint: 'bp1', position: [1, 2, 3], quaternion: [0, 0, 0, 1] }],
+      settings: { title: 'Archived' },
+      spawn: { position: [4, 5, 6], quaternion: [0, 0, 0, 1] },
+      storage: { score: 10 },
+    }
+    await writeWorldToDB(db, path.join(dir, 'storage.json'), data, ImportModes.REPLACE)
+    const read = await readWorldFromDB(db, path.join(dir, 'storage.json'))
+    expect(read).toEqual(data)
+
+    const file = path.join(dir, 'world.hyp')
+    expect(await writeWorldArchive(file, read, source)).toEqual({ assets: 2, missing: ['missing.glb'] })
+
+    const archive = await readWorldArchive(file)
+    expect(archive.data).toEqual(data)
+    expect(archive.assets.map(asset => asset.filename).sort()).toEqual([modelFile, scriptFile].sort())
+    const target = await createAssets(path.join(dir, 'target'))
+    expect(await archive.extractAssets(target)).toBe(2)
+    expect(await target.read(modelFile)).toEqual(model)
+    expect(await target.read(scriptFile)).toEqual(script)
+    // assets that already exist are skipped
+    expect(await archive.extractAssets(target)).toBe(0)
+  })
+
+  it('merges into or replaces an existing world', async () => {
+    const storageFile = path.join(dir, 'storage.json')
+    await writeWorldToDB(
+      db,
+      storageFile,
+      {
+        blueprints: [blueprint('bp1'), blueprint('bp2')],
+        entities: [],
+        settings: { title: 'Old', desc: 'Kept' },
+        spawn: { position: [0, 0, 0], quaternion: [0, 0, 0, 1] },
+        storage: { a: 1, b: 1 },
+      },
+      ImportModes.REPLACE
+    )
+    const data = {
+      blueprints: [blueprint('bp2', { name: 'New' }), blueprint('bp3')],
+      entities: [],
+      settings: { title: 'New' },
+      spawn: { position: [1, 1, 1], quaternion: [0, 0, 0, 1] },
+      storage: { b: 2 },
+    }
+    await writeWorldToDB(db, storageFile, data, ImportModes.MERGE)
+    let read = await readWorldFromDB(db, storageFile)
+    expect(read.blueprints.map(blueprint => [blueprint.id, blueprint.name])).toEqual([
+      ['bp1', 'bp1'],
+      ['bp2', 'New'],
+      ['bp3', 'bp3'],
+    ])
+    expect(read.settings).toEqual({ title: 'New', desc: 'Kept' })
+    expect(read.storage).toEqual({ a: 1, b: 2 })
+
+    await writeWorldToDB(db, storageFile, data, ImportModes.REPLACE)
+    read = await readWorldFromDB(db, storageFile)
+    expect(read.blueprints.map(blueprint => blueprint.id)).toEqual(['bp2', 'bp3'])
+    expect(read.settings).toEqual({ title: 'New' })
+    expect(read.storage).toEqual({ b: 2 })
+  })
+
+  it('only touches its own world in a shared database', async () => {
+    const other = db.withUserParams({ worldId: 'world2' })
+    const data = { blueprints: [blueprint('bp1')], entities: [], settings: {}, spawn: null, storage: {} }
+    await writeWorldToDB(other, null, data, ImportModes.REPLACE)
+    await writeWorldToDB(db, null, { ...data, blueprints: [] }, ImportModes.REPLACE)
+    expect((await readWorldFromDB(other, null)).blueprints).toHaveLength(1)
+    expect((await readWorldFromDB(db, null)).blueprints).toHaveLength(0)
+  })
+
+  it('migrates archives from older servers', async () => {
+    // version 7 predates blueprint.props (then called config), public, locked, unique, disabled and entity.scale
+    const header = {
+      version: 7,
+      blueprints: [{ id: 'bp1', version: 0, model: null, script: null, config: { color: 'red' }, preload: false }],
+      entities: [{ id: 'app1', type: 'app', blueprint: 'bp1', position: [0, 0, 0], quaternion: [0, 0, 0, 1] }],
+      assets: [],
+    }
+    const file = path.join(dir, 'old.hyp')
+    const headerBytes = Buffer.from(JSON.stringify(header))
+    const headerSize = Buffer.alloc(4)
+    headerSize.writeUInt32LE(headerBytes.length, 0)
+    await fs.writeFile(file, Buffer.concat([headerSize, headerBytes]))
+    const { data } = await readWorldArchive(file)
+    expect(data.blueprints[0]).toMatchObject({ id: 'bp1', props: { color: 'red' }, public: false, disabled: false })
+    expect(data.blueprints[0].config).toBeUndefined()
+    expect(data.entities[0].scale).toEqual([1, 1, 1])
+    expect(data.spawn).toEqual({ position: [0, 0, 0], quaternion: [0, 0, 0, 1] })
+  })
+
+  it('rejects invalid, newer and corrupt archives', async () => {
+    const file = path.join(dir, 'world.hyp')
+    await fs.writeFile(file, 'not an archive')
+    await expect(readWorldArchive(file)).rejects.toThrow('invalid world archive')
+
+    const source = await createAssets(path.join(dir, 'source'))
+    const modelFile = hashed(model, 'glb')
+    await source.put(modelFile, model)
+    const data = { blueprints: [blueprint('bp1', { model: `asset://${modelFile}` })], entities: [], settings: {} }
+    await writeWorldArchive(file, data, source)
+    const bytes = await fs.readFile(file)
+
+    const headerSize = bytes.readUInt32LE(0)
+    const header = JSON.parse(bytes.subarray(4, 4 + headerSize))
+    const newer = Buffer.from(JSON.stringify({ ...header, version: getLatestVersion() + 1 }))
+    const size = Buffer.alloc(4)
+    size.writeUInt32LE(newer.length, 0)
+    await fs.writeFile(file, Buffer.concat([size, newer]))
+    await expect(readWorldArchive(file)).rejects.toThrow('unsupported world archive version')
+
+    bytes[bytes.length - 1] ^= 0xff
+    await fs.writeFile(file, bytes)
+    const archive = await readWorldArchive(file)
+    const target = await createAssets(path.join(dir, 'target'))
+    await expect(archive.extractAssets(target)).rejects.toThrow('world archive asset is corrupt')
+    expect(await target.exists(modelFile)).toBe(false)
+  })
+  it(
+    'backs up existing worlds before world:import migrates them',
+    async () => {
+      const worldDir = path.join(dir, 'world')
+      const old = createDB({ file: path.join(worldDir, 'db.sqlite'), worldId: 'world1', client: 'sqlite' })
+      await fs.ensureDir(worldDir)
+      await migrate(old, getLatestVersion() - 1)
+      await old.destroy()
+      const file = path.join(dir, 'world.hyp')
+      await writeWorldArchive(file, { blueprints: [blueprint('bp1')], entities: [], settings: {} }, null)
+
+      const script = path.join(__dirname, '../../scripts/import-world.mjs')
+      const env = {
+        ...process.env,
+        STORAGE_PATH: dir,
+        STORAGE_DIRNAME: 'world',
+        DB_CLIENT: 'sqlite',
+        WORLD_ID: 'world1',
+      }
+      const { stdout } = await promisify(execFile)('node', [script, file], { cwd: dir, env, timeout: 30 * 1000 })
+      expect(stdout).toContain('imported 1 blueprints, 0 entities and 0 new assets (merge)')
+      expect(await fs.readdir(path.join(worldDir, 'backups'))).toHaveLength(1)
+    },
+    60 * 1000
+  )
+})
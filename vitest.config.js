@@ -0,0 +1,15 @@
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+  esbuild: {
+    // source files use jsx in .js files (see scripts/build.mjs)
+    include: /src\/.*\.js$/,
+    loader: 'jsx',
+    jsx: 'automatic',
+    jsxImportSource: '@firebolt-dev/jsx',
+  },
+  test: {
+    include: ['src/**/*.test.js'],
+    environment: 'node',
+  },
+})